@@ -1,19 +1,31 @@
 // src/App.js
 import React from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation, matchPath } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { SavedScholarshipsProvider } from './contexts/SavedScholarshipsContext';
+import { ApplicationsProvider } from './contexts/ApplicationsContext';
+import { SavedSearchesProvider } from './contexts/SavedSearchesContext';
+import { CollegeListProvider } from './contexts/CollegeListContext';
 import Layout from './components/Layout';
 import ErrorBoundary from './components/ErrorBoundary';
 import LoginPage from './pages/LoginPage';
 import DashboardPage from './pages/DashboardPage';
 import StudentProfilePage from './pages/StudentProfilePage';
 import ScholarshipPage from './pages/ScholarshipPage';
+import ScholarshipDetailPage from './pages/ScholarshipDetailPage';
+import SavedScholarshipsPage from './pages/SavedScholarshipsPage';
+import SavedSearchesPage from './pages/SavedSearchesPage';
+import ApplicationTrackerPage from './pages/ApplicationTrackerPage';
+import DeadlineCalendarPage from './pages/DeadlineCalendarPage';
 import MatchingPage from './pages/MatchingPage';
 import CareerForecasterPage from './pages/CareerForecasterPage';
 import AuthCallback from './pages/AuthCallback';
 import ReportPage from './pages/ReportPage';
 import StudentVuePage from './pages/StudentVuePage';
 import CompareCollegesPage from './pages/CompareCollegesPage';
+import CollegeListPage from './pages/CollegeListPage';
+import AidOffersPage from './pages/AidOffersPage';
+import SharedSnapshotPage from './pages/SharedSnapshotPage';
 // Using your original ProfilePage for college details
 import ProfilePage from './pages/ProfilePage'; 
 import ResetPasswordPage from './pages/ResetPasswordPage';
@@ -40,6 +52,16 @@ function App() {
 
 const Main = () => {
   const { user, isProfileComplete, loading } = useAuth();
+  const location = useLocation();
+
+  // Share links open for anyone, signed in or not
+  if (matchPath('/shared/:token', location.pathname)) {
+    return (
+      <Routes>
+        <Route path="/shared/:token" element={<SharedSnapshotPage />} />
+      </Routes>
+    );
+  }
 
   if (loading) {
     return (
@@ -66,37 +88,48 @@ const Main = () => {
     );
   }
   
-  // Route for users who need to complete their profile
-  if (!isProfileComplete) {
-    return (
-      <Layout>
-        <Routes>
-          <Route path="/student-profile" element={<StudentProfilePage />} />
-          <Route path="*" element={<Navigate to="/student-profile" replace />} />
-        </Routes>
-      </Layout>
-    );
-  }
-
-  // Main application routes for authenticated users
+  // Providers wrap every signed-in route, onboarding included, because the Layout's header reads them
   return (
-    <Layout>
-      <Routes>
-        <Route path="/dashboard" element={<DashboardPage />} />
-        <Route path="/student-profile" element={<StudentProfilePage />} />
-        <Route path="/scholarships" element={<ScholarshipPage />} />
-        <Route path="/matching" element={<MatchingPage />} />
-        <Route path="/forecaster" element={<CareerForecasterPage />} />
-        <Route path="/compare" element={<CompareCollegesPage />} />
-        <Route path="/studentvue" element={<StudentVuePage />} />
-        <Route path="/report/:collegeId" element={<ReportPage />} />
-        {/* Restored the original route to use ProfilePage for college details */}
-        <Route path="/profile/:collegeId" element={<ProfilePage />} />
-        {/* OAuth Testing Route - Remove in production */}
-        <Route path="/test-oauth" element={<OAuthTester />} />
-        <Route path="*" element={<Navigate to="/dashboard" replace />} />
-      </Routes>
-    </Layout>
+    <SavedScholarshipsProvider>
+      <ApplicationsProvider>
+        <SavedSearchesProvider>
+          <CollegeListProvider>
+            <Layout>
+              {isProfileComplete ? (
+                <Routes>
+                  <Route path="/dashboard" element={<DashboardPage />} />
+                  <Route path="/student-profile" element={<StudentProfilePage />} />
+                  <Route path="/scholarships" element={<ScholarshipPage />} />
+                  <Route path="/scholarships/saved" element={<SavedScholarshipsPage />} />
+                  <Route path="/scholarships/searches" element={<SavedSearchesPage />} />
+                  <Route path="/scholarship/:id" element={<ScholarshipDetailPage />} />
+                  <Route path="/applications" element={<ApplicationTrackerPage />} />
+                  <Route path="/calendar" element={<DeadlineCalendarPage />} />
+                  <Route path="/matching" element={<MatchingPage />} />
+                  <Route path="/forecaster" element={<CareerForecasterPage />} />
+                  <Route path="/compare" element={<CompareCollegesPage />} />
+                  <Route path="/colleges/list" element={<CollegeListPage />} />
+                  <Route path="/colleges/aid-offers" element={<AidOffersPage />} />
+                  <Route path="/studentvue" element={<StudentVuePage />} />
+                  <Route path="/report/:collegeId" element={<ReportPage />} />
+                  {/* Restored the original route to use ProfilePage for college details */}
+                  <Route path="/profile/:collegeId" element={<ProfilePage />} />
+                  {/* OAuth Testing Route - Remove in production */}
+                  <Route path="/test-oauth" element={<OAuthTester />} />
+                  <Route path="*" element={<Navigate to="/dashboard" replace />} />
+                </Routes>
+              ) : (
+                // Users who need to complete their profile
+                <Routes>
+                  <Route path="/student-profile" element={<StudentProfilePage />} />
+                  <Route path="*" element={<Navigate to="/student-profile" replace />} />
+                </Routes>
+              )}
+            </Layout>
+          </CollegeListProvider>
+        </SavedSearchesProvider>
+      </ApplicationsProvider>
+    </SavedScholarshipsProvider>
   );
 };
 
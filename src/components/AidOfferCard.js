@@ -0,0 +1,123 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Chart as ChartJS, ArcElement, Tooltip, Legend } from 'chart.js';
+import { Doughnut } from 'react-chartjs-2';
+import { X, AlertTriangle } from 'lucide-react';
+import { AWARD_FIELDS } from '../utils/aidOffers';
+import { formatMoney } from '../utils/netPrice';
+
+ChartJS.register(ArcElement, Tooltip, Legend);
+
+// Free money first: green is good, red is what the family pays now
+export const AID_BREAKDOWN = [
+  { key: 'freeMoney', label: 'Grants & Scholarships', color: '#16a34a' },
+  { key: 'workStudy', label: 'Work-Study', color: '#2563eb' },
+  { key: 'loans', label: 'Loans', color: '#d97706' },
+  { key: 'outOfPocket', label: 'Out of Pocket', color: '#dc2626' },
+];
+
+const toInputValue = (value) => (value === null || value === undefined ? '' : value);
+
+// One award letter: editable lines, a breakdown chart and the yearly / four-year totals from summarizeAidOffer
+export default function AidOfferCard({ offer, summary, college, isBest, onChange, onRemove }) {
+  const name = offer.name || college?.general_info?.name || `College ${offer.unitid}`;
+  const averageNetPrice = college?.cost_and_aid?.avg_net_price ?? college?.cost_and_aid?.net_price;
+  const hasBreakdown = summary.costOfAttendance !== null && summary.costOfAttendance > 0;
+
+  const chartData = {
+    labels: AID_BREAKDOWN.map(part => part.label),
+    datasets: [{
+      data: AID_BREAKDOWN.map(part => summary[part.key] || 0),
+      backgroundColor: AID_BREAKDOWN.map(part => part.color),
+    }],
+  };
+
+  return (
+    <div className={`bg-white p-5 rounded-xl shadow-sm border space-y-4 ${isBest ? 'border-green-400 ring-1 ring-green-300' : ''}`}>
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          {offer.unitid ? (
+            <Link to={`/profile/${offer.unitid}`} className="font-bold text-lg text-blue-800 hover:underline">{name}</Link>
+          ) : (
+            <p className="font-bold text-lg text-gray-800">{name}</p>
+          )}
+          {college?.general_info && (
+            <p className="text-xs text-gray-500">
+              {college.general_info.city}, {college.general_info.state}
+              {typeof averageNetPrice === 'number' && ` · Average net price ${formatMoney(averageNetPrice)}/yr`}
+            </p>
+          )}
+          {isBest && <span className="inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-800">Lowest 4-year cost</span>}
+        </div>
+        <button onClick={() => onRemove(offer.id)} className="text-gray-400 hover:text-red-600" title="Remove offer">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        {AWARD_FIELDS.map(field => (
+          <label key={field.key} className={`block ${field.kind === 'cost' ? 'col-span-2' : ''}`}>
+            <span className="block text-xs font-medium text-gray-600 mb-1">{field.label} ($/yr)</span>
+            <input
+              type="number"
+              min="0"
+              step="100"
+              value={toInputValue(offer[field.key])}
+              onChange={(e) => onChange(offer.id, { [field.key]: e.target.value === '' ? null : Math.max(0, Number(e.target.value)) })}
+              className="w-full p-2 bg-gray-50 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        ))}
+      </div>
+
+      {hasBreakdown && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-center">
+          <Doughnut
+            data={chartData}
+            options={{
+              plugins: {
+                legend: { display: false },
+                tooltip: { callbacks: { label: (context) => `${context.label}: ${formatMoney(context.raw)}` } },
+              },
+            }}
+          />
+          <ul className="text-sm space-y-1">
+            {AID_BREAKDOWN.map(part => (
+              <li key={part.key} className="flex items-center justify-between gap-2">
+                <span className="flex items-center gap-2">
+                  <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: part.color }}></span>
+                  {part.label}
+                </span>
+                <span className="font-semibold">{formatMoney(summary[part.key])}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {summary.netCost !== null && (
+        <div className="grid grid-cols-3 gap-2 text-center">
+          <div className="p-2 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Net Cost / yr</p>
+            <p className="font-bold text-gray-800">{formatMoney(summary.netCost)}</p>
+          </div>
+          <div className="p-2 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">4-Year Net Cost</p>
+            <p className="font-bold text-gray-800">{formatMoney(summary.fourYearNetCost)}</p>
+          </div>
+          <div className="p-2 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">4-Year Debt</p>
+            <p className="font-bold text-amber-700">{formatMoney(summary.fourYearDebt)}</p>
+          </div>
+        </div>
+      )}
+
+      {summary.warnings.map(warning => (
+        <p key={warning} className="flex items-start gap-2 text-xs text-yellow-800">
+          <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+          {warning}
+        </p>
+      ))}
+    </div>
+  );
+}
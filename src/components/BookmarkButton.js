@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { Bookmark } from 'lucide-react';
+import { useSavedScholarships, getScholarshipId } from '../contexts/SavedScholarshipsContext';
+
+// Save/unsave toggle for scholarship cards and the detail page
+export default function BookmarkButton({ scholarship, showLabel = false, className = '' }) {
+  const { isSaved, toggleSaved } = useSavedScholarships();
+  const [pending, setPending] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const saved = isSaved(getScholarshipId(scholarship));
+
+  const handleClick = async (e) => {
+    // Cards navigate on click; keep the bookmark from opening the detail page
+    e.stopPropagation();
+    if (pending) return;
+    setPending(true);
+    setFailed(false);
+    try {
+      await toggleSaved(scholarship);
+    } catch (err) {
+      setFailed(true);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const label = saved ? 'Saved' : 'Save';
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={pending}
+      aria-pressed={saved}
+      aria-label={saved ? 'Remove from saved scholarships' : 'Save scholarship'}
+      title={failed ? 'Could not update saved scholarships. Please try again.' : label}
+      className={`inline-flex items-center gap-1 rounded-full p-2 transition-colors disabled:opacity-60 ${
+        failed
+          ? 'text-red-600 bg-red-50'
+          : saved
+            ? 'text-blue-600 bg-blue-50 hover:bg-blue-100'
+            : 'text-gray-400 hover:text-blue-600 hover:bg-gray-100'
+      } ${className}`}
+    >
+      <Bookmark className="h-5 w-5" fill={saved ? 'currentColor' : 'none'} />
+      {showLabel && <span className="text-sm font-semibold pr-1">{label}</span>}
+    </button>
+  );
+}
@@ -1,5 +1,6 @@
 import React from 'react';
 import { Briefcase, TrendingUp, GraduationCap, Target } from 'lucide-react';
+import { readProfileValue } from '../utils/profileFields';
 
 export default function CareerSnapshotCard({ careerData, profile }) {
   return (
@@ -19,7 +20,7 @@ export default function CareerSnapshotCard({ careerData, profile }) {
             <h3 className="font-semibold text-gray-800">Your Goal</h3>
           </div>
           <p className="text-sm text-gray-700">
-            {profile?.career_goals || 'Not specified'}
+            {readProfileValue(profile, 'careerGoals') || 'Not specified'}
           </p>
         </div>
 
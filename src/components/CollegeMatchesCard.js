@@ -1,5 +1,9 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { GraduationCap, MapPin, DollarSign } from 'lucide-react';
+import { LIST_BUCKETS } from '../utils/collegeList';
+import { formatChanceRange } from '../utils/admissionProbability';
+import { yearlyNetPrice } from '../utils/netPrice';
 
 // Likelihood Badge Component
 const LikelihoodBadge = ({ likelihood }) => {
@@ -36,7 +40,37 @@ const LikelihoodBadge = ({ likelihood }) => {
   );
 };
 
-export default function CollegeMatchesCard({ matches, probabilities, onViewAll }) {
+// Reach / target / safety counts from the student's own list, with its most pressing balance warning
+const CollegeListSummary = ({ collegeList }) => {
+  if (!collegeList) return null;
+
+  if (collegeList.count === 0) {
+    return (
+      <Link to="/colleges/list" className="block mb-4 p-3 rounded-lg bg-indigo-50 text-sm text-indigo-700 hover:bg-indigo-100">
+        Start your college list &rarr;
+      </Link>
+    );
+  }
+
+  return (
+    <Link to="/colleges/list" className="block mb-4 p-3 rounded-lg bg-indigo-50 hover:bg-indigo-100">
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-semibold text-indigo-800">My List ({collegeList.count})</span>
+        <span className="flex gap-1">
+          {LIST_BUCKETS.map(bucket => (
+            <span key={bucket} className="flex items-center gap-1">
+              <LikelihoodBadge likelihood={bucket} />
+              <span className="text-gray-700">{collegeList.buckets[bucket].length}</span>
+            </span>
+          ))}
+        </span>
+      </div>
+      {collegeList.warnings[0] && <p className="text-xs text-yellow-700 mt-2">{collegeList.warnings[0].message}</p>}
+    </Link>
+  );
+};
+
+export default function CollegeMatchesCard({ matches, probabilities, netPriceInputs, collegeList, onViewAll }) {
   if (!matches || matches.length === 0) {
     return (
       <div className="bg-white p-6 rounded-2xl shadow-lg hover:shadow-xl transition-shadow duration-300 flex flex-col h-full">
@@ -46,6 +80,7 @@ export default function CollegeMatchesCard({ matches, probabilities, onViewAll }
           </div>
           <h2 className="text-xl font-bold text-gray-800">Top College Matches</h2>
         </div>
+        <CollegeListSummary collegeList={collegeList} />
         <div className="text-center text-gray-500 py-8 flex-grow">
           <p>No college matches yet</p>
           <p className="text-sm mt-2">Complete your profile to get personalized matches</p>
@@ -62,6 +97,7 @@ export default function CollegeMatchesCard({ matches, probabilities, onViewAll }
         </div>
         <h2 className="text-xl font-bold text-gray-800">Top College Matches</h2>
       </div>
+      <CollegeListSummary collegeList={collegeList} />
       
       <div className="space-y-4 flex-grow">
         {matches.slice(0, 3).map((college, index) => {
@@ -70,7 +106,7 @@ export default function CollegeMatchesCard({ matches, probabilities, onViewAll }
           const location = college.general_info ? 
             `${college.general_info.city}, ${college.general_info.state}` : 
             college.location || 'Location not specified';
-          const netCost = college.netCost || college.cost_and_aid?.tuition_in_state || 'N/A';
+          const netCost = yearlyNetPrice(college, netPriceInputs) ?? 'N/A';
           
           return (
             <div key={index} className="flex items-center space-x-4 p-3 rounded-lg hover:bg-gray-50 transition-colors border border-gray-100">
@@ -92,7 +128,7 @@ export default function CollegeMatchesCard({ matches, probabilities, onViewAll }
                     </div>
                     <div className="flex items-center text-sm text-gray-500 mt-1">
                       <DollarSign className="h-3 w-3 mr-1" />
-                      <span>Est. Net Cost: ${typeof netCost === 'number' ? netCost.toLocaleString() : netCost}/yr</span>
+                      <span>Est. Net Price: ${typeof netCost === 'number' ? netCost.toLocaleString() : netCost}/yr</span>
                     </div>
                   </div>
                   
@@ -100,8 +136,8 @@ export default function CollegeMatchesCard({ matches, probabilities, onViewAll }
                   <div className="flex flex-col items-end ml-2">
                     {probability && (
                       <>
-                        <p className="text-sm font-semibold text-gray-600">
-                          {probability.probability}%
+                        <p className="text-sm font-semibold text-gray-600" title={`${probability.confidence} confidence`}>
+                          {formatChanceRange(probability)}
                         </p>
                         <LikelihoodBadge likelihood={probability.likelihood} />
                       </>
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { searchInstitutions } from '../services/api';
+
+// Name search over institutions; `onCollegeSelect` receives the full institution record
+export default function CollegeSelector({ onCollegeSelect, selectedIds, disabled, disabledMessage }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setLoading(true);
+    try {
+      const response = await searchInstitutions({
+        filters: { "general_info.name": { $regex: query, $options: 'i' } },
+        pagination: { limit: 5 }
+      });
+      setResults(response.data || []);
+    } catch (err) {
+      console.error('College search failed:', err);
+      setResults([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <form onSubmit={handleSearch} className="flex gap-2">
+        <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Search for a college..." className="w-full p-2 border rounded-lg bg-gray-50" />
+        <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-lg" disabled={loading}>{loading ? '...' : 'Search'}</button>
+      </form>
+      <div className="space-y-1">
+        {results.map(college => {
+          const selected = selectedIds.includes(String(college.unitid));
+          return (
+            <button
+              key={college.unitid}
+              onClick={() => onCollegeSelect(college)}
+              disabled={selected || disabled}
+              className={`w-full text-left p-2 border rounded-lg ${selected ? 'bg-blue-100 border-blue-400' : 'hover:bg-gray-100 disabled:opacity-50'}`}
+            >
+              {college.general_info.name}
+              <span className="text-xs text-gray-500 ml-2">{college.general_info.city}, {college.general_info.state}</span>
+            </button>
+          );
+        })}
+      </div>
+      {disabled && disabledMessage && <p className="text-xs text-gray-500">{disabledMessage}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React from 'react';
+import {
+  Chart as ChartJS,
+  RadialLinearScale,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  Filler,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Radar, Bar } from 'react-chartjs-2';
+import { getRadarScores } from '../utils/collegeComparison';
+
+ChartJS.register(RadialLinearScale, CategoryScale, LinearScale, PointElement, LineElement, BarElement, Filler, Tooltip, Legend);
+
+// One color per compared college (up to MAX_COMPARE)
+export const COMPARE_COLORS = ['#2563eb', '#16a34a', '#d97706', '#db2777', '#7c3aed'];
+
+const withAlpha = (hex, alpha) => `${hex}${Math.round(alpha * 255).toString(16).padStart(2, '0')}`;
+
+// Radar profile and cost bars for the colleges being compared
+export default function ComparisonCharts({ colleges }) {
+  const names = colleges.map(college => college.general_info?.name || `College ${college.unitid}`);
+  const { labels, scores } = getRadarScores(colleges);
+
+  const radarData = {
+    labels,
+    datasets: colleges.map((college, index) => ({
+      label: names[index],
+      data: scores[index],
+      borderColor: COMPARE_COLORS[index],
+      backgroundColor: withAlpha(COMPARE_COLORS[index], 0.15),
+      pointBackgroundColor: COMPARE_COLORS[index],
+      spanGaps: true,
+    })),
+  };
+
+  const costFields = [
+    { label: 'In-State Tuition', get: (college) => college.cost_and_aid?.tuition_in_state },
+    { label: 'Out-of-State Tuition', get: (college) => college.cost_and_aid?.tuition_out_of_state },
+    { label: 'Average Net Price', get: (college) => college.cost_and_aid?.avg_net_price ?? college.cost_and_aid?.net_price },
+  ];
+  const barData = {
+    labels: costFields.map(field => field.label),
+    datasets: colleges.map((college, index) => ({
+      label: names[index],
+      data: costFields.map(field => field.get(college) ?? null),
+      backgroundColor: COMPARE_COLORS[index],
+    })),
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <h2 className="text-lg font-bold text-gray-800 mb-1">At a Glance</h2>
+        <p className="text-xs text-gray-500 mb-4">Scores out of 100. Affordability and size are relative to the colleges shown.</p>
+        <Radar
+          data={radarData}
+          options={{
+            scales: { r: { min: 0, max: 100, ticks: { stepSize: 25 } } },
+            plugins: { legend: { position: 'bottom' } },
+          }}
+        />
+      </div>
+      <div className="bg-white p-6 rounded-xl shadow-sm border">
+        <h2 className="text-lg font-bold text-gray-800 mb-1">Cost Comparison</h2>
+        <p className="text-xs text-gray-500 mb-4">Published tuition and the average price after grants.</p>
+        <Bar
+          data={barData}
+          options={{
+            scales: { y: { beginAtZero: true, ticks: { callback: (value) => `$${Number(value).toLocaleString()}` } } },
+            plugins: {
+              legend: { position: 'bottom' },
+              tooltip: { callbacks: { label: (context) => `${context.dataset.label}: $${Number(context.raw).toLocaleString()}` } },
+            },
+          }}
+        />
+      </div>
+    </div>
+  );
+}
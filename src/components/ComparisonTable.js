@@ -0,0 +1,59 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { COMPARE_COLORS } from './ComparisonCharts';
+
+// Metric-by-college table; pass `onRemove` to show a remove button per column and `linkColleges` for profile links
+export default function ComparisonTable({ colleges, rows, onRemove, linkColleges = true }) {
+  return (
+    <div className="bg-white rounded-xl shadow-sm border overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b">
+            <th className="text-left p-4 font-semibold text-gray-600 w-48">Metric</th>
+            {colleges.map((college, index) => (
+              <th key={college.unitid} className="text-left p-4 align-top min-w-[10rem]">
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: COMPARE_COLORS[index] }}></span>
+                    {linkColleges ? (
+                      <Link to={`/profile/${college.unitid}`} className="font-bold text-blue-800 hover:underline">
+                        {college.general_info?.name}
+                      </Link>
+                    ) : (
+                      <span className="font-bold text-blue-800">{college.general_info?.name}</span>
+                    )}
+                    <p className="text-xs font-normal text-gray-500">{college.general_info?.city}, {college.general_info?.state}</p>
+                  </div>
+                  {onRemove && (
+                    <button
+                      onClick={() => onRemove(college.unitid)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove from comparison"
+                    >
+                      &times;
+                    </button>
+                  )}
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.metric.id} className="border-b last:border-b-0">
+              <td className="p-4 font-medium text-gray-700">{row.metric.label}</td>
+              {row.formatted.map((value, index) => (
+                <td
+                  key={colleges[index].unitid}
+                  className={`p-4 ${row.best.includes(index) ? 'bg-green-50 text-green-800 font-bold' : 'text-gray-700'}`}
+                >
+                  {value}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
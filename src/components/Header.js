@@ -1,8 +1,11 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
+import { Bell } from 'lucide-react';
+import { useSavedSearches } from '../contexts/SavedSearchesContext';
 
 const Header = () => {
   const navigate = useNavigate();
+  const { totalNewMatches } = useSavedSearches();
 
   const handleLogout = () => {
     // Clear any stored auth tokens
@@ -12,7 +15,7 @@ const Header = () => {
   };
 
   return (
-    <header className="bg-white shadow-sm border-b border-gray-200">
+    <header className="app-chrome bg-white shadow-sm border-b border-gray-200">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between items-center h-16">
           {/* Logo and Brand */}
@@ -60,6 +63,19 @@ const Header = () => {
 
           {/* User Menu */}
           <div className="flex items-center space-x-4">
+            {/* New matches for saved searches */}
+            <Link
+              to="/scholarships/searches"
+              className="relative text-gray-700 hover:text-blue-600 p-2 rounded-md"
+              title={totalNewMatches > 0 ? `${totalNewMatches} new scholarship matches` : 'Saved searches'}
+            >
+              <Bell className="h-5 w-5" />
+              {totalNewMatches > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-[1.25rem] text-center text-xs font-semibold text-white bg-red-500 px-1 rounded-full">
+                  {totalNewMatches > 99 ? '99+' : totalNewMatches}
+                </span>
+              )}
+            </Link>
             <Link
               to="/profile"
               className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium"
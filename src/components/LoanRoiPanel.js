@@ -0,0 +1,245 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import {
+  REPAYMENT_PLANS,
+  DEFAULT_INTEREST_RATE,
+  FEDERAL_LOAN_LIMIT,
+  DEBT_TO_INCOME_LIMIT,
+  PAYMENT_TO_INCOME_LIMIT,
+  HIGH_SCHOOL_EARNINGS,
+  SALARY_GROWTH_RATE,
+  ROI_HORIZON_YEARS,
+  buildRepaymentSchedule,
+  calculateRoi,
+  debtRatios,
+} from '../utils/loanRepayment';
+import { estimateNetPrice, formatMoney } from '../utils/netPrice';
+import { summarizeAidOffer } from '../utils/aidOffers';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+const fieldClass = 'w-full p-2 bg-gray-50 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const moneyTick = (value) => `$${Number(value).toLocaleString()}`;
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const parseInput = (value) => (value === '' ? '' : Math.max(0, Number(value)));
+
+/**
+ * Four-year cost and loan total for one college: a saved award letter wins over the net price estimate,
+ * and loans default to the federal limit when there's no letter
+ */
+const collegeCostBasis = (option, netPriceInputs, aidOffers) => {
+  const offer = aidOffers.find(item => item.unitid === option.unitid);
+  const summary = offer ? summarizeAidOffer(offer) : null;
+  if (summary && summary.fourYearNetCost !== null) {
+    return { cost: summary.fourYearNetCost, loans: summary.fourYearDebt, source: 'your saved award letter' };
+  }
+  const estimate = option.college ? estimateNetPrice(option.college, netPriceInputs) : null;
+  if (!estimate) return { cost: null, loans: FEDERAL_LOAN_LIMIT, source: null };
+  return { cost: estimate.fourYearTotal, loans: Math.min(FEDERAL_LOAN_LIMIT, estimate.fourYearTotal), source: 'your net price estimate' };
+};
+
+const Metric = ({ label, value, detail, warn }) => (
+  <div className={`p-3 rounded-lg border ${warn ? 'bg-red-50 border-red-200' : 'bg-gray-50'}`}>
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className={`text-xl font-bold ${warn ? 'text-red-700' : 'text-gray-800'}`}>{value}</p>
+    {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+  </div>
+);
+
+/**
+ * Loan repayment under each plan and the degree's break-even point for one college.
+ * `options` are `{ unitid, name, college }`; `forecastSalary` seeds the starting salary.
+ */
+export default function LoanRoiPanel({ options, forecastSalary, netPriceInputs, aidOffers = [] }) {
+  const [selectedId, setSelectedId] = useState('');
+  const [salaryInput, setSalaryInput] = useState(null);
+  const [loanInput, setLoanInput] = useState(null);
+  const [ratePercent, setRatePercent] = useState((DEFAULT_INTEREST_RATE * 100).toFixed(2));
+  const [roiPlanId, setRoiPlanId] = useState('standard');
+
+  const selected = options.find(option => option.unitid === selectedId) || options[0] || null;
+  const basis = useMemo(
+    () => (selected ? collegeCostBasis(selected, netPriceInputs, aidOffers) : null),
+    [selected, netPriceInputs, aidOffers]
+  );
+
+  // Blank inputs fall back to the forecast and the college's cost basis
+  const startingSalary = salaryInput === null || salaryInput === '' ? forecastSalary || 0 : salaryInput;
+  const principal = loanInput === null || loanInput === '' ? basis?.loans || 0 : loanInput;
+  const interestRate = (Number(ratePercent) || 0) / 100;
+
+  const schedules = useMemo(
+    () => REPAYMENT_PLANS.map(plan => buildRepaymentSchedule(plan.id, { principal, interestRate, startingSalary })),
+    [principal, interestRate, startingSalary]
+  );
+  const roiSchedule = schedules.find(schedule => schedule.plan.id === roiPlanId);
+  const roi = useMemo(() => (basis && basis.cost !== null && startingSalary > 0
+    ? calculateRoi({ startingSalary, collegeCost: basis.cost, principal, schedule: roiSchedule })
+    : null), [basis, startingSalary, principal, roiSchedule]);
+
+  if (!selected) {
+    return (
+      <p className="text-sm text-gray-500">
+        Add colleges to your college list, or open this page from the college comparison, to project loan repayment.
+      </p>
+    );
+  }
+
+  const longestTerm = Math.max(...schedules.map(schedule => schedule.years.length), 1);
+  const balanceData = {
+    labels: Array.from({ length: longestTerm + 1 }, (_, year) => (year === 0 ? 'Start' : `Year ${year}`)),
+    datasets: schedules.map(schedule => ({
+      label: schedule.plan.label,
+      data: [principal, ...schedule.years.map(year => year.balance)],
+      borderColor: schedule.plan.color,
+      backgroundColor: schedule.plan.color,
+      pointRadius: 0,
+      tension: 0.2,
+    })),
+  };
+  const roiData = roi && {
+    labels: roi.points.map(point => point.label),
+    datasets: [{
+      label: 'Cumulative return vs. no degree',
+      data: roi.points.map(point => point.cumulative),
+      borderColor: '#7c3aed',
+      backgroundColor: '#7c3aed22',
+      fill: 'origin',
+      pointRadius: 0,
+      tension: 0.2,
+    }],
+  };
+  const chartOptions = {
+    scales: { y: { ticks: { callback: moneyTick } } },
+    plugins: {
+      legend: { position: 'bottom' },
+      tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${formatMoney(context.raw)}` } },
+    },
+  };
+  const standard = schedules[0];
+  const { debtToIncome, paymentToIncome } = debtRatios(principal, startingSalary, standard.monthlyPayment);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600 mb-1">College</span>
+          <select
+            value={selected.unitid}
+            onChange={(e) => { setSelectedId(e.target.value); setLoanInput(null); }}
+            className={fieldClass}
+          >
+            {options.map(option => <option key={option.unitid} value={option.unitid}>{option.name}</option>)}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600 mb-1">Starting Salary ($/yr)</span>
+          <input type="number" min="0" step="1000" value={salaryInput ?? startingSalary} onChange={(e) => setSalaryInput(parseInput(e.target.value))} className={fieldClass} />
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600 mb-1">Total Loans at Graduation ($)</span>
+          <input type="number" min="0" step="1000" value={loanInput ?? principal} onChange={(e) => setLoanInput(parseInput(e.target.value))} className={fieldClass} />
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600 mb-1">Interest Rate (%)</span>
+          <input type="number" min="0" max="20" step="0.01" value={ratePercent} onChange={(e) => setRatePercent(e.target.value)} className={fieldClass} />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500">
+        {basis.source
+          ? `Four-year cost of ${formatMoney(basis.cost)} and default loans from ${basis.source}.`
+          : 'No cost data for this college; enter your expected loans.'}
+        {forecastSalary ? ' Starting salary from your forecast.' : ' Generate a forecast above to fill in a starting salary.'}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <Metric
+          label="Debt-to-Income"
+          value={debtToIncome !== null ? formatPercent(debtToIncome) : 'N/A'}
+          detail={`Keep total debt under ${formatPercent(DEBT_TO_INCOME_LIMIT)} of your first-year salary.`}
+          warn={debtToIncome > DEBT_TO_INCOME_LIMIT}
+        />
+        <Metric
+          label="Standard Payment"
+          value={`${formatMoney(standard.monthlyPayment)}/mo`}
+          detail={paymentToIncome !== null ? `${formatPercent(paymentToIncome)} of gross pay (aim for ${formatPercent(PAYMENT_TO_INCOME_LIMIT)} or less)` : null}
+          warn={paymentToIncome > PAYMENT_TO_INCOME_LIMIT}
+        />
+        <Metric
+          label="Break-Even"
+          value={!roi ? 'N/A' : roi.breakEvenYear ? `Year ${roi.breakEvenYear}` : `Not within ${ROI_HORIZON_YEARS} years`}
+          detail="Years after graduation until the degree out-earns starting work after high school."
+          warn={roi && !roi.breakEvenYear}
+        />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-left text-gray-600">
+              <th className="py-2 pr-4 font-semibold">Plan</th>
+              <th className="py-2 pr-4 font-semibold">First Payment</th>
+              <th className="py-2 pr-4 font-semibold">Total Paid</th>
+              <th className="py-2 pr-4 font-semibold">Interest</th>
+              <th className="py-2 font-semibold">Paid Off</th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map(schedule => (
+              <tr key={schedule.plan.id} className="border-b last:border-b-0">
+                <td className="py-2 pr-4 font-medium">{schedule.plan.label}</td>
+                <td className="py-2 pr-4">{formatMoney(schedule.monthlyPayment)}/mo</td>
+                <td className="py-2 pr-4">{formatMoney(schedule.totalPaid)}</td>
+                <td className="py-2 pr-4">{formatMoney(schedule.totalInterest)}</td>
+                <td className="py-2">
+                  {schedule.payoffYear
+                    ? `Year ${schedule.payoffYear}`
+                    : schedule.forgiven > 0 ? `${formatMoney(schedule.forgiven)} forgiven after ${schedule.plan.years} years` : '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mt-2">
+          Income-driven payments assume a single-person household and {formatPercent(SALARY_GROWTH_RATE)} yearly raises; forgiven balances may be taxable.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-2">Loan Balance</h3>
+          <Line data={balanceData} options={chartOptions} />
+        </div>
+        <div>
+          <div className="flex items-center justify-between mb-2 gap-2">
+            <h3 className="font-semibold text-gray-700">Return on Your Degree</h3>
+            <select value={roiPlanId} onChange={(e) => setRoiPlanId(e.target.value)} className="p-1 border rounded text-xs bg-gray-50">
+              {REPAYMENT_PLANS.map(plan => <option key={plan.id} value={plan.id}>{plan.label}</option>)}
+            </select>
+          </div>
+          {roiData ? (
+            <>
+              <Line data={roiData} options={{ ...chartOptions, plugins: { ...chartOptions.plugins, legend: { display: false } } }} />
+              <p className="text-xs text-gray-500 mt-2">
+                Counts cost paid in cash, earnings given up during college and loan payments, against a high school graduate earning {formatMoney(HIGH_SCHOOL_EARNINGS)}/yr.
+              </p>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Enter a starting salary to see when the degree pays off.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
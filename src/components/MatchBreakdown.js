@@ -0,0 +1,68 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { CRITERION_STATUS } from '../utils/matchExplanation';
+
+// Criterion checklist plus hints for the requirements the student can't be checked against yet.
+// `explanation` comes from explainMatch; `fitScore` is the matching service's own score, shown
+// separately because the checklist doesn't produce it; `compact` hides the per-criterion details.
+export default function MatchBreakdown({ explanation, fitScore = null, compact = false }) {
+  const { criteria, met, hints } = explanation;
+
+  if (criteria.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        This scholarship doesn't list GPA, major, level, residency or demographic requirements.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        You meet <strong>{met} of {criteria.length}</strong> listed requirements
+        {fitScore !== null && fitScore !== undefined && <> · match score <strong>{fitScore}%</strong> (based on your whole profile)</>}
+        {explanation.unknown > 0 && ` · ${explanation.unknown} can't be checked yet`}
+      </p>
+
+      <ul className="space-y-2">
+        {criteria.map(item => {
+          const status = CRITERION_STATUS[item.status];
+          return (
+            <li key={item.id} className="flex items-start gap-3">
+              <span
+                className={`flex-shrink-0 w-6 h-6 rounded-full flex items-center justify-center text-xs font-bold ${status.color}`}
+                title={status.label}
+              >
+                {status.icon}
+              </span>
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-800 capitalize">{item.label}</p>
+                {!compact && <p className="text-xs text-gray-500">{item.detail}</p>}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {hints.length > 0 && (
+        <div className="bg-blue-50 border border-blue-100 rounded-lg p-4">
+          <h4 className="text-sm font-semibold text-blue-900 mb-2">What would help you qualify</h4>
+          <ul className="space-y-2">
+            {hints.map(hint => (
+              <li key={hint.field} className="text-sm text-blue-800">
+                {hint.text}{' '}
+                <Link
+                  to={hint.path}
+                  onClick={(e) => e.stopPropagation()}
+                  className="font-semibold underline hover:text-blue-600"
+                >
+                  Update {hint.label} &rarr;
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React from 'react';
+import { INCOME_BRACKETS, NET_PRICE_METHOD_LABELS, COST_GROWTH_RATE, formatMoney } from '../utils/netPrice';
+import { US_STATES } from '../utils/scholarshipFilters';
+
+const fieldClass = 'w-full p-2 bg-gray-50 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const toNumberInput = (value) => (value === '' ? '' : Math.max(0, Number(value)));
+
+// Family details behind the net price estimate, from useNetPriceInputs
+export default function NetPriceCalculator({ inputs, onChange, onSave, isDirty, saving, error }) {
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600 mb-1">Family Income</span>
+          <select value={inputs.incomeBracket} onChange={(e) => onChange({ incomeBracket: e.target.value })} className={fieldClass}>
+            <option value="">Prefer not to say</option>
+            {INCOME_BRACKETS.map(bracket => (
+              <option key={bracket.id} value={bracket.id}>{bracket.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600 mb-1">Household Size</span>
+          <input
+            type="number"
+            min="2"
+            max="12"
+            value={inputs.householdSize}
+            onChange={(e) => onChange({ householdSize: toNumberInput(e.target.value) })}
+            className={fieldClass}
+          />
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600 mb-1">Home State</span>
+          <select value={inputs.state} onChange={(e) => onChange({ state: e.target.value })} className={fieldClass}>
+            <option value="">Select a state</option>
+            {US_STATES.map(state => (
+              <option key={state} value={state}>{state}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-600 mb-1">Expected Scholarships ($/yr)</span>
+          <input
+            type="number"
+            min="0"
+            step="500"
+            value={inputs.scholarships}
+            onChange={(e) => onChange({ scholarships: toNumberInput(e.target.value) })}
+            placeholder="e.g., 2000"
+            className={fieldClass}
+          />
+        </label>
+      </div>
+      {onSave && (
+        <div className="flex items-center justify-end gap-3">
+          {error && <span className="text-xs text-red-600">{error}</span>}
+          <button
+            onClick={onSave}
+            disabled={!isDirty || saving}
+            className="text-sm font-semibold bg-blue-600 text-white px-3 py-1.5 rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+          >
+            {saving ? 'Saving...' : isDirty ? 'Save to Profile' : 'Saved'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Yearly breakdown and four-year projection for one college's `estimateNetPrice` result
+export function NetPriceProjection({ estimate }) {
+  if (!estimate) return <p className="text-sm text-gray-500">This college does not report cost data.</p>;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-3 text-center">
+        <div className="p-3 bg-white rounded-lg border">
+          <p className="text-xs text-gray-500">Cost of Attendance</p>
+          <p className="font-bold text-gray-800">{estimate.coa !== null ? formatMoney(estimate.coa) : 'N/A'}</p>
+        </div>
+        <div className="p-3 bg-white rounded-lg border">
+          <p className="text-xs text-gray-500">Grants & Scholarships</p>
+          <p className="font-bold text-green-700">
+            {estimate.grants !== null ? `−${formatMoney(estimate.grants + estimate.scholarships)}` : 'N/A'}
+          </p>
+        </div>
+        <div className="p-3 bg-white rounded-lg border">
+          <p className="text-xs text-gray-500">{NET_PRICE_METHOD_LABELS[estimate.method]}</p>
+          <p className="font-bold text-blue-800">{formatMoney(estimate.annual)}/yr</p>
+        </div>
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            {estimate.years.map(({ year }) => <th key={year} className="py-1 pr-2 font-medium">Year {year}</th>)}
+            <th className="py-1 font-semibold text-gray-700">4-Year Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            {estimate.years.map(({ year, cost }) => <td key={year} className="py-1 pr-2">{formatMoney(cost)}</td>)}
+            <td className="py-1 font-bold">{formatMoney(estimate.fourYearTotal)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <ul className="text-xs text-gray-500 space-y-0.5">
+        <li>{estimate.inState ? 'In-state' : 'Out-of-state'} rates; costs grow {Math.round(COST_GROWTH_RATE * 100)}% a year.</li>
+        {estimate.notes.map(note => <li key={note}>{note}</li>)}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import React from 'react';
+import { createPortal } from 'react-dom';
+import { readProfileValue } from '../utils/profileFields';
+import { SHAREABLE_PROFILE_FIELDS } from '../utils/shareSnapshot';
+import { formatCurrency } from '../utils/dashboardHelpers';
+
+/**
+ * Branded, paginated document printed by usePrintDocument. Rendered outside #root so the
+ * print stylesheet can hide the app and print only this; it never shows on screen.
+ */
+export default function PrintDocument({ title, subtitle, studentName, children }) {
+  return createPortal(
+    <div className="print-document text-gray-900">
+      <section className="print-cover">
+        <p className="text-2xl font-extrabold text-blue-700 tracking-wide">Scholargy</p>
+        <h1 className="text-4xl font-bold mt-24">{title}</h1>
+        {subtitle && <p className="text-xl text-gray-600 mt-3">{subtitle}</p>}
+        <div className="mt-auto border-t-4 border-blue-700 pt-4">
+          {studentName && <p className="text-lg font-semibold">Prepared for {studentName}</p>}
+          <p className="text-gray-600">{new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })}</p>
+        </div>
+      </section>
+      {children}
+    </div>,
+    document.body
+  );
+}
+
+// A titled block that is never split across pages
+export function PrintSection({ title, children }) {
+  return (
+    <section className="print-section mb-8">
+      <h2 className="text-xl font-bold text-blue-800 border-b-2 border-blue-200 pb-1 mb-3">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+export function PrintProfileSummary({ profile }) {
+  const entries = SHAREABLE_PROFILE_FIELDS
+    .map(({ key, label }) => ({ key, label, value: readProfileValue(profile, key) }))
+    .filter(({ value }) => value !== null);
+
+  return (
+    <PrintSection title="Profile Summary">
+      {entries.length === 0 ? (
+        <p className="text-gray-600">No profile details have been added yet.</p>
+      ) : (
+        <dl className="grid grid-cols-2 gap-x-8 gap-y-2">
+          {entries.map(({ key, label, value }) => (
+            <div key={key}>
+              <dt className="text-xs uppercase text-gray-500">{label}</dt>
+              <dd className="font-medium">{Array.isArray(value) ? value.join(', ') : String(value)}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </PrintSection>
+  );
+}
+
+export function PrintScholarshipList({ scholarships, emptyText = 'No scholarships shortlisted yet.' }) {
+  return (
+    <PrintSection title="Scholarship Shortlist">
+      {scholarships.length === 0 ? (
+        <p className="text-gray-600">{emptyText}</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-left text-gray-500">
+              <th className="py-1 pr-4">Scholarship</th>
+              <th className="py-1 pr-4">Amount</th>
+              <th className="py-1">Deadline</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scholarships.map((scholarship, index) => (
+              <tr key={scholarship._id || scholarship.id || index} className="print-row border-b last:border-b-0">
+                <td className="py-1 pr-4 font-medium">{scholarship.title || scholarship.name || 'Scholarship'}</td>
+                <td className="py-1 pr-4">{scholarship.amount ? formatCurrency(scholarship.amount) : 'Varies'}</td>
+                <td className="py-1">{scholarship.deadline ? new Date(scholarship.deadline).toLocaleDateString() : 'Rolling'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </PrintSection>
+  );
+}
+
+// Accepts dashboard action items (`{ text|task, dueDate, priority, completed }`) or plain strings
+export function PrintActionPlan({ items }) {
+  return (
+    <PrintSection title="Action Plan">
+      {items.length === 0 ? (
+        <p className="text-gray-600">No action items yet.</p>
+      ) : (
+        <ol className="space-y-2">
+          {items.map((item, index) => {
+            const entry = typeof item === 'string' ? { text: item } : item;
+            return (
+              <li key={index} className="print-row flex gap-3">
+                <span className="inline-block w-4 h-4 mt-1 border-2 border-gray-400 rounded-sm flex-shrink-0">
+                  {entry.completed ? '✓' : ''}
+                </span>
+                <div>
+                  <p className="font-medium">
+                    {entry.text || entry.task || `Action ${index + 1}`}
+                    {entry.priority === 'high' && <span className="ml-2 text-xs font-semibold text-red-600">High priority</span>}
+                  </p>
+                  {entry.dueDate && <p className="text-xs text-gray-500">Due: {entry.dueDate}</p>}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </PrintSection>
+  );
+}
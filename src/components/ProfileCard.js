@@ -1,6 +1,7 @@
 import React from 'react';
 import { User, BookOpen, BarChart2, Target, TrendingUp, Award } from 'lucide-react';
 import { getConfidenceLevel } from '../utils/dashboardHelpers';
+import { readProfileValue } from '../utils/profileFields';
 
 export default function ProfileCard({ profile, stats }) {
   if (!profile || !stats) {
@@ -81,7 +82,7 @@ export default function ProfileCard({ profile, stats }) {
           <div className="flex-grow">
             <p className="font-semibold text-gray-800">Career Goal</p>
             <p className="text-sm text-gray-600">
-              {profile.career_goals || 'Not specified'}
+              {readProfileValue(profile, 'careerGoals') || 'Not specified'}
             </p>
           </div>
         </div>
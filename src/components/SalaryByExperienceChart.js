@@ -0,0 +1,45 @@
+import React from 'react';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Tooltip, Legend } from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { formatMoney } from '../utils/netPrice';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
+
+// Median salary per experience level, with the typical range as a floating bar behind it when the forecast has one
+export default function SalaryByExperienceChart({ salaries }) {
+  const hasRanges = salaries.some(salary => salary.low !== null && salary.high !== null);
+  const datasets = [{
+    label: 'Median',
+    data: salaries.map(salary => salary.median),
+    backgroundColor: '#16a34a',
+    order: 1,
+  }];
+  if (hasRanges) {
+    datasets.push({
+      label: 'Typical Range',
+      data: salaries.map(salary => (salary.low !== null && salary.high !== null ? [salary.low, salary.high] : null)),
+      backgroundColor: '#bbf7d0',
+      grouped: false,
+      order: 2,
+    });
+  }
+
+  return (
+    <Bar
+      data={{ labels: salaries.map(salary => salary.level), datasets }}
+      options={{
+        scales: { y: { beginAtZero: true, ticks: { callback: (value) => `$${Number(value).toLocaleString()}` } } },
+        plugins: {
+          legend: { display: hasRanges, position: 'bottom' },
+          tooltip: {
+            callbacks: {
+              label: (context) => (Array.isArray(context.raw)
+                ? `${context.dataset.label}: ${formatMoney(context.raw[0])}–${formatMoney(context.raw[1])}`
+                : `${context.dataset.label}: ${formatMoney(context.raw)}`),
+            },
+          },
+        },
+      }}
+    />
+  );
+}
@@ -1,8 +1,9 @@
 import React from 'react';
-import { Trophy, Calendar, DollarSign, AlertCircle } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Trophy, Calendar, DollarSign, AlertCircle, Bookmark } from 'lucide-react';
 import { formatCurrency, getDaysUntilDeadline, getDeadlineColor } from '../utils/dashboardHelpers';
 
-export default function ScholarshipsCard({ scholarships, onViewAll }) {
+export default function ScholarshipsCard({ scholarships, savedCount = 0, applicationTotals, onViewAll }) {
   const { totalEligibleAmount = 0, opportunities = [] } = scholarships || {};
 
   return (
@@ -12,6 +13,14 @@ export default function ScholarshipsCard({ scholarships, onViewAll }) {
           <Trophy className="h-6 w-6 text-green-600" />
         </div>
         <h2 className="text-xl font-bold text-gray-800">Scholarships</h2>
+        <Link
+          to="/scholarships/saved"
+          className="ml-auto flex items-center text-sm font-semibold text-blue-600 bg-blue-50 px-2 py-1 rounded-full hover:bg-blue-100"
+          title="Saved scholarships"
+        >
+          <Bookmark className="h-4 w-4 mr-1" />
+          {savedCount} saved
+        </Link>
       </div>
       
       <div className="space-y-4 flex-grow">
@@ -28,12 +37,29 @@ export default function ScholarshipsCard({ scholarships, onViewAll }) {
            )}
          </div>
 
+        {/* Application Tracker Totals */}
+        {applicationTotals && applicationTotals.total > 0 && (
+          <Link to="/applications" className="grid grid-cols-2 gap-2 text-center">
+            <div className="bg-yellow-50 p-2 rounded-lg">
+              <div className="text-lg font-bold text-yellow-600">{formatCurrency(applicationTotals.appliedAmount)}</div>
+              <div className="text-xs text-gray-600">Applied ({applicationTotals.applied})</div>
+            </div>
+            <div className="bg-green-50 p-2 rounded-lg">
+              <div className="text-lg font-bold text-green-600">{formatCurrency(applicationTotals.wonAmount)}</div>
+              <div className="text-xs text-gray-600">Won ({applicationTotals.awarded})</div>
+            </div>
+          </Link>
+        )}
+
         {/* Upcoming Deadlines */}
         {opportunities.length > 0 ? (
           <div className="space-y-3">
             <h4 className="font-semibold text-gray-700 flex items-center">
               <Calendar className="h-4 w-4 mr-2" />
               Next Deadlines
+              <Link to="/calendar" className="ml-auto text-xs font-medium text-blue-600 hover:underline">
+                Calendar
+              </Link>
             </h4>
                          {opportunities.slice(0, 3).map((scholarship, index) => {
                const daysLeft = getDaysUntilDeadline(scholarship.deadline);
@@ -0,0 +1,34 @@
+import React from 'react';
+
+const clampPercent = (value) => Math.min(100, Math.max(0, value));
+
+// 25th–75th percentile band on a 0–`range` scale, with an optional `marker` for the student's own score
+export default function ScoreBar({ min, max, label, range = 1600, marker, markerLabel = 'You' }) {
+  if (typeof min !== 'number' || typeof max !== 'number') return null;
+  const left = (min / range) * 100;
+  const width = ((max - min) / range) * 100;
+  const hasMarker = typeof marker === 'number' && Number.isFinite(marker);
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-500 mb-1">
+        <span>{min}</span>
+        <span>{max}</span>
+      </div>
+      <div className="relative w-full bg-gray-200 rounded-full h-2.5">
+        <div className="bg-blue-500 h-2.5 rounded-full" style={{ marginLeft: `${left}%`, width: `${width}%` }}></div>
+        {hasMarker && (
+          <div
+            className="absolute -top-1 h-4 w-1 bg-orange-500 rounded"
+            style={{ left: `calc(${clampPercent((marker / range) * 100)}% - 2px)` }}
+            title={`${markerLabel}: ${marker}`}
+          ></div>
+        )}
+      </div>
+      <p className="text-sm text-center mt-1 font-medium">{label}</p>
+      {hasMarker && (
+        <p className="text-xs text-center text-orange-600">{markerLabel}: {marker}</p>
+      )}
+    </div>
+  );
+}
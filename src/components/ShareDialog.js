@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Copy, Check, Link2 } from 'lucide-react';
+import { createShareLink } from '../services/api';
+import { SHAREABLE_PROFILE_FIELDS, DEFAULT_SHARE_FIELDS, getShareUrl } from '../utils/shareSnapshot';
+
+/**
+ * Pick which profile fields to include, then create a read-only share link.
+ * `buildSnapshot(fields)` returns the snapshot to store; nothing is sent until the user confirms.
+ */
+export default function ShareDialog({ buildSnapshot, description, onClose }) {
+  const [fields, setFields] = useState(DEFAULT_SHARE_FIELDS);
+  const [creating, setCreating] = useState(false);
+  const [shareUrl, setShareUrl] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggleField = (key) => {
+    setFields(prev => (prev.includes(key) ? prev.filter(field => field !== key) : [...prev, key]));
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError('');
+    try {
+      const { token } = await createShareLink(buildSnapshot(fields));
+      setShareUrl(getShareUrl(token));
+    } catch (err) {
+      console.error('Failed to create share link:', err);
+      setError(err.isOffline ? 'You appear to be offline. Please try again.' : 'Could not create a share link. Please try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Clipboard write failed:', err);
+    }
+  };
+
+  if (shareUrl) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Anyone with this link can view a read-only copy, no account needed. It won't change if you edit your profile later.
+        </p>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            readOnly
+            value={shareUrl}
+            onFocus={(e) => e.target.select()}
+            className="w-full p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm"
+          />
+          <button
+            onClick={handleCopy}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 whitespace-nowrap"
+          >
+            {copied ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+        <div className="flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg border hover:bg-gray-50">Done</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {description && <p className="text-sm text-gray-600">{description}</p>}
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Include from your profile</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {SHAREABLE_PROFILE_FIELDS.map(({ key, label }) => (
+            <label key={key} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input type="checkbox" checked={fields.includes(key)} onChange={() => toggleField(key)} />
+              {label}
+            </label>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">Anything left unchecked is not included in the shared copy.</p>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="px-4 py-2 rounded-lg border hover:bg-gray-50">
+          Cancel
+        </button>
+        <button
+          onClick={handleCreate}
+          disabled={creating}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Link2 className="h-4 w-4" />
+          {creating ? 'Creating...' : 'Create Link'}
+        </button>
+      </div>
+    </div>
+  );
+}
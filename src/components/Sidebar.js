@@ -9,12 +9,17 @@ const Sidebar = () => {
         { name: 'Dashboard', path: '/dashboard', icon: '匠' },
         { name: 'Student Profile', path: '/student-profile', icon: '側' },
         { name: 'Scholarships', path: '/scholarships', icon: '雌' },
+        { name: 'Saved Scholarships', path: '/scholarships/saved', icon: '🔖' },
+        { name: 'Applications', path: '/applications', icon: '📋' },
+        { name: 'Deadlines', path: '/calendar', icon: '📅' },
         { name: 'StudentVue', path: '/studentvue', icon: '迫' },
+        { name: 'College List', path: '/colleges/list', icon: '🎯' },
         { name: 'Compare Colleges', path: '/compare', icon: '投' },
+        { name: 'Aid Offers', path: '/colleges/aid-offers', icon: '💵' },
     ];
 
     return (
-        <div className="w-64 bg-white shadow-md border-r border-gray-200 flex-col hidden lg:flex">
+        <div className="app-chrome w-64 bg-white shadow-md border-r border-gray-200 flex-col hidden lg:flex">
             <div className="p-6">
                 <div className="flex items-center gap-2">
                     <div className="w-10 h-10 bg-blue-600 rounded-lg flex items-center justify-center">
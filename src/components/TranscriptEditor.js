@@ -0,0 +1,165 @@
+import React, { useMemo } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  COURSE_LEVELS,
+  COURSE_YEARS,
+  LETTER_GRADES,
+  WEIGHTED_GPA_SCALE,
+  createCourse,
+  calculateGpa,
+  calculateUcGpa,
+  calculateGpaTrend,
+} from '../utils/transcript';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+const cellClass = 'w-full px-2 py-1 border border-gray-300 rounded text-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+export const formatGpa = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+const GpaCard = ({ label, value, scale, detail, highlight }) => (
+  <div className={`p-3 rounded-lg border text-center ${highlight ? 'bg-blue-50 border-blue-100' : 'bg-gray-50'}`}>
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className={`text-2xl font-bold ${highlight ? 'text-blue-700' : 'text-gray-800'}`}>
+      {formatGpa(value)}
+      {value !== null && <span className="text-sm font-normal text-gray-400"> / {scale.toFixed(1)}</span>}
+    </p>
+    {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+  </div>
+);
+
+/**
+ * Course-by-course transcript with unweighted, weighted and UC GPAs and a term-by-term trend.
+ * `onChange` receives the full course list after every edit; `notes` (course id → message)
+ * highlights imported rows the student should check.
+ */
+export default function TranscriptEditor({ courses, onChange, notes = {} }) {
+  const gpa = useMemo(() => calculateGpa(courses), [courses]);
+  const uc = useMemo(() => calculateUcGpa(courses), [courses]);
+  const trend = useMemo(() => calculateGpaTrend(courses), [courses]);
+
+  const updateCourse = (id, changes) => onChange(courses.map(course => (course.id === id ? { ...course, ...changes } : course)));
+  const removeCourse = (id) => onChange(courses.filter(course => course.id !== id));
+  const addCourse = () => {
+    const last = courses[courses.length - 1];
+    // New rows usually belong to the same term as the one above
+    onChange([...courses, createCourse({ term: last?.term, year: last?.year })]);
+  };
+
+  const trendData = {
+    labels: trend.map(term => term.label),
+    datasets: [
+      { label: 'Unweighted', data: trend.map(term => term.unweighted), borderColor: '#4b5563', backgroundColor: '#4b5563', tension: 0.2 },
+      { label: 'Weighted', data: trend.map(term => term.weighted), borderColor: '#2563eb', backgroundColor: '#2563eb', tension: 0.2 },
+    ],
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <GpaCard label="Unweighted" value={gpa.unweighted} scale={4} detail={gpa.credits ? `${gpa.credits} credits` : null} />
+        <GpaCard label="Weighted" value={gpa.weighted} scale={WEIGHTED_GPA_SCALE} highlight />
+        <GpaCard
+          label="UC Capped"
+          value={uc.gpa}
+          scale={WEIGHTED_GPA_SCALE}
+          detail={uc.gpa !== null ? `${uc.honorsSemesters} honors semesters counted` : 'Needs 10th or 11th grade courses'}
+        />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-left text-gray-600">
+              <th className="py-2 pr-2 font-semibold min-w-[10rem]">Course</th>
+              <th className="py-2 pr-2 font-semibold w-20">Year</th>
+              <th className="py-2 pr-2 font-semibold w-28">Term</th>
+              <th className="py-2 pr-2 font-semibold w-36">Level</th>
+              <th className="py-2 pr-2 font-semibold w-24">Grade</th>
+              <th className="py-2 pr-2 font-semibold w-20">Credits</th>
+              <th className="py-2 w-8" />
+            </tr>
+          </thead>
+          <tbody>
+            {courses.map(course => (
+              <tr key={course.id} className={`border-b last:border-b-0 align-top ${notes[course.id] ? 'bg-yellow-50' : ''}`}>
+                <td className="py-1 pr-2">
+                  <input value={course.name} onChange={(e) => updateCourse(course.id, { name: e.target.value })} placeholder="e.g., AP Biology" className={cellClass} aria-label="Course name" />
+                  {notes[course.id] && <p className="text-xs text-yellow-800 mt-1">{notes[course.id]}</p>}
+                </td>
+                <td className="py-1 pr-2">
+                  <select value={course.year} onChange={(e) => updateCourse(course.id, { year: e.target.value })} className={cellClass} aria-label="School year">
+                    <option value="">—</option>
+                    {COURSE_YEARS.map(year => <option key={year} value={year}>{year}th</option>)}
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <input value={course.term} onChange={(e) => updateCourse(course.id, { term: e.target.value })} placeholder="e.g., Fall" className={cellClass} aria-label="Term" />
+                </td>
+                <td className="py-1 pr-2">
+                  <select value={course.level} onChange={(e) => updateCourse(course.id, { level: e.target.value })} className={cellClass} aria-label="Course level">
+                    {COURSE_LEVELS.map(level => <option key={level.id} value={level.id}>{level.label}</option>)}
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <select value={course.grade || ''} onChange={(e) => updateCourse(course.id, { grade: e.target.value || null })} className={cellClass} aria-label="Letter grade">
+                    <option value="">None</option>
+                    {LETTER_GRADES.map(grade => <option key={grade} value={grade}>{grade}</option>)}
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={course.credits}
+                    onChange={(e) => updateCourse(course.id, { credits: Math.max(0, Number(e.target.value) || 0) })}
+                    className={cellClass}
+                    aria-label="Credits"
+                  />
+                </td>
+                <td className="py-1 text-right">
+                  <button onClick={() => removeCourse(course.id)} className="p-1 text-gray-400 hover:text-red-600" title="Remove course">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <button onClick={addCourse} className="flex items-center gap-1 text-sm font-semibold text-blue-600 hover:text-blue-800">
+          <Plus className="h-4 w-4" /> Add Course
+        </button>
+        <p className="text-xs text-gray-500">
+          Weighted adds 0.5 for honors and 1.0 for AP, IB and dual enrollment. UC counts 10th–11th grade only, with up to 8 honors semesters.
+        </p>
+      </div>
+
+      {trend.length > 1 && (
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-2">GPA by Term</h3>
+          <Line
+            data={trendData}
+            options={{
+              scales: { y: { suggestedMin: 2, suggestedMax: WEIGHTED_GPA_SCALE } },
+              plugins: { legend: { position: 'bottom' } },
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { Upload, FileDown } from 'lucide-react';
+import { TRANSCRIPT_CSV_TEMPLATE, parseTranscriptCsv, parseTranscriptLines } from '../utils/transcriptImport';
+import { extractPdfTextLines } from '../utils/pdfText';
+
+const TEMPLATE_HREF = `data:text/csv;charset=utf-8,${encodeURIComponent(TRANSCRIPT_CSV_TEMPLATE)}`;
+
+const isPdf = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+
+/**
+ * Reads a transcript CSV or text-based PDF and hands the courses to `onImport(courses, notes, mode)`,
+ * where `mode` is 'replace' or 'append'. Nothing is saved here; the student reviews the rows first.
+ */
+export default function TranscriptUpload({ hasCourses, onImport }) {
+  const [reading, setReading] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [pending, setPending] = useState(null);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setReading(true);
+    setErrors([]);
+    setPending(null);
+    try {
+      const result = isPdf(file)
+        ? parseTranscriptLines(await extractPdfTextLines(await file.arrayBuffer()))
+        : parseTranscriptCsv(await file.text());
+      setErrors(result.errors);
+      if (result.courses.length === 0) return;
+      if (hasCourses) setPending(result);
+      else onImport(result.courses, result.notes, 'replace');
+    } catch (err) {
+      console.error('Failed to read transcript:', err);
+      setErrors(['Could not read that file. Upload a CSV or a PDF exported from your school\'s system.']);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const finish = (mode) => {
+    onImport(pending.courses, pending.notes, mode);
+    setPending(null);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className={`flex items-center gap-2 bg-white px-4 py-2 rounded-lg border text-sm ${reading ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50'}`}>
+          <Upload className="h-4 w-4" />
+          {reading ? 'Reading...' : 'Import CSV or PDF'}
+          <input type="file" accept=".csv,text/csv,.pdf,application/pdf" onChange={handleUpload} disabled={reading} className="hidden" />
+        </label>
+        <a href={TEMPLATE_HREF} download="transcript-template.csv" className="flex items-center gap-2 text-sm text-blue-600 hover:underline">
+          <FileDown className="h-4 w-4" />
+          CSV Template
+        </a>
+      </div>
+
+      {pending && (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm flex flex-wrap items-center gap-3">
+          <span className="text-blue-900">Found {pending.courses.length} courses.</span>
+          <button onClick={() => finish('replace')} className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700">
+            Replace My Transcript
+          </button>
+          <button onClick={() => finish('append')} className="bg-white px-3 py-1 rounded-lg border hover:bg-gray-50">
+            Add to My Transcript
+          </button>
+          <button onClick={() => setPending(null)} className="text-gray-500 hover:underline">
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 space-y-1">
+          {errors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
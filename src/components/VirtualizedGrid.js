@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+
+// Window-scrolling grid that only mounts the rows near the viewport.
+// Rows have a fixed height, so items should fill (and clip to) their cell.
+export default function VirtualizedGrid({
+  items,
+  renderItem,
+  getKey = (item) => item._id,
+  rowHeight,
+  minColumnWidth = 300,
+  gap = 24,
+  overscan = 3,
+  onEndReached,
+  endReachedThreshold = 2,
+}) {
+  const containerRef = useRef(null);
+  const [columns, setColumns] = useState(1);
+  const [range, setRange] = useState({ start: 0, end: 0 });
+
+  const rowCount = Math.ceil(items.length / columns);
+  const rowStride = rowHeight + gap;
+
+  // Fit as many columns as the container allows
+  useLayoutEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+    const measure = () => {
+      const width = element.clientWidth;
+      setColumns(Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap))));
+    };
+    measure();
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => window.removeEventListener('resize', measure);
+    }
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [minColumnWidth, gap]);
+
+  // Track which rows intersect the viewport as the window scrolls
+  useLayoutEffect(() => {
+    const update = () => {
+      const element = containerRef.current;
+      if (!element) return;
+      const top = element.getBoundingClientRect().top;
+      const firstVisible = Math.floor(Math.max(0, -top) / rowStride);
+      const lastVisible = Math.ceil(Math.max(0, window.innerHeight - top) / rowStride);
+      const start = Math.max(0, firstVisible - overscan);
+      const end = Math.min(rowCount, lastVisible + overscan);
+      setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+    };
+    update();
+    window.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    return () => {
+      window.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, [rowCount, rowStride, overscan]);
+
+  useEffect(() => {
+    if (onEndReached && rowCount > 0 && range.end >= rowCount - endReachedThreshold) onEndReached();
+  }, [onEndReached, range.end, rowCount, endReachedThreshold]);
+
+  const rows = [];
+  for (let row = range.start; row < range.end; row++) {
+    const rowItems = items.slice(row * columns, (row + 1) * columns);
+    rows.push(
+      <div
+        key={row}
+        style={{
+          position: 'absolute',
+          top: row * rowStride,
+          left: 0,
+          right: 0,
+          height: rowHeight,
+          display: 'grid',
+          gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+          gap,
+        }}
+      >
+        {rowItems.map((item, index) => (
+          <React.Fragment key={getKey(item, row * columns + index)}>
+            {renderItem(item, row * columns + index)}
+          </React.Fragment>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      style={{ position: 'relative', height: rowCount > 0 ? rowCount * rowStride - gap : 0 }}
+    >
+      {rows}
+    </div>
+  );
+}
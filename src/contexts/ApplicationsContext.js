@@ -0,0 +1,116 @@
+// src/contexts/ApplicationsContext.js
+import React, { createContext, useState, useEffect, useContext, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { UserProfileManager } from '../utils/userProfileManager';
+import {
+    createApplication,
+    updateApplication,
+    getApplicationTotals,
+} from '../utils/applicationTracker';
+
+const ApplicationsContext = createContext(null);
+
+export { ApplicationsContext };
+
+const normalizeApplications = (list) => (Array.isArray(list) ? list : [])
+    .filter(application => application && application.scholarshipId);
+
+// Replace one entry in place, append a new one, or remove it when `next` is null
+const withEntry = (list, scholarshipId, next) => {
+    if (!next) return list.filter(application => application.scholarshipId !== scholarshipId);
+    const exists = list.some(application => application.scholarshipId === scholarshipId);
+    return exists
+        ? list.map(application => (application.scholarshipId === scholarshipId ? next : application))
+        : [...list, next];
+};
+
+export const ApplicationsProvider = ({ children }) => {
+    const { user, profile, setProfile } = useAuth();
+    // Tracker entries live on the profile as `applications`; keep a local copy so edits show before the save returns
+    const [applications, setApplications] = useState(() => normalizeApplications(profile?.applications));
+    const [error, setError] = useState(null);
+    const applicationsRef = useRef(applications);
+    applicationsRef.current = applications;
+    // Saves run one at a time so they reach the backend in the order they were made
+    const saveQueueRef = useRef(Promise.resolve());
+    const pendingSavesRef = useRef(0);
+
+    useEffect(() => {
+        // While saves are in flight the local list is newer than the profile; syncing now would undo edits
+        if (pendingSavesRef.current > 0) return;
+        setApplications(normalizeApplications(profile?.applications));
+    }, [profile?.applications]);
+
+    const getApplication = useCallback((scholarshipId) => (
+        applications.find(application => application.scholarshipId === String(scholarshipId)) || null
+    ), [applications]);
+
+    // Optimistically apply `next`, save the list, and restore this entry if the request fails
+    const persist = useCallback(async (scholarshipId, previous, next) => {
+        if (!user?.id) throw new Error('You must be logged in to track applications.');
+        const nextList = withEntry(applicationsRef.current, scholarshipId, next);
+        applicationsRef.current = nextList;
+        setApplications(nextList);
+        pendingSavesRef.current += 1;
+        const save = saveQueueRef.current.then(() => UserProfileManager.updateProfileData(user.id, { applications: nextList }));
+        saveQueueRef.current = save;
+        const saved = await save;
+        pendingSavesRef.current -= 1;
+        if (!saved) {
+            // Only this entry is rolled back, so edits made meanwhile to other entries are kept
+            setApplications(prev => withEntry(prev, scholarshipId, previous));
+            setError('Could not save your application changes. Please try again.');
+            throw new Error('Could not save your application changes.');
+        }
+        setProfile(prev => ({ ...prev, applications: nextList }));
+        setError(null);
+        return next;
+    }, [user?.id, setProfile]);
+
+    /**
+     * Start tracking a scholarship; returns the existing entry if already tracked.
+     */
+    const trackScholarship = useCallback((scholarship, status = 'interested') => {
+        const scholarshipId = String(scholarship._id || scholarship.id);
+        const existing = applicationsRef.current.find(application => application.scholarshipId === scholarshipId);
+        if (existing) return Promise.resolve(existing);
+        return persist(scholarshipId, null, createApplication(scholarship, status));
+    }, [persist]);
+
+    const updateTrackedApplication = useCallback((scholarshipId, changes) => {
+        const previous = applicationsRef.current.find(application => application.scholarshipId === scholarshipId);
+        if (!previous) return Promise.reject(new Error('Application not found'));
+        return persist(scholarshipId, previous, updateApplication(previous, changes));
+    }, [persist]);
+
+    const removeApplication = useCallback((scholarshipId) => {
+        const previous = applicationsRef.current.find(application => application.scholarshipId === scholarshipId);
+        return persist(scholarshipId, previous || null, null);
+    }, [persist]);
+
+    const value = useMemo(() => ({
+        applications,
+        totals: getApplicationTotals(applications),
+        getApplication,
+        trackScholarship,
+        updateApplication: updateTrackedApplication,
+        removeApplication,
+        // Entries come with the profile, so there's nothing separate to load
+        loading: false,
+        error,
+    }), [applications, getApplication, trackScholarship, updateTrackedApplication, removeApplication, error]);
+
+    return (
+        <ApplicationsContext.Provider value={value}>
+            {children}
+        </ApplicationsContext.Provider>
+    );
+};
+
+export const useApplications = () => {
+    const context = useContext(ApplicationsContext);
+    if (!context) {
+        throw new Error('useApplications must be used within an ApplicationsProvider');
+    }
+    return context;
+};
@@ -4,9 +4,33 @@ import { supabase } from '../utils/supabase';
 import { getProfile, createProfile } from '../services/api';
 import { handleSignInWithOAuth, extractGoogleTokens } from '../utils/googleAuth';
 import { userService } from '../services/userService';
+import { clearQueryCache } from '../services/queryCache';
+import { migrateProfile, createEmptyProfile, hasCompletedOnboarding } from '../utils/profileSchema';
+import { UserProfileManager } from '../utils/userProfileManager';
 
 const AuthContext = createContext(null);
 
+// The backend may wrap the profile in `data`; unwrapped the same way as UserProfileManager.getUserProfile
+const readStoredProfile = async (userId) => {
+    const response = await getProfile(userId);
+    return response?.data || response;
+};
+
+// Save an upgraded profile whole, as every profile write does, then read it again to confirm the backend
+// kept it. The migration is lossless (legacy data moves under `legacy`), so a failed write only means
+// migrating again on the next load.
+const saveMigratedProfile = async (userId, migrated) => {
+    try {
+        if (!await UserProfileManager.createOrUpdateProfile(userId, migrated)) return;
+        const stored = await readStoredProfile(userId);
+        if (Number(stored?.schemaVersion) !== migrated.schemaVersion) {
+            console.warn('Migrated profile was not stored; it will be migrated again on the next load.');
+        }
+    } catch (error) {
+        console.error('Failed to confirm migrated profile:', error);
+    }
+};
+
 export { AuthContext };
 
 export const AuthProvider = ({ children }) => {
@@ -34,6 +58,8 @@ export const AuthProvider = ({ children }) => {
             
             // Handle user management with the userService
             await userService.handleAuthChange(event, session);
+            // Cached lookups must not leak between accounts on a shared device
+            if (event === 'SIGNED_OUT') clearQueryCache();
             
             setUser(session && session.user ? session.user : null);
             setLoading(false);
@@ -53,40 +79,38 @@ export const AuthProvider = ({ children }) => {
             if (user) {
                 try {
                     // Get user profile from backend API (CosmosDB)
-                    let userProfile = await getProfile(user.id);
+                    let userProfile = await readStoredProfile(user.id);
                     
                     if (!userProfile) {
                         // Create new user profile in CosmosDB through backend API
-                        const newProfileData = {
-                            email: user.email,
-                            fullName: user.user_metadata && user.user_metadata.full_name,
-                            avatarUrl: user.user_metadata && user.user_metadata.avatar_url,
-                            provider: (user.app_metadata && user.app_metadata.provider) || 'email',
-                            // Add any additional fields needed for your application
-                            gpa: null,
-                            major: null,
-                            graduationYear: null,
-                            // ... other profile fields
-                        };
-                        userProfile = await createProfile(user.id, newProfileData);
+                        userProfile = await createProfile(user.id, createEmptyProfile(user));
+                    } else {
+                        // Upgrade profiles stored in an older shape and write the upgrade back once
+                        const { profile: migrated, changed, warnings } = migrateProfile(userProfile);
+                        warnings.forEach(warning => console.warn(`Profile migration: ${warning}`));
+                        userProfile = migrated;
+                        if (changed) saveMigratedProfile(user.id, migrated);
                     }
                     
                     setProfile(userProfile);
-                    // Check if profile is complete (has required fields like GPA)
-                    setIsProfileComplete(userProfile && userProfile.gpa ? true : false); 
                 } catch (error) {
                     console.error("Error managing user profile:", error);
                     setProfile(null);
-                    setIsProfileComplete(false);
                 }
             } else {
                 setProfile(null);
-                setIsProfileComplete(false);
             }
         };
         manageUserProfile();
     }, [user]);
 
+    // Complete means every required schema field (GPA, graduation year, major) is set, or a GPA for students
+    // who signed up before those were required. Re-checked on every profile change so finishing onboarding
+    // unlocks the app without a reload.
+    useEffect(() => {
+        setIsProfileComplete(hasCompletedOnboarding(profile));
+    }, [profile]);
+
     const value = {
         user,
         profile,
@@ -0,0 +1,141 @@
+// src/contexts/CollegeListContext.js
+import React, { createContext, useState, useEffect, useContext, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { getInstitutionsByIds, isAbortError } from '../services/api';
+import { UserProfileManager } from '../utils/userProfileManager';
+import { calculateProbabilities } from '../utils/dashboardHelpers';
+import {
+    MAX_LIST_SIZE,
+    toListEntry,
+    normalizeCollegeList,
+    bucketCollegeList,
+    getListWarnings,
+} from '../utils/collegeList';
+
+const CollegeListContext = createContext(null);
+
+export { CollegeListContext };
+
+export const CollegeListProvider = ({ children }) => {
+    const { user, profile, setProfile } = useAuth();
+    // The list lives on the profile; keep a local copy so edits show before the save returns
+    const [list, setList] = useState(() => normalizeCollegeList(profile?.collegeList));
+    const [colleges, setColleges] = useState(() => new Map());
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const listRef = useRef(list);
+    listRef.current = list;
+
+    useEffect(() => {
+        setList(normalizeCollegeList(profile?.collegeList));
+    }, [profile?.collegeList]);
+
+    // Load institution records for entries we haven't fetched yet
+    const missingKey = list.filter(entry => !colleges.has(entry.unitid)).map(entry => entry.unitid).join(',');
+
+    useEffect(() => {
+        if (!missingKey) return undefined;
+
+        const controller = new AbortController();
+        const loadColleges = async () => {
+            setLoading(true);
+            try {
+                const institutions = await getInstitutionsByIds(missingKey.split(','), { signal: controller.signal });
+                setColleges(prev => {
+                    const next = new Map(prev);
+                    institutions.forEach(college => next.set(String(college.unitid), college));
+                    // Remember misses too so a college that no longer exists isn't requested on every render
+                    missingKey.split(',').forEach(id => { if (!next.has(id)) next.set(id, null); });
+                    return next;
+                });
+                setLoading(false);
+            } catch (err) {
+                if (isAbortError(err)) return;
+                console.error('Failed to load college list details:', err);
+                setLoading(false);
+            }
+        };
+        loadColleges();
+
+        return () => controller.abort();
+    }, [missingKey]);
+
+    const persist = useCallback(async (nextList, previousList) => {
+        setList(nextList);
+        if (!await UserProfileManager.updateProfileData(user.id, { collegeList: nextList })) {
+            setList(previousList);
+            setError('Could not update your college list. Please try again.');
+            throw new Error('Could not update your college list.');
+        }
+        setProfile(prev => ({ ...prev, collegeList: nextList }));
+        setError(null);
+    }, [user?.id, setProfile]);
+
+    const isInList = useCallback((unitid) => list.some(entry => entry.unitid === String(unitid)), [list]);
+
+    /**
+     * Add an institution record to the list. Updates immediately and rolls back if saving fails.
+     * @param {Object} college - Institution record (needs `unitid`)
+     */
+    const addCollege = useCallback(async (college) => {
+        if (!user?.id) throw new Error('You must be logged in to build a college list.');
+        const previous = listRef.current;
+        if (previous.some(entry => entry.unitid === String(college.unitid))) return;
+        if (previous.length >= MAX_LIST_SIZE) throw new Error(`Your list can hold up to ${MAX_LIST_SIZE} colleges.`);
+
+        setColleges(prev => new Map(prev).set(String(college.unitid), college));
+        await persist([...previous, toListEntry(college)], previous);
+    }, [user?.id, persist]);
+
+    const removeCollege = useCallback(async (unitid) => {
+        if (!user?.id) throw new Error('You must be logged in to build a college list.');
+        const previous = listRef.current;
+        await persist(previous.filter(entry => entry.unitid !== String(unitid)), previous);
+    }, [user?.id, persist]);
+
+    // Entries joined with their institution record and admission probability
+    const entries = useMemo(() => {
+        const loaded = list.map(entry => colleges.get(entry.unitid)).filter(Boolean);
+        const probabilities = calculateProbabilities(profile, loaded);
+        return list.map(entry => {
+            const college = colleges.get(entry.unitid) || null;
+            const estimate = college ? probabilities[college.unitid] || null : null;
+            return {
+                ...entry,
+                college,
+                estimate,
+                probability: estimate ? estimate.probability : null,
+                likelihood: estimate ? estimate.likelihood : null,
+            };
+        });
+    }, [list, colleges, profile]);
+
+    const buckets = useMemo(() => bucketCollegeList(entries), [entries]);
+    const warnings = useMemo(() => getListWarnings(buckets), [buckets]);
+
+    const value = useMemo(() => ({
+        entries,
+        buckets,
+        warnings,
+        count: list.length,
+        isInList,
+        addCollege,
+        removeCollege,
+        loading,
+        error,
+    }), [entries, buckets, warnings, list.length, isInList, addCollege, removeCollege, loading, error]);
+
+    return (
+        <CollegeListContext.Provider value={value}>
+            {children}
+        </CollegeListContext.Provider>
+    );
+};
+
+export const useCollegeList = () => {
+    const context = useContext(CollegeListContext);
+    if (!context) {
+        throw new Error('useCollegeList must be used within a CollegeListProvider');
+    }
+    return context;
+};
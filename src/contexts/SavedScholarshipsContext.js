@@ -0,0 +1,143 @@
+// src/contexts/SavedScholarshipsContext.js
+import React, { createContext, useState, useEffect, useContext, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import {
+    getUserSavedScholarships,
+    saveScholarship,
+    removeSavedScholarship,
+    isAbortError
+} from '../services/api';
+
+const SavedScholarshipsContext = createContext(null);
+
+export { SavedScholarshipsContext };
+
+export const getScholarshipId = (scholarship) => scholarship?._id || scholarship?.id || null;
+
+// The saved list may come back as scholarship documents, `{ scholarship }` wrappers,
+// `{ scholarshipId }` records or bare IDs. Normalize to [id, scholarship|null] pairs.
+const normalizeSavedList = (response) => {
+    const list = Array.isArray(response)
+        ? response
+        : response?.savedScholarships || response?.scholarships || response?.data || [];
+
+    const entries = [];
+    // IDs are checked before they're stringified so a missing one never becomes "null"
+    const addEntry = (id, scholarship) => {
+        if (id !== null && id !== undefined && id !== '') entries.push([String(id), scholarship]);
+    };
+    list.forEach(item => {
+        if (typeof item === 'string' || typeof item === 'number') {
+            addEntry(item, null);
+        } else if (item?.scholarship) {
+            addEntry(getScholarshipId(item.scholarship) || item.scholarshipId, item.scholarship);
+        } else if (item?.scholarshipId && !item.title) {
+            addEntry(item.scholarshipId, null);
+        } else {
+            addEntry(getScholarshipId(item), item);
+        }
+    });
+    return entries;
+};
+
+export const SavedScholarshipsProvider = ({ children }) => {
+    const { user } = useAuth();
+    // id -> scholarship document (null until details are known); insertion order = save order
+    const [saved, setSaved] = useState(() => new Map());
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const savedRef = useRef(saved);
+    savedRef.current = saved;
+
+    useEffect(() => {
+        if (!user?.id) {
+            setSaved(new Map());
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        const loadSaved = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const response = await getUserSavedScholarships(user.id, { signal: controller.signal });
+                setSaved(new Map(normalizeSavedList(response)));
+                setLoading(false);
+            } catch (err) {
+                if (isAbortError(err)) return;
+                console.error('Failed to load saved scholarships:', err);
+                setError('Could not load your saved scholarships.');
+                setLoading(false);
+            }
+        };
+        loadSaved();
+
+        return () => controller.abort();
+    }, [user?.id]);
+
+    const isSaved = useCallback((scholarshipId) => saved.has(String(scholarshipId)), [saved]);
+
+    /**
+     * Save or unsave a scholarship. The UI updates immediately and rolls back
+     * if the request fails; the returned promise rejects in that case.
+     * @param {Object} scholarship - Scholarship document (needs `_id`)
+     * @returns {Promise<boolean>} Whether the scholarship is now saved
+     */
+    const toggleSaved = useCallback(async (scholarship) => {
+        const rawId = getScholarshipId(scholarship);
+        if (!user?.id) throw new Error('You must be logged in to save scholarships.');
+        if (!rawId) throw new Error('This scholarship cannot be saved because it has no ID.');
+        const id = String(rawId);
+
+        const wasSaved = savedRef.current.has(id);
+        const previous = savedRef.current.get(id) || null;
+
+        // Only this entry is rolled back, so concurrent toggles on other cards are preserved
+        const applySaved = (shouldSave, document) => setSaved(prev => {
+            const next = new Map(prev);
+            if (shouldSave) next.set(id, document);
+            else next.delete(id);
+            return next;
+        });
+
+        applySaved(!wasSaved, scholarship);
+        try {
+            if (wasSaved) {
+                await removeSavedScholarship(user.id, id);
+            } else {
+                await saveScholarship(user.id, id);
+            }
+            setError(null);
+            return !wasSaved;
+        } catch (err) {
+            console.error('Failed to update saved scholarships:', err);
+            applySaved(wasSaved, previous || scholarship);
+            setError('Could not update your saved scholarships. Please try again.');
+            throw err;
+        }
+    }, [user?.id]);
+
+    const value = useMemo(() => ({
+        savedIds: Array.from(saved.keys()),
+        savedScholarships: Array.from(saved, ([id, scholarship]) => ({ id, scholarship })),
+        savedCount: saved.size,
+        isSaved,
+        toggleSaved,
+        loading,
+        error,
+    }), [saved, isSaved, toggleSaved, loading, error]);
+
+    return (
+        <SavedScholarshipsContext.Provider value={value}>
+            {children}
+        </SavedScholarshipsContext.Provider>
+    );
+};
+
+export const useSavedScholarships = () => {
+    const context = useContext(SavedScholarshipsContext);
+    if (!context) {
+        throw new Error('useSavedScholarships must be used within a SavedScholarshipsProvider');
+    }
+    return context;
+};
@@ -0,0 +1,245 @@
+// src/contexts/SavedSearchesContext.js
+import React, { createContext, useState, useEffect, useContext, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { searchScholarships, isAbortError } from '../services/api';
+import { savedSearchService } from '../services/savedSearchService';
+import { userService } from '../services/userService';
+import { getScholarshipId } from './SavedScholarshipsContext';
+import { buildSearchRequest, normalizeFilters, getSearchSignature } from '../utils/scholarshipFilters';
+
+const SavedSearchesContext = createContext(null);
+
+export { SavedSearchesContext };
+
+// How often saved searches are re-run while the app is open
+const CHECK_INTERVAL_MS = 30 * 60 * 1000;
+
+// Each saved search remembers the IDs of the results it has shown (`seen_scholarship_ids`) and
+// counts anything else as new. Comparing IDs rather than totals means scholarships that expire or
+// are removed can't hide ones that were added. Only the first MAX_TRACKED_MATCHES results, in the
+// search's own sort order, are compared.
+const MAX_TRACKED_MATCHES = 100;
+
+const fetchMatchIds = async (filters, signal) => {
+    const result = await searchScholarships(
+        { ...buildSearchRequest(filters), includeFacets: false, page: 1, pageSize: MAX_TRACKED_MATCHES },
+        { signal }
+    );
+    return (result?.scholarships || []).map(getScholarshipId).filter(Boolean).map(String);
+};
+
+const countUnseen = (ids, seenIds) => {
+    const seen = new Set(seenIds);
+    return ids.filter(id => !seen.has(id)).length;
+};
+
+const toSavedSearch = (row) => {
+    const filters = normalizeFilters(row.filters);
+    return { ...row, filters, signature: getSearchSignature(filters) };
+};
+
+export const SavedSearchesProvider = ({ children }) => {
+    const { user } = useAuth();
+    const [searches, setSearches] = useState([]);
+    // id -> matches the user hasn't seen yet
+    const [newCounts, setNewCounts] = useState({});
+    // The account-wide `users.email_notifications` opt-in; a search's own `notify_email` only counts
+    // while this is on. Null until loaded or when it can't be read.
+    const [emailNotifications, setEmailNotificationsState] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const searchesRef = useRef(searches);
+    searchesRef.current = searches;
+    const newCountsRef = useRef(newCounts);
+    newCountsRef.current = newCounts;
+
+    useEffect(() => {
+        if (!user?.id) {
+            setSearches([]);
+            setNewCounts({});
+            setEmailNotificationsState(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const controller = new AbortController();
+
+        const checkForNewMatches = async () => {
+            const counts = await Promise.all(searchesRef.current.map(async (search) => {
+                try {
+                    const ids = await fetchMatchIds(search.filters, controller.signal);
+                    if (!search.seen_scholarship_ids?.length) {
+                        // Searches saved before IDs were tracked start from what matches now
+                        savedSearchService.updateSavedSearch(search.id, { seen_scholarship_ids: ids })
+                            .catch(err => console.error(`Failed to record matches for "${search.name}":`, err));
+                        return [search.id, 0];
+                    }
+                    return [search.id, countUnseen(ids, search.seen_scholarship_ids)];
+                } catch (err) {
+                    if (!isAbortError(err)) console.error(`Failed to check saved search "${search.name}":`, err);
+                    return null;
+                }
+            }));
+            if (cancelled) return;
+            setNewCounts(prev => ({ ...prev, ...Object.fromEntries(counts.filter(Boolean)) }));
+        };
+
+        const loadSearches = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const rows = await savedSearchService.listSavedSearches(user.id);
+                if (cancelled) return;
+                const loaded = rows.map(toSavedSearch);
+                searchesRef.current = loaded;
+                setSearches(loaded);
+                setLoading(false);
+                checkForNewMatches();
+            } catch (err) {
+                if (cancelled) return;
+                console.error('Failed to load saved searches:', err);
+                setError('Could not load your saved searches.');
+                setLoading(false);
+            }
+        };
+        loadSearches();
+        userService.getEmailNotifications(user.id).then(enabled => {
+            if (!cancelled) setEmailNotificationsState(enabled);
+        });
+
+        const intervalId = setInterval(checkForNewMatches, CHECK_INTERVAL_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(intervalId);
+            controller.abort();
+        };
+    }, [user?.id]);
+
+    /**
+     * Save the current filter set under a name
+     * @param {string} name - Display name, e.g. "Nursing in Texas"
+     * @param {Object} filters - ScholarshipPage filter state
+     * @param {Object} options - `notifyEmail`, `resultCount` (matches right now)
+     */
+    const createSavedSearch = useCallback(async (name, filters, { notifyEmail = false, resultCount = 0 } = {}) => {
+        try {
+            const normalized = normalizeFilters(filters);
+            // Without the current matches every result would count as new; the first check records them instead
+            const seenIds = await fetchMatchIds(normalized).catch(() => []);
+            const row = await savedSearchService.createSavedSearch(user.id, {
+                name,
+                filters: normalized,
+                notifyEmail,
+                resultCount,
+                seenIds
+            });
+            const search = toSavedSearch(row);
+            setSearches(prev => [...prev, search]);
+            setNewCounts(prev => ({ ...prev, [search.id]: 0 }));
+            setError(null);
+            return search;
+        } catch (err) {
+            console.error('Failed to save search:', err);
+            setError('Could not save this search. Please try again.');
+            throw err;
+        }
+    }, [user?.id]);
+
+    // Optimistically apply `updates` to one saved search and roll back if the request fails
+    const updateSavedSearch = useCallback(async (id, updates) => {
+        const previous = searchesRef.current.find(search => search.id === id);
+        if (!previous) throw new Error('Saved search not found');
+        setSearches(prev => prev.map(search => (search.id === id ? { ...search, ...updates } : search)));
+        try {
+            const row = await savedSearchService.updateSavedSearch(id, updates);
+            setSearches(prev => prev.map(search => (search.id === id ? toSavedSearch(row) : search)));
+            setError(null);
+        } catch (err) {
+            console.error('Failed to update saved search:', err);
+            setSearches(prev => prev.map(search => (search.id === id ? previous : search)));
+            setError('Could not update this saved search. Please try again.');
+            throw err;
+        }
+    }, []);
+
+    const deleteSavedSearch = useCallback(async (id) => {
+        const previous = searchesRef.current;
+        setSearches(prev => prev.filter(search => search.id !== id));
+        try {
+            await savedSearchService.deleteSavedSearch(id);
+            setError(null);
+        } catch (err) {
+            console.error('Failed to delete saved search:', err);
+            setSearches(previous);
+            setError('Could not delete this saved search. Please try again.');
+            throw err;
+        }
+    }, []);
+
+    // Turn e-mail from the app on or off for the whole account, rolling back if the update fails
+    const setEmailNotifications = useCallback(async (enabled) => {
+        const previous = emailNotifications;
+        setEmailNotificationsState(enabled);
+        const { success, error: updateError } = await userService.updateUserProfile(user.id, { email_notifications: enabled });
+        if (!success) {
+            setEmailNotificationsState(previous);
+            setError('Could not update your email settings. Please try again.');
+            throw updateError;
+        }
+        setError(null);
+    }, [user?.id, emailNotifications]);
+
+    const findSavedSearch = useCallback((filters) => {
+        const signature = getSearchSignature(filters);
+        return searches.find(search => search.signature === signature) || null;
+    }, [searches]);
+
+    /**
+     * Record that the user has seen a saved search's current results, clearing its badge
+     */
+    const markViewed = useCallback(async (id, resultCount) => {
+        const search = searchesRef.current.find(s => s.id === id);
+        if (!search) return;
+        const hadNew = !!newCountsRef.current[id];
+        setNewCounts(prev => (prev[id] ? { ...prev, [id]: 0 } : prev));
+        if (!hadNew && search.last_result_count === resultCount) return;
+        try {
+            const seenIds = await fetchMatchIds(search.filters);
+            await updateSavedSearch(id, {
+                last_result_count: resultCount,
+                seen_scholarship_ids: seenIds,
+                last_viewed_at: new Date().toISOString()
+            });
+        } catch (err) {
+            if (!isAbortError(err)) console.error(`Failed to mark saved search "${search.name}" as viewed:`, err);
+        }
+    }, [updateSavedSearch]);
+
+    const value = useMemo(() => ({
+        savedSearches: searches.map(search => ({ ...search, newCount: newCounts[search.id] || 0 })),
+        totalNewMatches: searches.reduce((sum, search) => sum + (newCounts[search.id] || 0), 0),
+        createSavedSearch,
+        updateSavedSearch,
+        deleteSavedSearch,
+        findSavedSearch,
+        markViewed,
+        emailNotifications,
+        setEmailNotifications,
+        loading,
+        error,
+    }), [searches, newCounts, createSavedSearch, updateSavedSearch, deleteSavedSearch, findSavedSearch, markViewed, emailNotifications, setEmailNotifications, loading, error]);
+
+    return (
+        <SavedSearchesContext.Provider value={value}>
+            {children}
+        </SavedSearchesContext.Provider>
+    );
+};
+
+export const useSavedSearches = () => {
+    const context = useContext(SavedSearchesContext);
+    if (!context) {
+        throw new Error('useSavedSearches must be used within a SavedSearchesProvider');
+    }
+    return context;
+};
@@ -0,0 +1,87 @@
+// src/hooks/useCachedQuery.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getQueryData, subscribeQuery, invalidateQueries } from '../services/queryCache';
+import { isAbortError } from '../services/api';
+
+/**
+ * Read a cached API lookup and keep it in sync with the shared query cache.
+ * Cached data renders immediately; background refreshes and invalidations
+ * made anywhere in the app are picked up through the cache subscription.
+ * @param {string|null} key - Cache key from `queryKeys` (null disables the query)
+ * @param {Function} fetcher - `(signal) => Promise`, normally an api.js function. It must resolve to the
+ *   same shape the cache holds for `key`.
+ * @param {Object} options - `select` maps the cached or fetched response to the value returned
+ * @returns {{ data: any, loading: boolean, error: Error|null, isStale: boolean, refetch: Function }}
+ */
+export default function useCachedQuery(key, fetcher, { select } = {}) {
+    const fetcherRef = useRef(fetcher);
+    const selectRef = useRef(select);
+    fetcherRef.current = fetcher;
+    selectRef.current = select;
+
+    const applySelect = useCallback((data) => (selectRef.current ? selectRef.current(data) : data), []);
+
+    const readCache = useCallback(() => {
+        const cached = key ? getQueryData(key) : null;
+        if (!cached) return null;
+        return { ...cached, data: applySelect(cached.data) };
+    }, [key, applySelect]);
+
+    const [state, setState] = useState(() => {
+        const cached = readCache();
+        return { data: cached ? cached.data : null, loading: !!key && !cached, error: null, isStale: !!cached?.isStale };
+    });
+    const [reloadToken, setReloadToken] = useState(0);
+    const lastKeyRef = useRef(key);
+
+    useEffect(() => {
+        if (!key) {
+            setState({ data: null, loading: false, error: null, isStale: false });
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        const cached = readCache();
+        // Keep showing the previous value while the same key reloads
+        const sameKey = lastKeyRef.current === key;
+        lastKeyRef.current = key;
+        setState(prev => ({
+            data: cached ? cached.data : (sameKey ? prev.data : null),
+            loading: !cached,
+            error: null,
+            isStale: !!cached?.isStale
+        }));
+
+        const unsubscribe = subscribeQuery(key, (entry) => {
+            if (!entry) {
+                // Invalidated elsewhere (e.g. after a mutation) - fetch again
+                setReloadToken(token => token + 1);
+                return;
+            }
+            setState({ data: applySelect(entry.data), loading: false, error: null, isStale: false });
+        });
+
+        fetcherRef.current(controller.signal)
+            .then((data) => {
+                if (controller.signal.aborted) return;
+                setState(prev => ({ ...prev, data: applySelect(data), loading: false, error: null }));
+            })
+            .catch((error) => {
+                if (isAbortError(error) || controller.signal.aborted) return;
+                setState(prev => ({ ...prev, loading: false, error }));
+            });
+
+        return () => {
+            controller.abort();
+            unsubscribe();
+        };
+    }, [key, reloadToken, readCache, applySelect]);
+
+    // Drop the cached entry so the reload goes to the network
+    const refetch = useCallback(() => {
+        if (key) invalidateQueries(cachedKey => cachedKey === key);
+        setReloadToken(token => token + 1);
+    }, [key]);
+
+    return { ...state, refetch };
+}
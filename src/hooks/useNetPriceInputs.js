@@ -0,0 +1,42 @@
+// src/hooks/useNetPriceInputs.js
+import { useState, useCallback, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { UserProfileManager } from '../utils/userProfileManager';
+import { readNetPriceInputs } from '../utils/netPrice';
+
+/**
+ * Net price calculator inputs. Edits apply immediately so estimates update as the student types;
+ * `saveInputs` stores them on the profile as `netPriceInputs` so every page uses the same figures.
+ * @returns {{ inputs: Object, updateInputs: Function, saveInputs: Function, isDirty: boolean, saving: boolean, error: string }}
+ */
+export default function useNetPriceInputs() {
+    const { user, profile, setProfile } = useAuth();
+    const savedInputs = useMemo(() => readNetPriceInputs(profile), [profile]);
+    const [draft, setDraft] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Unsaved edits win over the profile until they're saved
+    const inputs = draft || savedInputs;
+
+    const updateInputs = useCallback((changes) => {
+        setDraft(prev => ({ ...(prev || savedInputs), ...changes }));
+    }, [savedInputs]);
+
+    const saveInputs = useCallback(async () => {
+        if (!user?.id || !draft) return;
+        const { familyIncome, ...netPriceInputs } = draft;
+        setSaving(true);
+        setError('');
+        const saved = await UserProfileManager.updateProfileData(user.id, { netPriceInputs });
+        setSaving(false);
+        if (!saved) {
+            setError('Could not save your cost details. Please try again.');
+            return;
+        }
+        setProfile(prev => ({ ...prev, netPriceInputs }));
+        setDraft(null);
+    }, [user?.id, draft, setProfile]);
+
+    return { inputs, updateInputs, saveInputs, isDirty: !!draft, saving, error };
+}
@@ -0,0 +1,43 @@
+// src/hooks/usePrintDocument.js
+import { useState, useEffect, useCallback } from 'react';
+
+const PRINTING_CLASS = 'printing-document';
+
+/**
+ * Print a <PrintDocument> to PDF from the browser's print dialog.
+ * Render the document only while `isPrinting` is true; `startPrint` mounts it, waits a frame
+ * for layout, then opens the dialog. `fileName` becomes the document title, which browsers
+ * use as the suggested PDF file name.
+ * @param {string} fileName - Suggested file name, without extension
+ * @returns {{ isPrinting: boolean, startPrint: Function }}
+ */
+export default function usePrintDocument(fileName) {
+    const [isPrinting, setIsPrinting] = useState(false);
+
+    useEffect(() => {
+        if (!isPrinting) return undefined;
+
+        const previousTitle = document.title;
+        const finish = () => {
+            document.title = previousTitle;
+            document.body.classList.remove(PRINTING_CLASS);
+            setIsPrinting(false);
+        };
+
+        document.title = fileName;
+        document.body.classList.add(PRINTING_CLASS);
+        window.addEventListener('afterprint', finish);
+        const frame = window.requestAnimationFrame(() => window.print());
+
+        return () => {
+            window.cancelAnimationFrame(frame);
+            window.removeEventListener('afterprint', finish);
+            document.title = previousTitle;
+            document.body.classList.remove(PRINTING_CLASS);
+        };
+    }, [isPrinting, fileName]);
+
+    const startPrint = useCallback(() => setIsPrinting(true), []);
+
+    return { isPrinting, startPrint };
+}
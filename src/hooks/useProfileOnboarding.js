@@ -0,0 +1,152 @@
+// src/hooks/useProfileOnboarding.js
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { UserProfileManager } from '../utils/userProfileManager';
+import {
+    PROFILE_FIELDS,
+    PROFILE_SECTIONS,
+    isBlankValue,
+    coerceField,
+    validateField,
+    getSectionCompletion,
+    getIncompleteSections,
+    getProfileCompletionPercentage,
+} from '../utils/profileSchema';
+
+export const AUTOSAVE_DELAY = 1000;
+
+const stepStorageKey = (userId) => `profileOnboardingStep:${userId}`;
+const isStep = (id) => PROFILE_SECTIONS.some(section => section.id === id);
+
+// Form inputs hold strings (lists comma-separated); checkboxes hold booleans
+const toFormValue = (key, value) => {
+    if (isBlankValue(value)) return PROFILE_FIELDS[key].type === 'boolean' ? false : '';
+    if (Array.isArray(value)) return value.join(', ');
+    return typeof value === 'boolean' ? value : String(value);
+};
+
+// Problem with a typed-in value, or null when it can be saved
+const inputError = (key, raw) => {
+    const value = coerceField(key, raw);
+    if (value === null && !isBlankValue(typeof raw === 'string' ? raw.trim() : raw)) {
+        return `${PROFILE_FIELDS[key].label} isn't a valid value.`;
+    }
+    return validateField(key, value);
+};
+
+/**
+ * Step-by-step profile onboarding, one step per PROFILE_SECTIONS entry. Edits are autosaved
+ * AUTOSAVE_DELAY ms after the student stops typing (and right away when they change steps) through
+ * UserProfileManager.updateProfileSection. The current step is remembered on this device so the
+ * student resumes where they left off; a first visit starts at the first incomplete section.
+ * @returns {{ step: string, goToStep: Function, values: Object, setValue: Function, errors: Object,
+ *   preview: Object, sections: Array, completion: number, saving: boolean, savedAt: Date|null,
+ *   error: string, saveNow: Function }}
+ */
+export default function useProfileOnboarding() {
+    const { user, profile, setProfile } = useAuth();
+    const [step, setStep] = useState(null);
+    const [draft, setDraft] = useState({});
+    const [saving, setSaving] = useState(false);
+    const [savedAt, setSavedAt] = useState(null);
+    const [error, setError] = useState('');
+    const savingRef = useRef(false);
+
+    // Resume once the profile has loaded, unless the student has already picked a step
+    useEffect(() => {
+        if (step || !user?.id || !profile) return;
+        const stored = localStorage.getItem(stepStorageKey(user.id));
+        setStep(isStep(stored) ? stored : getIncompleteSections(profile)[0] || PROFILE_SECTIONS[0].id);
+    }, [step, user?.id, profile]);
+
+    useEffect(() => {
+        if (step && user?.id) localStorage.setItem(stepStorageKey(user.id), step);
+    }, [step, user?.id]);
+
+    const errors = useMemo(() => Object.fromEntries(Object.entries(draft)
+        .map(([key, raw]) => [key, inputError(key, raw)])
+        .filter(([, message]) => message)), [draft]);
+
+    const values = useMemo(() => Object.fromEntries(Object.keys(PROFILE_FIELDS)
+        .map(key => [key, key in draft ? draft[key] : toFormValue(key, profile?.[key])])), [draft, profile]);
+
+    // The saved profile plus every valid unsaved edit, so progress moves as the student types
+    const preview = useMemo(() => ({
+        ...profile,
+        ...Object.fromEntries(Object.entries(draft)
+            .filter(([key]) => !errors[key])
+            .map(([key, raw]) => [key, coerceField(key, raw)])),
+    }), [profile, draft, errors]);
+
+    const setValue = useCallback((key, value) => {
+        setDraft(prev => ({ ...prev, [key]: value }));
+    }, []);
+
+    const saveNow = useCallback(async () => {
+        const pending = Object.keys(draft).filter(key => !errors[key]);
+        if (!user?.id || savingRef.current || pending.length === 0) return;
+        savingRef.current = true;
+        setSaving(true);
+        setError('');
+
+        const saved = {};
+        let failed = false;
+        for (const section of PROFILE_SECTIONS) {
+            const keys = pending.filter(key => PROFILE_FIELDS[key].section === section.id);
+            if (keys.length === 0) continue;
+            const changes = Object.fromEntries(keys.map(key => [key, coerceField(key, draft[key])]));
+            if (await UserProfileManager.updateProfileSection(user.id, section.id, changes)) {
+                keys.forEach(key => { saved[key] = draft[key]; });
+                setProfile(prev => ({ ...prev, ...changes }));
+            } else {
+                failed = true;
+            }
+        }
+
+        // Keep anything edited again while the save was in flight. The draft only changes when something
+        // was saved, so a failing backend isn't retried until the student edits again.
+        if (Object.keys(saved).length > 0) {
+            setDraft(prev => Object.fromEntries(Object.entries(prev).filter(([key, raw]) => !(key in saved) || saved[key] !== raw)));
+        }
+        if (failed) setError('Some changes could not be saved. We\'ll try again when you edit.');
+        else setSavedAt(new Date());
+        savingRef.current = false;
+        setSaving(false);
+    }, [user?.id, draft, errors, setProfile]);
+
+    // Debounced autosave
+    useEffect(() => {
+        if (Object.keys(draft).every(key => errors[key])) return;
+        const timerId = setTimeout(saveNow, AUTOSAVE_DELAY);
+        return () => clearTimeout(timerId);
+    }, [draft, errors, saveNow]);
+
+    // Don't drop edits made in the last second before leaving the page
+    const saveNowRef = useRef(saveNow);
+    saveNowRef.current = saveNow;
+    useEffect(() => () => saveNowRef.current(), []);
+
+    const goToStep = useCallback((id) => {
+        if (!isStep(id)) return;
+        saveNowRef.current();
+        setStep(id);
+    }, []);
+
+    const sections = useMemo(() => getSectionCompletion(preview), [preview]);
+    const completion = useMemo(() => getProfileCompletionPercentage(preview), [preview]);
+
+    return {
+        step: step || PROFILE_SECTIONS[0].id,
+        goToStep,
+        values,
+        setValue,
+        errors,
+        preview,
+        sections,
+        completion,
+        saving,
+        savedAt,
+        error,
+        saveNow,
+    };
+}
@@ -0,0 +1,164 @@
+// src/hooks/useScholarshipSearch.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { searchScholarships, isAbortError } from '../services/api';
+
+export const SEARCH_PAGE_SIZE = 24;
+
+const INITIAL_STATE = {
+    items: [],
+    total: null,
+    totalAmount: null,
+    facets: null,
+    hasMore: false,
+    loadedPage: 0,
+    loading: true,
+    loadingMore: false,
+    error: null,
+};
+
+// Older backends return every match in one array without paging metadata
+const normalizePage = (result, page, pageSize) => {
+    const scholarships = result?.scholarships || [];
+    const total = typeof result?.total === 'number' ? result.total
+        : typeof result?.totalCount === 'number' ? result.totalCount
+        : null;
+    let hasMore;
+    if (typeof result?.hasMore === 'boolean') hasMore = result.hasMore;
+    else if (result?.nextCursor) hasMore = true;
+    else if (total !== null) hasMore = page * pageSize < total;
+    else hasMore = scholarships.length === pageSize;
+
+    return {
+        scholarships,
+        total,
+        totalAmount: typeof result?.totalAmount === 'number' ? result.totalAmount : null,
+        facets: result?.facets || null,
+        hasMore,
+        nextCursor: result?.nextCursor || null,
+    };
+};
+
+// Drop results already shown; the server order can shift between page requests
+const appendUnique = (items, next) => {
+    const seen = new Set(items.map(item => item._id));
+    return items.concat(next.filter(item => !seen.has(item._id)));
+};
+
+/**
+ * Paged scholarship search. In `append` mode (infinite scroll) pages accumulate through
+ * `loadMore`; otherwise only `page` is loaded. Any change to `request` starts over.
+ * @param {Object} request - Search body from buildSearchRequest
+ * @param {Object} options - `page`, `pageSize`, `append`, `delay` (debounce in ms) and
+ *   `initialPages` (pages to load up front in append mode, used to restore a previous position)
+ * @returns {{ items, total, totalAmount, facets, hasMore, loadedPage, loading, loadingMore, error, loadMore, retry }}
+ */
+export default function useScholarshipSearch(request, {
+    page = 1,
+    pageSize = SEARCH_PAGE_SIZE,
+    append = false,
+    delay = 500,
+    initialPages = 1,
+} = {}) {
+    const [state, setState] = useState(INITIAL_STATE);
+    const [reloadToken, setReloadToken] = useState(0);
+    const requestKey = JSON.stringify(request);
+    const stateRef = useRef(state);
+    const cursorRef = useRef(null);
+    const controllerRef = useRef(null);
+    const loadingMoreRef = useRef(false);
+    const initialPagesRef = useRef(initialPages);
+    stateRef.current = state;
+
+    const fetchPage = useCallback(async (pageNumber, cursor, signal) => {
+        const params = { ...JSON.parse(requestKey), pageSize, ...(cursor ? { cursor } : { page: pageNumber }) };
+        const result = await searchScholarships(params, { signal });
+        return normalizePage(result, pageNumber, pageSize);
+    }, [requestKey, pageSize]);
+
+    // Start over whenever the request, page or mode changes
+    useEffect(() => {
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        loadingMoreRef.current = false;
+        const firstPage = append ? 1 : page;
+        // Restoring a previous position only applies to the first load
+        const pageCount = append ? Math.max(1, initialPagesRef.current) : 1;
+        initialPagesRef.current = 1;
+
+        const load = async () => {
+            setState(prev => ({ ...prev, loading: true, loadingMore: false, error: null }));
+            try {
+                let items = [];
+                let cursor = null;
+                let first = null;
+                let last = null;
+                let loadedPage = firstPage - 1;
+                for (let i = 0; i < pageCount; i++) {
+                    last = await fetchPage(firstPage + i, cursor, controller.signal);
+                    first = first || last;
+                    items = appendUnique(items, last.scholarships);
+                    cursor = last.nextCursor;
+                    loadedPage = firstPage + i;
+                    if (!last.hasMore) break;
+                }
+                cursorRef.current = cursor;
+                setState({
+                    items,
+                    total: last.total,
+                    totalAmount: first.totalAmount,
+                    facets: first.facets,
+                    hasMore: last.hasMore,
+                    loadedPage,
+                    loading: false,
+                    loadingMore: false,
+                    error: null,
+                });
+            } catch (err) {
+                if (isAbortError(err)) return;
+                console.error("Failed to load scholarships:", err);
+                setState(prev => ({ ...prev, items: [], hasMore: false, loading: false, error: err }));
+            }
+        };
+
+        const timerId = setTimeout(load, delay);
+        return () => {
+            clearTimeout(timerId);
+            controller.abort();
+        };
+    }, [fetchPage, append, page, delay, reloadToken]);
+
+    const loadMore = useCallback(async () => {
+        const current = stateRef.current;
+        if (!append || !current.hasMore || current.loading || loadingMoreRef.current) return;
+        loadingMoreRef.current = true;
+        const controller = controllerRef.current;
+        setState(prev => ({ ...prev, loadingMore: true, error: null }));
+        try {
+            const next = await fetchPage(current.loadedPage + 1, cursorRef.current, controller.signal);
+            if (controller !== controllerRef.current) return;
+            cursorRef.current = next.nextCursor;
+            setState(prev => ({
+                ...prev,
+                items: appendUnique(prev.items, next.scholarships),
+                total: next.total ?? prev.total,
+                hasMore: next.hasMore,
+                loadedPage: prev.loadedPage + 1,
+                loadingMore: false,
+            }));
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error("Failed to load more scholarships:", err);
+            setState(prev => ({ ...prev, loadingMore: false, error: err }));
+        } finally {
+            if (controller === controllerRef.current) loadingMoreRef.current = false;
+        }
+    }, [append, fetchPage]);
+
+    // After a failed "load more" keep the loaded results and try the next page again
+    const retry = useCallback(() => {
+        if (stateRef.current.items.length > 0 && append) loadMore();
+        else setReloadToken(token => token + 1);
+    }, [append, loadMore]);
+
+    return { ...state, loadMore, retry };
+}
@@ -0,0 +1,52 @@
+// src/hooks/useTranscript.js
+import { useState, useCallback, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { UserProfileManager, mergeAcademicRecord } from '../utils/userProfileManager';
+import { readProfileValue } from '../utils/profileFields';
+import { normalizeCourses, calculateGpa } from '../utils/transcript';
+
+/**
+ * The student's course transcript. `saveTranscript` writes the courses together with the GPAs
+ * calculated from them, so the profile's scalar `gpa` always matches the transcript, and resolves to
+ * whether the save succeeded.
+ * Courses are saved to the profile's academic section through UserProfileManager.
+ * @returns {{ courses: Array, setCourses: Function, saveTranscript: Function, discardChanges: Function,
+ *   gpa: Object, isDirty: boolean, saving: boolean, error: string }}
+ */
+export default function useTranscript() {
+    const { user, profile, setProfile } = useAuth();
+    const savedCourses = useMemo(() => normalizeCourses(readProfileValue(profile, 'coursework')), [profile]);
+    const [draft, setDraft] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Unsaved edits win over the profile until they're saved
+    const courses = draft || savedCourses;
+    const gpa = useMemo(() => calculateGpa(courses), [courses]);
+
+    const saveTranscript = useCallback(async () => {
+        if (!user?.id || !draft) return false;
+        const coursework = draft.filter(course => course.name.trim());
+        const { unweighted, weighted } = calculateGpa(coursework);
+        // An empty transcript leaves a typed-in GPA alone
+        const changes = unweighted === null ? { coursework } : { coursework, gpa: unweighted, weightedGpa: weighted };
+        setSaving(true);
+        setError('');
+        const saved = await UserProfileManager.updateAcademicRecord(user.id, changes);
+        setSaving(false);
+        if (!saved) {
+            setError('Could not save your transcript. Please try again.');
+            return false;
+        }
+        setProfile(prev => mergeAcademicRecord(prev, changes));
+        setDraft(null);
+        return true;
+    }, [user?.id, draft, setProfile]);
+
+    const discardChanges = useCallback(() => {
+        setDraft(null);
+        setError('');
+    }, []);
+
+    return { courses, setCourses: setDraft, saveTranscript, discardChanges, gpa, isDirty: !!draft, saving, error };
+}
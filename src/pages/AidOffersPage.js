@@ -0,0 +1,260 @@
+// src/pages/AidOffersPage.js
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Upload, FileDown, Plus } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getInstitutionDetails, isAbortError } from '../services/api';
+import { UserProfileManager } from '../utils/userProfileManager';
+import CollegeSelector from '../components/CollegeSelector';
+import AidOfferCard from '../components/AidOfferCard';
+import {
+    MAX_AID_OFFERS,
+    AID_CSV_TEMPLATE,
+    createAidOffer,
+    normalizeAidOffers,
+    summarizeAidOffer,
+    getBestOfferIds,
+    parseAidOffersCsv,
+} from '../utils/aidOffers';
+import { formatMoney } from '../utils/netPrice';
+
+const TEMPLATE_HREF = `data:text/csv;charset=utf-8,${encodeURIComponent(AID_CSV_TEMPLATE)}`;
+
+const AidOffersPage = () => {
+    const { user, profile, setProfile } = useAuth();
+    const [offers, setOffers] = useState(() => normalizeAidOffers(profile?.aidOffers));
+    const [isDirty, setIsDirty] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [saveError, setSaveError] = useState('');
+    const [importErrors, setImportErrors] = useState([]);
+    const [manualName, setManualName] = useState('');
+    const [colleges, setColleges] = useState(() => new Map());
+    // Read by the sync effect below, which should only run when the saved offers change
+    const isDirtyRef = useRef(isDirty);
+    isDirtyRef.current = isDirty;
+
+    // Pick up offers saved from another tab or device unless there are unsaved edits here
+    useEffect(() => {
+        if (!isDirtyRef.current) setOffers(normalizeAidOffers(profile?.aidOffers));
+    }, [profile?.aidOffers]);
+
+    // Institution details for offers linked to a college
+    const missingKey = [...new Set(offers.map(offer => offer.unitid).filter(id => id && !colleges.has(id)))].join(',');
+
+    useEffect(() => {
+        if (!missingKey) return undefined;
+
+        const controller = new AbortController();
+        const ids = missingKey.split(',');
+        Promise.all(ids.map(id => getInstitutionDetails(id, { signal: controller.signal }).catch(err => {
+            if (isAbortError(err)) throw err;
+            console.error(`Failed to load institution ${id}:`, err);
+            return null;
+        })))
+            .then(records => setColleges(prev => {
+                const next = new Map(prev);
+                ids.forEach((id, index) => next.set(id, records[index]));
+                return next;
+            }))
+            .catch(err => {
+                if (!isAbortError(err)) console.error('Failed to load institution details:', err);
+            });
+
+        return () => controller.abort();
+    }, [missingKey]);
+
+    const editOffers = (update) => {
+        setOffers(update);
+        setIsDirty(true);
+        setSaveError('');
+    };
+
+    const addOffers = (newOffers) => {
+        editOffers(prev => [...prev, ...newOffers].slice(0, MAX_AID_OFFERS));
+    };
+
+    const addCollege = (college) => {
+        setColleges(prev => (prev.has(String(college.unitid)) ? prev : new Map(prev).set(String(college.unitid), college)));
+        addOffers([createAidOffer({ unitid: college.unitid, name: college.general_info?.name })]);
+    };
+
+    const addManual = (e) => {
+        e.preventDefault();
+        if (!manualName.trim()) return;
+        addOffers([createAidOffer({ name: manualName.trim() })]);
+        setManualName('');
+    };
+
+    const updateOffer = (id, changes) => {
+        editOffers(prev => prev.map(offer => (offer.id === id ? { ...offer, ...changes } : offer)));
+    };
+
+    const removeOffer = (id) => {
+        editOffers(prev => prev.filter(offer => offer.id !== id));
+    };
+
+    const handleUpload = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const { offers: imported, errors } = parseAidOffersCsv(await file.text());
+            const room = MAX_AID_OFFERS - offers.length;
+            if (imported.length > room) {
+                errors.push(`Only ${MAX_AID_OFFERS} offers can be compared; ${imported.length - room} rows were skipped.`);
+            }
+            setImportErrors(errors);
+            if (imported.length && room > 0) addOffers(imported.slice(0, room));
+        } catch (err) {
+            console.error('Failed to read award CSV:', err);
+            setImportErrors(['Could not read that file. Please upload a CSV export.']);
+        }
+    };
+
+    const handleSave = async () => {
+        if (!user?.id) return;
+        setSaving(true);
+        setSaveError('');
+        const saved = await UserProfileManager.updateProfileData(user.id, { aidOffers: offers });
+        setSaving(false);
+        if (!saved) {
+            setSaveError('Could not save your offers. Please try again.');
+            return;
+        }
+        setProfile(prev => ({ ...prev, aidOffers: offers }));
+        setIsDirty(false);
+    };
+
+    const summaries = useMemo(() => offers.map(offer => summarizeAidOffer(offer)), [offers]);
+    const bestIds = useMemo(() => getBestOfferIds(offers, summaries), [offers, summaries]);
+    const offerName = (offer) => offer.name || colleges.get(offer.unitid)?.general_info?.name || `College ${offer.unitid}`;
+
+    return (
+        <div className="max-w-7xl mx-auto space-y-6">
+            <div className="text-center">
+                <h1 className="text-3xl font-bold text-gray-800">💵 Compare Aid Offers</h1>
+                <p className="text-gray-500 mt-2">
+                    Enter each college's award letter to see what is free money, what is a loan and what your family pays.
+                </p>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="bg-white p-4 rounded-xl shadow-sm border space-y-4">
+                    <h2 className="font-bold text-lg">Add an Offer ({offers.length}/{MAX_AID_OFFERS})</h2>
+                    <CollegeSelector
+                        onCollegeSelect={addCollege}
+                        selectedIds={offers.map(offer => offer.unitid).filter(Boolean)}
+                        disabled={offers.length >= MAX_AID_OFFERS}
+                        disabledMessage={`You can compare up to ${MAX_AID_OFFERS} offers. Remove one to add another.`}
+                    />
+                    <form onSubmit={addManual} className="flex gap-2">
+                        <input
+                            value={manualName}
+                            onChange={e => setManualName(e.target.value)}
+                            placeholder="Or type a college name..."
+                            className="w-full p-2 border rounded-lg bg-gray-50"
+                        />
+                        <button type="submit" disabled={offers.length >= MAX_AID_OFFERS} className="bg-gray-100 px-3 rounded-lg border hover:bg-gray-200" title="Add offer">
+                            <Plus className="h-4 w-4" />
+                        </button>
+                    </form>
+                </div>
+                <div className="lg:col-span-2 bg-white p-4 rounded-xl shadow-sm border space-y-3">
+                    <h2 className="font-bold text-lg">Import from a Spreadsheet</h2>
+                    <p className="text-sm text-gray-600">
+                        Upload a CSV with one college per row and a column for each line of the award letter. Amounts are per year.
+                    </p>
+                    <div className="flex flex-wrap gap-3">
+                        <label className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg cursor-pointer hover:bg-blue-700">
+                            <Upload className="h-4 w-4" />
+                            Upload CSV
+                            <input type="file" accept=".csv,text/csv" onChange={handleUpload} className="hidden" />
+                        </label>
+                        <a href={TEMPLATE_HREF} download="aid-offers-template.csv" className="flex items-center gap-2 bg-white px-4 py-2 rounded-lg border hover:bg-gray-50">
+                            <FileDown className="h-4 w-4" />
+                            Download Template
+                        </a>
+                    </div>
+                    {importErrors.length > 0 && (
+                        <ul className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 space-y-1">
+                            {importErrors.map(message => <li key={message}>{message}</li>)}
+                        </ul>
+                    )}
+                </div>
+            </div>
+
+            {offers.length > 0 && (
+                <div className="flex items-center justify-end gap-3">
+                    {saveError && <span className="text-sm text-red-600">{saveError}</span>}
+                    <button
+                        onClick={handleSave}
+                        disabled={!isDirty || saving}
+                        className="bg-blue-600 text-white font-semibold px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+                    >
+                        {saving ? 'Saving...' : isDirty ? 'Save Offers' : 'Saved'}
+                    </button>
+                </div>
+            )}
+
+            {offers.length === 0 ? (
+                <div className="p-10 bg-gray-50 rounded-lg text-center text-gray-500">
+                    Add a college or upload a spreadsheet to start comparing award letters.
+                </div>
+            ) : (
+                <>
+                    {offers.length > 1 && (
+                        <div className="bg-white rounded-xl shadow-sm border overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="border-b text-left text-gray-600">
+                                        <th className="p-3 font-semibold">College</th>
+                                        <th className="p-3 font-semibold">Free Money / yr</th>
+                                        <th className="p-3 font-semibold">Loans / yr</th>
+                                        <th className="p-3 font-semibold">Out of Pocket / yr</th>
+                                        <th className="p-3 font-semibold">4-Year Net Cost</th>
+                                        <th className="p-3 font-semibold">4-Year Debt</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {offers.map((offer, index) => {
+                                        const summary = summaries[index];
+                                        const money = (value) => (value === null ? 'N/A' : formatMoney(value));
+                                        return (
+                                            <tr key={offer.id} className={`border-b last:border-b-0 ${bestIds.includes(offer.id) ? 'bg-green-50' : ''}`}>
+                                                <td className="p-3 font-medium text-gray-800">{offerName(offer)}</td>
+                                                <td className="p-3 text-green-700">{formatMoney(summary.freeMoney)}</td>
+                                                <td className="p-3 text-amber-700">{formatMoney(summary.loans)}</td>
+                                                <td className="p-3">{money(summary.outOfPocket)}</td>
+                                                <td className="p-3 font-semibold">{money(summary.fourYearNetCost)}</td>
+                                                <td className="p-3">{formatMoney(summary.fourYearDebt)}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                            <p className="p-3 text-xs text-gray-500 border-t">
+                                Net cost is cost of attendance minus grants and scholarships; loans and work-study still have to be repaid or earned.
+                                Four-year figures assume the same awards each year while costs rise.
+                            </p>
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {offers.map((offer, index) => (
+                            <AidOfferCard
+                                key={offer.id}
+                                offer={offer}
+                                summary={summaries[index]}
+                                college={offer.unitid ? colleges.get(offer.unitid) : null}
+                                isBest={bestIds.includes(offer.id)}
+                                onChange={updateOffer}
+                                onRemove={removeOffer}
+                            />
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default AidOffersPage;
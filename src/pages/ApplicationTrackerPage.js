@@ -0,0 +1,289 @@
+// src/pages/ApplicationTrackerPage.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApplications } from '../contexts/ApplicationsContext';
+import Modal from '../components/Modal';
+import {
+    APPLICATION_STATUSES,
+    getStatusMeta,
+    getChecklistProgress,
+    groupApplicationsByStatus,
+} from '../utils/applicationTracker';
+import { formatCurrency, getDaysUntilDeadline, getDeadlineColor } from '../utils/dashboardHelpers';
+
+const ApplicationCard = ({ application, onOpen, onDragStart }) => {
+    const { scholarship } = application;
+    const progress = getChecklistProgress(application);
+    const daysLeft = getDaysUntilDeadline(scholarship.deadline);
+
+    return (
+        <div
+            draggable
+            onDragStart={(e) => onDragStart(e, application.scholarshipId)}
+            onClick={() => onOpen(application.scholarshipId)}
+            className="bg-white p-3 rounded-lg border shadow-sm hover:shadow-md hover:border-blue-400 cursor-pointer transition-all"
+        >
+            <p className="font-semibold text-sm text-gray-800">{scholarship.title}</p>
+            <p className="text-xs text-gray-500">{scholarship.provider}</p>
+            <div className="flex justify-between items-center mt-2 text-xs">
+                <span className="font-semibold text-green-600">
+                    {application.status === 'awarded'
+                        ? `${formatCurrency(application.awardAmount)} won`
+                        : formatCurrency(scholarship.amount)}
+                </span>
+                {daysLeft !== null && daysLeft >= 0 && !['awarded', 'declined'].includes(application.status) && (
+                    <span className={`px-2 py-0.5 rounded font-semibold ${getDeadlineColor(daysLeft)}`}>
+                        {daysLeft} days
+                    </span>
+                )}
+            </div>
+            {progress.total > 0 && (
+                <div className="mt-2">
+                    <div className="w-full bg-gray-200 rounded-full h-1.5">
+                        <div className="bg-blue-500 h-1.5 rounded-full" style={{ width: `${progress.percentage}%` }}></div>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">{progress.done}/{progress.total} documents ready</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ApplicationEditor = ({ application, onChange, onRemove, onViewScholarship }) => {
+    const [notes, setNotes] = useState(application.notes || '');
+    const [awardAmount, setAwardAmount] = useState(application.awardAmount ?? '');
+
+    // Show the stored amount again when a failed save is rolled back
+    useEffect(() => {
+        setAwardAmount(application.awardAmount ?? '');
+    }, [application.awardAmount]);
+
+    // Like notes, the award is saved when the field loses focus rather than on every keystroke
+    const saveAwardAmount = () => {
+        const amount = awardAmount === '' ? 0 : Number(awardAmount);
+        if (amount !== (application.awardAmount ?? 0)) onChange({ awardAmount: amount });
+    };
+
+    const toggleChecklistItem = (index) => {
+        const checklist = application.checklist.map((item, i) => (
+            i === index ? { ...item, done: !item.done } : item
+        ));
+        onChange({ checklist });
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-start">
+                <div>
+                    <p className="text-gray-600">{application.scholarship.provider}</p>
+                    <p className="text-green-600 font-semibold">{formatCurrency(application.scholarship.amount)}</p>
+                    {application.scholarship.deadline && (
+                        <p className="text-sm text-gray-500">
+                            Deadline: {new Date(application.scholarship.deadline).toLocaleDateString()}
+                        </p>
+                    )}
+                </div>
+                <button onClick={onViewScholarship} className="text-blue-600 text-sm font-semibold hover:underline">
+                    View scholarship &rarr;
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                    <select
+                        value={application.status}
+                        onChange={(e) => onChange({ status: e.target.value })}
+                        className="w-full p-2 bg-gray-100 border border-gray-200 rounded-lg"
+                    >
+                        {APPLICATION_STATUSES.map(status => (
+                            <option key={status.id} value={status.id}>{status.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Submission Date</label>
+                    <input
+                        type="date"
+                        value={application.submittedAt || ''}
+                        onChange={(e) => onChange({ submittedAt: e.target.value || null })}
+                        className="w-full p-2 bg-gray-100 border border-gray-200 rounded-lg"
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Award Received ($)</label>
+                    <input
+                        type="number"
+                        min="0"
+                        value={awardAmount}
+                        disabled={application.status !== 'awarded'}
+                        onChange={(e) => setAwardAmount(e.target.value)}
+                        onBlur={saveAwardAmount}
+                        className="w-full p-2 bg-gray-100 border border-gray-200 rounded-lg disabled:opacity-50"
+                    />
+                </div>
+            </div>
+
+            <div>
+                <h3 className="font-semibold text-gray-800 mb-2">Required Documents</h3>
+                {application.checklist.length > 0 ? (
+                    <ul className="space-y-2">
+                        {application.checklist.map((item, index) => (
+                            <li key={item.label}>
+                                <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+                                    <input type="checkbox" checked={item.done} onChange={() => toggleChecklistItem(index)} />
+                                    <span className={item.done ? 'line-through text-gray-400' : ''}>{item.label}</span>
+                                </label>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-sm text-gray-500">This scholarship doesn't list any required documents.</p>
+                )}
+            </div>
+
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    onBlur={() => notes !== (application.notes || '') && onChange({ notes })}
+                    rows={4}
+                    placeholder="Essay prompts, recommenders, login details for the portal..."
+                    className="w-full p-3 bg-gray-100 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+            </div>
+
+            <div className="flex justify-end">
+                <button onClick={onRemove} className="text-red-600 text-sm font-semibold hover:underline">
+                    Stop tracking this scholarship
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const ApplicationTrackerPage = () => {
+    const navigate = useNavigate();
+    const { applications, totals, updateApplication, removeApplication, loading, error } = useApplications();
+    const [openId, setOpenId] = useState(null);
+    const [dragOverStatus, setDragOverStatus] = useState(null);
+
+    const columns = useMemo(() => groupApplicationsByStatus(applications), [applications]);
+    const openApplication = applications.find(application => application.scholarshipId === openId) || null;
+
+    // Failures are rolled back and reported by the context
+    const handleUpdate = (scholarshipId, changes) => updateApplication(scholarshipId, changes).catch(() => {});
+
+    const handleDragStart = (e, scholarshipId) => {
+        e.dataTransfer.setData('text/plain', scholarshipId);
+        e.dataTransfer.effectAllowed = 'move';
+    };
+
+    const handleDrop = (e, status) => {
+        e.preventDefault();
+        setDragOverStatus(null);
+        const scholarshipId = e.dataTransfer.getData('text/plain');
+        const application = applications.find(a => a.scholarshipId === scholarshipId);
+        if (application && application.status !== status) handleUpdate(scholarshipId, { status });
+    };
+
+    return (
+        <div className="max-w-7xl mx-auto space-y-6">
+            <div className="bg-white p-6 rounded-xl shadow-sm border">
+                <h1 className="text-3xl font-bold text-gray-800">Application Tracker</h1>
+                <p className="text-gray-500 mt-1">Track every scholarship from first look to award. Drag cards between stages.</p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4 text-center">
+                    <div>
+                        <p className="text-2xl font-bold text-indigo-600">{totals.total}</p>
+                        <p className="text-sm text-gray-600">Tracked</p>
+                    </div>
+                    <div>
+                        <p className="text-2xl font-bold text-yellow-600">{totals.applied}</p>
+                        <p className="text-sm text-gray-600">Applied</p>
+                    </div>
+                    <div>
+                        <p className="text-2xl font-bold text-blue-600">{formatCurrency(totals.appliedAmount)}</p>
+                        <p className="text-sm text-gray-600">Applied For</p>
+                    </div>
+                    <div>
+                        <p className="text-2xl font-bold text-green-600">{formatCurrency(totals.wonAmount)}</p>
+                        <p className="text-sm text-gray-600">Won</p>
+                    </div>
+                </div>
+            </div>
+
+            {error && <div className="p-4 bg-red-50 text-red-600 rounded-lg text-center">{error}</div>}
+
+            {loading ? (
+                <div className="text-center py-10">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                    <p className="mt-4 text-gray-500">Loading your applications...</p>
+                </div>
+            ) : applications.length === 0 ? (
+                <div className="text-center py-10 bg-gray-50 p-6 rounded-lg">
+                    <p className="text-gray-600 font-semibold">You're not tracking any applications yet.</p>
+                    <p className="text-gray-500 mb-4">Open a scholarship and choose "Track Application" to add it here.</p>
+                    <button
+                        onClick={() => navigate('/scholarships')}
+                        className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+                    >
+                        Browse Scholarships
+                    </button>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-5 gap-4">
+                    {APPLICATION_STATUSES.map(status => (
+                        <div
+                            key={status.id}
+                            onDragOver={(e) => { e.preventDefault(); setDragOverStatus(status.id); }}
+                            onDragLeave={() => setDragOverStatus(null)}
+                            onDrop={(e) => handleDrop(e, status.id)}
+                            className={`bg-gray-50 rounded-xl border-2 p-3 min-h-[12rem] transition-colors ${
+                                dragOverStatus === status.id ? 'border-blue-400 bg-blue-50' : 'border-transparent'
+                            }`}
+                        >
+                            <div className="flex justify-between items-center mb-3">
+                                <span className={`px-2 py-1 rounded-full text-xs font-semibold border ${status.color}`}>
+                                    {status.label}
+                                </span>
+                                <span className="text-xs text-gray-500">{columns[status.id].length}</span>
+                            </div>
+                            <div className="space-y-3">
+                                {columns[status.id].map(application => (
+                                    <ApplicationCard
+                                        key={application.scholarshipId}
+                                        application={application}
+                                        onOpen={setOpenId}
+                                        onDragStart={handleDragStart}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <Modal
+                isOpen={!!openApplication}
+                onClose={() => setOpenId(null)}
+                title={openApplication ? `${openApplication.scholarship.title} — ${getStatusMeta(openApplication.status).label}` : ''}
+            >
+                {openApplication && (
+                    <ApplicationEditor
+                        key={openApplication.scholarshipId}
+                        application={openApplication}
+                        onChange={(changes) => handleUpdate(openApplication.scholarshipId, changes)}
+                        onRemove={() => {
+                            removeApplication(openApplication.scholarshipId).catch(() => {});
+                            setOpenId(null);
+                        }}
+                        onViewScholarship={() => navigate(`/scholarship/${openApplication.scholarshipId}`)}
+                    />
+                )}
+            </Modal>
+        </div>
+    );
+};
+
+export default ApplicationTrackerPage;
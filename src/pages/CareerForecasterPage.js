@@ -1,11 +1,29 @@
 // src/pages/CareerForecasterPage.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { sendRagQuery } from '../services/api';
+import { useCollegeList } from '../contexts/CollegeListContext';
+import { sendRagQuery, getCareerForecast, getInstitutionsByIds, isAbortError } from '../services/api';
+import LoanRoiPanel from '../components/LoanRoiPanel';
+import SalaryByExperienceChart from '../components/SalaryByExperienceChart';
+import { parseCareerForecast, getGrowthOutlook, getStartingSalary } from '../utils/careerForecast';
+import { readProfileValue } from '../utils/profileFields';
+import { readNetPriceInputs } from '../utils/netPrice';
+import { normalizeAidOffers } from '../utils/aidOffers';
+import { MAX_COMPARE } from '../utils/collegeComparison';
+
+const formatSalary = (value) => `$${Math.round(value).toLocaleString()}`;
+
+// `?colleges=123,456` from the comparison page
+const parseCollegeIds = (value) => [...new Set((value || '').split(',').map(id => id.trim()).filter(Boolean))].slice(0, MAX_COMPARE);
 
 const CareerForecasterPage = () => {
   const { profile } = useAuth(); // Using profile from auth context
+  const { entries: listEntries } = useCollegeList();
+  const [searchParams] = useSearchParams();
+  const [comparedColleges, setComparedColleges] = useState([]);
   const [forecastData, setForecastData] = useState(null);
+  const controllerRef = useRef(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -21,12 +39,47 @@ const CareerForecasterPage = () => {
     if (profile) {
       setFormData(prev => ({
         ...prev,
-        careerGoal: profile.career_goals || '',
+        careerGoal: readProfileValue(profile, 'careerGoals') || '',
         majorInterest: profile.major || '',
       }));
     }
   }, [profile]);
 
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const comparedKey = parseCollegeIds(searchParams.get('colleges')).join(',');
+
+  useEffect(() => {
+    if (!comparedKey) {
+      setComparedColleges([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    getInstitutionsByIds(comparedKey.split(','), { signal: controller.signal })
+      .then(setComparedColleges)
+      .catch(err => {
+        if (!isAbortError(err)) console.error('Failed to load compared colleges:', err);
+      });
+
+    return () => controller.abort();
+  }, [comparedKey]);
+
+  // Colleges from the comparison come first, then the saved list
+  const roiOptions = useMemo(() => {
+    const options = [
+      ...comparedColleges.map(college => ({ unitid: String(college.unitid), name: college.general_info?.name || `College ${college.unitid}`, college })),
+      ...listEntries.map(entry => ({ unitid: entry.unitid, name: entry.name, college: entry.college })),
+    ];
+    return options.filter((option, index) => options.findIndex(other => other.unitid === option.unitid) === index);
+  }, [comparedColleges, listEntries]);
+
+  const netPriceInputs = useMemo(() => readNetPriceInputs(profile), [profile]);
+  const aidOffers = useMemo(() => normalizeAidOffers(profile?.aidOffers), [profile?.aidOffers]);
+  const forecast = forecastData?.forecast || null;
+  const forecastSalary = getStartingSalary(forecast);
+  const growthOutlook = forecast?.jobGrowth ? getGrowthOutlook(forecast.jobGrowth.rate) : null;
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -35,19 +88,9 @@ const CareerForecasterPage = () => {
     }));
   };
 
-  const generateForecast = async () => {
-    if (!formData.careerGoal || !formData.majorInterest) {
-      setError('Please fill in your career goal and major interest to generate a forecast.');
-      return;
-    }
-
-    setLoading(true);
-    setError(null);
-    setForecastData(null);
-    
-    try {
-      // Create a comprehensive query for career forecasting
-      const query = `Generate a career forecast for a student with the following details:
+  // Free-text answer used only when the structured forecast can't be had
+  const fetchTextForecast = async (signal) => {
+    const query = `Generate a career forecast for a student with the following details:
         - Career Goal: ${formData.careerGoal}
         - Major Interest: ${formData.majorInterest}
         - Target Colleges: ${formData.targetColleges || 'Not specified'}
@@ -59,29 +102,59 @@ const CareerForecasterPage = () => {
         3. Career development recommendations
         4. Industry insights and trends`;
 
-      const result = await sendRagQuery(query, []);
-      
-      // Parse the AI response into structured data
-      const responseText = result.answer || result.response || result.text || '';
-      
-      // For now, we'll structure the response as best we can
-      // In a real implementation, you might want a dedicated career forecasting endpoint
-      const structuredData = {
-        salaryProjections: {
-          "Entry-Level (0-2 Years)": 75000, // These would come from the AI response
-          "Mid-Career (5-7 Years)": 120000,
-          "Senior-Level (10+ Years)": 180000,
-        },
-        educationPath: "A Bachelor's degree in Computer Science is typically required. Consider pursuing a Master's for specialized roles in AI or Machine Learning.",
-        recommendations: "Focus on internships in software development. Build a strong portfolio of projects on platforms like GitHub. Network with professionals in the tech industry.",
-        aiResponse: responseText // Store the full AI response for display
-      };
-      
-      setForecastData(structuredData);
+    const result = await sendRagQuery(query, [], { signal });
+    return result.answer || result.response || result.text || '';
+  };
+
+  const generateForecast = async () => {
+    if (!formData.careerGoal || !formData.majorInterest) {
+      setError('Please fill in your career goal and major interest to generate a forecast.');
+      return;
+    }
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
 
+    setLoading(true);
+    setError(null);
+    setForecastData(null);
+
+    const studentProfile = {
+      gpa: readProfileValue(profile, 'gpa'),
+      major: readProfileValue(profile, 'major'),
+      gradeLevel: readProfileValue(profile, 'gradeLevel'),
+      state: readProfileValue(profile, 'state'),
+    };
+    const careerGoals = {
+      careerGoal: formData.careerGoal,
+      majorInterest: formData.majorInterest,
+      targetColleges: formData.targetColleges.split(',').map(name => name.trim()).filter(Boolean),
+      financialGoals: formData.financialGoals,
+    };
+
+    try {
+      let forecast = null;
+      try {
+        const { forecast: parsed, errors } = parseCareerForecast(
+          await getCareerForecast(studentProfile, careerGoals, { signal: controller.signal })
+        );
+        if (errors.length) console.warn('Career forecast response did not match the schema:', errors);
+        forecast = parsed;
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        console.error('Structured career forecast failed:', err);
+      }
+
+      setForecastData(forecast
+        ? { source: 'structured', forecast }
+        : { source: 'text', aiResponse: await fetchTextForecast(controller.signal) });
+      setLoading(false);
     } catch (err) {
-      setError(err.message || 'Failed to generate career forecast. Please try again.');
-    } finally {
+      if (isAbortError(err)) return;
+      setError(err.isOffline
+        ? 'You appear to be offline. Please try again once you are connected.'
+        : err.message || 'Failed to generate career forecast. Please try again.');
       setLoading(false);
     }
   };
@@ -109,42 +182,115 @@ const CareerForecasterPage = () => {
 
         {error && <div className="p-4 bg-red-50 text-red-600 rounded-lg text-center">{error}</div>}
 
-        {forecastData && (
-            <div className="bg-white p-6 rounded-xl shadow-sm border space-y-6">
+        {forecastData?.source === 'text' && (
+            <div className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
                 <h2 className="text-2xl font-bold text-gray-800">Your Forecast Results</h2>
-                
-                {/* AI Response Section */}
-                {forecastData.aiResponse && (
-                    <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
-                        <h3 className="text-lg font-semibold text-blue-800 mb-2">🤖 AI Career Analysis</h3>
-                        <p className="text-blue-700 whitespace-pre-wrap">{forecastData.aiResponse}</p>
-                    </div>
-                )}
-                
+                <p className="text-sm text-gray-500">
+                    Detailed salary and job outlook data is unavailable right now, so here is a written forecast instead.
+                </p>
+                <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
+                    <h3 className="text-lg font-semibold text-blue-800 mb-2">🤖 AI Career Analysis</h3>
+                    <p className="text-blue-700 whitespace-pre-wrap">{forecastData.aiResponse || 'No forecast text was returned.'}</p>
+                </div>
+            </div>
+        )}
+
+        {forecast && (
+            <div className="bg-white p-6 rounded-xl shadow-sm border space-y-6">
                 <div>
-                    <h3 className="text-lg font-semibold text-gray-700 mb-2">📈 Salary Projections</h3>
-                    <div className="grid md:grid-cols-3 gap-4">
-                        {Object.entries(forecastData.salaryProjections).map(([level, salary]) => (
-                            <div key={level} className="bg-green-50 p-4 rounded-lg border border-green-200">
-                                <p className="text-sm text-green-800">{level}</p>
-                                <p className="text-2xl font-bold text-green-600">${salary.toLocaleString()}</p>
+                    <h2 className="text-2xl font-bold text-gray-800">Your Forecast Results</h2>
+                    {forecast.occupation && <p className="text-gray-500">{forecast.occupation}</p>}
+                </div>
+                {forecast.summary && <p className="text-gray-700 whitespace-pre-wrap">{forecast.summary}</p>}
+
+                <div className="grid lg:grid-cols-3 gap-6">
+                    <div className="lg:col-span-2">
+                        <h3 className="text-lg font-semibold text-gray-700 mb-2">📈 Salary by Experience</h3>
+                        <SalaryByExperienceChart salaries={forecast.salaryByExperience} />
+                        <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-4">
+                            {forecast.salaryByExperience.map(salary => (
+                                <div key={salary.level} className="bg-green-50 p-3 rounded-lg border border-green-200">
+                                    <p className="text-xs text-green-800">{salary.level}</p>
+                                    <p className="text-xl font-bold text-green-600">{formatSalary(salary.median)}</p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="space-y-4">
+                        <h3 className="text-lg font-semibold text-gray-700">📊 Job Outlook</h3>
+                        {forecast.jobGrowth ? (
+                            <div className={`p-4 rounded-lg ${growthOutlook.className}`}>
+                                <p className="text-3xl font-bold">{forecast.jobGrowth.rate > 0 ? '+' : ''}{forecast.jobGrowth.rate}%</p>
+                                <p className="font-semibold">{forecast.jobGrowth.outlook || growthOutlook.label}</p>
+                                <p className="text-xs mt-1">
+                                    Projected employment change{forecast.jobGrowth.period ? `, ${forecast.jobGrowth.period}` : ''}
+                                </p>
+                                {forecast.jobGrowth.openings !== null && (
+                                    <p className="text-xs mt-1">About {Math.round(forecast.jobGrowth.openings).toLocaleString()} openings a year</p>
+                                )}
                             </div>
-                        ))}
+                        ) : (
+                            <p className="text-sm text-gray-500">No job growth data for this career.</p>
+                        )}
                     </div>
                 </div>
 
                 <div className="grid md:grid-cols-2 gap-6">
                     <div className="bg-yellow-50 p-4 rounded-lg border border-yellow-200">
-                        <h3 className="text-lg font-semibold text-yellow-800 mb-2">🎓 Education Path</h3>
-                        <p className="text-yellow-700">{forecastData.educationPath}</p>
+                        <h3 className="text-lg font-semibold text-yellow-800 mb-2">🎓 Degrees</h3>
+                        {forecast.degrees.length > 0 ? (
+                            <ul className="list-disc list-inside text-yellow-800 space-y-1">
+                                {forecast.degrees.map(degree => <li key={degree}>{degree}</li>)}
+                            </ul>
+                        ) : (
+                            <p className="text-sm text-yellow-700">No degree requirements listed.</p>
+                        )}
+                        {forecast.educationPath && <p className="text-yellow-700 text-sm mt-3">{forecast.educationPath}</p>}
+                    </div>
+                    <div className="bg-indigo-50 p-4 rounded-lg border border-indigo-200">
+                        <h3 className="text-lg font-semibold text-indigo-800 mb-2">📚 Related Majors</h3>
+                        {forecast.relatedMajors.length > 0 ? (
+                            <div className="flex flex-wrap gap-2">
+                                {forecast.relatedMajors.map(major => (
+                                    <button
+                                        key={major}
+                                        onClick={() => setFormData(prev => ({ ...prev, majorInterest: major }))}
+                                        className="px-3 py-1 bg-white border border-indigo-200 rounded-full text-sm text-indigo-700 hover:bg-indigo-100"
+                                        title="Use as your major interest"
+                                    >
+                                        {major}
+                                    </button>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="text-sm text-indigo-700">No related majors listed.</p>
+                        )}
                     </div>
+                </div>
+
+                {forecast.recommendations.length > 0 && (
                     <div className="bg-purple-50 p-4 rounded-lg border border-purple-200">
                         <h3 className="text-lg font-semibold text-purple-800 mb-2">💡 Recommendations</h3>
-                        <p className="text-purple-700">{forecastData.recommendations}</p>
+                        <ul className="list-disc list-inside text-purple-700 space-y-1">
+                            {forecast.recommendations.map(item => <li key={item}>{item}</li>)}
+                        </ul>
                     </div>
-                </div>
+                )}
             </div>
         )}
+
+        <div className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+            <div>
+                <h2 className="text-2xl font-bold text-gray-800">💸 Loan Repayment & ROI</h2>
+                <p className="text-gray-500 text-sm mt-1">See what borrowing for a college means after graduation, and when the degree pays for itself.</p>
+            </div>
+            <LoanRoiPanel
+                options={roiOptions}
+                forecastSalary={forecastSalary}
+                netPriceInputs={netPriceInputs}
+                aidOffers={aidOffers}
+            />
+        </div>
     </div>
   );
 };
@@ -0,0 +1,144 @@
+// src/pages/CollegeListPage.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle, X } from 'lucide-react';
+import { useCollegeList } from '../contexts/CollegeListContext';
+import CollegeSelector from '../components/CollegeSelector';
+import { FIT_CATEGORIES } from '../utils/collegeFit';
+import { LIST_BUCKETS, RECOMMENDED_MIX, MAX_LIST_SIZE } from '../utils/collegeList';
+import { MAX_COMPARE } from '../utils/collegeComparison';
+import { formatChanceRange } from '../utils/admissionProbability';
+
+const BUCKET_DESCRIPTIONS = {
+    reach: 'Admission is possible but unlikely.',
+    target: 'Your profile matches typical admitted students.',
+    safety: 'Admission is very likely.',
+};
+
+const ListEntry = ({ entry, onRemove }) => (
+    <div className="p-3 bg-white rounded-lg border flex items-start justify-between gap-2">
+        <div className="min-w-0">
+            <Link to={`/profile/${entry.unitid}`} className="font-semibold text-blue-800 hover:underline">
+                {entry.name}
+            </Link>
+            {(entry.city || entry.state) && (
+                <p className="text-xs text-gray-500">{[entry.city, entry.state].filter(Boolean).join(', ')}</p>
+            )}
+            <div className="flex items-center gap-3 mt-1 text-xs">
+                {entry.estimate && (
+                    <span className="font-semibold text-gray-600" title={`${entry.estimate.confidence} confidence`}>
+                        {formatChanceRange(entry.estimate)} chance
+                    </span>
+                )}
+                <Link to={`/report/${entry.unitid}`} className="text-blue-600 hover:underline">Report</Link>
+            </div>
+        </div>
+        <button onClick={() => onRemove(entry.unitid)} className="text-gray-400 hover:text-red-600" title="Remove from list">
+            <X className="h-4 w-4" />
+        </button>
+    </div>
+);
+
+const CollegeListPage = () => {
+    const { entries, buckets, warnings, count, addCollege, removeCollege, loading, error } = useCollegeList();
+    const [actionError, setActionError] = useState('');
+
+    const runAction = async (action) => {
+        setActionError('');
+        try {
+            await action();
+        } catch (err) {
+            // Save failures are reported through the context's `error`
+            if (!err.status && !err.code) setActionError(err.message);
+        }
+    };
+
+    const compareIds = entries.slice(0, MAX_COMPARE).map(entry => entry.unitid).join(',');
+
+    return (
+        <div className="max-w-7xl mx-auto space-y-6">
+            <div className="text-center">
+                <h1 className="text-3xl font-bold text-gray-800">🎯 My College List</h1>
+                <p className="text-gray-500 mt-2">
+                    Build a balanced list: about {RECOMMENDED_MIX.reach} reach, {RECOMMENDED_MIX.target} target and {RECOMMENDED_MIX.safety} safety schools.
+                </p>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="bg-white p-4 rounded-xl shadow-sm border space-y-4">
+                    <h2 className="font-bold text-lg">Add Colleges ({count}/{MAX_LIST_SIZE})</h2>
+                    <CollegeSelector
+                        onCollegeSelect={(college) => runAction(() => addCollege(college))}
+                        selectedIds={entries.map(entry => entry.unitid)}
+                        disabled={count >= MAX_LIST_SIZE}
+                        disabledMessage={`Your list can hold up to ${MAX_LIST_SIZE} colleges. Remove one to add another.`}
+                    />
+                </div>
+                <div className="lg:col-span-2 bg-white p-4 rounded-xl shadow-sm border space-y-3">
+                    <div className="flex items-center justify-between">
+                        <h2 className="font-bold text-lg">List Balance</h2>
+                        {count >= 2 && (
+                            <Link to={`/compare?ids=${compareIds}`} className="text-sm font-semibold text-blue-600 hover:underline">
+                                Compare {Math.min(count, MAX_COMPARE)} colleges &rarr;
+                            </Link>
+                        )}
+                    </div>
+                    <div className="grid grid-cols-3 gap-3 text-center">
+                        {LIST_BUCKETS.map(bucket => (
+                            <div key={bucket} className={`p-3 rounded-lg ${FIT_CATEGORIES[bucket].className}`}>
+                                <p className="text-2xl font-bold">{buckets[bucket].length}</p>
+                                <p className="text-sm font-medium">{FIT_CATEGORIES[bucket].label} (aim for {RECOMMENDED_MIX[bucket]})</p>
+                            </div>
+                        ))}
+                    </div>
+                    {warnings.map(warning => (
+                        <div key={warning.id} className="flex items-start gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                            <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                            <span>{warning.message}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {(error || actionError) && <div className="p-4 bg-red-50 text-red-600 rounded-lg text-center">{actionError || error}</div>}
+
+            {count === 0 ? (
+                <div className="p-10 bg-gray-50 rounded-lg text-center text-gray-500">
+                    Search for colleges above to start your list. Each one is sorted by your chances of admission.
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    {LIST_BUCKETS.map(bucket => (
+                        <div key={bucket} className="bg-gray-50 p-4 rounded-xl border space-y-3">
+                            <div>
+                                <h2 className="font-bold text-lg text-gray-800">{FIT_CATEGORIES[bucket].label}</h2>
+                                <p className="text-xs text-gray-500">{BUCKET_DESCRIPTIONS[bucket]}</p>
+                            </div>
+                            {buckets[bucket].length === 0 ? (
+                                <p className="text-sm text-gray-400">None yet</p>
+                            ) : buckets[bucket].map(entry => (
+                                <ListEntry key={entry.unitid} entry={entry} onRemove={(unitid) => runAction(() => removeCollege(unitid))} />
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {buckets.unrated.length > 0 && (
+                <div className="bg-white p-4 rounded-xl border space-y-3">
+                    <h2 className="font-bold text-lg text-gray-800">Not Yet Rated</h2>
+                    <p className="text-xs text-gray-500">
+                        {loading ? 'Loading admissions data...' : 'Admissions data is unavailable for these colleges. Add your GPA and test scores to estimate your chances.'}
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                        {buckets.unrated.map(entry => (
+                            <ListEntry key={entry.unitid} entry={entry} onRemove={(unitid) => runAction(() => removeCollege(unitid))} />
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CollegeListPage;
@@ -1,98 +1,218 @@
 // src/pages/CompareCollegesPage.js
-import React, { useState } from 'react';
-import { searchInstitutions, getInstitutionDetails } from '../services/api';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { Share2, TrendingUp } from 'lucide-react';
+import { getInstitutionsByIds, isAbortError } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import useNetPriceInputs from '../hooks/useNetPriceInputs';
+import CollegeSelector from '../components/CollegeSelector';
+import ComparisonCharts from '../components/ComparisonCharts';
+import ComparisonTable from '../components/ComparisonTable';
+import NetPriceCalculator from '../components/NetPriceCalculator';
+import ShareDialog from '../components/ShareDialog';
+import Modal from '../components/Modal';
+import {
+    MAX_COMPARE,
+    COMPARISON_METRICS,
+    DEFAULT_METRIC_IDS,
+    buildComparisonRows,
+} from '../utils/collegeComparison';
+import { buildComparisonSnapshot } from '../utils/shareSnapshot';
 
-const CollegeSelector = ({ onCollegeSelect, selectedCollegeId }) => {
-    const [query, setQuery] = useState('');
-    const [results, setResults] = useState([]);
+const METRICS_KEY = 'scholargy:compare-metrics';
+
+const loadMetricIds = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(METRICS_KEY));
+        const valid = Array.isArray(saved) ? saved.filter(id => DEFAULT_METRIC_IDS.includes(id)) : [];
+        return valid.length ? valid : DEFAULT_METRIC_IDS;
+    } catch (e) {
+        return DEFAULT_METRIC_IDS;
+    }
+};
+
+// `?ids=123,456` — de-duplicated and capped so hand-edited URLs can't exceed the limit
+const parseIds = (value) => [...new Set((value || '').split(',').map(id => id.trim()).filter(Boolean))].slice(0, MAX_COMPARE);
+
+const CompareCollegesPage = () => {
+    const { profile } = useAuth();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [shareOpen, setShareOpen] = useState(false);
+    const [colleges, setColleges] = useState([]);
     const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [metricIds, setMetricIds] = useState(loadMetricIds);
+    const netPrice = useNetPriceInputs();
 
-    const handleSearch = async () => {
-        if (!query.trim()) return;
-        setLoading(true);
-        const response = await searchInstitutions({
-            filters: { "general_info.name": { $regex: query, $options: 'i' } },
-            pagination: { limit: 5 }
-        });
-        setResults(response.data || []);
-        setLoading(false);
+    const selectedIds = useMemo(() => parseIds(searchParams.get('ids')), [searchParams]);
+    const idsKey = selectedIds.join(',');
+
+    useEffect(() => {
+        const ids = idsKey ? idsKey.split(',') : [];
+        if (ids.length === 0) {
+            setColleges([]);
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        const loadColleges = async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const institutions = await getInstitutionsByIds(ids, { signal: controller.signal });
+                // Keep the order the colleges were added in
+                const byId = new Map(institutions.map(college => [String(college.unitid), college]));
+                const ordered = ids.map(id => byId.get(id)).filter(Boolean);
+                setColleges(ordered);
+                if (ordered.length < ids.length) {
+                    setError(ordered.length === 0
+                        ? 'Could not load college data. Please try again later.'
+                        : 'Some colleges could not be loaded.');
+                }
+                setLoading(false);
+            } catch (err) {
+                if (isAbortError(err)) return;
+                setError('Could not load college data. Please try again later.');
+                setLoading(false);
+            }
+        };
+        loadColleges();
+
+        return () => controller.abort();
+    }, [idsKey]);
+
+    const setSelectedIds = (ids) => {
+        const next = new URLSearchParams(searchParams);
+        if (ids.length) {
+            next.set('ids', ids.join(','));
+        } else {
+            next.delete('ids');
+        }
+        setSearchParams(next, { replace: true });
     };
 
-    return (
-        <div className="space-y-2">
-            <div className="flex gap-2">
-                <input value={query} onChange={e => setQuery(e.target.value)} placeholder="Search for a college..." className="w-full p-2 border rounded-lg bg-gray-50" />
-                <button onClick={handleSearch} className="bg-blue-600 text-white px-4 py-2 rounded-lg" disabled={loading}>{loading ? '...' : 'Search'}</button>
-            </div>
-            <div className="space-y-1">
-                {results.map(college => (
-                    <div 
-                        key={college.unitid} 
-                        onClick={() => onCollegeSelect(college.unitid)}
-                        className={`p-2 border rounded-lg cursor-pointer ${selectedCollegeId === college.unitid ? 'bg-blue-100 border-blue-400' : 'hover:bg-gray-100'}`}
-                    >
-                        {college.general_info.name}
-                    </div>
-                ))}
-            </div>
-        </div>
-    );
-};
+    const addCollege = (college) => {
+        const unitid = String(college.unitid);
+        if (selectedIds.length >= MAX_COMPARE || selectedIds.includes(unitid)) return;
+        setSelectedIds([...selectedIds, unitid]);
+    };
 
-const CollegeDetails = ({ college }) => {
-    if (!college) return <div className="p-4 bg-gray-50 rounded-lg text-center text-gray-500">Select a college to see details.</div>;
-    return (
-        <div className="space-y-3">
-            <h2 className="text-xl font-bold text-blue-800">{college.general_info.name}</h2>
-            <p><strong>Location:</strong> {college.general_info.city}, {college.general_info.state}</p>
-            <p><strong>Admission Rate:</strong> {college.admissions.admission_rate ? `${(college.admissions.admission_rate * 100).toFixed(1)}%` : 'N/A'}</p>
-            <p><strong>In-State Tuition:</strong> ${college.cost_and_aid.tuition_in_state?.toLocaleString() || 'N/A'}</p>
-            <p><strong>Out-of-State Tuition:</strong> ${college.cost_and_aid.tuition_out_of_state?.toLocaleString() || 'N/A'}</p>
-        </div>
-    );
-};
+    const removeCollege = (unitid) => {
+        setSelectedIds(selectedIds.filter(id => id !== String(unitid)));
+    };
 
-const CompareCollegesPage = () => {
-    const [college1, setCollege1] = useState(null);
-    const [college2, setCollege2] = useState(null);
-    const [loading, setLoading] = useState({ col1: false, col2: false });
-
-    const handleSelectCollege = async (unitid, column) => {
-        setLoading(prev => ({ ...prev, [column]: true }));
-        const details = await getInstitutionDetails(unitid);
-        if (column === 'col1') setCollege1(details);
-        if (column === 'col2') setCollege2(details);
-        setLoading(prev => ({ ...prev, [column]: false }));
+    const toggleMetric = (metricId) => {
+        setMetricIds(prev => {
+            const next = prev.includes(metricId) ? prev.filter(id => id !== metricId) : [...prev, metricId];
+            // Keep the table's row order stable regardless of toggle order
+            const ordered = DEFAULT_METRIC_IDS.filter(id => next.includes(id));
+            localStorage.setItem(METRICS_KEY, JSON.stringify(ordered));
+            return ordered;
+        });
     };
 
+    const rows = useMemo(
+        () => buildComparisonRows(colleges, metricIds, { netPriceInputs: netPrice.inputs }),
+        [colleges, metricIds, netPrice.inputs]
+    );
+
     return (
-        <div className="max-w-6xl mx-auto space-y-6">
+        <div className="max-w-7xl mx-auto space-y-6">
             <div className="text-center">
                 <h1 className="text-3xl font-bold text-gray-800">⚖️ College Comparator</h1>
-                <p className="text-gray-500 mt-2">Compare two institutions side-by-side.</p>
+                <p className="text-gray-500 mt-2">Compare up to {MAX_COMPARE} institutions side-by-side.</p>
+                {colleges.length > 0 && (
+                    <div className="mt-4 flex justify-center gap-2">
+                        <button
+                            onClick={() => setShareOpen(true)}
+                            className="inline-flex items-center gap-2 bg-white px-4 py-2 rounded-lg border shadow-sm hover:bg-gray-50"
+                        >
+                            <Share2 className="h-4 w-4" />
+                            Share Comparison
+                        </button>
+                        <Link
+                            to={`/forecaster?colleges=${idsKey}`}
+                            className="inline-flex items-center gap-2 bg-white px-4 py-2 rounded-lg border shadow-sm hover:bg-gray-50"
+                        >
+                            <TrendingUp className="h-4 w-4" />
+                            Loan Repayment & ROI
+                        </Link>
+                    </div>
+                )}
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                 <div className="bg-white p-4 rounded-xl shadow-sm border space-y-4">
-                    <h2 className="font-bold text-lg">Select College 1</h2>
-                    <CollegeSelector onCollegeSelect={(id) => handleSelectCollege(id, 'col1')} selectedCollegeId={college1?.unitid} />
+                    <h2 className="font-bold text-lg">Add Colleges ({selectedIds.length}/{MAX_COMPARE})</h2>
+                    <CollegeSelector
+                        onCollegeSelect={addCollege}
+                        selectedIds={selectedIds}
+                        disabled={selectedIds.length >= MAX_COMPARE}
+                        disabledMessage={`You can compare up to ${MAX_COMPARE} colleges. Remove one to add another.`}
+                    />
                 </div>
-                <div className="bg-white p-4 rounded-xl shadow-sm border space-y-4">
-                    <h2 className="font-bold text-lg">Select College 2</h2>
-                    <CollegeSelector onCollegeSelect={(id) => handleSelectCollege(id, 'col2')} selectedCollegeId={college2?.unitid} />
+                <div className="lg:col-span-2 bg-white p-4 rounded-xl shadow-sm border space-y-3">
+                    <h2 className="font-bold text-lg">Metrics</h2>
+                    <div className="flex flex-wrap gap-x-6 gap-y-2">
+                        {COMPARISON_METRICS.map(metric => (
+                            <label key={metric.id} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                                <input type="checkbox" checked={metricIds.includes(metric.id)} onChange={() => toggleMetric(metric.id)} />
+                                {metric.label}
+                            </label>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                        <span className="inline-block w-3 h-3 bg-green-100 border border-green-300 rounded-sm align-middle mr-1"></span>
+                        Highlighted cells show the best value in each row.
+                    </p>
                 </div>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div className="bg-white p-6 rounded-xl shadow-sm border">
-                    {loading.col1 ? <p>Loading...</p> : <CollegeDetails college={college1} />}
-                </div>
-                <div className="bg-white p-6 rounded-xl shadow-sm border">
-                    {loading.col2 ? <p>Loading...</p> : <CollegeDetails college={college2} />}
+            <div className="bg-white p-4 rounded-xl shadow-sm border space-y-3">
+                <div>
+                    <h2 className="font-bold text-lg">Your Net Price</h2>
+                    <p className="text-xs text-gray-500">Estimates what your family would pay at each college after grants and scholarships.</p>
                 </div>
+                <NetPriceCalculator
+                    inputs={netPrice.inputs}
+                    onChange={netPrice.updateInputs}
+                    onSave={netPrice.saveInputs}
+                    isDirty={netPrice.isDirty}
+                    saving={netPrice.saving}
+                    error={netPrice.error}
+                />
             </div>
+
+            {error && <div className="p-4 bg-red-50 text-red-600 rounded-lg text-center">{error}</div>}
+
+            {selectedIds.length === 0 ? (
+                <div className="p-10 bg-gray-50 rounded-lg text-center text-gray-500">
+                    Search for colleges above to start a comparison.
+                </div>
+            ) : loading && colleges.length === 0 ? (
+                <div className="text-center py-10">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                    <p className="mt-4 text-gray-500">Loading college data...</p>
+                </div>
+            ) : colleges.length > 0 && (
+                <>
+                    <ComparisonTable colleges={colleges} rows={rows} onRemove={removeCollege} />
+
+                    <ComparisonCharts colleges={colleges} />
+                </>
+            )}
+
+            <Modal isOpen={shareOpen} onClose={() => setShareOpen(false)} title="Share Comparison">
+                {shareOpen && (
+                    <ShareDialog
+                        description={`Share a read-only copy of this comparison of ${colleges.length} colleges with a counselor or parent.`}
+                        buildSnapshot={(fields) => buildComparisonSnapshot(colleges, profile, fields)}
+                        onClose={() => setShareOpen(false)}
+                    />
+                )}
+            </Modal>
         </div>
     );
 };
 
-export default CompareCollegesPage;
\ No newline at end of file
+export default CompareCollegesPage;
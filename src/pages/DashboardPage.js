@@ -2,69 +2,113 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { LoaderCircle } from 'lucide-react';
+import { useSavedScholarships } from '../contexts/SavedScholarshipsContext';
+import { useApplications } from '../contexts/ApplicationsContext';
+import { useCollegeList } from '../contexts/CollegeListContext';
+import { LoaderCircle, Printer } from 'lucide-react';
 import ProfileCard from '../components/ProfileCard';
 import CollegeMatchesCard from '../components/CollegeMatchesCard';
 import ScholarshipsCard from '../components/ScholarshipsCard';
 import CareerSnapshotCard from '../components/CareerSnapshotCard';
 import ActionPlan from '../components/ActionPlan';
 import Modal from '../components/Modal';
+import PrintDocument, { PrintSection, PrintProfileSummary, PrintScholarshipList, PrintActionPlan } from '../components/PrintDocument';
+import usePrintDocument from '../hooks/usePrintDocument';
 import { 
-  getDashboardData, 
+  loadDashboardData, 
+  DASHBOARD_SECTIONS,
   getDynamicGreeting, 
   formatCurrency, 
   getDaysUntilDeadline, 
   getDeadlineColor 
 } from '../utils/dashboardHelpers';
+import { isAbortError } from '../services/api';
+import { getCollegeListActions } from '../utils/collegeList';
+import { formatChanceRange } from '../utils/admissionProbability';
+import { readNetPriceInputs, yearlyNetPrice } from '../utils/netPrice';
+
+// Placeholder shown while a card's section is still loading
+const CardSkeleton = () => (
+  <div className="bg-white p-6 rounded-2xl shadow-lg flex flex-col h-full animate-pulse">
+    <div className="flex items-center mb-4">
+      <div className="bg-gray-200 h-10 w-10 rounded-lg mr-4"></div>
+      <div className="bg-gray-200 h-5 w-32 rounded"></div>
+    </div>
+    <div className="space-y-3 flex-grow">
+      <div className="bg-gray-100 h-16 rounded-lg"></div>
+      <div className="bg-gray-100 h-4 rounded w-3/4"></div>
+      <div className="bg-gray-100 h-4 rounded w-1/2"></div>
+    </div>
+  </div>
+);
 
 export default function DashboardPage() {
   const navigate = useNavigate();
   const { user, profile } = useAuth();
+  const { savedCount } = useSavedScholarships();
+  const { totals: applicationTotals } = useApplications();
+  const { buckets: listBuckets, count: listCount, warnings: listWarnings, loading: listLoading } = useCollegeList();
   
   // State management
   const [dashboardData, setDashboardData] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [pendingSections, setPendingSections] = useState(() => new Set(DASHBOARD_SECTIONS));
   const [error, setError] = useState(null);
   const [isMatchesModalOpen, setMatchesModalOpen] = useState(false);
   const [isScholarshipsModalOpen, setScholarshipsModalOpen] = useState(false);
+  const { isPrinting, startPrint } = usePrintDocument('Scholargy Dashboard Summary');
 
   // Get dynamic greeting
   const greeting = useMemo(() => getDynamicGreeting(), []);
+  const netPriceInputs = useMemo(() => readNetPriceInputs(profile), [profile]);
 
-  // Fetch all dashboard data using the comprehensive helper
+  // College list gaps go to the top of the action plan; wait for ratings so they don't flicker
+  const listActions = useMemo(() => (listLoading ? [] : getCollegeListActions(listBuckets))
+    .map(({ path, ...item }) => ({ ...item, action: () => navigate(path) })), [listLoading, listBuckets, navigate]);
+
+  // Stream dashboard sections in; each card renders as soon as its data arrives
   useEffect(() => {
-    const fetchDashboardData = async () => {
-      setLoading(true);
-      setError(null);
-      
-      try {
-        console.log('Starting dashboard data fetch for user:', user?.id);
-        
-        // Use the comprehensive dashboard helper
-        const data = await getDashboardData(user?.id, profile);
-        console.log('Dashboard data received:', data);
-        setDashboardData(data);
-        
+    if (!user?.id) {
+      console.log('No user ID available, skipping dashboard fetch');
+      setPendingSections(new Set());
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setDashboardData({});
+    setPendingSections(new Set(DASHBOARD_SECTIONS));
+    setError(null);
+
+    console.log('Starting dashboard data fetch for user:', user.id);
+    loadDashboardData(user.id, profile, {
+      signal: controller.signal,
+      onSection: (section, patch) => {
+        setDashboardData(prev => ({ ...prev, ...patch }));
+        setPendingSections(prev => {
+          const next = new Set(prev);
+          next.delete(section);
+          return next;
+        });
+      }
+    })
+      .then(data => {
         // Log context information for debugging
         if (data.context) {
           console.log('Dashboard Context:', data.context);
         }
-      } catch (err) {
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
         console.error('Dashboard fetch error:', err);
         setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
+      });
 
-    if (user?.id) {
-      fetchDashboardData();
-    } else {
-      console.log('No user ID available, skipping dashboard fetch');
-      setLoading(false);
-    }
+    return () => controller.abort();
   }, [user?.id, profile]);
 
+  // The page frame waits only for the profile; the remaining cards stream in
+  const loading = pendingSections.has('studentProfile') && !error;
+  const isPending = (section) => pendingSections.has(section);
+
   // Loading state
   if (loading) {
     return (
@@ -131,13 +175,13 @@ export default function DashboardPage() {
 
   const {
     studentProfile,
-    topColleges,
-    scholarships,
-    careerInsights,
-    actionPlan,
-    admissionProbabilities,
+    topColleges = [],
+    scholarships = { totalEligibleAmount: 0, opportunities: [] },
+    careerInsights = '',
+    actionPlan = [],
+    admissionProbabilities = {},
     userStats,
-    context
+    context = {}
   } = dashboardData;
 
   // No profile state
@@ -163,9 +207,20 @@ export default function DashboardPage() {
       <div className="container mx-auto p-4 sm:p-6 lg:p-8">
         {/* Header */}
         <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-800 mb-2">
-            {greeting}, {studentProfile.fullName || studentProfile.first_name || 'Student'}!
-          </h1>
+          <div className="flex flex-wrap items-start justify-between gap-4">
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">
+              {greeting}, {studentProfile.fullName || studentProfile.first_name || 'Student'}!
+            </h1>
+            <button
+              onClick={startPrint}
+              disabled={pendingSections.size > 0}
+              title={pendingSections.size > 0 ? 'Available once your dashboard finishes loading' : undefined}
+              className="print-hidden flex items-center gap-2 bg-white px-4 py-2 rounded-lg border shadow-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Printer className="h-4 w-4" />
+              Print / Save as PDF
+            </button>
+          </div>
           <p className="text-gray-600">
             Here's your personalized dashboard with AI-powered insights and recommendations.
           </p>
@@ -201,22 +256,74 @@ export default function DashboardPage() {
         {/* Main Grid */}
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-8 mb-8">
           <ProfileCard profile={studentProfile} stats={userStats} />
-          <CollegeMatchesCard 
-            matches={topColleges} 
-            probabilities={admissionProbabilities} 
-            onViewAll={() => setMatchesModalOpen(true)} 
-          />
-          <ScholarshipsCard 
-            scholarships={scholarships} 
-            onViewAll={() => setScholarshipsModalOpen(true)} 
-          />
-          <CareerSnapshotCard careerData={careerInsights} profile={studentProfile} />
+          {isPending('topColleges') ? <CardSkeleton /> : (
+            <CollegeMatchesCard 
+              matches={topColleges} 
+              probabilities={admissionProbabilities} 
+              netPriceInputs={netPriceInputs}
+              collegeList={{ buckets: listBuckets, count: listCount, warnings: listWarnings }}
+              onViewAll={() => setMatchesModalOpen(true)} 
+            />
+          )}
+          {isPending('scholarships') ? <CardSkeleton /> : (
+            <ScholarshipsCard 
+              scholarships={scholarships} 
+              savedCount={savedCount}
+              applicationTotals={applicationTotals}
+              onViewAll={() => setScholarshipsModalOpen(true)} 
+            />
+          )}
+          {isPending('careerInsights') ? <CardSkeleton /> : (
+            <CareerSnapshotCard careerData={careerInsights} profile={studentProfile} />
+          )}
         </div>
 
         {/* Action Plan */}
-        <ActionPlan items={actionPlan} />
+        {isPending('actionPlan') ? <CardSkeleton /> : <ActionPlan items={[...listActions, ...actionPlan]} />}
       </div>
 
+      {isPrinting && (
+        <PrintDocument
+          title="Dashboard Summary"
+          subtitle={context.applicationSeason ? `${context.applicationSeason} Application Season` : undefined}
+          studentName={studentProfile.fullName || studentProfile.first_name}
+        >
+          <PrintProfileSummary profile={studentProfile} />
+          <PrintSection title="College Fit">
+            {topColleges.length === 0 ? (
+              <p className="text-gray-600">No college matches yet.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-gray-500">
+                    <th className="py-1 pr-4">College</th>
+                    <th className="py-1 pr-4">Admission Rate</th>
+                    <th className="py-1 pr-4">Est. Net Price</th>
+                    <th className="py-1">Your Chances</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {topColleges.map((college, index) => {
+                    const probability = admissionProbabilities[college.unitid || college._id];
+                    const netCost = yearlyNetPrice(college, netPriceInputs);
+                    return (
+                      <tr key={college.unitid || college._id || index} className="print-row border-b last:border-b-0">
+                        <td className="py-1 pr-4 font-medium">{college.general_info?.name || college.name || 'Unknown College'}</td>
+                        <td className="py-1 pr-4">{college.admission_rate ? `${(college.admission_rate * 100).toFixed(1)}%` : 'N/A'}</td>
+                        <td className="py-1 pr-4">{typeof netCost === 'number' ? `${formatCurrency(netCost)}/yr` : 'N/A'}</td>
+                        <td className="py-1 capitalize">{probability ? `${formatChanceRange(probability)} (${probability.likelihood})` : 'N/A'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </PrintSection>
+          <PrintScholarshipList scholarships={scholarships.opportunities || []} />
+          <PrintActionPlan items={[...listActions, ...actionPlan]} />
+        </PrintDocument>
+      )}
+
       {/* College Matches Modal */}
       <Modal isOpen={isMatchesModalOpen} onClose={() => setMatchesModalOpen(false)} title="All College Matches">
         <div className="space-y-4">
@@ -227,7 +334,7 @@ export default function DashboardPage() {
               const location = college.general_info ? 
                 `${college.general_info.city}, ${college.general_info.state}` : 
                 college.location || 'Location not specified';
-              const netCost = college.netCost || college.cost_and_aid?.tuition_in_state || 'N/A';
+              const netCost = yearlyNetPrice(college, netPriceInputs) ?? 'N/A';
               
               return (
                 <div key={index} className="flex items-start space-x-4 p-4 border rounded-lg hover:bg-gray-50 transition-colors">
@@ -240,7 +347,7 @@ export default function DashboardPage() {
                         <p className="font-bold text-lg text-gray-800">{collegeName}</p>
                         <p className="text-sm text-gray-600 mb-2">{location}</p>
                         <p className="text-sm text-gray-600">
-                          Est. Net Cost: {typeof netCost === 'number' ? formatCurrency(netCost) : netCost}/yr
+                          Est. Net Price: {typeof netCost === 'number' ? formatCurrency(netCost) : netCost}/yr
                         </p>
                         {college.admission_rate && (
                           <p className="text-xs text-gray-500">
@@ -251,7 +358,8 @@ export default function DashboardPage() {
                       <div className="text-right">
                         {probability && (
                           <>
-                            <p className="text-lg font-semibold text-gray-600">{probability.probability}%</p>
+                            <p className="text-lg font-semibold text-gray-600">{formatChanceRange(probability)}</p>
+                            <p className="text-xs text-gray-500 mb-1">{probability.confidence} confidence</p>
                             <span className={`px-2 py-1 rounded text-xs font-semibold ${
                               probability.likelihood === 'safety' ? 'bg-green-100 text-green-600' : 
                               probability.likelihood === 'target' ? 'bg-yellow-100 text-yellow-600' : 
@@ -0,0 +1,300 @@
+// src/pages/DeadlineCalendarPage.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useApplications } from '../contexts/ApplicationsContext';
+import { useSavedScholarships } from '../contexts/SavedScholarshipsContext';
+import {
+    getUpcomingDeadlines,
+    getUpcomingScholarshipDeadlines,
+    getRememberedActionPlan,
+    createCalendarFeed,
+    isAbortError
+} from '../services/api';
+import {
+    EVENT_TYPES,
+    buildCalendarEvents,
+    partitionDeadlines,
+    getMonthGrid,
+    getWeekDays,
+    groupEventsByDay,
+    toDateKey,
+    generateIcs,
+    downloadIcs
+} from '../utils/calendar';
+import { formatCurrency, getDaysUntilDeadline, getDeadlineColor, generateFallbackActionPlan } from '../utils/dashboardHelpers';
+
+// How far ahead to pull deadlines from the backend
+const LOOKAHEAD_DAYS = 365;
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EventPill = ({ event, onClick }) => {
+    const daysLeft = getDaysUntilDeadline(event.date);
+    return (
+        <button
+            type="button"
+            onClick={() => onClick(event)}
+            title={event.title}
+            className={`w-full text-left text-xs px-2 py-1 rounded truncate flex items-center gap-1 ${getDeadlineColor(daysLeft)}`}
+        >
+            <span className={`inline-block h-2 w-2 rounded-full flex-shrink-0 ${EVENT_TYPES[event.type].dot}`}></span>
+            <span className="truncate">{event.title}</span>
+        </button>
+    );
+};
+
+const DeadlineCalendarPage = () => {
+    const navigate = useNavigate();
+    const { user, profile } = useAuth();
+    const { applications } = useApplications();
+    const { savedScholarships } = useSavedScholarships();
+
+    const [remote, setRemote] = useState({ scholarships: [], colleges: [] });
+    const [loading, setLoading] = useState(true);
+    const [view, setView] = useState('month');
+    const [cursorDate, setCursorDate] = useState(() => new Date());
+    const [hiddenTypes, setHiddenTypes] = useState([]);
+    const [feedUrl, setFeedUrl] = useState('');
+    const [feedError, setFeedError] = useState('');
+
+    useEffect(() => {
+        const controller = new AbortController();
+        const options = { signal: controller.signal };
+
+        const loadDeadlines = async () => {
+            setLoading(true);
+            const [scholarshipDeadlines, dashboardDeadlines] = await Promise.allSettled([
+                getUpcomingScholarshipDeadlines(LOOKAHEAD_DAYS, options),
+                getUpcomingDeadlines(LOOKAHEAD_DAYS, options)
+            ]);
+            if (controller.signal.aborted) return;
+
+            const valueOf = (result) => (result.status === 'fulfilled' ? result.value : null);
+            [scholarshipDeadlines, dashboardDeadlines]
+                .filter(result => result.status === 'rejected' && !isAbortError(result.reason))
+                .forEach(result => console.warn('Failed to load calendar deadlines:', result.reason));
+
+            const scholarshipList = valueOf(scholarshipDeadlines);
+            const mixed = partitionDeadlines(valueOf(dashboardDeadlines)?.deadlines || []);
+            setRemote({
+                scholarships: [
+                    ...(scholarshipList?.deadlines || scholarshipList?.scholarships || []),
+                    ...mixed.scholarships
+                ],
+                colleges: mixed.colleges
+            });
+            setLoading(false);
+        };
+        loadDeadlines();
+
+        return () => controller.abort();
+    }, []);
+
+    // Action items come from the dashboard's last plan, since generating one here would be a costly AI call.
+    // Without a dashboard visit this session, use the plan the dashboard itself falls back to.
+    const actions = useMemo(() => {
+        const remembered = getRememberedActionPlan(user?.id);
+        return remembered.length > 0 ? remembered : generateFallbackActionPlan(profile);
+    }, [user?.id, profile]);
+
+    // Tracked applications and saved scholarships add deadlines the backend list may not include
+    const events = useMemo(() => {
+        const tracked = applications
+            .filter(application => !['awarded', 'declined'].includes(application.status))
+            .map(application => ({ ...application.scholarship, _id: application.scholarshipId }));
+        const saved = savedScholarships.map(entry => entry.scholarship).filter(Boolean);
+        return buildCalendarEvents({
+            scholarships: [...remote.scholarships, ...tracked, ...saved],
+            colleges: remote.colleges,
+            actions
+        });
+    }, [remote, actions, applications, savedScholarships]);
+
+    const visibleEvents = useMemo(
+        () => events.filter(event => !hiddenTypes.includes(event.type)),
+        [events, hiddenTypes]
+    );
+    const eventsByDay = useMemo(() => groupEventsByDay(visibleEvents), [visibleEvents]);
+    const weeks = useMemo(
+        () => (view === 'month' ? getMonthGrid(cursorDate) : [getWeekDays(cursorDate)]),
+        [view, cursorDate]
+    );
+    const todayKey = toDateKey(new Date());
+
+    const shiftPeriod = (direction) => {
+        setCursorDate(prev => {
+            const next = new Date(prev);
+            if (view === 'month') next.setMonth(prev.getMonth() + direction, 1);
+            else next.setDate(prev.getDate() + direction * 7);
+            return next;
+        });
+    };
+
+    const toggleType = (type) => {
+        setHiddenTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+    };
+
+    const handleEventClick = (event) => {
+        if (event.link) navigate(event.link);
+    };
+
+    const handleDownload = () => {
+        downloadIcs(generateIcs(visibleEvents, { origin: window.location.origin }));
+    };
+
+    const handleSubscribe = async () => {
+        setFeedError('');
+        try {
+            const result = await createCalendarFeed(user.id);
+            if (!result?.url) throw new Error('No feed URL returned');
+            setFeedUrl(result.url.replace(/^https?:/, 'webcal:'));
+        } catch (err) {
+            console.error('Failed to create calendar feed:', err);
+            setFeedError('Calendar subscriptions are not available right now. Download the .ics file instead.');
+        }
+    };
+
+    const periodLabel = view === 'month'
+        ? cursorDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+        : `Week of ${weeks[0][0].toLocaleDateString()}`;
+
+    const upcoming = visibleEvents.filter(event => getDaysUntilDeadline(event.date) >= 0).slice(0, 8);
+
+    return (
+        <div className="max-w-7xl mx-auto space-y-6">
+            <div className="bg-white p-6 rounded-xl shadow-sm border flex flex-wrap justify-between items-start gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-800">Deadline Calendar</h1>
+                    <p className="text-gray-500 mt-1">Scholarship, college application and action plan deadlines in one place.</p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                    <button
+                        onClick={handleDownload}
+                        disabled={visibleEvents.length === 0}
+                        className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+                    >
+                        Download .ics
+                    </button>
+                    <button
+                        onClick={handleSubscribe}
+                        className="bg-white text-blue-600 border border-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50"
+                    >
+                        Subscribe
+                    </button>
+                </div>
+                {(feedUrl || feedError) && (
+                    <div className="w-full text-sm">
+                        {feedUrl ? (
+                            <p className="bg-blue-50 p-3 rounded-lg text-blue-800">
+                                Add this URL to Google Calendar, Apple Calendar or Outlook:{' '}
+                                <a href={feedUrl} className="font-mono break-all underline">{feedUrl}</a>
+                            </p>
+                        ) : (
+                            <p className="bg-red-50 p-3 rounded-lg text-red-600">{feedError}</p>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            <div className="bg-white p-4 rounded-xl shadow-sm border flex flex-wrap items-center justify-between gap-4">
+                <div className="flex items-center gap-2">
+                    <button onClick={() => shiftPeriod(-1)} className="px-3 py-1 border rounded-lg hover:bg-gray-100">&larr;</button>
+                    <button onClick={() => setCursorDate(new Date())} className="px-3 py-1 border rounded-lg hover:bg-gray-100">Today</button>
+                    <button onClick={() => shiftPeriod(1)} className="px-3 py-1 border rounded-lg hover:bg-gray-100">&rarr;</button>
+                    <h2 className="text-lg font-semibold text-gray-800 ml-2">{periodLabel}</h2>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                    {Object.entries(EVENT_TYPES).map(([type, meta]) => (
+                        <button
+                            key={type}
+                            onClick={() => toggleType(type)}
+                            className={`flex items-center gap-1 text-sm px-2 py-1 rounded-full border ${
+                                hiddenTypes.includes(type) ? 'opacity-40' : ''
+                            }`}
+                        >
+                            <span className={`inline-block h-2 w-2 rounded-full ${meta.dot}`}></span>
+                            {meta.label}
+                        </button>
+                    ))}
+                    <select value={view} onChange={(e) => setView(e.target.value)} className="p-2 border rounded-lg bg-gray-50 text-sm">
+                        <option value="month">Month</option>
+                        <option value="week">Week</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                <div className="lg:col-span-3 bg-white rounded-xl shadow-sm border overflow-hidden">
+                    <div className="grid grid-cols-7 bg-gray-50 border-b text-xs font-semibold text-gray-500 text-center">
+                        {WEEKDAY_LABELS.map(label => <div key={label} className="py-2">{label}</div>)}
+                    </div>
+                    {loading ? (
+                        <div className="text-center py-16">
+                            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                            <p className="mt-4 text-gray-500">Loading deadlines...</p>
+                        </div>
+                    ) : (
+                        weeks.map(week => (
+                            <div key={toDateKey(week[0])} className="grid grid-cols-7 border-b last:border-b-0">
+                                {week.map(day => {
+                                    const key = toDateKey(day);
+                                    const dayEvents = eventsByDay[key] || [];
+                                    const outsideMonth = view === 'month' && day.getMonth() !== cursorDate.getMonth();
+                                    return (
+                                        <div
+                                            key={key}
+                                            className={`border-r last:border-r-0 p-1 space-y-1 ${view === 'week' ? 'min-h-[16rem]' : 'min-h-[6rem]'} ${
+                                                outsideMonth ? 'bg-gray-50 text-gray-400' : ''
+                                            }`}
+                                        >
+                                            <div className={`text-xs font-semibold text-right px-1 ${
+                                                key === todayKey ? 'text-white bg-blue-600 rounded-full w-6 h-6 flex items-center justify-center ml-auto' : ''
+                                            }`}>
+                                                {day.getDate()}
+                                            </div>
+                                            {dayEvents.slice(0, view === 'week' ? dayEvents.length : 3).map(event => (
+                                                <EventPill key={event.id} event={event} onClick={handleEventClick} />
+                                            ))}
+                                            {view === 'month' && dayEvents.length > 3 && (
+                                                <p className="text-xs text-gray-500 px-1">+{dayEvents.length - 3} more</p>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        ))
+                    )}
+                </div>
+
+                <div className="bg-white p-4 rounded-xl shadow-sm border">
+                    <h2 className="font-bold text-gray-800 mb-3">Coming Up</h2>
+                    {upcoming.length === 0 ? (
+                        <p className="text-sm text-gray-500">No upcoming deadlines.</p>
+                    ) : (
+                        <ul className="space-y-3">
+                            {upcoming.map(event => {
+                                const daysLeft = getDaysUntilDeadline(event.date);
+                                return (
+                                    <li key={event.id} onClick={() => handleEventClick(event)} className={event.link ? 'cursor-pointer' : ''}>
+                                        <p className="text-sm font-medium text-gray-800">{event.title}</p>
+                                        <div className="flex justify-between items-center text-xs text-gray-500 mt-1">
+                                            <span>
+                                                {event.date.toLocaleDateString()}
+                                                {event.amount ? ` · ${formatCurrency(event.amount)}` : ''}
+                                            </span>
+                                            <span className={`px-2 py-0.5 rounded font-semibold ${getDeadlineColor(daysLeft)}`}>
+                                                {daysLeft} days
+                                            </span>
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DeadlineCalendarPage;
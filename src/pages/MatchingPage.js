@@ -1,8 +1,10 @@
 // src/pages/MatchingPage.js
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import { findMatchingScholarships } from '../services/api';
+import MatchBreakdown from '../components/MatchBreakdown';
+import { explainMatch } from '../utils/matchExplanation';
 
 const MatchingPage = () => {
     const { profile } = useAuth();
@@ -10,6 +12,11 @@ const MatchingPage = () => {
     const [matches, setMatches] = useState([]);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+
+    const explanations = useMemo(() => Object.fromEntries(
+        matches.map(scholarship => [scholarship._id, explainMatch(scholarship, profile)])
+    ), [matches, profile]);
 
     const findMatches = async () => {
         if (!profile) {
@@ -55,26 +62,48 @@ const MatchingPage = () => {
             {matches.length > 0 && (
                 <div className="space-y-4">
                     <h2 className="text-xl font-bold text-gray-800">Your Top Matches</h2>
-                    {matches.map(scholarship => (
-                        <div 
-                            key={scholarship._id} 
-                            onClick={() => navigate(`/scholarship/${scholarship._id}`)}
-                            className="bg-white p-4 rounded-lg border shadow-sm hover:shadow-md hover:border-blue-500 cursor-pointer transition-colors"
-                        >
-                            <div className="flex justify-between items-start">
-                                <div>
-                                    <h3 className="font-bold text-lg text-blue-800">{scholarship.title}</h3>
-                                    <p className="text-sm text-gray-600">{scholarship.provider}</p>
-                                </div>
-                                <div className="text-right flex-shrink-0 ml-4">
-                                    <p className="font-bold text-xl text-green-600">${scholarship.amount?.toLocaleString() || scholarship.award_info?.funds?.amount?.toLocaleString() || '0'}</p>
-                                    <p className={`text-xs font-semibold px-2 py-1 rounded-full ${scholarship.relevance === 'High' ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'}`}>
-                                        {scholarship.relevance || 'Good'} Match
-                                    </p>
+                    {matches.map(scholarship => {
+                        const explanation = explanations[scholarship._id];
+                        const expanded = expandedId === scholarship._id;
+                        return (
+                            <div 
+                                key={scholarship._id} 
+                                onClick={() => navigate(`/scholarship/${scholarship._id}`)}
+                                className="bg-white p-4 rounded-lg border shadow-sm hover:shadow-md hover:border-blue-500 cursor-pointer transition-colors"
+                            >
+                                <div className="flex justify-between items-start">
+                                    <div>
+                                        <h3 className="font-bold text-lg text-blue-800">{scholarship.title}</h3>
+                                        <p className="text-sm text-gray-600">{scholarship.provider}</p>
+                                    </div>
+                                    <div className="text-right flex-shrink-0 ml-4">
+                                        <p className="font-bold text-xl text-green-600">${scholarship.amount?.toLocaleString() || scholarship.award_info?.funds?.amount?.toLocaleString() || '0'}</p>
+                                        <p className={`text-xs font-semibold px-2 py-1 rounded-full ${scholarship.relevance === 'High' ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'}`}>
+                                            {scholarship.fit_score ? `${scholarship.fit_score}%` : scholarship.relevance || 'Good'} Match
+                                        </p>
+                                    </div>
                                 </div>
+                                {explanation && explanation.criteria.length > 0 && (
+                                    <div className="mt-3 pt-3 border-t border-gray-100">
+                                        <button
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                setExpandedId(expanded ? null : scholarship._id);
+                                            }}
+                                            className="text-sm text-blue-600 font-semibold hover:underline"
+                                        >
+                                            {expanded ? 'Hide breakdown' : `Why this match? (${explanation.met}/${explanation.criteria.length} requirements met)`}
+                                        </button>
+                                        {expanded && (
+                                            <div className="mt-3" onClick={(e) => e.stopPropagation()}>
+                                                <MatchBreakdown explanation={explanation} fitScore={scholarship.fit_score || null} compact />
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
                             </div>
-                        </div>
-                    ))}
+                        );
+                    })}
                 </div>
             )}
         </div>
@@ -1,7 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 // Import hooks from react-router-dom
 import { useParams, useNavigate } from 'react-router-dom';
-import { getInstitutionDetails } from '../services/api';
+import { getInstitutionDetails, queryKeys } from '../services/api';
+import { useCollegeList } from '../contexts/CollegeListContext';
+import useCachedQuery from '../hooks/useCachedQuery';
+import ScoreBar from '../components/ScoreBar';
 
 const DataCard = ({ title, children, icon }) => (
     <div className="bg-white p-6 rounded-xl shadow-sm border">
@@ -13,50 +16,34 @@ const DataCard = ({ title, children, icon }) => (
     </div>
 );
 
-const ScoreBar = ({ min, max, label, range = 1600 }) => {
-    if (typeof min !== 'number' || typeof max !== 'number') return null;
-    const left = (min / range) * 100;
-    const width = ((max - min) / range) * 100;
-    return (
-        <div>
-            <div className="flex justify-between text-xs text-gray-500 mb-1">
-                <span>{min}</span>
-                <span>{max}</span>
-            </div>
-            <div className="w-full bg-gray-200 rounded-full h-2.5">
-                <div className="bg-blue-500 h-2.5 rounded-full" style={{ marginLeft: `${left}%`, width: `${width}%` }}></div>
-            </div>
-            <p className="text-sm text-center mt-1 font-medium">{label}</p>
-        </div>
-    );
-};
-
-
 const ProfilePage = () => {
     // Get the dynamic 'collegeId' from the URL
     const { collegeId } = useParams();
     // Get the navigate function for programmatic navigation
     const navigate = useNavigate();
-    const [college, setCollege] = useState(null);
-    const [loading, setLoading] = useState(true);
-
-    useEffect(() => {
-        const fetchDetails = async () => {
-            setLoading(true);
-            const details = await getInstitutionDetails(collegeId);
-            setCollege(details);
-            setLoading(false);
-        };
-        // Fetch details whenever the collegeId from the URL changes
-        if (collegeId) {
-            fetchDetails();
-        }
-    }, [collegeId]);
+    const { isInList, addCollege, removeCollege } = useCollegeList();
+    const [listError, setListError] = useState('');
+    // Served from the shared cache when the user revisits a college
+    const { data: college, loading } = useCachedQuery(
+        collegeId ? queryKeys.institution(collegeId) : null,
+        (signal) => getInstitutionDetails(collegeId, { signal })
+    );
 
     if (loading) return <div className="text-center p-10">Loading College Profile...</div>;
     if (!college) return <div className="text-center p-10">Could not find college data.</div>;
 
     const { general_info, cost_and_aid, admissions, outcomes, derivedData } = college;
+    const inList = isInList(college.unitid);
+
+    const toggleList = async () => {
+        setListError('');
+        try {
+            if (inList) await removeCollege(college.unitid);
+            else await addCollege(college);
+        } catch (err) {
+            setListError(err.message || 'Could not update your college list.');
+        }
+    };
 	
     return (
         <div>
@@ -101,6 +88,13 @@ const ProfilePage = () => {
                     <button onClick={() => navigate(`/report/${collegeId}`)} className="w-full bg-green-600 text-white font-bold py-3 px-8 rounded-lg shadow-md hover:bg-green-700 transition-all transform hover:scale-105">
                         Generate Scholargy Report
                     </button>
+                    <button onClick={() => navigate(`/compare?ids=${collegeId}`)} className="w-full bg-white text-blue-700 font-bold py-3 px-8 rounded-lg border border-blue-200 shadow-sm hover:bg-blue-50 transition-colors">
+                        Compare with Other Colleges
+                    </button>
+                    <button onClick={toggleList} className={`w-full font-bold py-3 px-8 rounded-lg border shadow-sm transition-colors ${inList ? 'bg-blue-50 text-blue-700 border-blue-300 hover:bg-blue-100' : 'bg-white text-gray-700 border-gray-200 hover:bg-gray-50'}`}>
+                        {inList ? '✓ On Your College List' : 'Add to College List'}
+                    </button>
+                    {listError && <p className="text-sm text-red-600 text-center">{listError}</p>}
                 </div>
             </div>
         </div>
@@ -1,75 +1,299 @@
 // src/pages/ReportPage.js
-// This page shows a comparison report between the student and a specific college.
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { getInstitutionDetails } from '../services/api';
+// Personalized report comparing the signed-in student's profile with a specific college.
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Share2, Printer } from 'lucide-react';
+import { getInstitutionDetails, generateReport, isAbortError, queryKeys } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import { useSavedScholarships } from '../contexts/SavedScholarshipsContext';
+import useCachedQuery from '../hooks/useCachedQuery';
+import usePrintDocument from '../hooks/usePrintDocument';
+import useNetPriceInputs from '../hooks/useNetPriceInputs';
+import Modal from '../components/Modal';
+import PrintDocument, { PrintSection, PrintProfileSummary, PrintScholarshipList, PrintActionPlan } from '../components/PrintDocument';
+import ShareDialog from '../components/ShareDialog';
+import ScoreBar from '../components/ScoreBar';
+import NetPriceCalculator, { NetPriceProjection } from '../components/NetPriceCalculator';
+import { buildCollegeFit, assessCostFit, FIT_CATEGORIES } from '../utils/collegeFit';
+import { formatChanceRange } from '../utils/admissionProbability';
+import { formatMoney } from '../utils/netPrice';
+import { readProfileValue } from '../utils/profileFields';
+import { buildReportSnapshot, pickCollegeFields } from '../utils/shareSnapshot';
+
+const COST_STATUS = {
+    within: { label: 'Within budget', className: 'bg-green-100 text-green-800' },
+    stretch: { label: 'Stretch', className: 'bg-yellow-100 text-yellow-800' },
+    over: { label: 'Over budget', className: 'bg-red-100 text-red-800' },
+    unknown: { label: 'Unknown', className: 'bg-gray-100 text-gray-600' },
+};
+
+// The fields the report endpoint reads, taken from whichever profile shape AuthContext loaded
+const buildStudentProfile = (profile) => ({
+    name: readProfileValue(profile, 'name') || 'Student',
+    gpa: readProfileValue(profile, 'gpa'),
+    satScore: readProfileValue(profile, 'satScore'),
+    actScore: readProfileValue(profile, 'actScore'),
+    major: readProfileValue(profile, 'major'),
+    state: readProfileValue(profile, 'state'),
+    extracurriculars: readProfileValue(profile, 'extracurriculars'),
+    budget: readProfileValue(profile, 'budget'),
+});
+
+// The report endpoint has answered with plain text, `{ report }` and `{ summary, recommendations }`
+const normalizeInsights = (response) => {
+    const body = response?.report ?? response;
+    if (typeof body === 'string') return { summary: body, recommendations: [] };
+    return {
+        summary: body?.summary || body?.assessment || body?.overview || '',
+        recommendations: Array.isArray(body?.recommendations) ? body.recommendations.filter(item => typeof item === 'string') : [],
+    };
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return 'Not provided';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+};
 
 const ReportPage = () => {
     const { collegeId } = useParams(); // Get college ID from URL
     const navigate = useNavigate();
     const { profile } = useAuth(); // Get student profile from context
-    const [college, setCollege] = useState(null);
-    const [loading, setLoading] = useState(true);
+    const { savedScholarships } = useSavedScholarships();
+    const [shareOpen, setShareOpen] = useState(false);
+    const [insights, setInsights] = useState(null);
+    const [insightsLoading, setInsightsLoading] = useState(false);
+    const [insightsError, setInsightsError] = useState('');
+    const [insightsAttempt, setInsightsAttempt] = useState(0);
+    const { data: college, loading } = useCachedQuery(
+        collegeId ? queryKeys.institution(collegeId) : null,
+        (signal) => getInstitutionDetails(collegeId, { signal })
+    );
+
+    const netPrice = useNetPriceInputs();
+    const studentProfile = useMemo(() => buildStudentProfile(profile), [profile]);
+    const fit = useMemo(
+        () => (college && profile ? buildCollegeFit(profile, college, netPrice.inputs) : null),
+        [college, profile, netPrice.inputs]
+    );
+    const fitCategory = fit?.classification.category;
+    // Advisor insights follow the saved cost details rather than every edit in the calculator
+    const savedCostStatus = useMemo(() => (college && profile ? assessCostFit(profile, college).status : null), [college, profile]);
+    const { isPrinting, startPrint } = usePrintDocument(
+        `Scholargy Report - ${college?.general_info?.name || 'College'}`
+    );
 
     useEffect(() => {
-        const fetchDetails = async () => {
-            setLoading(true);
-            const details = await getInstitutionDetails(collegeId);
-            setCollege(details);
-            setLoading(false);
+        if (!college || !fitCategory) return undefined;
+
+        const controller = new AbortController();
+        const loadInsights = async () => {
+            setInsightsLoading(true);
+            setInsightsError('');
+            try {
+                const response = await generateReport(studentProfile, {
+                    ...pickCollegeFields(college),
+                    fit: { category: fitCategory, costStatus: savedCostStatus },
+                }, { signal: controller.signal });
+                setInsights(normalizeInsights(response));
+                setInsightsLoading(false);
+            } catch (err) {
+                if (isAbortError(err)) return;
+                console.error('Report generation failed:', err);
+                setInsightsError(err.isOffline
+                    ? 'You appear to be offline, so advisor insights could not be generated.'
+                    : 'Advisor insights are unavailable right now.');
+                setInsightsLoading(false);
+            }
         };
-        if (collegeId) {
-            fetchDetails();
-        }
-    }, [collegeId]);
+        loadInsights();
+
+        return () => controller.abort();
+    }, [college, fitCategory, savedCostStatus, studentProfile, insightsAttempt]);
 
     if (loading) return <div className="text-center p-10">Generating Report...</div>;
     if (!college || !profile) return <div className="text-center p-10">Could not load data.</div>;
 
-    const studentProfile = {
-        name: profile?.fullName || profile?.first_name || 'Student',
-        gpa: profile?.gpa || '3.85',
-        satScore: profile?.satScore || 1450,
-        extracurriculars: profile?.extracurriculars || 'Debate Club, Varsity Soccer'
-    };
+    const { academic, cost, classification } = fit;
+    const category = FIT_CATEGORIES[classification.category];
+    const costStatus = COST_STATUS[cost.status];
 
     return (
         <div>
-            <button onClick={() => navigate(-1)} className="mb-6 bg-white px-4 py-2 rounded-lg border shadow-sm">
-                &larr; Back to Profile
-            </button>
-            <div className="bg-white p-8 rounded-xl shadow-lg border">
-                <h1 className="text-3xl font-bold text-center mb-2">Scholargy Report</h1>
-                <p className="text-lg text-center text-gray-500 mb-8">
-                    Comparing {studentProfile.name}'s Profile to {college.general_info.name}
-                </p>
+            <div className="print-hidden flex justify-between items-center mb-6">
+                <button onClick={() => navigate(-1)} className="bg-white px-4 py-2 rounded-lg border shadow-sm">
+                    &larr; Back to Profile
+                </button>
+                <div className="flex gap-2">
+                    <button onClick={startPrint} className="flex items-center gap-2 bg-white px-4 py-2 rounded-lg border shadow-sm hover:bg-gray-50">
+                        <Printer className="h-4 w-4" />
+                        Print / Save as PDF
+                    </button>
+                    <button onClick={() => setShareOpen(true)} className="flex items-center gap-2 bg-white px-4 py-2 rounded-lg border shadow-sm hover:bg-gray-50">
+                        <Share2 className="h-4 w-4" />
+                        Share Report
+                    </button>
+                </div>
+            </div>
+            <div className="bg-white p-8 rounded-xl shadow-lg border space-y-8">
+                <div className="text-center">
+                    <h1 className="text-3xl font-bold mb-2">Scholargy Report</h1>
+                    <p className="text-lg text-gray-500">
+                        Comparing {studentProfile.name}'s Profile to {college.general_info.name}
+                    </p>
+                </div>
+
+                <div className="p-6 rounded-lg border bg-gray-50">
+                    <div className="flex items-center gap-3 mb-3">
+                        <h2 className="font-bold text-xl text-gray-800">Admission Outlook</h2>
+                        <span className={`px-3 py-1 rounded-full text-sm font-semibold ${category.className}`}>{category.label}</span>
+                    </div>
+                    {classification.estimate.probability !== null && (
+                        <p className="mb-2 text-gray-800">
+                            <strong>Estimated chance of admission:</strong> {formatChanceRange(classification.estimate)}{' '}
+                            <span className="text-sm text-gray-500">({classification.estimate.confidence} confidence)</span>
+                        </p>
+                    )}
+                    <ul className="list-disc list-inside space-y-1 text-gray-700">
+                        {classification.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                    </ul>
+                </div>
+
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-                    <div className="bg-blue-50 p-6 rounded-lg border border-blue-200">
-                        <h2 className="font-bold text-xl mb-3 text-blue-800">Your Profile ({studentProfile.name})</h2>
-                        <p><strong>GPA:</strong> {studentProfile.gpa}</p>
-                        <p><strong>SAT Score:</strong> {studentProfile.satScore}</p>
-                        <p><strong>Extracurriculars:</strong> {studentProfile.extracurriculars}</p>
+                    <div className="bg-blue-50 p-6 rounded-lg border border-blue-200 space-y-4">
+                        <h2 className="font-bold text-xl text-blue-800">Academic Fit</h2>
+                        <ScoreBar min={academic.sat.range?.min} max={academic.sat.range?.max} label="SAT Composite (25th–75th)" range={1600} marker={academic.sat.score} />
+                        <ScoreBar min={academic.act.range?.min} max={academic.act.range?.max} label="ACT Composite (25th–75th)" range={36} marker={academic.act.score} />
+                        <p><strong>Your GPA:</strong> {academic.gpa.score !== null ? academic.gpa.score.toFixed(2) : 'Not provided'}</p>
+                        <ul className="text-sm text-gray-700 space-y-1">
+                            {academic.summary.map(line => <li key={line}>{line}</li>)}
+                        </ul>
                     </div>
-                    <div className="bg-green-50 p-6 rounded-lg border border-green-200">
-                        <h2 className="font-bold text-xl mb-3 text-green-800">{college.general_info.name}</h2>
-                        <p><strong>Location:</strong> {college.general_info.city}, {college.general_info.state}</p>
-                        <p><strong>Admission Rate:</strong> {college.admissions?.admission_rate ? `${(college.admissions.admission_rate * 100).toFixed(1)}%` : 'N/A'}</p>
-                        <p><strong>Avg. SAT Score (75th percentile):</strong> {college.admissions?.sat_scores?.math_75th ? (college.admissions.sat_scores.math_75th + college.admissions.sat_scores.verbal_75th) : 'N/A'}</p>
+                    <div className="bg-green-50 p-6 rounded-lg border border-green-200 space-y-3">
+                        <div className="flex items-center justify-between">
+                            <h2 className="font-bold text-xl text-green-800">Cost Fit</h2>
+                            <span className={`px-3 py-1 rounded-full text-xs font-semibold ${costStatus.className}`}>{costStatus.label}</span>
+                        </div>
+                        <p><strong>{cost.costLabel}:</strong> {cost.cost !== null ? `${formatMoney(cost.cost)}/yr` : 'N/A'}</p>
+                        {cost.estimate && <p><strong>4-year estimate:</strong> {formatMoney(cost.estimate.fourYearTotal)}</p>}
+                        <p><strong>Your budget:</strong> {cost.budget !== null ? `${formatMoney(cost.budget)}/yr` : 'Not set'}</p>
+                        <p className="text-sm text-gray-700">{cost.summary}</p>
+                        {cost.budget === null && (
+                            <Link to="/student-profile#budget" className="inline-block text-sm font-semibold text-blue-600 hover:underline">
+                                Add a budget to your profile &rarr;
+                            </Link>
+                        )}
                     </div>
                 </div>
-                <div className="mt-8">
+
+                <div className="p-6 rounded-lg border bg-gray-50 space-y-4">
+                    <div>
+                        <h2 className="font-bold text-xl text-gray-800">Net Price Estimate</h2>
+                        <p className="text-sm text-gray-500">What your family might pay after grants and scholarships, based on the details below.</p>
+                    </div>
+                    <NetPriceCalculator
+                        inputs={netPrice.inputs}
+                        onChange={netPrice.updateInputs}
+                        onSave={netPrice.saveInputs}
+                        isDirty={netPrice.isDirty}
+                        saving={netPrice.saving}
+                        error={netPrice.error}
+                    />
+                    <NetPriceProjection estimate={cost.estimate} />
+                </div>
+
+                <div className="p-6 rounded-lg border">
+                    <h2 className="font-bold text-xl mb-3 text-gray-800">Your Profile ({studentProfile.name})</h2>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1">
+                        <p><strong>GPA:</strong> {formatValue(studentProfile.gpa)}</p>
+                        <p><strong>SAT Score:</strong> {formatValue(studentProfile.satScore)}</p>
+                        <p><strong>ACT Score:</strong> {formatValue(studentProfile.actScore)}</p>
+                        <p><strong>Intended Major:</strong> {formatValue(studentProfile.major)}</p>
+                        <p className="sm:col-span-2"><strong>Extracurriculars:</strong> {formatValue(studentProfile.extracurriculars)}</p>
+                    </div>
+                </div>
+
+                <div>
                     <h2 className="text-2xl font-semibold mb-4">Advisor Insights</h2>
                     <div className="prose prose-sm max-w-none bg-gray-50 p-4 rounded-md border">
-                        <p><strong>Overall Assessment:</strong> {studentProfile.name}'s academic profile is strong and aligns well with {college.general_info.name}'s typical student body, particularly with a competitive SAT score.</p>
-                        <ul>
-                            <li><strong>Academic Fit:</strong> Your GPA and SAT scores are within the competitive range for this institution.</li>
-                            <li><strong>Extracurricular Alignment:</strong> Your activities demonstrate leadership and well-rounded interests.</li>
-                            <li><strong>Recommendations:</strong> Consider highlighting specific achievements in your application essays.</li>
-                        </ul>
+                        {insightsLoading ? (
+                            <p className="text-gray-500 animate-pulse">Generating personalized insights...</p>
+                        ) : insightsError ? (
+                            <div className="not-prose flex items-center justify-between gap-4">
+                                <p className="text-gray-600">{insightsError} The fit analysis above is calculated from your profile.</p>
+                                <button onClick={() => setInsightsAttempt(attempt => attempt + 1)} className="text-sm font-semibold text-blue-600 hover:underline whitespace-nowrap">
+                                    Try again
+                                </button>
+                            </div>
+                        ) : insights && (
+                            <>
+                                {insights.summary && <p className="whitespace-pre-wrap">{insights.summary}</p>}
+                                {insights.recommendations.length > 0 && (
+                                    <ul>
+                                        {insights.recommendations.map(item => <li key={item}>{item}</li>)}
+                                    </ul>
+                                )}
+                            </>
+                        )}
                     </div>
                 </div>
             </div>
+
+            {isPrinting && (
+                <PrintDocument title="College Report" subtitle={college.general_info.name} studentName={studentProfile.name}>
+                    <PrintProfileSummary profile={profile} />
+                    <PrintSection title="College Fit">
+                        <p className="mb-2">
+                            <strong>{college.general_info.name}</strong> ({college.general_info.city}, {college.general_info.state}) is a{' '}
+                            <strong>{category.label.toLowerCase()}</strong> school for you
+                            {classification.estimate.probability !== null && ` (estimated chance ${formatChanceRange(classification.estimate)}, ${classification.estimate.confidence} confidence)`}.
+                        </p>
+                        <ul className="list-disc pl-5 space-y-1 mb-3">
+                            {classification.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                        </ul>
+                        <p className="font-semibold">Academic fit</p>
+                        <ul className="list-disc pl-5 space-y-1 mb-3">
+                            {academic.summary.map(line => <li key={line}>{line}</li>)}
+                        </ul>
+                        <p className="font-semibold">Cost fit ({costStatus.label})</p>
+                        <p>{cost.summary}</p>
+                        {cost.estimate && (
+                            <p>
+                                Four-year estimate: {formatMoney(cost.estimate.fourYearTotal)}{' '}
+                                ({cost.estimate.years.map(({ year, cost: yearCost }) => `year ${year} ${formatMoney(yearCost)}`).join(', ')}).
+                            </p>
+                        )}
+                    </PrintSection>
+                    {insights?.summary && (
+                        <PrintSection title="Advisor Insights">
+                            <p className="whitespace-pre-wrap">{insights.summary}</p>
+                        </PrintSection>
+                    )}
+                    <PrintScholarshipList
+                        scholarships={savedScholarships.map(({ scholarship }) => scholarship).filter(Boolean)}
+                        emptyText="Save scholarships from search to include them here."
+                    />
+                    <PrintActionPlan items={insights?.recommendations || []} />
+                </PrintDocument>
+            )}
+
+            {/* Advisor insights and outlook reasons quote profile fields, so only the category and chance range are shared */}
+            <Modal isOpen={shareOpen} onClose={() => setShareOpen(false)} title="Share Report">
+                {shareOpen && (
+                    <ShareDialog
+                        description={`Share a read-only copy of your ${college.general_info.name} report with a counselor or parent.`}
+                        buildSnapshot={(fields) => buildReportSnapshot(college, profile, fields, {
+                            category: classification.category,
+                            estimate: {
+                                probability: classification.estimate.probability,
+                                low: classification.estimate.low,
+                                high: classification.estimate.high,
+                                confidence: classification.estimate.confidence,
+                            },
+                        })}
+                        onClose={() => setShareOpen(false)}
+                    />
+                )}
+            </Modal>
         </div>
     );
 };
@@ -0,0 +1,110 @@
+// src/pages/SavedScholarshipsPage.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getScholarshipById, isAbortError } from '../services/api';
+import { useSavedScholarships } from '../contexts/SavedScholarshipsContext';
+import BookmarkButton from '../components/BookmarkButton';
+import { formatCurrency } from '../utils/dashboardHelpers';
+
+const SavedScholarshipsPage = () => {
+    const navigate = useNavigate();
+    const { savedScholarships, loading, error } = useSavedScholarships();
+    // Details for saved entries the backend returned as bare IDs
+    const [details, setDetails] = useState({});
+
+    const missingIds = useMemo(() => (
+        savedScholarships.filter(({ id, scholarship }) => !scholarship && !(id in details)).map(({ id }) => id)
+    ), [savedScholarships, details]);
+
+    useEffect(() => {
+        if (missingIds.length === 0) return undefined;
+        const controller = new AbortController();
+
+        // One unavailable scholarship shouldn't hide the rest
+        Promise.all(missingIds.map(id => getScholarshipById(id, { signal: controller.signal })
+            .catch(err => {
+                if (isAbortError(err)) throw err;
+                console.error(`Failed to load saved scholarship ${id}:`, err);
+                return null;
+            })
+            .then(scholarship => [id, scholarship])))
+            .then(results => setDetails(prev => ({ ...prev, ...Object.fromEntries(results) })))
+            .catch(err => {
+                if (!isAbortError(err)) console.error('Failed to load saved scholarship details:', err);
+            });
+
+        return () => controller.abort();
+    }, [missingIds]);
+
+    const scholarships = savedScholarships
+        .map(({ id, scholarship }) => scholarship || details[id])
+        .filter(Boolean);
+
+    const totalAmount = scholarships.reduce((sum, s) => sum + (s.amount || 0), 0);
+
+    return (
+        <div className="max-w-6xl mx-auto space-y-6">
+            <div className="bg-white p-6 rounded-xl shadow-sm border flex justify-between items-start">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-800">Saved Scholarships</h1>
+                    <p className="text-gray-500 mt-1">Opportunities you've bookmarked to come back to.</p>
+                </div>
+                <button
+                    onClick={() => navigate('/scholarships')}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+                >
+                    Find More
+                </button>
+            </div>
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-600 rounded-lg text-center">{error}</div>
+            )}
+
+            {!loading && scholarships.length > 0 && (
+                <div className="bg-green-50 p-4 rounded-xl border border-green-200">
+                    <h3 className="text-lg font-semibold text-green-800">
+                        {savedScholarships.length} Saved {savedScholarships.length === 1 ? 'Scholarship' : 'Scholarships'}
+                    </h3>
+                    <p className="text-sm text-green-600">Combined Award Amount: {formatCurrency(totalAmount)}</p>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="text-center py-10">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                    <p className="mt-4 text-gray-500">Loading your saved scholarships...</p>
+                </div>
+            ) : savedScholarships.length === 0 ? (
+                <div className="text-center py-10 bg-gray-50 p-6 rounded-lg">
+                    <p className="text-gray-600 font-semibold">No saved scholarships yet.</p>
+                    <p className="text-gray-500">Use the bookmark icon on any scholarship to save it here.</p>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {scholarships.map(scholarship => (
+                        <div
+                            key={scholarship._id}
+                            onClick={() => navigate(`/scholarship/${scholarship._id}`)}
+                            className="bg-white p-5 rounded-xl border shadow-sm hover:shadow-lg hover:border-blue-500 cursor-pointer transition-all flex flex-col justify-between"
+                        >
+                            <div>
+                                <div className="flex justify-between items-start gap-2">
+                                    <h3 className="font-bold text-lg text-blue-800">{scholarship.title}</h3>
+                                    <BookmarkButton scholarship={scholarship} />
+                                </div>
+                                <p className="text-sm text-gray-600 mt-1">{scholarship.provider}</p>
+                            </div>
+                            <div className="mt-4 pt-4 border-t border-gray-100 text-xs text-gray-500 flex justify-between">
+                                <p><strong>Deadline:</strong> {scholarship.deadline ? new Date(scholarship.deadline).toLocaleDateString() : 'Varies'}</p>
+                                <span className="font-semibold text-green-600">{formatCurrency(scholarship.amount)}</span>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SavedScholarshipsPage;
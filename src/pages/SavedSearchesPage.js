@@ -0,0 +1,119 @@
+// src/pages/SavedSearchesPage.js
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSavedSearches } from '../contexts/SavedSearchesContext';
+import { filtersToSearchParams, describeFilters } from '../utils/scholarshipFilters';
+
+const SavedSearchesPage = () => {
+    const navigate = useNavigate();
+    const {
+        savedSearches,
+        updateSavedSearch,
+        deleteSavedSearch,
+        emailNotifications,
+        setEmailNotifications,
+        loading,
+        error
+    } = useSavedSearches();
+
+    const runSearch = (search) => {
+        navigate(`/scholarships?${filtersToSearchParams(search.filters).toString()}`);
+    };
+
+    // Failures are rolled back and reported by the context
+    const toggleEmail = (search) => updateSavedSearch(search.id, { notify_email: !search.notify_email }).catch(() => {});
+    const toggleAccountEmail = () => setEmailNotifications(!emailNotifications).catch(() => {});
+    const removeSearch = (search) => deleteSavedSearch(search.id).catch(() => {});
+
+    return (
+        <div className="max-w-4xl mx-auto space-y-6">
+            <div className="bg-white p-6 rounded-xl shadow-sm border flex justify-between items-start">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-800">Saved Searches</h1>
+                    <p className="text-gray-500 mt-1">Re-run your favorite searches and see what's new since you last looked.</p>
+                </div>
+                <button
+                    onClick={() => navigate('/scholarships')}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+                >
+                    New Search
+                </button>
+            </div>
+
+            {emailNotifications !== null && (
+                <label className="flex items-center gap-2 bg-white p-4 rounded-xl border shadow-sm text-sm text-gray-700 cursor-pointer">
+                    <input type="checkbox" checked={emailNotifications} onChange={toggleAccountEmail} />
+                    Allow email notifications for my account (choose which searches below)
+                </label>
+            )}
+
+            {error && (
+                <div className="p-4 bg-red-50 text-red-600 rounded-lg text-center">{error}</div>
+            )}
+
+            {loading ? (
+                <div className="text-center py-10">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                    <p className="mt-4 text-gray-500">Loading your saved searches...</p>
+                </div>
+            ) : savedSearches.length === 0 ? (
+                <div className="text-center py-10 bg-gray-50 p-6 rounded-lg">
+                    <p className="text-gray-600 font-semibold">You haven't saved any searches yet.</p>
+                    <p className="text-gray-500">Set up filters on the scholarship search and choose "Save Search".</p>
+                </div>
+            ) : (
+                <ul className="space-y-4">
+                    {savedSearches.map(search => (
+                        <li key={search.id} className="bg-white p-5 rounded-xl border shadow-sm">
+                            <div className="flex justify-between items-start gap-4">
+                                <div className="min-w-0">
+                                    <div className="flex items-center gap-2">
+                                        <h3 className="font-bold text-lg text-blue-800">{search.name}</h3>
+                                        {search.newCount > 0 && (
+                                            <span className="text-xs font-semibold text-white bg-red-500 px-2 py-0.5 rounded-full">
+                                                {search.newCount} new
+                                            </span>
+                                        )}
+                                    </div>
+                                    <p className="text-sm text-gray-600 mt-1 capitalize">{describeFilters(search.filters)}</p>
+                                    <p className="text-xs text-gray-400 mt-1">
+                                        {search.last_result_count} matches when last viewed
+                                        {search.last_viewed_at && ` on ${new Date(search.last_viewed_at).toLocaleDateString()}`}
+                                    </p>
+                                </div>
+                                <button
+                                    onClick={() => runSearch(search)}
+                                    className="flex-shrink-0 bg-blue-50 text-blue-600 font-semibold px-4 py-2 rounded-lg hover:bg-blue-100"
+                                >
+                                    View Results
+                                </button>
+                            </div>
+                            <div className="flex justify-between items-center mt-4 pt-4 border-t border-gray-100 text-sm">
+                                <label className={`flex items-center gap-2 text-gray-700 ${emailNotifications ? 'cursor-pointer' : 'opacity-50'}`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={!!search.notify_email}
+                                        disabled={!emailNotifications}
+                                        onChange={() => toggleEmail(search)}
+                                    />
+                                    Email me about new matches when email alerts launch
+                                </label>
+                                <button onClick={() => removeSearch(search)} className="text-red-600 font-semibold hover:underline">
+                                    Delete
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <p className="text-xs text-gray-400 text-center">
+                Email alerts aren't available yet. When they launch they'll go only to searches you've chosen, and only
+                while email notifications are allowed for your account. Until then new matches are marked here and in the
+                header until you view them.
+            </p>
+        </div>
+    );
+};
+
+export default SavedSearchesPage;
@@ -1,36 +1,43 @@
 // src/pages/ScholarshipDetailPage.js
-import React, { useState, useEffect } from 'react';
+import React, { useMemo, useState } from 'react';
 // CORRECTED: Imported useNavigate for routing
 import { useParams, useNavigate } from 'react-router-dom';
-import { getScholarshipById } from '../services/api';
+import { getScholarshipResponse, queryKeys } from '../services/api';
+import useCachedQuery from '../hooks/useCachedQuery';
+import BookmarkButton from '../components/BookmarkButton';
+import { useApplications } from '../contexts/ApplicationsContext';
+import { getStatusMeta } from '../utils/applicationTracker';
+import { useAuth } from '../contexts/AuthContext';
+import MatchBreakdown from '../components/MatchBreakdown';
+import { explainMatch } from '../utils/matchExplanation';
 
 // REMOVED: setView prop is no longer needed
 const ScholarshipDetailPage = () => {
   const { id } = useParams();
   // CORRECTED: Initialize useNavigate
   const navigate = useNavigate();
-  const [scholarship, setScholarship] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const loadScholarship = async () => {
-      try {
-        setLoading(true);
-        const result = await getScholarshipById(id);
-        setScholarship(result.scholarship);
-      } catch (err) {
-        console.error('Error loading scholarship:', err);
-        setError('Failed to load scholarship details');
-      } finally {
-        setLoading(false);
-      }
-    };
+  // Cached entries hold the raw `{ scholarship }` body
+  const { data: scholarship, loading, error: loadError } = useCachedQuery(
+    id ? queryKeys.scholarship(id) : null,
+    (signal) => getScholarshipResponse(id, { signal }),
+    { select: (response) => response?.scholarship || null }
+  );
+  const error = loadError ? 'Failed to load scholarship details' : null;
+  const { getApplication, trackScholarship } = useApplications();
+  const [trackError, setTrackError] = useState('');
+  const application = id ? getApplication(id) : null;
+  const { profile } = useAuth();
+  const explanation = useMemo(() => explainMatch(scholarship, profile), [scholarship, profile]);
 
-    if (id) {
-      loadScholarship();
+  const handleTrack = async () => {
+    setTrackError('');
+    try {
+      if (!application) await trackScholarship(scholarship);
+      navigate('/applications');
+    } catch (err) {
+      setTrackError('Could not start tracking this application. Please try again.');
     }
-  }, [id]);
+  };
 
   const formatCurrency = (amount) => {
     if (typeof amount !== 'number') return '$0';
@@ -126,11 +133,24 @@ const ScholarshipDetailPage = () => {
                 {scholarship.description}
               </p>
             </div>
-            <div className="flex space-x-2">
-              {scholarship.fit_score && (
-                <span className={`text-sm font-semibold px-3 py-1 rounded-full ${getFitScoreColor(scholarship.fit_score)}`}>
+            <div className="flex items-center space-x-2">
+              <BookmarkButton scholarship={scholarship} showLabel />
+              {scholarship.fit_score ? (
+                <a
+                  href="#match-breakdown"
+                  title="See why"
+                  className={`text-sm font-semibold px-3 py-1 rounded-full ${getFitScoreColor(scholarship.fit_score)}`}
+                >
                   {scholarship.fit_score}% Match
-                </span>
+                </a>
+              ) : explanation.score !== null && (
+                <a
+                  href="#match-breakdown"
+                  title="See why"
+                  className={`text-sm font-semibold px-3 py-1 rounded-full ${getFitScoreColor(explanation.score)}`}
+                >
+                  {explanation.met}/{explanation.criteria.length} requirements met
+                </a>
               )}
               {scholarship.urgency_level && (
                 <span className={`text-sm font-semibold px-3 py-1 rounded-full ${getUrgencyColor(scholarship.urgency_level)}`}>
@@ -165,6 +185,12 @@ const ScholarshipDetailPage = () => {
 
         {/* Detailed Information */}
         <div className="p-6 space-y-6">
+          {/* Match Breakdown */}
+          <div id="match-breakdown">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Why You Match</h3>
+            <MatchBreakdown explanation={explanation} fitScore={scholarship.fit_score || null} />
+          </div>
+
           {/* Requirements */}
           {scholarship.requirements && scholarship.requirements.length > 0 && (
             <div>
@@ -256,6 +282,12 @@ const ScholarshipDetailPage = () => {
             >
               Apply Now
             </button>
+            <button
+              onClick={handleTrack}
+              className="bg-blue-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+            >
+              {application ? `Tracking: ${getStatusMeta(application.status).label}` : 'Track Application'}
+            </button>
             <button
               onClick={() => window.print()}
               className="bg-gray-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-gray-700 transition-colors"
@@ -263,6 +295,7 @@ const ScholarshipDetailPage = () => {
               Print Details
             </button>
           </div>
+          {trackError && <p className="text-sm text-red-600 mt-3">{trackError}</p>}
         </div>
       </div>
     </div>
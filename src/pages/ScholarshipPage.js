@@ -1,100 +1,269 @@
 // src/pages/ScholarshipsPage.js
-import React, { useState, useEffect, useMemo } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { searchScholarships } from '../services/api';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
+import { useSavedScholarships } from '../contexts/SavedScholarshipsContext';
+import { useSavedSearches } from '../contexts/SavedSearchesContext';
+import BookmarkButton from '../components/BookmarkButton';
+import Modal from '../components/Modal';
+import VirtualizedGrid from '../components/VirtualizedGrid';
+import useScholarshipSearch, { SEARCH_PAGE_SIZE } from '../hooks/useScholarshipSearch';
+import {
+    SORT_OPTIONS,
+    FACETS,
+    US_STATES,
+    DEFAULT_FILTERS,
+    filtersFromSearchParams,
+    filtersToSearchParams,
+    buildSearchRequest,
+    countActiveFilters,
+    getFacetCounts,
+    formatFacetValue,
+    describeFilters,
+} from '../utils/scholarshipFilters';
+
+const FACET_PREVIEW_COUNT = 6;
+const CARD_ROW_HEIGHT = 200;
+const VIEW_MODE_KEY = 'scholargy:scholarship-view-mode';
+const SCROLL_STATE_KEY = 'scholargy:scholarship-search-scroll';
+
+// Remember where the user was before opening a scholarship so "back" lands in the same spot
+const saveScrollState = (search, loadedPage) => {
+    try {
+        sessionStorage.setItem(SCROLL_STATE_KEY, JSON.stringify({ search, loadedPage, scrollY: window.scrollY }));
+    } catch (e) {
+        // Storage can be unavailable (private mode); restoring is best-effort
+    }
+};
+
+const takeScrollState = (search) => {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(SCROLL_STATE_KEY));
+        sessionStorage.removeItem(SCROLL_STATE_KEY);
+        return saved && saved.search === search ? saved : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const loadViewMode = () => {
+    try {
+        return localStorage.getItem(VIEW_MODE_KEY) || 'infinite';
+    } catch (e) {
+        return 'infinite';
+    }
+};
+
+const saveViewMode = (mode) => {
+    try {
+        localStorage.setItem(VIEW_MODE_KEY, mode);
+    } catch (e) {
+        // Storage can be unavailable (private mode); the choice just isn't remembered
+    }
+};
+
+const getErrorMessage = (err) => {
+    if (err.isOffline) return 'You appear to be offline, or the scholarship service is unavailable.';
+    if (err.isValidationError) return err.message || 'Some search filters are invalid. Please adjust them and try again.';
+    return 'Could not load scholarships. Please try again later.';
+};
+
+const FacetGroup = ({ facet, options, selected, onToggle }) => {
+    const [expanded, setExpanded] = useState(false);
+
+    // Keep selections from a shared link visible even when the current results have none of them
+    const merged = [
+        ...selected.filter(value => !options.some(option => option.value === value)).map(value => ({ value, count: 0 })),
+        ...options,
+    ];
+    if (merged.length === 0) return null;
+    const visible = expanded ? merged : merged.slice(0, FACET_PREVIEW_COUNT);
+
+    return (
+        <div>
+            <h3 className="text-sm font-semibold text-gray-800 mb-2">{facet.label}</h3>
+            <ul className="space-y-1">
+                {visible.map(({ value, count }) => (
+                    <li key={value}>
+                        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={selected.includes(value)}
+                                onChange={() => onToggle(facet.key, value)}
+                            />
+                            <span className="flex-1 capitalize">{formatFacetValue(facet.key, value)}</span>
+                            <span className="text-xs text-gray-400">{count}</span>
+                        </label>
+                    </li>
+                ))}
+            </ul>
+            {merged.length > FACET_PREVIEW_COUNT && (
+                <button onClick={() => setExpanded(prev => !prev)} className="text-xs text-blue-600 font-semibold mt-1 hover:underline">
+                    {expanded ? 'Show less' : `Show all ${merged.length}`}
+                </button>
+            )}
+        </div>
+    );
+};
+
+const SaveSearchForm = ({ filters, emailNotifications, onSave, onCancel }) => {
+    const [name, setName] = useState(() => describeFilters(filters).slice(0, 80));
+    const [notifyEmail, setNotifyEmail] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        setSaving(true);
+        setError('');
+        try {
+            await onSave(name.trim(), notifyEmail);
+        } catch (err) {
+            setError('Could not save this search. Please try again.');
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-sm text-gray-600 capitalize">{describeFilters(filters)}</p>
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="e.g. Nursing in Texas"
+                    className="w-full p-3 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+            </div>
+            {/* Per-search alerts only apply while the account allows email (users.email_notifications) */}
+            {emailNotifications && (
+                <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input type="checkbox" checked={notifyEmail} onChange={(e) => setNotifyEmail(e.target.checked)} />
+                    Email me about new matches when email alerts launch
+                </label>
+            )}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <div className="flex justify-end gap-2">
+                <button type="button" onClick={onCancel} className="px-4 py-2 rounded-lg border hover:bg-gray-50">
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    disabled={saving || !name.trim()}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+        </form>
+    );
+};
 
 const ScholarshipsPage = () => {
     const navigate = useNavigate();
-    const [scholarships, setScholarships] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState('');
-    
-    // State for search and filtering
-    const [searchTerm, setSearchTerm] = useState('');
-    const [filters, setFilters] = useState({
-        minAmount: '',
-        maxDeadline: '',
-        sortBy: 'deadline_asc' // Default sort
+    const location = useLocation();
+    const { savedCount } = useSavedScholarships();
+    const { findSavedSearch, createSavedSearch, markViewed, totalNewMatches, emailNotifications } = useSavedSearches();
+    const [saveDialogOpen, setSaveDialogOpen] = useState(false);
+    const [viewMode, setViewMode] = useState(loadViewMode);
+    const infinite = viewMode === 'infinite';
+
+    // Filter state lives in the query string so searches can be shared and survive a reload
+    const [searchParams, setSearchParams] = useSearchParams();
+    const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams]);
+    const searchRequest = useMemo(() => buildSearchRequest(filters), [filters]);
+    const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+
+    // Returning from a detail page: reload as many pages as were showing, then scroll back
+    const [restoreState] = useState(() => takeScrollState(location.search));
+    const pendingScrollRef = useRef(restoreState ? restoreState.scrollY : null);
+
+    // Filtering, sorting and paging happen server-side; results are rendered in the order returned
+    const {
+        items: scholarships,
+        total,
+        totalAmount: serverTotalAmount,
+        facets: serverFacets,
+        hasMore,
+        loadedPage,
+        loading,
+        loadingMore,
+        error,
+        loadMore,
+        retry,
+    } = useScholarshipSearch(searchRequest, {
+        page,
+        append: infinite,
+        initialPages: restoreState?.loadedPage || 1,
     });
 
-    // Fetch scholarships when search term or filters change
     useEffect(() => {
-        const loadScholarships = async () => {
-            setLoading(true);
-            setError('');
-            try {
-                // Pass search and filter parameters to the API
-                const params = {
-                    query: searchTerm,
-                    minAmount: filters.minAmount || 0,
-                    maxDeadline: filters.maxDeadline || null,
-                    sortBy: filters.sortBy
-                };
-                const result = await searchScholarships(params);
-                setScholarships(result.scholarships || []);
-            } catch (err) {
-                console.error("Failed to load scholarships:", err);
-                setError('Could not load scholarships. Please try again later.');
-            } finally {
-                setLoading(false);
-            }
-        };
-        // Debounce the search to avoid excessive API calls
-        const timerId = setTimeout(() => {
-            loadScholarships();
-        }, 500); // 500ms delay
-
-        return () => clearTimeout(timerId);
-    }, [searchTerm, filters]);
+        if (loading || pendingScrollRef.current === null) return;
+        window.scrollTo(0, pendingScrollRef.current);
+        pendingScrollRef.current = null;
+    }, [loading]);
+
+    // Changing any filter drops the `page` param, so results start from the first page
+    const updateFilters = (changes) => {
+        setSearchParams(filtersToSearchParams({ ...filters, ...changes }), { replace: true });
+    };
+
+    const goToPage = (nextPage) => {
+        const params = filtersToSearchParams(filters);
+        if (nextPage > 1) params.set('page', String(nextPage));
+        setSearchParams(params);
+        window.scrollTo(0, 0);
+    };
+
+    const changeViewMode = (mode) => {
+        saveViewMode(mode);
+        setViewMode(mode);
+        setSearchParams(filtersToSearchParams(filters), { replace: true });
+    };
+
+    const openScholarship = (scholarship) => {
+        saveScrollState(location.search, loadedPage);
+        navigate(`/scholarship/${scholarship._id}`);
+    };
 
     const handleFilterChange = (e) => {
-        const { name, value } = e.target;
-        setFilters(prev => ({ ...prev, [name]: value }));
+        const { name, value, type, checked } = e.target;
+        updateFilters({ [name]: type === 'checkbox' ? checked : value });
     };
 
-    // Calculate total eligible amount using useMemo for performance
-    const totalAmount = useMemo(() => {
-        return scholarships.reduce((sum, s) => sum + (s.amount || 0), 0);
-    }, [scholarships]);
-
-    // Sort scholarships by deadline for display
-    const sortedScholarships = useMemo(() => {
-        return [...scholarships].sort((a, b) => {
-            const dateA = new Date(a.deadline || 0);
-            const dateB = new Date(b.deadline || 0);
-            return dateA - dateB;
+    const toggleFacetValue = (facetKey, value) => {
+        const current = filters[facetKey];
+        updateFilters({
+            [facetKey]: current.includes(value) ? current.filter(v => v !== value) : [...current, value]
         });
-    }, [scholarships]);
-
-    // Filter scholarships based on search term and filters
-    const filteredScholarships = useMemo(() => {
-        let filtered = sortedScholarships;
-        
-        // Filter by minimum amount
-        if (filters.minAmount) {
-            filtered = filtered.filter(s => (s.amount || 0) >= parseInt(filters.minAmount));
-        }
-        
-        // Filter by maximum deadline
-        if (filters.maxDeadline) {
-            const maxDate = new Date(filters.maxDeadline);
-            filtered = filtered.filter(s => {
-                const deadline = new Date(s.deadline || 0);
-                return deadline <= maxDate;
-            });
-        }
-        
-        // Apply sorting
-        switch (filters.sortBy) {
-            case 'amount_desc':
-                return filtered.sort((a, b) => (b.amount || 0) - (a.amount || 0));
-            case 'amount_asc':
-                return filtered.sort((a, b) => (a.amount || 0) - (b.amount || 0));
-            case 'deadline_asc':
-            default:
-                return filtered.sort((a, b) => new Date(a.deadline || 0) - new Date(b.deadline || 0));
-        }
-    }, [sortedScholarships, filters]);
+    };
+
+    // Reset refinements but keep the keyword and sort order
+    const clearFilters = () => {
+        setSearchParams(filtersToSearchParams({ ...DEFAULT_FILTERS, query: filters.query, sortBy: filters.sortBy }), { replace: true });
+    };
+
+    const activeFilterCount = countActiveFilters(filters);
+    const facetCounts = useMemo(() => getFacetCounts(scholarships, serverFacets), [scholarships, serverFacets]);
+
+    // The server total covers every page; fall back to what has been loaded for older backends
+    const resultCount = total ?? scholarships.length;
+    const totalPages = total !== null ? Math.max(1, Math.ceil(total / SEARCH_PAGE_SIZE)) : null;
+    const allLoaded = infinite ? !hasMore : page === 1 && !hasMore;
+    const totalAmount = useMemo(() => {
+        if (serverTotalAmount !== null) return serverTotalAmount;
+        return allLoaded ? scholarships.reduce((sum, s) => sum + (s.amount || 0), 0) : null;
+    }, [serverTotalAmount, allLoaded, scholarships]);
+
+    // Viewing a saved search's results clears its new-match badge
+    const activeSavedSearch = findSavedSearch(filters);
+    const activeSavedSearchId = activeSavedSearch?.id;
+    const countKnown = !loading && !error && (total !== null || allLoaded);
+    useEffect(() => {
+        if (activeSavedSearchId && countKnown) markViewed(activeSavedSearchId, resultCount);
+    }, [activeSavedSearchId, countKnown, resultCount, markViewed]);
 
     const formatCurrency = (amount) => {
         if (typeof amount !== 'number') return '$0';
@@ -102,17 +271,53 @@ const ScholarshipsPage = () => {
     };
 
     return (
-        <div className="max-w-6xl mx-auto space-y-6">
+        <div className="max-w-7xl mx-auto space-y-6">
             <div className="bg-white p-6 rounded-xl shadow-sm border">
-                <h1 className="text-3xl font-bold text-gray-800">Find Scholarships</h1>
-                <p className="text-gray-500 mt-1">Search and filter thousands of opportunities.</p>
-                
+                <div className="flex justify-between items-start">
+                    <div>
+                        <h1 className="text-3xl font-bold text-gray-800">Find Scholarships</h1>
+                        <p className="text-gray-500 mt-1">Search and filter thousands of opportunities.</p>
+                    </div>
+                    <div className="flex flex-wrap justify-end gap-2">
+                        {activeSavedSearch ? (
+                            <span className="bg-green-50 text-green-700 font-semibold px-4 py-2 rounded-lg">
+                                Saved as "{activeSavedSearch.name}"
+                            </span>
+                        ) : (
+                            <button
+                                onClick={() => setSaveDialogOpen(true)}
+                                className="bg-blue-600 text-white font-semibold px-4 py-2 rounded-lg hover:bg-blue-700"
+                            >
+                                Save Search
+                            </button>
+                        )}
+                        <button
+                            onClick={() => navigate('/scholarships/searches')}
+                            className="relative bg-blue-50 text-blue-600 font-semibold px-4 py-2 rounded-lg hover:bg-blue-100"
+                        >
+                            Saved Searches
+                            {totalNewMatches > 0 && (
+                                <span className="absolute -top-2 -right-2 text-xs text-white bg-red-500 px-1.5 py-0.5 rounded-full">
+                                    {totalNewMatches}
+                                </span>
+                            )}
+                        </button>
+                        <button
+                            onClick={() => navigate('/scholarships/saved')}
+                            className="bg-blue-50 text-blue-600 font-semibold px-4 py-2 rounded-lg hover:bg-blue-100"
+                        >
+                            Saved ({savedCount})
+                        </button>
+                    </div>
+                </div>
+
                 {/* Search Input */}
                 <div className="mt-4">
                     <input
                         type="text"
-                        value={searchTerm}
-                        onChange={(e) => setSearchTerm(e.target.value)}
+                        name="query"
+                        value={filters.query}
+                        onChange={handleFilterChange}
                         placeholder="Search by keyword, major, or provider..."
                         className="w-full p-3 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                     />
@@ -122,11 +327,11 @@ const ScholarshipsPage = () => {
             {/* Filter and Sort Controls */}
             <div className="bg-white p-4 rounded-xl shadow-sm border flex flex-wrap items-center gap-4">
                 <select name="sortBy" value={filters.sortBy} onChange={handleFilterChange} className="p-2 border rounded-lg bg-gray-50">
-                    <option value="deadline_asc">Sort by Deadline (Soonest)</option>
-                    <option value="amount_desc">Sort by Amount (High to Low)</option>
-                    <option value="amount_asc">Sort by Amount (Low to High)</option>
+                    {SORT_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
                 </select>
-                <input 
+                <input
                     type="number"
                     name="minAmount"
                     value={filters.minAmount}
@@ -134,79 +339,199 @@ const ScholarshipsPage = () => {
                     placeholder="Min Amount ($)"
                     className="p-2 border rounded-lg bg-gray-50"
                 />
-                <input 
+                <input
                     type="date"
                     name="maxDeadline"
                     value={filters.maxDeadline}
                     onChange={handleFilterChange}
                     className="p-2 border rounded-lg bg-gray-50"
                 />
+                <select name="state" value={filters.state} onChange={handleFilterChange} className="p-2 border rounded-lg bg-gray-50">
+                    <option value="">Any state / residency</option>
+                    {US_STATES.map(state => (
+                        <option key={state} value={state}>{state}</option>
+                    ))}
+                </select>
+                <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input type="checkbox" name="renewableOnly" checked={filters.renewableOnly} onChange={handleFilterChange} />
+                    Renewable only
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input type="checkbox" name="noEssay" checked={filters.noEssay} onChange={handleFilterChange} />
+                    No essay required
+                </label>
+                {activeFilterCount > 0 && (
+                    <button onClick={clearFilters} className="ml-auto text-sm text-blue-600 font-semibold hover:underline">
+                        Clear filters ({activeFilterCount})
+                    </button>
+                )}
             </div>
 
-            {/* Results Summary */}
-            {!loading && !error && scholarships.length > 0 && (
-                <div className="bg-green-50 p-4 rounded-xl border border-green-200">
-                    <div className="flex justify-between items-center">
-                        <div>
-                            <h3 className="text-lg font-semibold text-green-800">
-                                {filteredScholarships.length} Scholarships Found
-                            </h3>
-                            <p className="text-sm text-green-600">
-                                Total Eligible Amount: {formatCurrency(totalAmount)}
-                            </p>
-                        </div>
-                        <div className="text-right">
-                            <p className="text-sm text-green-600">
-                                Average Amount: {formatCurrency(totalAmount / filteredScholarships.length)}
-                            </p>
-                        </div>
-                    </div>
-                </div>
-            )}
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                {/* Facets */}
+                <aside className="bg-white p-4 rounded-xl shadow-sm border space-y-5 self-start">
+                    {FACETS.map(facet => (
+                        <FacetGroup
+                            key={facet.key}
+                            facet={facet}
+                            options={facetCounts[facet.key]}
+                            selected={filters[facet.key]}
+                            onToggle={toggleFacetValue}
+                        />
+                    ))}
+                    {FACETS.every(facet => facetCounts[facet.key].length === 0 && filters[facet.key].length === 0) && (
+                        <p className="text-sm text-gray-500">No refinements available for these results.</p>
+                    )}
+                </aside>
 
-            {/* Results Section */}
-            <div>
-                {loading ? (
-                    <div className="text-center py-10">
-                        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-                        <p className="mt-4 text-gray-500">Finding opportunities...</p>
-                    </div>
-                ) : error ? (
-                    <div className="text-center py-10 bg-red-50 p-6 rounded-lg">
-                        <p className="text-red-600 font-semibold">{error}</p>
-                    </div>
-                ) : filteredScholarships.length === 0 ? (
-                    <div className="text-center py-10 bg-gray-50 p-6 rounded-lg">
-                        <p className="text-gray-600 font-semibold">No scholarships found.</p>
-                        <p className="text-gray-500">Try adjusting your search or filters.</p>
-                    </div>
-                ) : (
-                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                        {filteredScholarships.map(scholarship => (
-                            <div
-                                key={scholarship._id}
-                                onClick={() => navigate(`/scholarship/${scholarship._id}`)}
-                                className="bg-white p-5 rounded-xl border shadow-sm hover:shadow-lg hover:border-blue-500 cursor-pointer transition-all flex flex-col justify-between"
-                            >
+                <div className="lg:col-span-3 space-y-6">
+                    {/* Results Summary */}
+                    {!loading && !error && scholarships.length > 0 && (
+                        <div className="bg-green-50 p-4 rounded-xl border border-green-200">
+                            <div className="flex justify-between items-center">
                                 <div>
-                                    <div className="flex justify-between items-start">
-                                        <h3 className="font-bold text-lg text-blue-800">{scholarship.title}</h3>
-                                        <span className="text-sm font-semibold text-green-600 bg-green-100 px-2 py-1 rounded-full">
-                                            {formatCurrency(scholarship.amount)}
-                                        </span>
-                                    </div>
-                                    <p className="text-sm text-gray-600 mt-1">{scholarship.provider}</p>
+                                    <h3 className="text-lg font-semibold text-green-800">
+                                        {resultCount.toLocaleString()}{total === null && hasMore ? '+' : ''} Scholarships Found
+                                    </h3>
+                                    {totalAmount !== null && (
+                                        <p className="text-sm text-green-600">
+                                            Total Eligible Amount: {formatCurrency(totalAmount)}
+                                        </p>
+                                    )}
                                 </div>
-                                <div className="mt-4 pt-4 border-t border-gray-100 text-xs text-gray-500">
-                                    <p><strong>Deadline:</strong> {scholarship.deadline ? new Date(scholarship.deadline).toLocaleDateString() : 'Varies'}</p>
+                                <div className="text-right">
+                                    {totalAmount !== null && resultCount > 0 && (
+                                        <p className="text-sm text-green-600">
+                                            Average Amount: {formatCurrency(totalAmount / resultCount)}
+                                        </p>
+                                    )}
+                                    <div className="inline-flex mt-1 rounded-lg border border-green-200 overflow-hidden text-sm">
+                                        {[{ id: 'infinite', label: 'Scroll' }, { id: 'pages', label: 'Pages' }].map(mode => (
+                                            <button
+                                                key={mode.id}
+                                                onClick={() => changeViewMode(mode.id)}
+                                                className={`px-3 py-1 ${viewMode === mode.id ? 'bg-green-600 text-white' : 'bg-white text-green-700 hover:bg-green-100'}`}
+                                            >
+                                                {mode.label}
+                                            </button>
+                                        ))}
+                                    </div>
                                 </div>
                             </div>
-                        ))}
+                        </div>
+                    )}
+
+                    {/* Results Section */}
+                    <div>
+                        {loading ? (
+                            <div className="text-center py-10">
+                                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                                <p className="mt-4 text-gray-500">Finding opportunities...</p>
+                            </div>
+                        ) : error && scholarships.length === 0 ? (
+                            <div className="text-center py-10 bg-red-50 p-6 rounded-lg">
+                                <p className="text-red-600 font-semibold">{getErrorMessage(error)}</p>
+                                <button onClick={retry} className="mt-3 text-blue-600 font-semibold hover:underline">Try again</button>
+                            </div>
+                        ) : scholarships.length === 0 ? (
+                            <div className="text-center py-10 bg-gray-50 p-6 rounded-lg">
+                                <p className="text-gray-600 font-semibold">No scholarships found.</p>
+                                <p className="text-gray-500">Try adjusting your search or filters.</p>
+                            </div>
+                        ) : (
+                            <>
+                                <VirtualizedGrid
+                                    items={scholarships}
+                                    rowHeight={CARD_ROW_HEIGHT}
+                                    minColumnWidth={280}
+                                    onEndReached={infinite ? loadMore : undefined}
+                                    renderItem={(scholarship) => (
+                                        <div
+                                            onClick={() => openScholarship(scholarship)}
+                                            className="h-full overflow-hidden bg-white p-5 rounded-xl border shadow-sm hover:shadow-lg hover:border-blue-500 cursor-pointer transition-all flex flex-col justify-between"
+                                        >
+                                            <div className="min-h-0">
+                                                <div className="flex justify-between items-start">
+                                                    <h3 className="font-bold text-lg text-blue-800 truncate" title={scholarship.title}>{scholarship.title}</h3>
+                                                    <div className="flex items-center gap-1 flex-shrink-0">
+                                                        <span className="text-sm font-semibold text-green-600 bg-green-100 px-2 py-1 rounded-full">
+                                                            {formatCurrency(scholarship.amount)}
+                                                        </span>
+                                                        <BookmarkButton scholarship={scholarship} />
+                                                    </div>
+                                                </div>
+                                                <p className="text-sm text-gray-600 mt-1 truncate">{scholarship.provider}</p>
+                                            </div>
+                                            <div className="mt-4 pt-4 border-t border-gray-100 text-xs text-gray-500 space-y-1">
+                                                <p><strong>Deadline:</strong> {scholarship.deadline ? new Date(scholarship.deadline).toLocaleDateString() : 'Varies'}</p>
+                                                {(scholarship.renewable || scholarship.essay_required === false) && (
+                                                    <p className="flex gap-2">
+                                                        {scholarship.renewable && <span className="bg-blue-50 text-blue-700 px-2 py-0.5 rounded">Renewable</span>}
+                                                        {scholarship.essay_required === false && <span className="bg-purple-50 text-purple-700 px-2 py-0.5 rounded">No essay</span>}
+                                                    </p>
+                                                )}
+                                            </div>
+                                        </div>
+                                    )}
+                                />
+
+                                {infinite ? (
+                                    <div className="text-center py-6 text-sm text-gray-500">
+                                        {loadingMore ? (
+                                            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600 mx-auto"></div>
+                                        ) : error ? (
+                                            <p className="text-red-600">
+                                                {getErrorMessage(error)}{' '}
+                                                <button onClick={retry} className="text-blue-600 font-semibold hover:underline">Retry</button>
+                                            </p>
+                                        ) : hasMore ? (
+                                            <button onClick={loadMore} className="text-blue-600 font-semibold hover:underline">Load more</button>
+                                        ) : (
+                                            <p>You've seen all {scholarships.length.toLocaleString()} results.</p>
+                                        )}
+                                    </div>
+                                ) : (
+                                    <div className="flex justify-center items-center gap-4 py-6 text-sm">
+                                        <button
+                                            onClick={() => goToPage(page - 1)}
+                                            disabled={page <= 1}
+                                            className="px-4 py-2 rounded-lg border bg-white hover:bg-gray-50 disabled:opacity-50"
+                                        >
+                                            Previous
+                                        </button>
+                                        <span className="text-gray-600">
+                                            Page {page}{totalPages ? ` of ${totalPages}` : ''}
+                                        </span>
+                                        <button
+                                            onClick={() => goToPage(page + 1)}
+                                            disabled={!hasMore}
+                                            className="px-4 py-2 rounded-lg border bg-white hover:bg-gray-50 disabled:opacity-50"
+                                        >
+                                            Next
+                                        </button>
+                                    </div>
+                                )}
+                            </>
+                        )}
                     </div>
-                )}
+                </div>
             </div>
+
+            <Modal isOpen={saveDialogOpen} onClose={() => setSaveDialogOpen(false)} title="Save Search">
+                {saveDialogOpen && (
+                    <SaveSearchForm
+                        filters={filters}
+                        emailNotifications={!!emailNotifications}
+                        onCancel={() => setSaveDialogOpen(false)}
+                        onSave={async (name, notifyEmail) => {
+                            await createSavedSearch(name, filters, { notifyEmail, resultCount: countKnown ? resultCount : 0 });
+                            setSaveDialogOpen(false);
+                        }}
+                    />
+                )}
+            </Modal>
         </div>
     );
 };
 
-export default ScholarshipsPage;
\ No newline at end of file
+export default ScholarshipsPage;
@@ -0,0 +1,145 @@
+// src/pages/SharedSnapshotPage.js
+// Public, read-only view of a shared comparison or report. Rendered outside the auth gate.
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import { getSharedSnapshot, isAbortError } from '../services/api';
+import ComparisonCharts from '../components/ComparisonCharts';
+import ComparisonTable from '../components/ComparisonTable';
+import { buildComparisonRows, SHARED_METRIC_IDS } from '../utils/collegeComparison';
+import { FIT_CATEGORIES } from '../utils/collegeFit';
+import { formatChanceRange } from '../utils/admissionProbability';
+import { SHAREABLE_PROFILE_FIELDS } from '../utils/shareSnapshot';
+
+const SharedProfile = ({ profile }) => {
+    const entries = SHAREABLE_PROFILE_FIELDS.filter(({ key }) => profile?.[key] !== undefined);
+    if (entries.length === 0) return null;
+
+    return (
+        <div className="bg-blue-50 p-6 rounded-xl border border-blue-200">
+            <h2 className="font-bold text-xl mb-3 text-blue-800">Student Profile</h2>
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+                {entries.map(({ key, label }) => (
+                    <div key={key}>
+                        <dt className="text-gray-500">{label}</dt>
+                        <dd className="font-medium text-gray-800">{Array.isArray(profile[key]) ? profile[key].join(', ') : String(profile[key])}</dd>
+                    </div>
+                ))}
+            </dl>
+        </div>
+    );
+};
+
+const SharedOutlook = ({ outlook }) => {
+    const category = FIT_CATEGORIES[outlook?.category];
+    if (!category) return null;
+
+    return (
+        <div className="bg-white p-6 rounded-xl border">
+            <div className="flex items-center gap-3 mb-3">
+                <h2 className="font-bold text-xl text-gray-800">Admission Outlook</h2>
+                <span className={`px-3 py-1 rounded-full text-sm font-semibold ${category.className}`}>{category.label}</span>
+            </div>
+            {outlook.estimate && outlook.estimate.probability !== null && (
+                <p className="text-gray-800">
+                    <strong>Estimated chance of admission:</strong> {formatChanceRange(outlook.estimate)}{' '}
+                    <span className="text-sm text-gray-500">({outlook.estimate.confidence} confidence)</span>
+                </p>
+            )}
+        </div>
+    );
+};
+
+// Read through the comparison metrics so rates, score ranges and costs are parsed the same way everywhere
+const REPORT_METRIC_IDS = ['admissionRate', 'satRange', 'tuitionInState'];
+
+const SharedReport = ({ college }) => {
+    const rows = buildComparisonRows([college], REPORT_METRIC_IDS);
+
+    return (
+        <div className="bg-green-50 p-6 rounded-xl border border-green-200">
+            <h2 className="font-bold text-xl mb-3 text-green-800">{college.general_info?.name}</h2>
+            <p><strong>Location:</strong> {college.general_info?.city}, {college.general_info?.state}</p>
+            {rows.map(({ metric, formatted }) => (
+                <p key={metric.id}><strong>{metric.label}:</strong> {formatted[0]}</p>
+            ))}
+        </div>
+    );
+};
+
+const SharedSnapshotPage = () => {
+    const { token } = useParams();
+    const [snapshot, setSnapshot] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const controller = new AbortController();
+        const loadSnapshot = async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const response = await getSharedSnapshot(token, { signal: controller.signal });
+                setSnapshot(response.snapshot || response);
+                setLoading(false);
+            } catch (err) {
+                if (isAbortError(err)) return;
+                setError(err.status === 404 || err.status === 410
+                    ? 'This link has expired or is no longer shared.'
+                    : 'Could not load this shared page. Please try again later.');
+                setLoading(false);
+            }
+        };
+        loadSnapshot();
+
+        return () => controller.abort();
+    }, [token]);
+
+    const colleges = useMemo(() => snapshot?.colleges || [], [snapshot]);
+    const rows = useMemo(() => buildComparisonRows(colleges, SHARED_METRIC_IDS), [colleges]);
+
+    return (
+        <div className="min-h-screen bg-gray-50 py-10 px-4">
+            <div className="max-w-7xl mx-auto space-y-6">
+                <div className="text-center">
+                    <p className="text-sm font-semibold text-blue-600">Scholargy</p>
+                    <h1 className="text-3xl font-bold text-gray-800">
+                        {snapshot?.kind === 'report' ? 'Shared College Report' : 'Shared College Comparison'}
+                    </h1>
+                    {snapshot?.createdAt && (
+                        <p className="text-gray-500 mt-2">
+                            Read-only copy shared on {new Date(snapshot.createdAt).toLocaleDateString()}
+                        </p>
+                    )}
+                </div>
+
+                {loading ? (
+                    <div className="text-center py-10">
+                        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                        <p className="mt-4 text-gray-500">Loading shared page...</p>
+                    </div>
+                ) : error ? (
+                    <div className="p-4 bg-red-50 text-red-600 rounded-lg text-center">{error}</div>
+                ) : (
+                    <>
+                        <SharedProfile profile={snapshot.profile} />
+                        {snapshot.kind === 'report' ? (
+                            colleges[0] && (
+                                <>
+                                    <SharedReport college={colleges[0]} />
+                                    <SharedOutlook outlook={snapshot.report} />
+                                </>
+                            )
+                        ) : colleges.length > 0 && (
+                            <>
+                                <ComparisonTable colleges={colleges} rows={rows} linkColleges={false} />
+                                <ComparisonCharts colleges={colleges} />
+                            </>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SharedSnapshotPage;
@@ -1,11 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
 import { getProfileAssessment } from '../services/api';
+import { US_STATES } from '../utils/scholarshipFilters';
+import { PROFILE_FIELDS, PROFILE_SECTIONS, getSectionFields } from '../utils/profileSchema';
+import { COURSE_YEARS } from '../utils/transcript';
+import { graduationYearForGrade } from '../utils/studentVue';
+import TranscriptEditor from '../components/TranscriptEditor';
+import TranscriptUpload from '../components/TranscriptUpload';
+import useTranscript from '../hooks/useTranscript';
+import useProfileOnboarding from '../hooks/useProfileOnboarding';
 
 // Reusable input field component
 const InputField = ({ label, type = "text", name, value, onChange, placeholder, error, readOnly = false }) => (
     <div>
         <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
         <input
+            id={name}
             type={type}
             name={name}
             value={value}
@@ -19,129 +29,278 @@ const InputField = ({ label, type = "text", name, value, onChange, placeholder,
 );
 
 // Reusable textarea component
-const TextAreaField = ({ label, name, value, onChange, placeholder, rows = 3 }) => (
-    <div>
+const TextAreaField = ({ label, name, value, onChange, placeholder, error, rows = 3 }) => (
+    <div className="md:col-span-2">
         <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
         <textarea
+            id={name}
             name={name}
             value={value}
             onChange={onChange}
             placeholder={placeholder}
             rows={rows}
-            className="w-full p-3 bg-gray-100 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            className={`w-full p-3 bg-gray-100 border rounded-lg focus:outline-none focus:ring-2 ${error ? 'border-red-500 ring-red-500' : 'border-gray-200 focus:ring-blue-500'}`}
         />
+        {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+);
+
+// Reusable select component
+const SelectField = ({ label, name, value, onChange, options, placeholder }) => (
+    <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+        <select id={name} name={name} value={value} onChange={onChange} className="w-full p-3 bg-gray-100 border border-gray-200 rounded-lg">
+            <option value="">{placeholder}</option>
+            {options.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+        </select>
     </div>
 );
 
+const toOptions = (values) => values.map(value => ({ value, label: value }));
+
+// How each profile field is entered. Fields without an entry (coursework, essays...) are edited elsewhere.
+const FIELD_INPUTS = {
+    fullName: { placeholder: 'e.g., Maria Lopez' },
+    email: { readOnly: true },
+    state: { label: 'State of Residence', options: toOptions(US_STATES), placeholder: 'Select a state' },
+    gradeLevel: { options: COURSE_YEARS.map(year => ({ value: year, label: `${year}th Grade` })), placeholder: 'Select a grade' },
+    graduationYear: { label: 'Expected Graduation Year', placeholder: 'e.g., 2027' },
+    currentSchool: { placeholder: 'e.g., Lincoln High School' },
+    gpa: { label: 'Cumulative GPA', placeholder: 'e.g., 3.85' },
+    apClasses: { placeholder: 'e.g., AP Biology, AP Calculus AB' },
+    satScore: { placeholder: 'e.g., 1450' },
+    actScore: { placeholder: 'e.g., 32' },
+    extracurriculars: { label: 'Extracurriculars & Leadership', placeholder: 'e.g., Debate Club President, Varsity Soccer' },
+    awards: { placeholder: 'e.g., National Merit Commended Scholar' },
+    familyIncome: { label: 'Yearly Family Income ($)', placeholder: 'e.g., 65000' },
+    householdSize: { placeholder: 'e.g., 4' },
+    budget: { label: 'Yearly College Budget ($)', placeholder: 'e.g., 25000' },
+    financialAidNeeded: { label: 'I will need financial aid to attend college' },
+    collegeType: { options: toOptions(['Public', 'Private', 'Community College', 'No Preference']), placeholder: 'Select a type' },
+    locationPreferences: { label: 'Preferred Locations', placeholder: 'e.g., California, Pacific Northwest' },
+    preferredColleges: { placeholder: 'e.g., UC Davis, Oregon State University' },
+    major: { label: 'Intended Major', placeholder: 'e.g., Nursing' },
+    careerGoals: { multiline: true, placeholder: 'e.g., Become a pediatric nurse practitioner' },
+};
+
+const ProfileField = ({ name, value, onChange, error, readOnly }) => {
+    const field = PROFILE_FIELDS[name];
+    const input = FIELD_INPUTS[name];
+    const label = input.label || field.label;
+    if (field.type === 'boolean') {
+        return (
+            <label className="md:col-span-2 flex items-center gap-2 text-sm font-medium text-gray-700">
+                <input id={name} type="checkbox" name={name} checked={value} onChange={onChange} className="h-4 w-4" />
+                {label}
+            </label>
+        );
+    }
+    if (input.options) {
+        return <SelectField label={label} name={name} value={value} onChange={onChange} options={input.options} placeholder={input.placeholder} />;
+    }
+    if (field.type === 'list' || input.multiline) {
+        return <TextAreaField label={label} name={name} value={value} onChange={onChange} placeholder={input.placeholder} error={error} />;
+    }
+    const isNumber = ['number', 'integer'].includes(field.type);
+    return (
+        <InputField
+            label={label}
+            type={isNumber ? 'number' : 'text'}
+            name={name}
+            value={value}
+            onChange={onChange}
+            placeholder={input.placeholder}
+            error={error}
+            readOnly={readOnly || input.readOnly}
+        />
+    );
+};
+
+const formatSavedTime = (date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
 const StudentProfilePage = () => {
-    // State for form inputs
-    const [profile, setProfile] = useState({
-        gradeLevel: '12',
-        gpa: '3.8',
-        satScore: '1450',
-        actScore: '',
-        apClasses: 'AP Biology, AP Calculus AB, AP US History',
-        extracurriculars: 'Debate Club president, Varsity Soccer, Robotics Team',
-    });
-    // State for validation errors
-    const [errors, setErrors] = useState({});
-    // State for calculated graduation date
-    const [expectedGradDate, setExpectedGradDate] = useState('');
+    const location = useLocation();
+    const onboarding = useProfileOnboarding();
+    const { step, goToStep, values, setValue, errors } = onboarding;
+    const stepIndex = PROFILE_SECTIONS.findIndex(section => section.id === step);
+    const isLastStep = stepIndex === PROFILE_SECTIONS.length - 1;
     // **UPDATED:** State for the new narrative assessment text
     const [assessmentText, setAssessmentText] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [assessmentError, setAssessmentError] = useState('');
+    const transcript = useTranscript();
+    const transcriptGpa = transcript.gpa.unweighted;
+    // Review notes for imported rows, keyed by course id
+    const [importNotes, setImportNotes] = useState({});
+    // Field to focus once its step is showing
+    const focusFieldRef = useRef(null);
 
-    // Effect to auto-calculate graduation date
+    // Match explanations link to a specific field (e.g. #gpa); open its step first
     useEffect(() => {
-        const calculateGradDate = () => {
-            if (!profile.gradeLevel) return '';
-            const currentYear = new Date().getFullYear();
-            const currentMonth = new Date().getMonth();
-            const yearsLeft = 12 - parseInt(profile.gradeLevel, 10);
-            const schoolYearStart = currentMonth > 4 ? 1 : 0;
-            return `May ${currentYear + yearsLeft + schoolYearStart}`;
-        };
-        setExpectedGradDate(calculateGradDate());
-    }, [profile.gradeLevel]);
+        const name = location.hash.slice(1);
+        const section = PROFILE_FIELDS[name]?.section;
+        if (!section) return;
+        focusFieldRef.current = name;
+        goToStep(section);
+    }, [location.hash, goToStep]);
 
-    // Handle changes in form fields
-    const handleChange = (e) => {
-        const { name, value } = e.target;
-        setProfile(prev => ({ ...prev, [name]: value }));
-        if (errors[name]) validateField(name, value);
+    // Bring the linked field into view and focus it
+    useEffect(() => {
+        const field = focusFieldRef.current && document.getElementById(focusFieldRef.current);
+        if (!field) return;
+        focusFieldRef.current = null;
+        field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        field.focus({ preventScroll: true });
+    }, [step, location.hash]);
+
+    const handleTranscriptImport = (courses, notes, mode) => {
+        transcript.setCourses(mode === 'append' ? [...transcript.courses, ...courses] : courses);
+        setImportNotes(notes);
     };
 
-    // Validate a single field
-    const validateField = (name, value) => {
-        let errorMsg = '';
-        if (name === 'gpa' && value && (value < 0 || value > 4.0)) errorMsg = 'GPA must be between 0.0 and 4.0.';
-        if (name === 'satScore' && value && (value < 400 || value > 1600)) errorMsg = 'SAT score must be between 400 and 1600.';
-        if (name === 'actScore' && value && (value < 1 || value > 36)) errorMsg = 'ACT score must be between 1 and 36.';
-        setErrors(prev => ({ ...prev, [name]: errorMsg }));
-        return !errorMsg;
+    // A row's note is cleared once the student edits it
+    const handleTranscriptChange = (courses) => {
+        setImportNotes(prev => Object.fromEntries(Object.entries(prev)
+            .filter(([id]) => courses.some(course => course.id === id && transcript.courses.includes(course)))));
+        transcript.setCourses(courses);
+    };
+
+    const handleTranscriptSave = async () => {
+        if (await transcript.saveTranscript()) setImportNotes({});
+    };
+
+    const handleTranscriptDiscard = () => {
+        transcript.discardChanges();
+        setImportNotes({});
+    };
+
+    // Handle changes in form fields
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setValue(name, type === 'checkbox' ? checked : value);
+        // Picking a grade fills in the usual graduation year until the student types their own
+        if (name === 'gradeLevel' && !values.graduationYear) {
+            const year = graduationYearForGrade(value);
+            if (year) setValue('graduationYear', String(year));
+        }
     };
 
     // Handle the "Assess My Readiness" button click
     const handleAssess = async () => {
-        const isValid = ['gpa', 'satScore', 'actScore'].every(field => validateField(field, profile[field]));
-        if (!isValid) {
+        if (Object.keys(errors).length > 0) {
             alert("Please fix the errors before assessing.");
             return;
         }
+        onboarding.saveNow();
         setIsLoading(true);
         setAssessmentText('');
-        const result = await getProfileAssessment(profile);
-        setAssessmentText(result.assessment?.summary || 'Assessment completed successfully.');
-        setIsLoading(false);
+        setAssessmentError('');
+        try {
+            const result = await getProfileAssessment(onboarding.preview);
+            setAssessmentText(result.assessment?.summary || 'Assessment completed successfully.');
+        } catch (error) {
+            console.error('Error assessing profile:', error);
+            setAssessmentError('We couldn\'t generate your assessment. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
     };
 
+    const stepFields = getSectionFields(step).filter(name => FIELD_INPUTS[name]);
+    const currentSection = onboarding.sections.find(section => section.id === step);
+
     return (
         <div className="max-w-4xl mx-auto space-y-8">
             <div className="text-center">
-                <h1 className="text-3xl font-bold text-gray-800">Snapshot Readiness Assessment</h1>
-                <p className="text-gray-500 mt-2">Enter your profile details to get an AI-powered analysis.</p>
+                <h1 className="text-3xl font-bold text-gray-800">Build Your Profile</h1>
+                <p className="text-gray-500 mt-2">Work through each step at your own pace. Your answers save automatically.</p>
+            </div>
+
+            <div className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+                <div>
+                    <div className="flex items-center justify-between text-sm mb-1">
+                        <span className="font-semibold text-gray-700">Profile {onboarding.completion}% complete</span>
+                        <span className={onboarding.error ? 'text-red-600' : 'text-gray-500'}>
+                            {onboarding.error || (onboarding.saving ? 'Saving...' : onboarding.savedAt ? `Saved at ${formatSavedTime(onboarding.savedAt)}` : '')}
+                        </span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${onboarding.completion}%` }} />
+                    </div>
+                </div>
+                <ol className="flex flex-wrap gap-2">
+                    {onboarding.sections.map((section, index) => (
+                        <li key={section.id}>
+                            <button
+                                onClick={() => goToStep(section.id)}
+                                className={`px-3 py-1 rounded-full text-sm border ${section.id === step ? 'bg-blue-600 text-white border-blue-600' : section.complete ? 'bg-green-50 text-green-700 border-green-200' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                            >
+                                {section.complete && section.id !== step ? '✓ ' : `${index + 1}. `}{section.label}
+                            </button>
+                        </li>
+                    ))}
+                </ol>
             </div>
 
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-                {/* Left Column: Data Entry */}
+                {/* Left Column: Current Step */}
                 <div className="space-y-6">
                     <div className="bg-white p-6 rounded-xl shadow-sm border">
-                        <h2 className="text-xl font-bold text-gray-800 mb-4">🎓 Academic Basics</h2>
+                        <div className="flex items-baseline justify-between mb-4">
+                            <h2 className="text-xl font-bold text-gray-800">{currentSection?.label}</h2>
+                            <span className="text-sm text-gray-500">Step {stepIndex + 1} of {PROFILE_SECTIONS.length}</span>
+                        </div>
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                            <div>
-                                <label className="block text-sm font-medium text-gray-700 mb-1">Grade Level</label>
-                                <select name="gradeLevel" value={profile.gradeLevel} onChange={handleChange} className="w-full p-3 bg-gray-100 border border-gray-200 rounded-lg">
-                                    <option value="9">9th Grade</option>
-                                    <option value="10">10th Grade</option>
-                                    <option value="11">11th Grade</option>
-                                    <option value="12">12th Grade</option>
-                                </select>
-                            </div>
-                            <InputField label="Expected Graduation" name="gradDate" value={expectedGradDate} readOnly={true} />
-                            <InputField label="Cumulative GPA" type="number" name="gpa" value={profile.gpa} onChange={handleChange} placeholder="e.g., 3.85" error={errors.gpa} />
-                            <InputField label="SAT Score" type="number" name="satScore" value={profile.satScore} onChange={handleChange} placeholder="e.g., 1450" error={errors.satScore} />
-                            <InputField label="ACT Score" type="number" name="actScore" value={profile.actScore} onChange={handleChange} placeholder="e.g., 32" error={errors.actScore} />
+                            {stepFields.map(name => (
+                                <ProfileField
+                                    key={name}
+                                    name={name}
+                                    value={name === 'gpa' && transcriptGpa !== null ? transcriptGpa.toFixed(2) : values[name]}
+                                    onChange={handleChange}
+                                    error={errors[name]}
+                                    readOnly={name === 'gpa' && transcriptGpa !== null}
+                                />
+                            ))}
                         </div>
+                        {step === 'academic' && transcriptGpa !== null && (
+                            <p className="text-xs text-gray-500 mt-3">Your GPA comes from the transcript below.</p>
+                        )}
+                        {step === 'tests' && (
+                            <p className="text-xs text-gray-500 mt-3">Either score completes this step.</p>
+                        )}
                     </div>
-                    <div className="bg-white p-6 rounded-xl shadow-sm border">
-                         <h2 className="text-xl font-bold text-gray-800 mb-4">🏆 Activities & Coursework</h2>
-                        <TextAreaField label="AP Classes" name="apClasses" value={profile.apClasses} onChange={handleChange} placeholder="e.g., AP Biology, AP Calculus AB" />
-                        <div className="mt-4"></div>
-                        <TextAreaField label="Extracurriculars & Leadership" name="extracurriculars" value={profile.extracurriculars} onChange={handleChange} placeholder="e.g., Debate Club President, Varsity Soccer" />
+                    <div className="flex items-center justify-between gap-3">
+                        <button
+                            onClick={() => goToStep(PROFILE_SECTIONS[stepIndex - 1]?.id)}
+                            disabled={stepIndex === 0}
+                            className="bg-white px-6 py-3 rounded-lg border font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Back
+                        </button>
+                        {isLastStep ? (
+                            <button onClick={handleAssess} disabled={isLoading} className="bg-blue-600 text-white font-bold py-3 px-8 rounded-lg shadow-md hover:bg-blue-700 transition-all disabled:bg-gray-400">
+                                {isLoading ? 'Assessing...' : 'Assess My Readiness'}
+                            </button>
+                        ) : (
+                            <button onClick={() => goToStep(PROFILE_SECTIONS[stepIndex + 1].id)} className="bg-blue-600 text-white font-bold py-3 px-8 rounded-lg shadow-md hover:bg-blue-700 transition-all">
+                                Next
+                            </button>
+                        )}
                     </div>
-                     <button onClick={handleAssess} disabled={isLoading} className="w-full bg-blue-600 text-white font-bold py-3 px-8 rounded-lg shadow-md hover:bg-blue-700 transition-all disabled:bg-gray-400">
-                        {isLoading ? 'Assessing...' : 'Assess My Readiness'}
-                    </button>
                 </div>
 
                 {/* Right Column: Assessment Results */}
                 <div className="space-y-6">
                     {/* **UPDATED:** This section now displays the narrative assessment */}
-                    {(isLoading || assessmentText) && (
+                    {(isLoading || assessmentText || assessmentError) && (
                         <div className="bg-white p-6 rounded-xl shadow-sm border">
                             <h2 className="text-xl font-bold text-gray-800 mb-4">AI Readiness Assessment</h2>
                             {isLoading ? (
                                 <p className="text-gray-500 animate-pulse">Generating your assessment...</p>
+                            ) : assessmentError ? (
+                                <p className="text-sm text-red-600">{assessmentError}</p>
                             ) : (
                                 <div className="prose prose-sm max-w-none text-gray-700 whitespace-pre-wrap">
                                     {assessmentText}
@@ -157,6 +316,34 @@ const StudentProfilePage = () => {
 
                 </div>
             </div>
+
+            {step === 'academic' && (
+                <div id="transcript" className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                        <div>
+                            <h2 className="text-xl font-bold text-gray-800">📚 Transcript</h2>
+                            <p className="text-sm text-gray-500">Enter your courses or import a transcript to calculate your GPA. Saving updates the GPA on your profile.</p>
+                        </div>
+                        <div className="flex items-center gap-3">
+                            {transcript.error && <span className="text-sm text-red-600">{transcript.error}</span>}
+                            {transcript.isDirty && (
+                                <button onClick={handleTranscriptDiscard} className="text-sm text-gray-500 hover:underline">
+                                    Discard Changes
+                                </button>
+                            )}
+                            <button
+                                onClick={handleTranscriptSave}
+                                disabled={!transcript.isDirty || transcript.saving}
+                                className="bg-blue-600 text-white font-semibold px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+                            >
+                                {transcript.saving ? 'Saving...' : transcript.isDirty ? 'Save Transcript' : 'Saved'}
+                            </button>
+                        </div>
+                    </div>
+                    <TranscriptUpload hasCourses={transcript.courses.length > 0} onImport={handleTranscriptImport} />
+                    <TranscriptEditor courses={transcript.courses} onChange={handleTranscriptChange} notes={importNotes} />
+                </div>
+            )}
         </div>
     );
 };
@@ -1,7 +1,42 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { getStudentVueData, isAbortError } from '../services/api';
+import { UserProfileManager, mergeAcademicRecord } from '../utils/userProfileManager';
+import TranscriptEditor from '../components/TranscriptEditor';
+import { parseGradebookCourses, readStudentGradeLevel, buildStudentVueImport, diffProfileImport } from '../utils/studentVue';
+
+const STEPS = [
+  { id: 'connect', label: 'Connect' },
+  { id: 'review', label: 'Review Courses' },
+  { id: 'confirm', label: 'Confirm Changes' },
+  { id: 'done', label: 'Done' },
+];
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const StepIndicator = ({ current }) => {
+  const currentIndex = STEPS.findIndex(step => step.id === current);
+  return (
+    <ol className="flex items-center justify-center gap-2 mb-6 text-sm">
+      {STEPS.map((step, index) => (
+        <li key={step.id} className="flex items-center gap-2">
+          <span className={`w-6 h-6 flex items-center justify-center rounded-full text-xs font-bold ${
+            index <= currentIndex ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-600'
+          }`}>
+            {index + 1}
+          </span>
+          <span className={index === currentIndex ? 'font-semibold text-gray-900' : 'text-gray-500'}>{step.label}</span>
+          {index < STEPS.length - 1 && <span className="w-6 h-px bg-gray-300" />}
+        </li>
+      ))}
+    </ol>
+  );
+};
 
 const StudentVuePage = () => {
+  const { user, profile, setProfile } = useAuth();
+  const [step, setStep] = useState('connect');
   const [credentials, setCredentials] = useState({
     districtUrl: '',
     username: '',
@@ -10,8 +45,17 @@ const StudentVuePage = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [data, setData] = useState(null);
+  const [courses, setCourses] = useState([]);
+  const [selectedFields, setSelectedFields] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const controllerRef = useRef(null);
   const navigate = useNavigate();
 
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const incoming = useMemo(() => (data ? buildStudentVueImport(data, courses) : null), [data, courses]);
+  const diff = useMemo(() => (incoming ? diffProfileImport(profile, incoming) : []), [profile, incoming]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setCredentials(prev => ({
@@ -22,32 +66,68 @@ const StudentVuePage = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
     setLoading(true);
     setError('');
 
     try {
-      const response = await fetch('/api/studentvue', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(credentials),
-      });
-
-      const result = await response.json();
-
-      if (result.success) {
-        setData(result.data);
-      } else {
-        setError(result.error || 'Failed to fetch student data');
+      const result = await getStudentVueData(credentials, { signal: controller.signal });
+      if (!result?.success) {
+        setError(result?.error || 'Failed to fetch student data');
+        return;
       }
+      const parsed = parseGradebookCourses(result.data?.gradebook, readStudentGradeLevel(result.data));
+      setData(result.data || {});
+      setCourses(parsed);
+      // The password is only needed for this one request
+      setCredentials(prev => ({ ...prev, password: '' }));
+      setStep('review');
     } catch (err) {
-      setError('Network error. Please try again.');
+      if (isAbortError(err)) return;
+      console.error('StudentVue import failed:', err);
+      setError(err.isOffline
+        ? 'Network error. Please try again.'
+        : err.message || 'Failed to fetch student data');
     } finally {
-      setLoading(false);
+      if (controllerRef.current === controller) setLoading(false);
     }
   };
 
+  const goToConfirm = () => {
+    setSelectedFields(diff.filter(row => row.changed).map(row => row.key));
+    setError('');
+    setStep('confirm');
+  };
+
+  const toggleField = (key) => {
+    setSelectedFields(prev => (prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]));
+  };
+
+  const handleImport = async () => {
+    if (!user?.id || selectedFields.length === 0) return;
+    const changes = Object.fromEntries(selectedFields.map(key => [key, incoming[key]]));
+    setSaving(true);
+    setError('');
+    const saved = await UserProfileManager.updateAcademicRecord(user.id, changes);
+    setSaving(false);
+    if (!saved) {
+      setError('Could not update your profile. Please try again.');
+      return;
+    }
+    setProfile(prev => mergeAcademicRecord(prev, changes));
+    setStep('done');
+  };
+
+  const startOver = () => {
+    setData(null);
+    setCourses([]);
+    setSelectedFields([]);
+    setError('');
+    setStep('connect');
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 py-8">
       <div className="max-w-4xl mx-auto px-4">
@@ -56,138 +136,180 @@ const StudentVuePage = () => {
             StudentVue Integration
           </h1>
           <p className="text-gray-600">
-            Connect your StudentVue account to import your academic data
+            Import your courses and grades from StudentVue into your Scholargy profile
           </p>
         </div>
 
-        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div>
-              <label htmlFor="districtUrl" className="block text-sm font-medium text-gray-700 mb-1">
-                District URL
-              </label>
-              <input
-                type="url"
-                id="districtUrl"
-                name="districtUrl"
-                value={credentials.districtUrl}
-                onChange={handleInputChange}
-                placeholder="https://your-district.studentvue.com"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                required
-              />
-            </div>
+        <StepIndicator current={step} />
 
-            <div>
-              <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
-                Username
-              </label>
-              <input
-                type="text"
-                id="username"
-                name="username"
-                value={credentials.username}
-                onChange={handleInputChange}
-                placeholder="Your StudentVue username"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                required
-              />
-            </div>
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-6">
+            {error}
+          </div>
+        )}
+
+        {step === 'connect' && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="districtUrl" className="block text-sm font-medium text-gray-700 mb-1">
+                  District URL
+                </label>
+                <input
+                  type="url"
+                  id="districtUrl"
+                  name="districtUrl"
+                  value={credentials.districtUrl}
+                  onChange={handleInputChange}
+                  placeholder="https://your-district.studentvue.com"
+                  className={inputClass}
+                  required
+                />
+              </div>
 
+              <div>
+                <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
+                  Username
+                </label>
+                <input
+                  type="text"
+                  id="username"
+                  name="username"
+                  value={credentials.username}
+                  onChange={handleInputChange}
+                  placeholder="Your StudentVue username"
+                  className={inputClass}
+                  required
+                />
+              </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                  Password
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={credentials.password}
+                  onChange={handleInputChange}
+                  placeholder="Your StudentVue password"
+                  className={inputClass}
+                  required
+                />
+              </div>
+
+              <p className="text-xs text-gray-500">
+                Your password is sent to your district only to read your gradebook. Scholargy does not store it.
+              </p>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Connecting...' : 'Connect StudentVue'}
+              </button>
+            </form>
+          </div>
+        )}
+
+        {step === 'review' && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mb-6 space-y-4">
             <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                Password
-              </label>
-              <input
-                type="password"
-                id="password"
-                name="password"
-                value={credentials.password}
-                onChange={handleInputChange}
-                placeholder="Your StudentVue password"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                required
-              />
+              <h2 className="text-xl font-semibold text-gray-900">Your Courses</h2>
+              <p className="text-sm text-gray-600">
+                Check each course's year, level and credits. Courses without a letter grade are left out of your GPA.
+              </p>
             </div>
 
-            {error && (
-              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
-                {error}
-              </div>
+            {courses.length === 0 && (
+              <p className="p-6 bg-gray-50 rounded-lg text-center text-gray-500">
+                No courses were found in your gradebook. Add them below, or continue to import your grade level.
+              </p>
             )}
+            <TranscriptEditor courses={courses} onChange={setCourses} />
 
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {loading ? 'Connecting...' : 'Connect StudentVue'}
-            </button>
-          </form>
-        </div>
+            <div className="flex justify-between gap-3">
+              <button onClick={startOver} className="py-2 px-4 rounded-md border hover:bg-gray-50">
+                Start Over
+              </button>
+              <button
+                onClick={goToConfirm}
+                disabled={diff.length === 0}
+                className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Preview Changes
+              </button>
+            </div>
+          </div>
+        )}
 
-        {data && (
-          <div className="bg-white rounded-lg shadow-lg p-6">
-            <h2 className="text-xl font-semibold text-gray-900 mb-4">Your Academic Data</h2>
-            
-            {data.gradebook && (
-              <div className="mb-6">
-                <h3 className="text-lg font-medium text-gray-800 mb-3">Gradebook</h3>
-                <div className="space-y-3">
-                  {data.gradebook.Courses?.Course?.map((course, index) => (
-                    <div key={index} className="border border-gray-200 rounded-lg p-4">
-                      <h4 className="font-medium text-gray-900">{course['@Title']}</h4>
-                      <p className="text-gray-600">Grade: {course['@Grade']}</p>
-                      <p className="text-gray-600">Teacher: {course['@Teacher']}</p>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
+        {step === 'confirm' && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mb-6 space-y-4">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Confirm Profile Changes</h2>
+              <p className="text-sm text-gray-600">Choose which values to copy into your profile.</p>
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-600">
+                  <th className="py-2 pr-3 w-10" />
+                  <th className="py-2 pr-3 font-semibold">Field</th>
+                  <th className="py-2 pr-3 font-semibold">Current</th>
+                  <th className="py-2 font-semibold">From StudentVue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.map(row => (
+                  <tr key={row.key} className={`border-b last:border-b-0 ${row.changed ? '' : 'text-gray-400'}`}>
+                    <td className="py-2 pr-3">
+                      <input
+                        type="checkbox"
+                        checked={selectedFields.includes(row.key)}
+                        onChange={() => toggleField(row.key)}
+                        aria-label={`Import ${row.label}`}
+                      />
+                    </td>
+                    <td className="py-2 pr-3 font-medium">{row.label}</td>
+                    <td className="py-2 pr-3">{row.current}</td>
+                    <td className={`py-2 ${row.changed ? 'font-semibold text-blue-700' : ''}`}>
+                      {row.incoming}{!row.changed && ' (no change)'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
 
-            {data.attendance && (
-              <div className="mb-6">
-                <h3 className="text-lg font-medium text-gray-800 mb-3">Attendance</h3>
-                <div className="space-y-2">
-                  {data.attendance.Absences?.Absence?.map((absence, index) => (
-                    <div key={index} className="flex justify-between items-center py-2 border-b border-gray-100">
-                      <span className="text-gray-700">{absence['@AbsenceDate']}</span>
-                      <span className={`px-2 py-1 rounded text-sm ${
-                        absence['@Reason'] === 'Excused' 
-                          ? 'bg-green-100 text-green-800' 
-                          : 'bg-red-100 text-red-800'
-                      }`}>
-                        {absence['@Reason']}
-                      </span>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
+            <div className="flex justify-between gap-3">
+              <button onClick={() => setStep('review')} className="py-2 px-4 rounded-md border hover:bg-gray-50">
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={saving || selectedFields.length === 0}
+                className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving...' : `Import ${selectedFields.length} Field${selectedFields.length === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          </div>
+        )}
 
-            {data.profile && (
-              <div>
-                <h3 className="text-lg font-medium text-gray-800 mb-3">Profile</h3>
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <span className="text-gray-600">Grade Level:</span>
-                    <span className="ml-2 font-medium">{data.profile.gradeLevel}</span>
-                  </div>
-                  <div>
-                    <span className="text-gray-600">GPA:</span>
-                    <span className="ml-2 font-medium">{data.profile.gpa}</span>
-                  </div>
-                  <div>
-                    <span className="text-gray-600">Total Credits:</span>
-                    <span className="ml-2 font-medium">{data.profile.totalCredits}</span>
-                  </div>
-                  <div>
-                    <span className="text-gray-600">Graduation Year:</span>
-                    <span className="ml-2 font-medium">{data.profile.graduationYear}</span>
-                  </div>
-                </div>
-              </div>
-            )}
+        {step === 'done' && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mb-6 text-center space-y-4">
+            <h2 className="text-xl font-semibold text-gray-900">Your profile is up to date</h2>
+            <p className="text-gray-600">
+              Your college matches, admission chances and scholarship eligibility now use your imported grades.
+            </p>
+            <div className="flex justify-center gap-3">
+              <button onClick={() => navigate('/student-profile')} className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700">
+                View Profile
+              </button>
+              <button onClick={startOver} className="py-2 px-4 rounded-md border hover:bg-gray-50">
+                Import Again
+              </button>
+            </div>
           </div>
         )}
 
@@ -1,6 +1,7 @@
 // src/services/api.js
 // Single, consolidated file for all API interactions
 import { supabase } from '../utils/supabase';
+import { buildQueryKey, fetchQuery, getQueryData, setQueryData, invalidateQueries } from './queryCache';
 
 // Get API URL from environment variables with fallback
 const getApiUrl = () => {
@@ -16,6 +17,62 @@ const getApiUrl = () => {
 
 const API_BASE_URL = getApiUrl();
 
+// --- Client defaults ---
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 10000;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Structured error thrown by every API call.
+ * `code` lets pages branch on the kind of failure instead of parsing messages:
+ * NETWORK_ERROR (offline / backend down), TIMEOUT, ABORTED, AUTH_REQUIRED,
+ * UNAUTHORIZED, FORBIDDEN, NOT_FOUND, VALIDATION_ERROR, RATE_LIMITED,
+ * SERVER_ERROR, INVALID_RESPONSE (a success status with a body that isn't JSON) or HTTP_ERROR.
+ */
+export class ApiError extends Error {
+    constructor(message, { status = 0, code = 'HTTP_ERROR', endpoint = '', body = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.endpoint = endpoint;
+        this.body = body;
+    }
+
+    get isOffline() {
+        return this.code === 'NETWORK_ERROR' || this.code === 'TIMEOUT';
+    }
+
+    get isAuthError() {
+        return this.code === 'AUTH_REQUIRED' || this.code === 'UNAUTHORIZED';
+    }
+
+    get isValidationError() {
+        return this.code === 'VALIDATION_ERROR';
+    }
+
+    get isAborted() {
+        return this.code === 'ABORTED';
+    }
+}
+
+// True when a request was cancelled by the caller (e.g. a page unmounted)
+export const isAbortError = (error) => (error instanceof ApiError && error.isAborted) || error?.name === 'AbortError';
+
+const codeForStatus = (status) => {
+    if (status === 400 || status === 422) return 'VALIDATION_ERROR';
+    if (status === 401) return 'UNAUTHORIZED';
+    if (status === 403) return 'FORBIDDEN';
+    if (status === 404) return 'NOT_FOUND';
+    if (status === 408) return 'TIMEOUT';
+    if (status === 429) return 'RATE_LIMITED';
+    if (status >= 500) return 'SERVER_ERROR';
+    return 'HTTP_ERROR';
+};
+
 const getAuthHeaders = async () => {
     try {
         const { data: { session } } = await supabase.auth.getSession();
@@ -31,7 +88,104 @@ const getAuthHeaders = async () => {
     }
 };
 
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (header) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    return null;
+};
+
+// Exponential backoff with full jitter
+const getBackoffDelay = (attempt) => {
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new ApiError('Request was cancelled.', { code: 'ABORTED' }));
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timerId);
+        reject(new ApiError('Request was cancelled.', { code: 'ABORTED' }));
+    };
+    const timerId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const readErrorBody = async (response) => {
+    const text = await response.text().catch(() => '');
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+};
+
+// A single fetch attempt bounded by `timeout` and the caller's `signal`
+const fetchWithTimeout = async (url, fetchOptions, { signal, timeout, endpoint }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timerId = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout) : null;
+    const onAbort = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+        return await fetch(url, { ...fetchOptions, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            throw new ApiError(`Request timed out after ${timeout}ms.`, { code: 'TIMEOUT', endpoint });
+        }
+        if (signal?.aborted) {
+            throw new ApiError('Request was cancelled.', { code: 'ABORTED', endpoint });
+        }
+        throw new ApiError('Backend service unavailable. Please ensure the backend is running.', {
+            code: 'NETWORK_ERROR',
+            endpoint,
+            body: error.message
+        });
+    } finally {
+        if (timerId) clearTimeout(timerId);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+/**
+ * Perform a request against the backend API.
+ * @param {string} endpoint - Path relative to the API base URL
+ * @param {Object} options - fetch options plus client options:
+ *   `signal` (AbortSignal), `timeout` (ms, 0 disables), `retries` (max retry count),
+ *   `idempotent` (opt a read-only POST into retries)
+ * @param {boolean} requireAuth - Attach the Supabase bearer token
+ * @returns {Promise<any>} Parsed JSON body (null for empty responses)
+ * @throws {ApiError}
+ */
 export const makeRequest = async (endpoint, options = {}, requireAuth = false) => {
+    const {
+        signal,
+        timeout = DEFAULT_TIMEOUT_MS,
+        retries = DEFAULT_RETRIES,
+        idempotent,
+        ...requestOptions
+    } = options;
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    const canRetry = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const maxRetries = canRetry ? retries : 0;
+
     try {
         const url = `${API_BASE_URL}${endpoint}`;
         let headers = { 'Content-Type': 'application/json' };
@@ -40,200 +194,371 @@ export const makeRequest = async (endpoint, options = {}, requireAuth = false) =
                 headers = await getAuthHeaders();
             } catch (authError) {
                 console.error('Authentication failed:', authError);
-                throw new Error('Authentication required. Please log in again.');
+                throw new ApiError('Authentication required. Please log in again.', {
+                    status: 401,
+                    code: 'AUTH_REQUIRED',
+                    endpoint
+                });
             }
         }
-        
+
         // Configure fetch options
         // We use Bearer tokens in Authorization header, not cookies.
         // For cross-origin, omit credentials to avoid CORS credential requirements.
         const fetchOptions = {
-            ...options,
-            headers: { ...headers, ...options.headers },
+            ...requestOptions,
+            method,
+            headers: { ...headers, ...requestOptions.headers },
             credentials: 'omit',
             mode: 'cors',
         };
-        
-        const response = await fetch(url, fetchOptions);
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await fetchWithTimeout(url, fetchOptions, { signal, timeout, endpoint });
+            } catch (error) {
+                if (attempt < maxRetries && (error.code === 'NETWORK_ERROR' || error.code === 'TIMEOUT')) {
+                    await sleep(getBackoffDelay(attempt), signal);
+                    continue;
+                }
+                throw error;
+            }
+
+            if (response.ok) {
+                if (response.status === 204) return null;
+                const text = await response.text();
+                if (!text.trim()) return null;
+                try {
+                    return JSON.parse(text);
+                } catch {
+                    // e.g. an HTML page from a proxy or static host answering for a missing route
+                    throw new ApiError('Unexpected response from server.', {
+                        status: response.status,
+                        code: 'INVALID_RESPONSE',
+                        endpoint,
+                        body: text
+                    });
+                }
+            }
+
+            if (attempt < maxRetries && RETRYABLE_STATUSES.includes(response.status)) {
+                // Honour Retry-After, but never stall the UI longer than the backoff ceiling
+                const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                await sleep(retryAfter === null ? getBackoffDelay(attempt) : Math.min(retryAfter, RETRY_MAX_DELAY_MS), signal);
+                continue;
+            }
+
+            const body = await readErrorBody(response);
+            const message = (body && (body.error || body.message)) || `HTTP error! status: ${response.status}`;
+            throw new ApiError(message, {
+                status: response.status,
+                code: (body && body.code) || codeForStatus(response.status),
+                endpoint,
+                body
+            });
         }
-        return response.json();
     } catch (error) {
-        console.error(`API request failed for ${endpoint}:`, error);
-        
+        const apiError = error instanceof ApiError
+            ? error
+            : new ApiError(error.message, { code: 'HTTP_ERROR', endpoint, body: null });
+        if (!apiError.endpoint) apiError.endpoint = endpoint;
+
+        if (apiError.isAborted) throw apiError;
+        console.error(`API request failed for ${endpoint}:`, apiError);
+
         // Check if it's a network error (backend not running)
-        if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+        if (apiError.code === 'NETWORK_ERROR') {
             console.warn('Backend appears to be offline. Using fallback data.');
-            throw new Error('Backend service unavailable. Please ensure the backend is running.');
         }
-        
-        throw error;
+
+        throw apiError;
     }
 };
 
+// --- Query Cache ---
+// Keys and policies for lookups served through the shared query cache.
+// Pages subscribe to the same keys (see hooks/useCachedQuery) to pick up background refreshes.
+export const queryKeys = {
+    institution: (unitId) => buildQueryKey(`/institutions/${unitId}`),
+    scholarship: (id) => buildQueryKey(`/scholarships/${id}`),
+    scholarshipSearch: (params) => buildQueryKey('/scholarships/search', params),
+    savedScholarships: (userId) => buildQueryKey(`/user/saved-scholarships/${userId}`),
+    actionPlan: (userId) => buildQueryKey(`/dashboard/next-steps/${userId}`),
+};
+
+const CACHE_POLICIES = {
+    institution: { staleTime: 60 * 60 * 1000, cacheTime: 24 * 60 * 60 * 1000, persist: true },
+    scholarship: { staleTime: 10 * 60 * 1000, cacheTime: 24 * 60 * 60 * 1000, persist: true },
+    scholarshipSearch: { staleTime: 2 * 60 * 1000, cacheTime: 10 * 60 * 1000 },
+    savedScholarships: { staleTime: 60 * 1000, cacheTime: 10 * 60 * 1000 },
+    actionPlan: { staleTime: 30 * 60 * 1000, cacheTime: 12 * 60 * 60 * 1000 },
+};
+
+// Route a request through the cache; `cache: false` in requestOptions bypasses it.
+// The shared request is not tied to any single caller's signal, so one unmounting
+// page cannot cancel a lookup another page is waiting on.
+const cachedRequest = (key, policy, request, requestOptions = {}) => {
+    const { signal, cache = true, ...options } = requestOptions;
+    if (!cache) return request({ ...options, signal });
+    return fetchQuery(key, () => request(options), { ...policy, signal });
+};
+
 // --- Dashboard Functions ---
-export const getTopMatches = async (userId = null) => {
+// Functions with a fallback still rethrow cancellations so unmounted callers don't set state.
+// Aggregate of profile, matches, scholarships, career insights and next steps.
+// Older backends answer 404; callers fall back to the per-section endpoints below,
+// so failures are not retried here.
+export const getDashboardSummary = (userId, requestOptions = {}) => makeRequest(
+    `/dashboard/summary?userId=${encodeURIComponent(userId)}`,
+    { retries: 0, ...requestOptions },
+    true
+);
+
+export const getTopMatches = async (userId = null, requestOptions = {}) => {
     try {
         const params = userId ? `?userId=${userId}` : '';
-        return await makeRequest(`/dashboard/top-matches${params}`);
+        return await makeRequest(`/dashboard/top-matches${params}`, requestOptions, !!userId);
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error('getTopMatches failed, returning fallback data:', error);
         return { results: [] }; // Safe fallback
     }
 };
 
-export const getScholarshipStats = async (userId = null) => {
+export const getScholarshipStats = async (userId = null, requestOptions = {}) => {
     try {
         const params = userId ? `?userId=${userId}` : '';
-        return await makeRequest(`/dashboard/scholarship-stats${params}`);
+        return await makeRequest(`/dashboard/scholarship-stats${params}`, requestOptions, !!userId);
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error('getScholarshipStats failed, returning fallback data:', error);
         return { totalEligibleAmount: 0, opportunities: [] }; // Safe fallback
     }
 };
 
-export const getUpcomingDeadlines = async (days = 30) => {
+export const getUpcomingDeadlines = async (days = 30, requestOptions = {}) => {
     try {
-        return await makeRequest(`/dashboard/upcoming-deadlines?days=${days}`);
+        return await makeRequest(`/dashboard/upcoming-deadlines?days=${days}`, requestOptions);
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error('getUpcomingDeadlines failed, returning fallback data:', error);
         return { deadlines: [] }; // Safe fallback
     }
 };
 
-export const getNextStepsData = (studentProfile, collegeMatches = [], scholarships = [], userId = null) => {
+export const getNextStepsData = (studentProfile, collegeMatches = [], scholarships = [], userId = null, requestOptions = {}) => {
     const payload = { studentProfile, collegeMatches, scholarships };
     if (userId) payload.userId = userId;
     return makeRequest('/dashboard/next-steps', {
+        ...requestOptions,
         method: 'POST',
         body: JSON.stringify(payload)
     }, true);
 };
+// Next steps are generated, so the dashboard keeps its last action plan for read-only views
+// (e.g. the deadline calendar) instead of them asking for a new one
+export const rememberActionPlan = (userId, actionPlan) => {
+    if (userId) setQueryData(queryKeys.actionPlan(userId), actionPlan || [], CACHE_POLICIES.actionPlan);
+};
+export const getRememberedActionPlan = (userId) => (userId ? getQueryData(queryKeys.actionPlan(userId))?.data || [] : []);
 
 // --- Profile Management ---
-export const getProfile = (userId) => makeRequest(`/profile/${userId}`, {}, true);
-export const createProfile = (userId, profileData) => makeRequest('/profile', { 
-    method: 'POST', 
-    body: JSON.stringify({ profileData }) 
+export const getProfile = (userId, requestOptions = {}) => makeRequest(`/profile/${userId}`, requestOptions, true);
+export const createProfile = (userId, profileData, requestOptions = {}) => makeRequest('/profile', {
+    ...requestOptions,
+    method: 'POST',
+    body: JSON.stringify({ profileData })
 }, true);
-export const updateProfile = (userId, profileData) => makeRequest(`/profile/${userId}`, { 
-    method: 'PUT', 
-    body: JSON.stringify({ profileData }) 
+export const updateProfile = (userId, profileData, requestOptions = {}) => makeRequest(`/profile/${userId}`, {
+    ...requestOptions,
+    method: 'PUT',
+    body: JSON.stringify({ profileData })
 }, true);
 // Generate an AI assessment of the provided profile data
 // Backend expects profile data in the request body rather than a user ID
-export const getProfileAssessment = (profileData) => makeRequest('/profile/assessment', {
+export const getProfileAssessment = (profileData, requestOptions = {}) => makeRequest('/profile/assessment', {
+    ...requestOptions,
     method: 'POST',
     body: JSON.stringify({ profileData })
 }, true);
-export const saveProfile = (userId, profileData) => makeRequest(`/profile/${userId}/save`, {
+export const saveProfile = (userId, profileData, requestOptions = {}) => makeRequest(`/profile/${userId}/save`, {
+    ...requestOptions,
     method: 'POST',
     body: JSON.stringify({ profileData })
 }, true);
 
 // --- User Stats ---
-export const getUserStats = (userId) => makeRequest(`/user/stats/${userId}`, {}, true);
+export const getUserStats = (userId, requestOptions = {}) => makeRequest(`/user/stats/${userId}`, requestOptions, true);
 
 // --- Institution and College Functions ---
-export const searchInstitutions = (searchConfig) => makeRequest('/institutions/search', { 
-    method: 'POST', 
-    body: JSON.stringify(searchConfig) 
+// Search endpoints are read-only POSTs, so they opt into retries.
+export const searchInstitutions = (searchConfig, requestOptions = {}) => makeRequest('/institutions/search', {
+    idempotent: true,
+    ...requestOptions,
+    method: 'POST',
+    body: JSON.stringify(searchConfig)
 });
-export const getInstitutionDetails = (unitId) => makeRequest(`/institutions/${unitId}`);
-export const getInstitutionsByIds = async (unitIds) => {
+export const getInstitutionDetails = (unitId, requestOptions = {}) => cachedRequest(
+    queryKeys.institution(unitId),
+    CACHE_POLICIES.institution,
+    (options) => makeRequest(`/institutions/${unitId}`, options),
+    requestOptions
+);
+export const getInstitutionsByIds = async (unitIds, requestOptions = {}) => {
     try {
-        const response = await makeRequest('/institutions/batch', { 
-            method: 'POST', 
-            body: JSON.stringify({ unitIds }) 
+        const response = await makeRequest('/institutions/batch', {
+            idempotent: true,
+            ...requestOptions,
+            method: 'POST',
+            body: JSON.stringify({ unitIds })
         });
         return response.institutions || []; // Return the institutions array from the response
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error('getInstitutionsByIds failed, returning fallback data:', error);
         return []; // Safe fallback
     }
 };
 
-// --- Probability and Admission Functions ---
-export const calculateProbabilities = (studentProfile, collegeIds) => makeRequest('/probability/calculate', { 
-    method: 'POST', 
-    body: JSON.stringify({ studentProfile, collegeIds }) 
-});
-
 // --- RAG and AI Functions ---
-export const sendRagQuery = (query, context = []) => makeRequest('/rag/query', { 
-    method: 'POST', 
-    body: JSON.stringify({ query, context }) 
+export const sendRagQuery = (query, context = [], requestOptions = {}) => makeRequest('/rag/query', {
+    ...requestOptions,
+    method: 'POST',
+    body: JSON.stringify({ query, context })
 });
 
-export const getTopMatchesFromRag = (studentProfile) => makeRequest('/rag/top-matches', {
+export const getTopMatchesFromRag = (studentProfile, requestOptions = {}) => makeRequest('/rag/top-matches', {
+    ...requestOptions,
     method: 'POST',
     body: JSON.stringify({ studentProfile })
 });
 
-export const getScholarshipSummary = (studentProfile, scholarshipRecommendations = []) => makeRequest('/rag/scholarships', {
+export const getScholarshipSummary = (studentProfile, scholarshipRecommendations = [], requestOptions = {}) => makeRequest('/rag/scholarships', {
+    ...requestOptions,
     method: 'POST',
     body: JSON.stringify({ studentProfile, scholarshipRecommendations })
 });
 
 // --- Scholarship Functions ---
-export const searchScholarships = (params) => makeRequest('/scholarships/search', { 
-    method: 'POST', 
-    body: JSON.stringify(params) 
-});
+// Results are paged: pass `pageSize` plus either `page` (1-based) or the `cursor` from the
+// previous response. Responses carry `scholarships`, `total`, `hasMore` and `nextCursor`.
+// Each page is cached under its own key.
+export const searchScholarships = (params, requestOptions = {}) => cachedRequest(
+    queryKeys.scholarshipSearch(params),
+    CACHE_POLICIES.scholarshipSearch,
+    (options) => makeRequest('/scholarships/search', {
+        idempotent: true,
+        ...options,
+        method: 'POST',
+        body: JSON.stringify(params)
+    }),
+    requestOptions
+);
 
-export const getScholarshipStatsByProfile = (studentProfile) => makeRequest('/scholarships/stats', {
+export const getScholarshipStatsByProfile = (studentProfile, requestOptions = {}) => makeRequest('/scholarships/stats', {
+    idempotent: true,
+    ...requestOptions,
     method: 'POST',
     body: JSON.stringify({ studentProfile })
 });
 
-export const getUpcomingScholarshipDeadlines = (days = 30) => makeRequest(`/scholarships/upcoming-deadlines?days=${days}`);
+export const getUpcomingScholarshipDeadlines = (days = 30, requestOptions = {}) => makeRequest(`/scholarships/upcoming-deadlines?days=${days}`, requestOptions);
+
+// --- Calendar Functions ---
+// Ask the backend for a private, subscribable iCalendar feed URL for the user's deadlines
+export const createCalendarFeed = (userId, requestOptions = {}) => makeRequest('/calendar/feed', {
+    ...requestOptions,
+    method: 'POST',
+    body: JSON.stringify({ userId })
+}, true);
+
+// --- Share Functions ---
+// Store a read-only snapshot (comparison or report) and get back a `token` for the share URL.
+// Snapshots embed everything the viewer needs, so opening one needs no account.
+export const createShareLink = (snapshot, requestOptions = {}) => makeRequest('/share', {
+    ...requestOptions,
+    method: 'POST',
+    body: JSON.stringify({ snapshot })
+}, true);
+
+export const getSharedSnapshot = (token, requestOptions = {}) => makeRequest(`/share/${encodeURIComponent(token)}`, requestOptions);
 
 // --- Article Functions ---
-export const searchArticles = (query) => makeRequest(`/articles/search?q=${encodeURIComponent(query)}`);
+export const searchArticles = (query, requestOptions = {}) => makeRequest(`/articles/search?q=${encodeURIComponent(query)}`, requestOptions);
 
-export const findMatchingScholarships = (studentProfile) => makeRequest('/matching/scholarships', { 
-    method: 'POST', 
-    body: JSON.stringify({ studentProfile }) 
+export const findMatchingScholarships = (studentProfile, requestOptions = {}) => makeRequest('/matching/scholarships', {
+    idempotent: true,
+    ...requestOptions,
+    method: 'POST',
+    body: JSON.stringify({ studentProfile })
 }, true);
 
-export const getScholarshipById = async (id) => {
-    try {
-        const response = await makeRequest(`/scholarships/${id}`);
-        return response.scholarship || null; // Return the scholarship object from the response
-    } catch (error) {
-        console.error('getScholarshipById failed:', error);
-        return null; // Safe fallback
-    }
+// Raw `{ scholarship }` body, the shape held in the query cache
+export const getScholarshipResponse = (id, requestOptions = {}) => cachedRequest(
+    queryKeys.scholarship(id),
+    CACHE_POLICIES.scholarship,
+    (options) => makeRequest(`/scholarships/${id}`, options),
+    requestOptions
+);
+
+// Failures are thrown so pages can tell "not found" from "could not load"
+export const getScholarshipById = async (id, requestOptions = {}) => {
+    const response = await getScholarshipResponse(id, requestOptions);
+    return response?.scholarship || null; // Return the scholarship object from the response
 };
 
 // --- StudentVue Functions ---
-export const getStudentVueData = (studentProfile) => makeRequest('/studentvue', {
+// Credentials are `{ districtUrl, username, password }`; they are passed through to the district and not stored
+export const getStudentVueData = (credentials, requestOptions = {}) => makeRequest('/studentvue', {
+    ...requestOptions,
     method: 'POST',
-    body: JSON.stringify({ studentProfile })
+    body: JSON.stringify(credentials)
 }, true);
 
 // --- Report Generation ---
-export const generateReport = (studentProfile, collegeData) => makeRequest('/report/generate', {
+export const generateReport = (studentProfile, collegeData, requestOptions = {}) => makeRequest('/report/generate', {
+    ...requestOptions,
     method: 'POST',
     body: JSON.stringify({ studentProfile, collegeData })
 }, true);
 
 // --- Career Forecaster ---
-export const getCareerForecast = (studentProfile, careerGoals) => makeRequest('/forecaster/predict', {
+export const getCareerForecast = (studentProfile, careerGoals, requestOptions = {}) => makeRequest('/forecaster/predict', {
+    ...requestOptions,
     method: 'POST',
     body: JSON.stringify({ studentProfile, careerGoals })
 }, true);
 
-// --- User Applications and History ---
-export const getUserApplications = (userId) => makeRequest(`/user/applications/${userId}`, {}, true);
-export const getUserSavedScholarships = (userId) => makeRequest(`/user/saved-scholarships/${userId}`, {}, true);
-export const saveScholarship = (userId, scholarshipId) => makeRequest('/user/save-scholarship', {
-    method: 'POST',
-    body: JSON.stringify({ userId, scholarshipId })
-}, true);
-export const removeSavedScholarship = (userId, scholarshipId) => makeRequest('/user/remove-scholarship', {
-    method: 'DELETE',
-    body: JSON.stringify({ userId, scholarshipId })
-}, true);
\ No newline at end of file
+// --- User Saved Scholarships and History ---
+export const getUserSavedScholarships = (userId, requestOptions = {}) => cachedRequest(
+    queryKeys.savedScholarships(userId),
+    CACHE_POLICIES.savedScholarships,
+    (options) => makeRequest(`/user/saved-scholarships/${userId}`, options, true),
+    requestOptions
+);
+
+// Mutations invalidate the saved list and the scholarship itself so the next read is fresh
+const invalidateSavedScholarship = (userId, scholarshipId) => {
+    const keys = [queryKeys.savedScholarships(userId), queryKeys.scholarship(scholarshipId)];
+    invalidateQueries(key => keys.includes(key));
+};
+
+export const saveScholarship = async (userId, scholarshipId, requestOptions = {}) => {
+    const result = await makeRequest('/user/save-scholarship', {
+        ...requestOptions,
+        method: 'POST',
+        body: JSON.stringify({ userId, scholarshipId })
+    }, true);
+    invalidateSavedScholarship(userId, scholarshipId);
+    return result;
+};
+export const removeSavedScholarship = async (userId, scholarshipId, requestOptions = {}) => {
+    const result = await makeRequest('/user/remove-scholarship', {
+        ...requestOptions,
+        method: 'DELETE',
+        body: JSON.stringify({ userId, scholarshipId })
+    }, true);
+    invalidateSavedScholarship(userId, scholarshipId);
+    return result;
+};
\ No newline at end of file
@@ -0,0 +1,229 @@
+// src/services/queryCache.js
+// Shared client-side cache for API lookups: TTLs, in-flight deduplication,
+// stale-while-revalidate and optional IndexedDB persistence.
+
+const DB_NAME = 'scholargy-query-cache';
+const STORE_NAME = 'queries';
+
+const DEFAULT_STALE_TIME = 60 * 1000;       // Serve from cache without refetching
+const DEFAULT_CACHE_TIME = 10 * 60 * 1000;  // Keep stale data around for instant renders
+
+const entries = new Map();    // key -> { data, updatedAt, staleTime, cacheTime }
+const inFlight = new Map();   // key -> Promise
+const listeners = new Map();  // key -> Set<listener>
+
+/**
+ * Build a stable cache key from an endpoint and its parameters.
+ * Object keys are sorted so `{ a, b }` and `{ b, a }` share an entry.
+ * @param {string} endpoint - API endpoint
+ * @param {any} params - Request parameters
+ * @returns {string} Cache key
+ */
+export const buildQueryKey = (endpoint, params = null) => {
+    const normalize = (value) => {
+        if (Array.isArray(value)) return value.map(normalize);
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((acc, key) => {
+                if (value[key] !== undefined) acc[key] = normalize(value[key]);
+                return acc;
+            }, {});
+        }
+        return value;
+    };
+    return params === null || params === undefined
+        ? endpoint
+        : `${endpoint}?${JSON.stringify(normalize(params))}`;
+};
+
+// --- IndexedDB persistence ---
+let dbPromise = null;
+
+const openDb = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            try {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            } catch (error) {
+                console.warn('IndexedDB unavailable, query cache will not persist:', error);
+                resolve(null);
+            }
+        });
+    }
+    return dbPromise;
+};
+
+const withStore = async (mode, operation) => {
+    const db = await openDb();
+    if (!db) return null;
+    return new Promise((resolve) => {
+        try {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => resolve(null);
+        } catch (error) {
+            console.warn('Query cache persistence failed:', error);
+            resolve(null);
+        }
+    });
+};
+
+const readPersisted = (key) => withStore('readonly', store => store.get(key));
+const writePersisted = (key, entry) => withStore('readwrite', store => store.put(entry, key));
+
+const deletePersisted = (matches) => withStore('readwrite', (store) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (matches(cursor.key)) cursor.delete();
+        cursor.continue();
+    };
+    return null;
+});
+
+// --- Subscriptions ---
+const notify = (key, entry) => {
+    const keyListeners = listeners.get(key);
+    if (keyListeners) keyListeners.forEach(listener => listener(entry));
+};
+
+/**
+ * Subscribe to updates for a key. The listener receives the new entry,
+ * or `undefined` when the key has been invalidated.
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeQuery = (key, listener) => {
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+    return () => {
+        const keyListeners = listeners.get(key);
+        if (!keyListeners) return;
+        keyListeners.delete(listener);
+        if (keyListeners.size === 0) listeners.delete(key);
+    };
+};
+
+const isExpired = (entry) => Date.now() - entry.updatedAt > entry.cacheTime;
+const isStale = (entry) => Date.now() - entry.updatedAt > entry.staleTime;
+
+/**
+ * Read cached data synchronously (memory only), ignoring expired entries.
+ * @param {string} key - Cache key
+ * @returns {{ data: any, isStale: boolean }|null}
+ */
+export const getQueryData = (key) => {
+    const entry = entries.get(key);
+    if (!entry || isExpired(entry)) return null;
+    return { data: entry.data, isStale: isStale(entry) };
+};
+
+/**
+ * Write data into the cache and notify subscribers.
+ */
+export const setQueryData = (key, data, { staleTime = DEFAULT_STALE_TIME, cacheTime = DEFAULT_CACHE_TIME, persist = false } = {}) => {
+    const entry = { data, updatedAt: Date.now(), staleTime, cacheTime };
+    entries.set(key, entry);
+    if (persist) writePersisted(key, entry);
+    notify(key, entry);
+    return entry;
+};
+
+// Resolve with the shared promise unless this caller's signal aborts first
+const raceWithSignal = (promise, signal) => {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const abortError = () => {
+            const error = new Error('Request was cancelled.');
+            error.name = 'AbortError';
+            return error;
+        };
+        if (signal.aborted) {
+            reject(abortError());
+            return;
+        }
+        const onAbort = () => reject(abortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+const revalidate = (key, fetcher, options) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const promise = Promise.resolve()
+        .then(() => fetcher())
+        .then((data) => {
+            setQueryData(key, data, options);
+            return data;
+        })
+        .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+};
+
+/**
+ * Fetch through the cache.
+ * - Fresh entries are returned without a request.
+ * - Stale entries are returned immediately and refreshed in the background.
+ * - Concurrent calls for the same key share one request.
+ * @param {string} key - Cache key (see buildQueryKey)
+ * @param {Function} fetcher - Performs the request; called without arguments
+ * @param {Object} options - `staleTime`, `cacheTime` (ms), `persist` (IndexedDB),
+ *   `signal` (cancels this caller's wait, not the shared request), `force` (skip cache)
+ * @returns {Promise<any>} Cached or fetched data
+ */
+export const fetchQuery = async (key, fetcher, options = {}) => {
+    const {
+        staleTime = DEFAULT_STALE_TIME,
+        cacheTime = DEFAULT_CACHE_TIME,
+        persist = false,
+        force = false,
+        signal
+    } = options;
+    const policy = { staleTime, cacheTime, persist };
+
+    let entry = entries.get(key);
+    if (!entry && persist && !force) {
+        const stored = await readPersisted(key);
+        if (stored && !entries.has(key)) {
+            // Honour the current policy, not the one the entry was stored with
+            entry = { ...stored, staleTime, cacheTime };
+            entries.set(key, entry);
+        }
+        entry = entries.get(key);
+    }
+
+    if (entry && !force && !isExpired(entry)) {
+        if (isStale(entry)) {
+            revalidate(key, fetcher, policy).catch(error => {
+                console.warn(`Background refresh failed for ${key}:`, error);
+            });
+        }
+        return entry.data;
+    }
+
+    return raceWithSignal(revalidate(key, fetcher, policy), signal);
+};
+
+/**
+ * Invalidate every entry whose key starts with `prefix` (or matches the predicate).
+ * Subscribers are notified so mounted views can refetch.
+ * @param {string|Function} prefix - Key prefix or `(key) => boolean`
+ */
+export const invalidateQueries = (prefix) => {
+    const matches = typeof prefix === 'function' ? prefix : (key) => key.startsWith(prefix);
+    Array.from(entries.keys()).filter(matches).forEach((key) => {
+        entries.delete(key);
+        notify(key, undefined);
+    });
+    deletePersisted(matches);
+};
+
+/**
+ * Drop everything, including persisted entries (e.g. on sign-out).
+ */
+export const clearQueryCache = () => invalidateQueries(() => true);
@@ -0,0 +1,57 @@
+// src/services/savedSearchService.js
+import { supabase } from '../utils/supabase';
+
+// Saved scholarship searches live in the `saved_searches` table (see supabase-schema.sql).
+// Unlike userService these methods throw, so callers can roll back optimistic updates.
+export const savedSearchService = {
+  async listSavedSearches(userId) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async createSavedSearch(userId, { name, filters, notifyEmail = false, resultCount = 0, seenIds = [] }) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .insert([{
+        user_id: userId,
+        name,
+        filters,
+        notify_email: notifyEmail,
+        last_result_count: resultCount,
+        seen_scholarship_ids: seenIds,
+        last_viewed_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async updateSavedSearch(id, updates) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deleteSavedSearch(id) {
+    const { error } = await supabase
+      .from('saved_searches')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
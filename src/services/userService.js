@@ -148,6 +148,26 @@ export const userService = {
     return localUser;
   },
 
+  // Whether the user accepts e-mail from the app (`email_notifications`); null when it can't be read
+  async getEmailNotifications(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('users')
+        .select('email_notifications')
+        .eq('id', userId)
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data.email_notifications !== false;
+    } catch (error) {
+      console.error('Error reading email notification setting:', error);
+      return null;
+    }
+  },
+
   // Update user profile
   async updateUserProfile(userId, updates) {
     try {
@@ -0,0 +1,186 @@
+// src/utils/admissionProbability.js
+// Admission chance estimates from a college's admission rate and admitted-student score percentiles.
+// Pure functions with no app imports beyond profile and institution reading, so they can be exercised against fixture colleges.
+import { readProfileValue } from './profileFields';
+import { toNumber, readAdmissionRate, readSatRange, readActRange } from './institutionData';
+
+/*
+ * Model: start from the log-odds of the college's admission rate (the average applicant's chance),
+ * then shift by how the student compares with admitted students. Admitted scores are treated as
+ * normal, so the reported 25th–75th percentiles give a mean and a standard deviation
+ * (IQR / 1.349). Admitted students are stronger than the applicant pool, so a student at the
+ * admitted median already sits above the average applicant (ADMITTED_POOL_OFFSET).
+ */
+const IQR_TO_SD = 1.349;
+const ADMITTED_POOL_OFFSET = 0.5;
+const TEST_WEIGHT = 0.7;
+const GPA_WEIGHT = { reported: 0.6, estimated: 0.4 };
+const GPA_SD = 0.3;
+// Being far above the admitted range stops helping at highly selective colleges
+const Z_LIMITS = { min: -3, max: 2 };
+const PROBABILITY_LIMITS = { min: 2, max: 95 };
+
+// Below this rate a college is a reach whatever the estimate says
+export const HIGHLY_SELECTIVE_RATE = 0.15;
+
+export const LIKELIHOOD_THRESHOLDS = { safety: 70, reach: 30 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const logit = (p) => Math.log(p / (1 - p));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+/**
+ * Pull the inputs the model needs from either a nested institution record (`admissions.*`)
+ * or the flat shape college matches come back in (`admission_rate`, `sat_scores`, `avgSAT`)
+ */
+export function readCollegeAdmissions(college) {
+  const admissions = college?.admissions || {};
+  const sat = admissions.sat_scores || college?.sat_scores || {};
+
+  let satRange = readSatRange(college);
+  let satEstimated = false;
+  // Some match records only carry an average; assume a typical 200-point middle 50%
+  const satAverage = toNumber(college?.avgSAT ?? sat.average);
+  if (!satRange && satAverage !== null) {
+    satRange = { min: satAverage - 100, max: satAverage + 100 };
+    satEstimated = true;
+  }
+  // A 0% rate is missing data; the model also needs a rate below 100%
+  const rate = readAdmissionRate(college);
+
+  const policy = String(admissions.test_policy || admissions.test_requirements || college?.test_policy || '').toLowerCase();
+  const testOptional = admissions.test_optional === true || college?.test_optional === true || /optional|flexible|blind|not required/.test(policy);
+
+  return {
+    rate: rate > 0 ? Math.min(rate, 0.99) : null,
+    sat: satRange,
+    satEstimated,
+    act: readActRange(college),
+    avgGpa: toNumber(admissions.avg_gpa ?? college?.avgGPA),
+    testOptional,
+    testBlind: /blind/.test(policy),
+  };
+}
+
+// z-score of `score` among admitted students described by a 25th–75th percentile range
+const admittedZ = (score, range) => {
+  if (score === null || !range) return null;
+  const sd = Math.max((range.max - range.min) / IQR_TO_SD, 1);
+  return clamp((score - (range.min + range.max) / 2) / sd, Z_LIMITS.min, Z_LIMITS.max);
+};
+
+// Typical admitted GPA when a college doesn't report one: higher as selectivity rises
+const estimateAdmittedGpa = (rate) => 3.3 + 0.6 * (1 - rate);
+
+const describeZ = (z) => {
+  if (z >= 0.674) return 'above the middle 50% of admitted students';
+  if (z <= -0.674) return 'below the middle 50% of admitted students';
+  return 'within the middle 50% of admitted students';
+};
+
+/**
+ * Estimate one student's chance of admission at one college
+ * @param {Object} profile - Student profile in any supported shape
+ * @param {Object} college - Institution record or college match
+ * @returns {{
+ *   probability: number|null, low: number|null, high: number|null,
+ *   likelihood: 'reach'|'target'|'safety'|null, confidence: 'low'|'medium'|'high',
+ *   factors: Object, reasons: string[]
+ * }} Percentages are whole numbers; `low`–`high` is a ~68% band.
+ *   `probability` is null only when the college has no admission rate and the student has no GPA or scores to compare.
+ */
+export function estimateAdmission(profile, college) {
+  const data = readCollegeAdmissions(college);
+  const gpa = toNumber(readProfileValue(profile, 'gpa'));
+  const satScore = toNumber(readProfileValue(profile, 'satScore'));
+  const actScore = toNumber(readProfileValue(profile, 'actScore'));
+  const reasons = [];
+
+  const rate = data.rate ?? 0.5;
+  let logOdds = logit(rate);
+  let spread = 0.6;
+  if (data.rate === null) {
+    spread += 0.5;
+    reasons.push('This college does not report an admission rate, so the estimate is rough.');
+  }
+
+  // Tests: use the stronger of SAT and ACT, since students send their best
+  const tests = [
+    { name: 'SAT', score: satScore, z: admittedZ(satScore, data.sat) },
+    { name: 'ACT', score: actScore, z: admittedZ(actScore, data.act) },
+  ].filter(test => test.z !== null);
+  const bestTest = tests.sort((a, b) => b.z - a.z)[0] || null;
+  let testZ = null;
+
+  if (data.testBlind) {
+    reasons.push('This college does not consider test scores.');
+    spread += 0.2;
+  } else if (bestTest && data.testOptional && bestTest.z < 0) {
+    // Below the admitted median, a test-optional applicant would simply not submit scores
+    reasons.push(`Your ${bestTest.name} is ${describeZ(bestTest.z)}; this college is test-optional, so you could apply without it.`);
+    spread += 0.3;
+  } else if (bestTest) {
+    testZ = bestTest.z;
+    logOdds += TEST_WEIGHT * (testZ + ADMITTED_POOL_OFFSET);
+    reasons.push(`Your ${bestTest.name} of ${bestTest.score} is ${describeZ(testZ)}.`);
+    if (data.satEstimated && bestTest.name === 'SAT') spread += 0.2;
+  } else {
+    spread += 0.4;
+    if (!data.sat && !data.act) {
+      reasons.push(data.testOptional
+        ? 'This college is test-optional and reports no score ranges, so the estimate leans on GPA and admission rate.'
+        : 'This college does not report SAT or ACT ranges.');
+    } else {
+      reasons.push('Add an SAT or ACT score to your profile for a sharper estimate.');
+    }
+  }
+
+  let gpaZ = null;
+  if (gpa !== null) {
+    const reported = data.avgGpa !== null;
+    const expected = reported ? data.avgGpa : estimateAdmittedGpa(rate);
+    gpaZ = clamp((gpa - expected) / GPA_SD, Z_LIMITS.min, Z_LIMITS.max);
+    logOdds += (reported ? GPA_WEIGHT.reported : GPA_WEIGHT.estimated) * (gpaZ + ADMITTED_POOL_OFFSET);
+    if (reported) {
+      reasons.push(`Your GPA of ${gpa.toFixed(2)} is ${gpa >= expected ? 'at or above' : 'below'} the admitted average of ${expected.toFixed(2)}.`);
+    } else {
+      spread += 0.2;
+    }
+  } else {
+    spread += 0.3;
+    reasons.push('Add your GPA to your profile for a sharper estimate.');
+  }
+
+  if (data.rate === null && testZ === null && gpaZ === null) {
+    return { probability: null, low: null, high: null, likelihood: null, confidence: 'low', factors: { rate: null, testZ, gpaZ }, reasons };
+  }
+
+  const toPercent = (x) => clamp(Math.round(sigmoid(x) * 100), PROBABILITY_LIMITS.min, PROBABILITY_LIMITS.max);
+  const probability = toPercent(logOdds);
+  const low = toPercent(logOdds - spread);
+  const high = toPercent(logOdds + spread);
+
+  let likelihood;
+  if (data.rate !== null && data.rate < HIGHLY_SELECTIVE_RATE) {
+    likelihood = 'reach';
+    reasons.unshift(`Admits only ${(data.rate * 100).toFixed(1)}% of applicants, so admission is uncertain even for strong students.`);
+  } else if (probability >= LIKELIHOOD_THRESHOLDS.safety && low >= LIKELIHOOD_THRESHOLDS.safety - 15) {
+    likelihood = 'safety';
+  } else if (probability < LIKELIHOOD_THRESHOLDS.reach) {
+    likelihood = 'reach';
+  } else {
+    likelihood = 'target';
+  }
+
+  const confidence = data.rate !== null && testZ !== null && gpaZ !== null && !data.satEstimated
+    ? 'high'
+    : data.rate !== null && (testZ !== null || gpaZ !== null) ? 'medium' : 'low';
+
+  return { probability, low, high, likelihood, confidence, factors: { rate: data.rate, testZ, gpaZ }, reasons };
+}
+
+// "35–55%", or "45%" when the band has collapsed against a limit
+export const formatChanceRange = (estimate) => {
+  if (!estimate || estimate.probability === null) return 'N/A';
+  return estimate.low === estimate.high ? `${estimate.probability}%` : `${estimate.low}–${estimate.high}%`;
+};
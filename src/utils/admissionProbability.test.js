@@ -0,0 +1,166 @@
+import {
+  estimateAdmission,
+  readCollegeAdmissions,
+  formatChanceRange,
+  HIGHLY_SELECTIVE_RATE,
+} from './admissionProbability';
+
+const STUDENT = { gpa: 3.7, satScore: 1350 };
+
+// Fixture colleges in the nested institution shape unless noted
+const COLLEGES = {
+  typical: {
+    admissions: {
+      admission_rate: 0.55,
+      avg_gpa: 3.6,
+      sat_scores: { verbal_25th: 600, math_25th: 600, verbal_75th: 690, math_75th: 700 },
+      act_scores: { composite_25th: 26, composite_75th: 31 },
+    },
+  },
+  testOptional: {
+    admissions: {
+      admission_rate: 0.55,
+      avg_gpa: 3.6,
+      test_policy: 'Test optional',
+      sat_scores: { verbal_25th: 700, math_25th: 700, verbal_75th: 760, math_75th: 780 },
+    },
+  },
+  testBlind: {
+    admissions: {
+      admission_rate: 0.55,
+      avg_gpa: 3.6,
+      test_policy: 'Test blind',
+      sat_scores: { verbal_25th: 600, math_25th: 600, verbal_75th: 690, math_75th: 700 },
+    },
+  },
+  missingRate: {
+    admissions: {
+      avg_gpa: 3.6,
+      sat_scores: { verbal_25th: 600, math_25th: 600, verbal_75th: 690, math_75th: 700 },
+    },
+  },
+  actOnly: {
+    admissions: {
+      admission_rate: 0.55,
+      avg_gpa: 3.6,
+      act_scores: { composite_25th: 24, composite_75th: 29 },
+    },
+  },
+  highlySelective: {
+    admissions: {
+      admission_rate: 0.05,
+      avg_gpa: 3.95,
+      sat_scores: { verbal_25th: 730, math_25th: 760, verbal_75th: 780, math_75th: 800 },
+    },
+  },
+  // Flat shape college matches come back in
+  flatMatch: { admission_rate: '62', avgSAT: 1200, avgGPA: 3.4 },
+};
+
+describe('readCollegeAdmissions', () => {
+  it('sums SAT sections into a 25th–75th range', () => {
+    expect(readCollegeAdmissions(COLLEGES.typical).sat).toEqual({ min: 1200, max: 1390 });
+  });
+
+  it('adds string section scores numerically', () => {
+    const college = {
+      admissions: { sat_scores: { verbal_25th: '600', math_25th: '600', verbal_75th: '690', math_75th: '700' } },
+    };
+    expect(readCollegeAdmissions(college).sat).toEqual({ min: 1200, max: 1390 });
+  });
+
+  it('reads the flat match shape, treating percentages as fractions and estimating SAT from the average', () => {
+    const data = readCollegeAdmissions(COLLEGES.flatMatch);
+    expect(data.rate).toBeCloseTo(0.62);
+    expect(data.sat).toEqual({ min: 1100, max: 1300 });
+    expect(data.satEstimated).toBe(true);
+    expect(data.avgGpa).toBe(3.4);
+  });
+
+  it('recognises test-optional and test-blind policies', () => {
+    expect(readCollegeAdmissions(COLLEGES.testOptional)).toMatchObject({ testOptional: true, testBlind: false });
+    expect(readCollegeAdmissions(COLLEGES.testBlind)).toMatchObject({ testOptional: true, testBlind: true });
+    expect(readCollegeAdmissions(COLLEGES.typical)).toMatchObject({ testOptional: false, testBlind: false });
+  });
+});
+
+describe('estimateAdmission', () => {
+  it('gives a high-confidence estimate with an ordered range when every input is known', () => {
+    const estimate = estimateAdmission(STUDENT, COLLEGES.typical);
+    expect(estimate.confidence).toBe('high');
+    expect(estimate.low).toBeLessThanOrEqual(estimate.probability);
+    expect(estimate.high).toBeGreaterThanOrEqual(estimate.probability);
+    expect(estimate.probability).toBeGreaterThan(55);
+  });
+
+  it('rises with stronger scores', () => {
+    const weaker = estimateAdmission({ gpa: 3.2, satScore: 1100 }, COLLEGES.typical);
+    const stronger = estimateAdmission({ gpa: 3.9, satScore: 1450 }, COLLEGES.typical);
+    expect(stronger.probability).toBeGreaterThan(weaker.probability);
+  });
+
+  it('ignores a below-median score at a test-optional college', () => {
+    const estimate = estimateAdmission(STUDENT, COLLEGES.testOptional);
+    expect(estimate.factors.testZ).toBeNull();
+    expect(estimate.reasons.join(' ')).toMatch(/test-optional/);
+  });
+
+  it('still counts an above-median score at a test-optional college', () => {
+    const estimate = estimateAdmission({ gpa: 3.7, satScore: 1560 }, COLLEGES.testOptional);
+    expect(estimate.factors.testZ).toBeGreaterThan(0);
+  });
+
+  it('never uses scores at a test-blind college', () => {
+    const withScores = estimateAdmission({ gpa: 3.7, satScore: 1560 }, COLLEGES.testBlind);
+    const withoutScores = estimateAdmission({ gpa: 3.7 }, COLLEGES.testBlind);
+    expect(withScores.factors.testZ).toBeNull();
+    expect(withScores.probability).toBe(withoutScores.probability);
+    expect(withScores.reasons).toContain('This college does not consider test scores.');
+  });
+
+  it('widens the range and lowers confidence when the admission rate is missing', () => {
+    const known = estimateAdmission(STUDENT, COLLEGES.typical);
+    const missing = estimateAdmission(STUDENT, COLLEGES.missingRate);
+    expect(missing.factors.rate).toBeNull();
+    expect(missing.confidence).toBe('low');
+    expect(missing.high - missing.low).toBeGreaterThan(known.high - known.low);
+  });
+
+  it('returns no estimate with nothing to compare', () => {
+    const estimate = estimateAdmission({}, { admissions: {} });
+    expect(estimate).toMatchObject({ probability: null, likelihood: null, confidence: 'low' });
+    expect(formatChanceRange(estimate)).toBe('N/A');
+  });
+
+  it('uses the ACT when the college only reports ACT ranges', () => {
+    const estimate = estimateAdmission({ gpa: 3.7, actScore: 30 }, COLLEGES.actOnly);
+    expect(estimate.factors.testZ).toBeGreaterThan(0);
+    expect(estimate.reasons.join(' ')).toMatch(/ACT of 30/);
+  });
+
+  it('asks for a score when the student only has the test the college does not report', () => {
+    const estimate = estimateAdmission(STUDENT, COLLEGES.actOnly);
+    expect(estimate.factors.testZ).toBeNull();
+    expect(estimate.reasons).toContain('Add an SAT or ACT score to your profile for a sharper estimate.');
+  });
+
+  it('always calls a highly selective college a reach', () => {
+    expect(COLLEGES.highlySelective.admissions.admission_rate).toBeLessThan(HIGHLY_SELECTIVE_RATE);
+    const estimate = estimateAdmission({ gpa: 4.0, satScore: 1600, actScore: 36 }, COLLEGES.highlySelective);
+    expect(estimate.likelihood).toBe('reach');
+    expect(estimate.high).toBeLessThanOrEqual(95);
+    expect(estimate.reasons[0]).toMatch(/Admits only 5\.0%/);
+  });
+
+  it('labels a comfortable admit a safety', () => {
+    const estimate = estimateAdmission({ gpa: 4.0, satScore: 1500 }, COLLEGES.flatMatch);
+    expect(estimate.likelihood).toBe('safety');
+  });
+});
+
+describe('formatChanceRange', () => {
+  it('shows the range, or one number when it has collapsed', () => {
+    expect(formatChanceRange({ probability: 45, low: 35, high: 55 })).toBe('35–55%');
+    expect(formatChanceRange({ probability: 95, low: 95, high: 95 })).toBe('95%');
+  });
+});
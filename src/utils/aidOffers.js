@@ -0,0 +1,157 @@
+// src/utils/aidOffers.js
+// Financial aid award letters: entry, CSV import and normalization into free money, work-study, loans and out-of-pocket cost
+import { parseCsvRecords, parseAmount, normalizeHeader } from './csv';
+import { COST_GROWTH_RATE, PROJECTION_YEARS } from './netPrice';
+
+export const MAX_AID_OFFERS = 10;
+
+/**
+ * Award letter lines. `kind` decides where each amount lands in the summary;
+ * `aliases` are normalized CSV headers accepted besides the label itself.
+ */
+export const AWARD_FIELDS = [
+  { key: 'costOfAttendance', label: 'Cost of Attendance', kind: 'cost', aliases: ['costofattendance', 'coa', 'totalcost', 'cost'] },
+  { key: 'grants', label: 'Grants', kind: 'free', aliases: ['grants', 'grant', 'needbasedgrants'] },
+  { key: 'scholarships', label: 'Scholarships', kind: 'free', aliases: ['scholarships', 'scholarship', 'meritaid'] },
+  { key: 'workStudy', label: 'Work-Study', kind: 'workStudy', aliases: ['workstudy', 'federalworkstudy', 'fws'] },
+  { key: 'subsidizedLoans', label: 'Subsidized Loans', kind: 'loan', aliases: ['subsidizedloans', 'subsidizedloan', 'directsubsidized', 'subsidized'] },
+  { key: 'unsubsidizedLoans', label: 'Unsubsidized Loans', kind: 'loan', aliases: ['unsubsidizedloans', 'unsubsidizedloan', 'directunsubsidized', 'unsubsidized'] },
+  { key: 'otherLoans', label: 'Parent PLUS / Private Loans', kind: 'loan', aliases: ['otherloans', 'parentplus', 'parentplusloans', 'plusloans', 'privateloans'] },
+];
+
+const NAME_ALIASES = ['college', 'collegename', 'school', 'institution', 'name'];
+const UNITID_ALIASES = ['unitid', 'ipedsid', 'collegeid'];
+
+// First-year dependent students can borrow at most this much in federal Direct Loans
+const FIRST_YEAR_DIRECT_LOAN_LIMIT = 5500;
+
+export const AID_CSV_TEMPLATE = [
+  ['College', 'UnitID', ...AWARD_FIELDS.map(field => field.label)].join(','),
+  'Example University,,78000,32000,10000,3000,3500,2000,0',
+].join('\n');
+
+let nextOfferId = 0;
+const createOfferId = () => `offer-${Date.now().toString(36)}-${(nextOfferId++).toString(36)}`;
+
+/**
+ * A new offer with every award line blank (null)
+ * @param {{ unitid?: string|number, name?: string }} college
+ */
+export const createAidOffer = ({ unitid = null, name = '', ...amounts } = {}) => ({
+  id: createOfferId(),
+  unitid: unitid !== null && unitid !== undefined && unitid !== '' ? String(unitid) : null,
+  name,
+  ...AWARD_FIELDS.reduce((fields, field) => ({ ...fields, [field.key]: parseAmount(amounts[field.key]) }), {}),
+});
+
+// Offers saved on the profile as `aidOffers`; drop anything malformed and coerce amounts
+export function normalizeAidOffers(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(item => item && typeof item === 'object' && (item.name || item.unitid))
+    .slice(0, MAX_AID_OFFERS)
+    .map(item => ({ ...createAidOffer(item), id: item.id || createOfferId() }));
+}
+
+const sumKind = (offer, kind) => AWARD_FIELDS
+  .filter(field => field.kind === kind)
+  .reduce((sum, field) => sum + Math.max(0, parseAmount(offer[field.key]) ?? 0), 0);
+
+/**
+ * Normalize one award letter. Loans and work-study still have to be paid or earned, so the real
+ * cost to the family is cost of attendance minus free money (`netCost`).
+ * Four-year figures assume the same awards each year while the cost of attendance grows.
+ * @returns {{
+ *   costOfAttendance: number|null, freeMoney: number, workStudy: number, loans: number,
+ *   outOfPocket: number|null, netCost: number|null, freeShare: number|null,
+ *   years: Array<{ year: number, costOfAttendance: number, outOfPocket: number }>,
+ *   fourYearDebt: number, fourYearNetCost: number|null, fourYearOutOfPocket: number|null, warnings: string[]
+ * }}
+ */
+export function summarizeAidOffer(offer, growthRate = COST_GROWTH_RATE) {
+  const coa = parseAmount(offer.costOfAttendance);
+  const freeMoney = sumKind(offer, 'free');
+  const workStudy = sumKind(offer, 'workStudy');
+  const loans = sumKind(offer, 'loan');
+  const directLoans = Math.max(0, parseAmount(offer.subsidizedLoans) ?? 0) + Math.max(0, parseAmount(offer.unsubsidizedLoans) ?? 0);
+  const warnings = [];
+
+  if (coa === null) warnings.push('Enter the cost of attendance from the award letter to see what you would pay.');
+  if (coa !== null && freeMoney + workStudy + loans > coa) warnings.push('Aid adds up to more than the cost of attendance; double-check the figures.');
+  if (directLoans > FIRST_YEAR_DIRECT_LOAN_LIMIT) {
+    warnings.push(`First-year federal Direct Loans are capped at $${FIRST_YEAR_DIRECT_LOAN_LIMIT.toLocaleString()}; check the loan amounts.`);
+  }
+  if ((parseAmount(offer.otherLoans) ?? 0) > 0) warnings.push('Includes Parent PLUS or private loans, which usually cost more than federal student loans.');
+
+  const years = coa === null ? [] : Array.from({ length: PROJECTION_YEARS }, (_, index) => {
+    const yearCost = Math.round(coa * Math.pow(1 + growthRate, index));
+    return { year: index + 1, costOfAttendance: yearCost, outOfPocket: Math.max(0, yearCost - freeMoney - workStudy - loans) };
+  });
+  const sumYears = (key) => years.reduce((sum, year) => sum + year[key], 0);
+
+  return {
+    costOfAttendance: coa,
+    freeMoney,
+    workStudy,
+    loans,
+    outOfPocket: coa === null ? null : Math.max(0, coa - freeMoney - workStudy - loans),
+    netCost: coa === null ? null : Math.max(0, coa - freeMoney),
+    freeShare: coa ? Math.min(1, freeMoney / coa) : null,
+    years,
+    fourYearDebt: loans * PROJECTION_YEARS,
+    fourYearNetCost: coa === null ? null : Math.max(0, sumYears('costOfAttendance') - freeMoney * PROJECTION_YEARS),
+    fourYearOutOfPocket: coa === null ? null : sumYears('outOfPocket'),
+    warnings,
+  };
+}
+
+/**
+ * IDs of the offers with the lowest four-year net cost (ties share it); none when fewer than two can be compared
+ */
+export function getBestOfferIds(offers, summaries) {
+  const costs = offers
+    .map((offer, index) => ({ id: offer.id, cost: summaries[index].fourYearNetCost }))
+    .filter(({ cost }) => cost !== null);
+  if (costs.length < 2) return [];
+  const lowest = Math.min(...costs.map(({ cost }) => cost));
+  return costs.filter(({ cost }) => cost === lowest).map(({ id }) => id);
+}
+
+const pick = (values, aliases) => {
+  const key = aliases.find(alias => values[alias] !== undefined && values[alias] !== '');
+  return key ? values[key] : '';
+};
+
+/**
+ * Offers from an uploaded CSV with one college per row. Columns are matched by header (see AWARD_FIELDS and
+ * AID_CSV_TEMPLATE); unknown columns are ignored.
+ * @returns {{ offers: Object[], errors: string[] }}
+ */
+export function parseAidOffersCsv(text) {
+  const { headers, records } = parseCsvRecords(text);
+  const errors = [];
+  if (!headers.some(header => NAME_ALIASES.includes(header) || UNITID_ALIASES.includes(header))) {
+    return { offers: [], errors: ['The file needs a "College" or "UnitID" column. Download the template to see the expected layout.'] };
+  }
+
+  const offers = [];
+  records.forEach(({ row, values }) => {
+    const name = pick(values, NAME_ALIASES);
+    const unitid = pick(values, UNITID_ALIASES);
+    if (!name && !unitid) {
+      errors.push(`Row ${row}: missing a college name or UnitID.`);
+      return;
+    }
+    const amounts = {};
+    AWARD_FIELDS.forEach(field => {
+      const raw = pick(values, [normalizeHeader(field.label), ...field.aliases]);
+      const amount = parseAmount(raw);
+      if (raw && amount === null) errors.push(`Row ${row}: "${raw}" is not a dollar amount for ${field.label}.`);
+      amounts[field.key] = amount;
+    });
+    offers.push(createAidOffer({ name, unitid, ...amounts }));
+  });
+
+  if (records.length === 0) errors.push('The file has no rows below the header.');
+  return { offers, errors };
+}
@@ -0,0 +1,126 @@
+import {
+  createAidOffer,
+  normalizeAidOffers,
+  summarizeAidOffer,
+  getBestOfferIds,
+  parseAidOffersCsv,
+  AID_CSV_TEMPLATE,
+  MAX_AID_OFFERS,
+} from './aidOffers';
+
+const OFFER = {
+  costOfAttendance: 30000,
+  grants: 8000,
+  scholarships: 2000,
+  workStudy: 2500,
+  subsidizedLoans: 3500,
+  unsubsidizedLoans: 2000,
+  otherLoans: 0,
+};
+
+describe('summarizeAidOffer', () => {
+  it('separates free money, work-study and loans', () => {
+    const summary = summarizeAidOffer(OFFER);
+    expect(summary).toMatchObject({
+      costOfAttendance: 30000,
+      freeMoney: 10000,
+      workStudy: 2500,
+      loans: 5500,
+      outOfPocket: 12000,
+      netCost: 20000,
+      fourYearDebt: 22000,
+      warnings: [],
+    });
+    expect(summary.freeShare).toBeCloseTo(1 / 3);
+  });
+
+  it('projects four years with a growing cost of attendance and fixed awards', () => {
+    const summary = summarizeAidOffer(OFFER, 0.1);
+    expect(summary.years.map(year => year.costOfAttendance)).toEqual([30000, 33000, 36300, 39930]);
+    expect(summary.years[1].outOfPocket).toBe(15000);
+    expect(summary.fourYearNetCost).toBe(30000 + 33000 + 36300 + 39930 - 40000);
+  });
+
+  it('treats string amounts as dollars and negative amounts as zero', () => {
+    const summary = summarizeAidOffer({ ...OFFER, costOfAttendance: '$30,000', grants: '-500', scholarships: '2,000' });
+    expect(summary.costOfAttendance).toBe(30000);
+    expect(summary.freeMoney).toBe(2000);
+  });
+
+  it('has no costs without a cost of attendance', () => {
+    const summary = summarizeAidOffer({ ...OFFER, costOfAttendance: null });
+    expect(summary).toMatchObject({ outOfPocket: null, netCost: null, freeShare: null, years: [], fourYearNetCost: null });
+    expect(summary.warnings[0]).toMatch(/cost of attendance/);
+  });
+
+  it('warns about aid over cost, Direct Loans over the first-year cap and Parent PLUS loans', () => {
+    const { warnings } = summarizeAidOffer({
+      costOfAttendance: 10000, grants: 9000, subsidizedLoans: 3500, unsubsidizedLoans: 3000, otherLoans: 1000,
+    });
+    expect(warnings).toHaveLength(3);
+    expect(warnings.join(' ')).toMatch(/more than the cost of attendance/);
+    expect(warnings.join(' ')).toMatch(/capped at \$5,500/);
+    expect(warnings.join(' ')).toMatch(/Parent PLUS/);
+  });
+});
+
+describe('getBestOfferIds', () => {
+  it('picks the lowest four-year net cost, sharing ties', () => {
+    const offers = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }];
+    const summaries = [{ fourYearNetCost: 90000 }, { fourYearNetCost: 60000 }, { fourYearNetCost: 60000 }, { fourYearNetCost: null }];
+    expect(getBestOfferIds(offers, summaries)).toEqual(['b', 'c']);
+  });
+
+  it('needs at least two comparable offers', () => {
+    expect(getBestOfferIds([{ id: 'a' }, { id: 'b' }], [{ fourYearNetCost: 50000 }, { fourYearNetCost: null }])).toEqual([]);
+  });
+});
+
+describe('createAidOffer and normalizeAidOffers', () => {
+  it('creates blank award lines and a string UnitID', () => {
+    const offer = createAidOffer({ unitid: 110635, name: 'UC Berkeley' });
+    expect(offer).toMatchObject({ unitid: '110635', name: 'UC Berkeley', grants: null, costOfAttendance: null });
+    expect(offer.id).toMatch(/^offer-/);
+  });
+
+  it('drops malformed entries, keeps ids and caps the list', () => {
+    const saved = [null, 'text', { grants: 100 }, { id: 'kept', name: 'State U', grants: '1,000' }];
+    expect(normalizeAidOffers(saved)).toEqual([expect.objectContaining({ id: 'kept', name: 'State U', grants: 1000 })]);
+    expect(normalizeAidOffers(Array.from({ length: 12 }, (_, i) => ({ name: `College ${i}` })))).toHaveLength(MAX_AID_OFFERS);
+    expect(normalizeAidOffers(undefined)).toEqual([]);
+  });
+});
+
+describe('parseAidOffersCsv', () => {
+  it('reads the template', () => {
+    const { offers, errors } = parseAidOffersCsv(AID_CSV_TEMPLATE);
+    expect(errors).toEqual([]);
+    expect(offers).toEqual([expect.objectContaining({
+      name: 'Example University', unitid: null, costOfAttendance: 78000, grants: 32000, otherLoans: 0,
+    })]);
+  });
+
+  it('matches header aliases, ignores unknown columns and reports bad rows', () => {
+    const csv = [
+      'School,COA,Grant,FWS,Direct Subsidized,Notes',
+      'State U,"$25,000",,1500,3500,first choice',
+      ',20000,,,,',
+      'City College,18000,lots,,,',
+    ].join('\n');
+    const { offers, errors } = parseAidOffersCsv(csv);
+    expect(offers.map(offer => offer.name)).toEqual(['State U', 'City College']);
+    expect(offers[0]).toMatchObject({ costOfAttendance: 25000, grants: null, workStudy: 1500, subsidizedLoans: 3500 });
+    expect(errors).toEqual([
+      'Row 2: missing a college name or UnitID.',
+      'Row 3: "lots" is not a dollar amount for Grants.',
+    ]);
+  });
+
+  it('requires a college or UnitID column', () => {
+    expect(parseAidOffersCsv('Grants,Loans\n100,200').errors[0]).toMatch(/"College" or "UnitID" column/);
+  });
+
+  it('reports a file with only a header', () => {
+    expect(parseAidOffersCsv('College,Grants').errors).toEqual(['The file has no rows below the header.']);
+  });
+});
@@ -0,0 +1,109 @@
+// src/utils/applicationTracker.js
+// Status pipeline and derived data for the scholarship application tracker
+
+/**
+ * Pipeline stages, in board order. `awarded` and `declined` are terminal.
+ */
+export const APPLICATION_STATUSES = [
+  { id: 'interested', label: 'Interested', color: 'bg-gray-100 text-gray-700 border-gray-300' },
+  { id: 'drafting', label: 'Drafting', color: 'bg-blue-100 text-blue-700 border-blue-300' },
+  { id: 'submitted', label: 'Submitted', color: 'bg-yellow-100 text-yellow-700 border-yellow-300' },
+  { id: 'awarded', label: 'Awarded', color: 'bg-green-100 text-green-700 border-green-300' },
+  { id: 'declined', label: 'Declined', color: 'bg-red-100 text-red-700 border-red-300' },
+];
+
+const STATUS_IDS = APPLICATION_STATUSES.map(status => status.id);
+const APPLIED_STATUSES = ['submitted', 'awarded', 'declined'];
+
+export function getStatusMeta(statusId) {
+  return APPLICATION_STATUSES.find(status => status.id === statusId) || APPLICATION_STATUSES[0];
+}
+
+/**
+ * Build the required-document checklist from a scholarship's requirements.
+ * Requirements may be strings or objects with a name/description.
+ */
+export function deriveChecklist(requirements = [], existing = []) {
+  const list = Array.isArray(requirements) ? requirements : [requirements];
+  const previous = new Map(existing.map(item => [item.label, item.done]));
+
+  return list
+    .map(req => (typeof req === 'string' ? req : req?.name || req?.description || req?.title || ''))
+    .map(label => label.trim())
+    .filter(Boolean)
+    .map(label => ({ label, done: previous.get(label) || false }));
+}
+
+/**
+ * Create a tracker entry for a scholarship
+ */
+export function createApplication(scholarship, status = 'interested') {
+  const now = new Date().toISOString();
+  return {
+    scholarshipId: String(scholarship._id || scholarship.id),
+    scholarship: {
+      title: scholarship.title || 'Scholarship',
+      provider: scholarship.provider || '',
+      amount: typeof scholarship.amount === 'number' ? scholarship.amount : 0,
+      deadline: scholarship.deadline || null,
+      requirements: scholarship.requirements || [],
+    },
+    status,
+    checklist: deriveChecklist(scholarship.requirements),
+    notes: '',
+    submittedAt: status === 'submitted' ? now.slice(0, 10) : null,
+    awardAmount: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Apply changes to an entry, keeping dependent fields consistent:
+ * submitting stamps today's date if none is set, and only awarded entries keep an award amount.
+ */
+export function updateApplication(application, changes) {
+  const next = { ...application, ...changes, updatedAt: new Date().toISOString() };
+
+  if (!STATUS_IDS.includes(next.status)) next.status = 'interested';
+  if (APPLIED_STATUSES.includes(next.status) && !next.submittedAt) {
+    next.submittedAt = next.updatedAt.slice(0, 10);
+  }
+  if (next.status !== 'awarded') next.awardAmount = null;
+  else if (next.awardAmount === null || next.awardAmount === undefined) next.awardAmount = next.scholarship.amount || 0;
+
+  return next;
+}
+
+export function getChecklistProgress(application) {
+  const total = application.checklist?.length || 0;
+  const done = application.checklist?.filter(item => item.done).length || 0;
+  return { done, total, percentage: total ? Math.round((done / total) * 100) : 0 };
+}
+
+/**
+ * Roll up tracker totals for the dashboard
+ * @returns {{ total: number, applied: number, appliedAmount: number, awarded: number, wonAmount: number }}
+ */
+export function getApplicationTotals(applications = []) {
+  return applications.reduce((totals, application) => {
+    totals.total += 1;
+    if (APPLIED_STATUSES.includes(application.status)) {
+      totals.applied += 1;
+      totals.appliedAmount += application.scholarship?.amount || 0;
+    }
+    if (application.status === 'awarded') {
+      totals.awarded += 1;
+      totals.wonAmount += Number(application.awardAmount) || 0;
+    }
+    return totals;
+  }, { total: 0, applied: 0, appliedAmount: 0, awarded: 0, wonAmount: 0 });
+}
+
+export function groupApplicationsByStatus(applications = []) {
+  const groups = Object.fromEntries(STATUS_IDS.map(id => [id, []]));
+  applications.forEach(application => {
+    (groups[application.status] || groups.interested).push(application);
+  });
+  return groups;
+}
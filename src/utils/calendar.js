@@ -0,0 +1,272 @@
+// src/utils/calendar.js
+// Deadline calendar helpers: event normalization, month/week grids and iCalendar (.ics) export
+
+export const EVENT_TYPES = {
+  scholarship: { label: 'Scholarship', dot: 'bg-green-500' },
+  college: { label: 'College Application', dot: 'bg-indigo-500' },
+  action: { label: 'Action Plan', dot: 'bg-blue-500' },
+};
+
+/**
+ * Parse a deadline into a local calendar date, or null for values like "ASAP" or "Ongoing".
+ * Date-only strings (YYYY-MM-DD) are read as local dates so they don't shift a day west of UTC.
+ */
+export function parseDeadline(value) {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : startOfDay(value);
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : startOfDay(parsed);
+}
+
+// Relative due dates used in action plans, as offsets from today. "Ongoing" has no due date.
+const RELATIVE_DUE_DATES = [
+  { pattern: /^(asap|now|today|immediately)$/, resolve: (today) => today },
+  { pattern: /^tomorrow$/, resolve: (today) => addDays(today, 1) },
+  { pattern: /^this week$/, resolve: (today) => addDays(today, 6 - today.getDay()) },
+  { pattern: /^next week$/, resolve: (today) => addDays(today, 7) },
+  { pattern: /^this month$/, resolve: (today) => new Date(today.getFullYear(), today.getMonth() + 1, 0) },
+  { pattern: /^next month$/, resolve: (today) => addMonths(today, 1) },
+  { pattern: /^in (\d+) days?$/, resolve: (today, count) => addDays(today, count) },
+  { pattern: /^in (\d+) weeks?$/, resolve: (today, count) => addDays(today, count * 7) },
+  { pattern: /^in (\d+) months?$/, resolve: (today, count) => addMonths(today, count) },
+];
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Same day of the month, or the month's last day when it's shorter (Jan 31 → Feb 28)
+const addMonths = (date, months) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+};
+
+/**
+ * Parse an action plan due date: a real date, or a relative one like "ASAP", "This week" or
+ * "Next month" counted from `today`. Returns null for "Ongoing" and anything else without a date.
+ */
+export function resolveDueDate(value, today = new Date()) {
+  const parsed = parseDeadline(value);
+  if (parsed || typeof value !== 'string') return parsed;
+  const text = value.trim().toLowerCase();
+  for (const { pattern, resolve } of RELATIVE_DUE_DATES) {
+    const match = pattern.exec(text);
+    if (match) return resolve(startOfDay(today), Number(match[1]));
+  }
+  return null;
+}
+
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Normalize scholarship deadlines, college application deadlines and action plan
+ * items into one sorted event list. Action items with relative due dates ("This week")
+ * are placed from today; items without any date are dropped.
+ * @returns {Array<{ id, type, title, date, amount, link, description }>}
+ */
+export function buildCalendarEvents({ scholarships = [], colleges = [], actions = [] }) {
+  const events = [];
+  const seen = new Set();
+
+  // Events are keyed by their id, so a scholarship listed by several sources (the backend, the tracker,
+  // the saved list) appears once, from the first source. Records without an ID fall back to title and date.
+  const add = (sourceId, event) => {
+    if (!event.date) return;
+    const id = `${event.type}-${sourceId || `${event.title}-${toDateKey(event.date)}`}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+    events.push({ id, ...event });
+  };
+
+  scholarships.forEach(item => add(item._id || item.id, {
+    type: 'scholarship',
+    title: item.title || item.name || 'Scholarship deadline',
+    date: parseDeadline(item.deadline || item.date || item.dueDate),
+    amount: typeof item.amount === 'number' ? item.amount : null,
+    link: item._id || item.id ? `/scholarship/${item._id || item.id}` : null,
+    description: item.provider || item.description || '',
+  }));
+
+  colleges.forEach(item => {
+    const date = parseDeadline(item.deadline || item.date || item.dueDate);
+    const collegeId = item.unitid || item._id;
+    // A college can have several application rounds, so its date is part of the id
+    add(collegeId && date ? `${collegeId}-${toDateKey(date)}` : null, {
+      type: 'college',
+      title: item.title || item.name || item.general_info?.name || 'College application deadline',
+      date,
+      amount: null,
+      link: item.unitid ? `/profile/${item.unitid}` : null,
+      description: item.description || item.round || '',
+    });
+  });
+
+  actions.forEach(item => add(null, {
+    type: 'action',
+    title: item.task || item.text || 'Action item',
+    date: resolveDueDate(item.dueDate),
+    amount: null,
+    link: null,
+    description: item.priority ? `${item.priority} priority` : '',
+  }));
+
+  return events.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Split upstream deadline lists that mix scholarships and colleges
+ */
+export function partitionDeadlines(deadlines = []) {
+  return deadlines.reduce((groups, item) => {
+    const type = (item.type || item.category || '').toLowerCase();
+    if (type.includes('college') || type.includes('application') || item.unitid) groups.colleges.push(item);
+    else groups.scholarships.push(item);
+    return groups;
+  }, { scholarships: [], colleges: [] });
+}
+
+/**
+ * Weeks (Sunday first) covering the month that contains `date`
+ * @returns {Date[][]}
+ */
+export function getMonthGrid(date) {
+  const first = new Date(date.getFullYear(), date.getMonth(), 1);
+  const start = new Date(first);
+  start.setDate(first.getDate() - first.getDay());
+
+  const weeks = [];
+  const cursor = new Date(start);
+  do {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(new Date(cursor));
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    weeks.push(week);
+  } while (cursor.getMonth() === date.getMonth());
+  return weeks;
+}
+
+/**
+ * The seven days (Sunday first) of the week containing `date`
+ */
+export function getWeekDays(date) {
+  const start = startOfDay(date);
+  start.setDate(start.getDate() - start.getDay());
+  return Array.from({ length: 7 }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+}
+
+export function groupEventsByDay(events) {
+  return events.reduce((groups, event) => {
+    const key = toDateKey(event.date);
+    (groups[key] = groups[key] || []).push(event);
+    return groups;
+  }, {});
+}
+
+// --- iCalendar export (RFC 5545) ---
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = new TextEncoder().encode(char).length;
+    if (currentBytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatIcsDate = (date) => toDateKey(date).replace(/-/g, '');
+
+const formatIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Build an iCalendar document with one all-day event per deadline.
+ * @param {Array} events - Events from buildCalendarEvents
+ * @param {Object} options - `calendarName`, `origin` (for absolute links)
+ * @returns {string} .ics file contents
+ */
+export function generateIcs(events, { calendarName = 'Scholargy Deadlines', origin = '' } = {}) {
+  const stamp = formatIcsTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Scholargy//Deadline Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+
+  events.forEach(event => {
+    const end = new Date(event.date.getFullYear(), event.date.getMonth(), event.date.getDate() + 1);
+    const description = [
+      EVENT_TYPES[event.type]?.label,
+      event.description,
+      event.amount ? `Award: $${event.amount.toLocaleString()}` : '',
+    ].filter(Boolean).join(' - ');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeText(event.id)}-${formatIcsDate(event.date)}@scholargy`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(end)}`,
+      `SUMMARY:${escapeText(event.title)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `CATEGORIES:${escapeText(EVENT_TYPES[event.type]?.label || event.type)}`
+    );
+    if (event.link && origin) lines.push(`URL:${origin}${event.link}`);
+    // Reminder three days ahead
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.title)}`,
+      'TRIGGER:-P3D',
+      'END:VALARM',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Trigger a browser download of an .ics file
+ */
+export function downloadIcs(contents, filename = 'scholargy-deadlines.ics') {
+  const blob = new Blob([contents], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
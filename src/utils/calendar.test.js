@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+import { buildCalendarEvents, generateIcs, parseDeadline, resolveDueDate, toDateKey } from './calendar';
+
+// A Wednesday
+const TODAY = new Date(2025, 0, 15, 14, 30);
+
+const dateKey = (value, today = TODAY) => {
+  const date = resolveDueDate(value, today);
+  return date && toDateKey(date);
+};
+
+describe('parseDeadline', () => {
+  it('reads date-only strings as local dates', () => {
+    const date = parseDeadline('2025-03-01');
+    expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2025, 2, 1, 0]);
+  });
+
+  it('drops the time of day from dates and timestamps', () => {
+    expect(parseDeadline(new Date(2025, 4, 2, 18, 45))).toEqual(new Date(2025, 4, 2));
+    expect(toDateKey(parseDeadline('2025-05-02T10:00:00'))).toBe('2025-05-02');
+  });
+
+  it('returns null for values without a date', () => {
+    expect(parseDeadline('Rolling')).toBeNull();
+    expect(parseDeadline(new Date('invalid'))).toBeNull();
+    expect(parseDeadline(null)).toBeNull();
+  });
+});
+
+describe('resolveDueDate', () => {
+  it('places relative due dates from today', () => {
+    expect(dateKey('ASAP')).toBe('2025-01-15');
+    expect(dateKey('Tomorrow')).toBe('2025-01-16');
+    expect(dateKey('This week')).toBe('2025-01-18');
+    expect(dateKey('next week')).toBe('2025-01-22');
+    expect(dateKey('This month')).toBe('2025-01-31');
+    expect(dateKey('Next month')).toBe('2025-02-15');
+    expect(dateKey('in 3 days')).toBe('2025-01-18');
+    expect(dateKey('In 2 weeks')).toBe('2025-01-29');
+  });
+
+  it('keeps to the last day of a shorter month', () => {
+    expect(dateKey('Next month', new Date(2025, 0, 31))).toBe('2025-02-28');
+  });
+
+  it('reads real dates and leaves undated items out', () => {
+    expect(dateKey('2025-03-01')).toBe('2025-03-01');
+    expect(resolveDueDate('Ongoing', TODAY)).toBeNull();
+    expect(resolveDueDate('', TODAY)).toBeNull();
+  });
+});
+
+describe('buildCalendarEvents', () => {
+  it('puts action plan items with relative due dates on the calendar', () => {
+    const events = buildCalendarEvents({
+      actions: [
+        { task: 'Apply for scholarships', dueDate: 'ASAP', priority: 'high' },
+        { task: 'Keep volunteering', dueDate: 'Ongoing' },
+      ],
+    });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'action', title: 'Apply for scholarships', description: 'high priority' });
+    expect(toDateKey(events[0].date)).toBe(toDateKey(new Date()));
+  });
+
+  it('lists a scholarship once when several sources include it', () => {
+    const events = buildCalendarEvents({
+      scholarships: [
+        { _id: 's1', title: 'STEM Award', deadline: '2025-03-01', amount: 5000 },
+        { _id: 's1', title: 'STEM Award 2025', deadline: '2025-03-01' },
+        { id: 's1', name: 'STEM award', deadline: '2025-03-02' },
+        { title: 'Essay Prize', deadline: '2025-03-05' },
+        { title: 'Essay Prize', deadline: '2025-03-05' },
+      ],
+    });
+    expect(events.map(event => event.id)).toEqual(['scholarship-s1', 'scholarship-Essay Prize-2025-03-05']);
+    expect(events[0]).toMatchObject({ title: 'STEM Award', amount: 5000, link: '/scholarship/s1' });
+  });
+
+  it('keeps each application round of a college', () => {
+    const events = buildCalendarEvents({
+      colleges: [
+        { unitid: 110635, name: 'UC Berkeley', deadline: '2024-11-01', round: 'Early' },
+        { unitid: 110635, name: 'UC Berkeley', deadline: '2025-01-05', round: 'Regular' },
+      ],
+    });
+    expect(events.map(event => event.description)).toEqual(['Early', 'Regular']);
+    expect(new Set(events.map(event => event.id)).size).toBe(2);
+  });
+});
+
+describe('generateIcs', () => {
+  const unfold = (ics) => ics.replace(/\r\n /g, '');
+  const events = buildCalendarEvents({
+    scholarships: [{
+      _id: 's1',
+      title: 'Smith, Jones; and Co. Scholarship',
+      deadline: '2025-12-31',
+      amount: 2500,
+      provider: 'Line one\nLine two',
+    }],
+  });
+
+  it('writes all-day events on the local date with a unique UID', () => {
+    const ics = unfold(generateIcs(events, { origin: 'https://app.example' }));
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('\r\nUID:scholarship-s1-20251231@scholargy\r\n');
+    expect(ics).toContain('\r\nDTSTART;VALUE=DATE:20251231\r\n');
+    expect(ics).toContain('\r\nDTEND;VALUE=DATE:20260101\r\n');
+    expect(ics).toContain('\r\nURL:https://app.example/scholarship/s1\r\n');
+  });
+
+  it('escapes commas, semicolons and newlines in text', () => {
+    const ics = unfold(generateIcs(events));
+    expect(ics).toContain('\r\nSUMMARY:Smith\\, Jones\\; and Co. Scholarship\r\n');
+    expect(ics).toContain('DESCRIPTION:Scholarship - Line one\\nLine two - Award: $2\\,500\r\n');
+    expect(ics).not.toContain('URL:');
+  });
+
+  it('folds lines longer than 75 octets without splitting characters', () => {
+    const long = buildCalendarEvents({
+      scholarships: [{ _id: 's2', title: `Beca ${'Ñandú '.repeat(20)}`.trim(), deadline: '2025-06-01' }],
+    });
+    const ics = generateIcs(long, { calendarName: 'Mis becas' });
+    const encoder = new TextEncoder();
+    ics.split('\r\n').forEach(line => expect(encoder.encode(line).length).toBeLessThanOrEqual(75));
+    expect(unfold(ics)).toContain(`SUMMARY:Beca ${'Ñandú '.repeat(20)}`.trim());
+    expect(ics).toContain('X-WR-CALNAME:Mis becas');
+  });
+});
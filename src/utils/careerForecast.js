@@ -0,0 +1,134 @@
+// src/utils/careerForecast.js
+// Schema check and normalization for /forecaster/predict responses
+import { toNumber } from './institutionData';
+
+/*
+ * Expected shape (snake_case keys and a `{ forecast }` / `{ data }` wrapper are also accepted):
+ * {
+ *   occupation: string,
+ *   salaryByExperience: [{ level: string, median: number, low?: number, high?: number }]
+ *     (or an object map of level → median),
+ *   jobGrowth: { rate: number (percent over the period), period?: string, outlook?: string, openings?: number },
+ *   degrees: string[], relatedMajors: string[],
+ *   educationPath?: string, recommendations?: string | string[], summary?: string
+ * }
+ * Salary levels are required; everything else is optional but must have the right type when present.
+ */
+
+// BLS occupational outlook wording for ten-year employment change
+export const GROWTH_OUTLOOKS = [
+  { min: 8, label: 'Much faster than average', className: 'bg-green-100 text-green-800' },
+  { min: 5, label: 'Faster than average', className: 'bg-green-50 text-green-700' },
+  { min: 3, label: 'As fast as average', className: 'bg-blue-50 text-blue-700' },
+  { min: 1, label: 'Slower than average', className: 'bg-yellow-50 text-yellow-800' },
+  { min: -1, label: 'Little or no change', className: 'bg-gray-100 text-gray-700' },
+  { min: -Infinity, label: 'Decline', className: 'bg-red-50 text-red-700' },
+];
+
+export const getGrowthOutlook = (rate) => GROWTH_OUTLOOKS.find(outlook => rate >= outlook.min);
+
+const first = (object, keys) => keys.map(key => object?.[key]).find(value => value !== undefined && value !== null);
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+const readStringList = (value, field, errors) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be a list.`);
+    return [];
+  }
+  const items = value.map(item => (typeof item === 'string' ? item : item?.name || item?.title)).filter(isText);
+  if (items.length < value.length) errors.push(`${field} contains entries that are not text.`);
+  return [...new Set(items.map(item => item.trim()))];
+};
+
+const readSalaries = (value, errors) => {
+  const entries = Array.isArray(value)
+    ? value
+    : value && typeof value === 'object'
+      ? Object.entries(value).map(([level, median]) => ({ level, median }))
+      : null;
+  if (!entries) {
+    errors.push('salaryByExperience is missing.');
+    return [];
+  }
+
+  return entries.reduce((salaries, entry, index) => {
+    const level = first(entry, ['level', 'label', 'stage', 'experience']);
+    const median = toNumber(first(entry, ['median', 'salary', 'value', 'amount']));
+    if (!isText(level) || median === null || median <= 0) {
+      errors.push(`salaryByExperience[${index}] needs a level and a positive median salary.`);
+      return salaries;
+    }
+    let low = toNumber(first(entry, ['low', 'p25', 'min']));
+    let high = toNumber(first(entry, ['high', 'p75', 'max']));
+    if (low !== null && high !== null && (low > median || high < median)) {
+      errors.push(`salaryByExperience[${index}] has a range that does not include the median; the range was dropped.`);
+      low = null;
+      high = null;
+    }
+    salaries.push({ level: level.trim(), median, low, high });
+    return salaries;
+  }, []);
+};
+
+const readJobGrowth = (value, errors) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object') {
+    errors.push('jobGrowth must be an object.');
+    return null;
+  }
+  const rate = toNumber(first(value, ['rate', 'percent', 'growthRate', 'growth_rate']));
+  if (rate === null) {
+    errors.push('jobGrowth.rate must be a number.');
+    return null;
+  }
+  const outlook = first(value, ['outlook', 'description']);
+  const period = first(value, ['period', 'years']);
+  return {
+    rate,
+    outlook: isText(outlook) ? outlook.trim() : null,
+    period: isText(period) ? period.trim() : null,
+    openings: toNumber(first(value, ['openings', 'annualOpenings', 'annual_openings'])),
+  };
+};
+
+/**
+ * Validate and normalize a structured forecast
+ * @returns {{ forecast: Object|null, errors: string[] }} `forecast` is null when the response can't be used;
+ *   `errors` also lists problems that were skipped over in a usable response
+ */
+export function parseCareerForecast(response) {
+  const errors = [];
+  const body = response?.forecast ?? response?.data ?? response;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { forecast: null, errors: ['The forecast response is not an object.'] };
+  }
+
+  const salaryByExperience = readSalaries(first(body, ['salaryByExperience', 'salary_by_experience', 'salaryProjections', 'salary_projections']), errors);
+  if (salaryByExperience.length === 0) return { forecast: null, errors };
+
+  const recommendations = first(body, ['recommendations']);
+  const occupation = first(body, ['occupation', 'career', 'title']);
+  const educationPath = first(body, ['educationPath', 'education_path']);
+  const summary = first(body, ['summary', 'overview']);
+
+  return {
+    forecast: {
+      occupation: isText(occupation) ? occupation.trim() : null,
+      salaryByExperience,
+      jobGrowth: readJobGrowth(first(body, ['jobGrowth', 'job_growth', 'growth']), errors),
+      degrees: readStringList(first(body, ['degrees', 'requiredDegrees', 'required_degrees']), 'degrees', errors),
+      relatedMajors: readStringList(first(body, ['relatedMajors', 'related_majors', 'majors']), 'relatedMajors', errors),
+      educationPath: isText(educationPath) ? educationPath.trim() : null,
+      recommendations: Array.isArray(recommendations)
+        ? readStringList(recommendations, 'recommendations', errors)
+        : isText(recommendations) ? [recommendations.trim()] : [],
+      summary: isText(summary) ? summary.trim() : null,
+    },
+    errors,
+  };
+}
+
+// Entry-level median, used as the starting salary for loan repayment
+export const getStartingSalary = (forecast) => forecast?.salaryByExperience?.[0]?.median ?? null;
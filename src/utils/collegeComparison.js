@@ -0,0 +1,159 @@
+// src/utils/collegeComparison.js
+// Metric definitions and helpers for comparing institutions side by side
+import { estimateNetPrice } from './netPrice';
+import { toNumber, toRatePercent, readSatRange, readActRange } from './institutionData';
+
+export const MAX_COMPARE = 5;
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+const formatPercent = (value) => `${value.toFixed(1)}%`;
+
+// Score ranges carry their midpoint for sorting and the radar chart
+const withMidpoint = (range) => (range ? { ...range, mid: (range.min + range.max) / 2 } : null);
+
+const satRange = (college) => withMidpoint(readSatRange(college));
+
+// Personal metrics need the family's net price inputs, passed to buildComparisonRows as `context.netPriceInputs`
+const personalEstimate = (college, context) => (context?.netPriceInputs ? estimateNetPrice(college, context.netPriceInputs) : null);
+
+/**
+ * Rows of the comparison table. `value` returns a number (or `{ min, max, mid }` for score ranges)
+ * and `better` says which direction earns the highlight; metrics without one are informational.
+ * `personal` metrics depend on the student's own details and are left out of shared comparisons.
+ */
+export const COMPARISON_METRICS = [
+  {
+    id: 'admissionRate',
+    label: 'Admission Rate',
+    value: (college) => toRatePercent(college.admissions?.admission_rate),
+    format: formatPercent,
+    better: 'higher',
+  },
+  {
+    id: 'satRange',
+    label: 'SAT Range (25th–75th)',
+    value: satRange,
+    format: (value) => `${value.min}–${value.max}`,
+    better: null,
+  },
+  {
+    id: 'actRange',
+    label: 'ACT Range (25th–75th)',
+    value: (college) => withMidpoint(readActRange(college)),
+    format: (value) => `${value.min}–${value.max}`,
+    better: null,
+  },
+  {
+    id: 'tuitionInState',
+    label: 'In-State Tuition',
+    value: (college) => toNumber(college.cost_and_aid?.tuition_in_state),
+    format: formatMoney,
+    better: 'lower',
+  },
+  {
+    id: 'tuitionOutOfState',
+    label: 'Out-of-State Tuition',
+    value: (college) => toNumber(college.cost_and_aid?.tuition_out_of_state),
+    format: formatMoney,
+    better: 'lower',
+  },
+  {
+    id: 'netPrice',
+    label: 'Average Net Price',
+    value: (college) => toNumber(college.cost_and_aid?.avg_net_price ?? college.cost_and_aid?.net_price),
+    format: formatMoney,
+    better: 'lower',
+  },
+  {
+    id: 'estimatedNetPrice',
+    label: 'Your Est. Net Price',
+    value: (college, context) => personalEstimate(college, context)?.annual ?? null,
+    format: (value) => `${formatMoney(value)}/yr`,
+    better: 'lower',
+    personal: true,
+  },
+  {
+    id: 'fourYearCost',
+    label: 'Your Est. 4-Year Cost',
+    value: (college, context) => personalEstimate(college, context)?.fourYearTotal ?? null,
+    format: formatMoney,
+    better: 'lower',
+    personal: true,
+  },
+  {
+    id: 'enrollment',
+    label: 'Total Enrollment',
+    value: (college) => toNumber(college.enrollment?.total),
+    format: (value) => Math.round(value).toLocaleString(),
+    better: null,
+  },
+  {
+    id: 'gradRate',
+    label: 'Graduation Rate',
+    value: (college) => toRatePercent(college.outcomes?.grad_rate_total ?? college.derivedData?.grad_rate_150_percent_total),
+    format: formatPercent,
+    better: 'higher',
+  },
+];
+
+export const DEFAULT_METRIC_IDS = COMPARISON_METRICS.map(metric => metric.id);
+
+const sortValue = (value) => (value && typeof value === 'object' ? value.mid : value);
+
+/**
+ * Indexes of the colleges holding the best value for a metric (ties share the highlight).
+ * Nothing is highlighted for informational metrics or when fewer than two colleges have data.
+ */
+export function getBestIndexes(metric, values) {
+  if (!metric.better) return [];
+  const present = values.map(sortValue).filter(value => value !== null && value !== undefined);
+  if (present.length < 2) return [];
+  const best = metric.better === 'lower' ? Math.min(...present) : Math.max(...present);
+  if (present.every(value => value === best)) return [];
+  return values.reduce((indexes, value, index) => (sortValue(value) === best ? [...indexes, index] : indexes), []);
+}
+
+export const SHARED_METRIC_IDS = COMPARISON_METRICS.filter(metric => !metric.personal).map(metric => metric.id);
+
+/**
+ * Table rows: `{ metric, values, formatted, best }` for each selected metric
+ * @param {Object} [context] - `{ netPriceInputs }` for the personal metrics
+ */
+export function buildComparisonRows(colleges, metricIds = DEFAULT_METRIC_IDS, context = {}) {
+  return COMPARISON_METRICS
+    .filter(metric => metricIds.includes(metric.id))
+    .map(metric => {
+      const values = colleges.map(college => metric.value(college, context));
+      return {
+        metric,
+        values,
+        formatted: values.map(value => (value === null || value === undefined ? 'N/A' : metric.format(value))),
+        best: getBestIndexes(metric, values),
+      };
+    });
+}
+
+/**
+ * 0–100 scores for the radar chart, where higher is always "better for the student".
+ * Costs and size are scaled against the most expensive / largest college in the set.
+ * Affordability uses net price when every college reports it, otherwise in-state tuition.
+ */
+export function getRadarScores(colleges) {
+  const metricValue = (id, college) => COMPARISON_METRICS.find(metric => metric.id === id).value(college);
+  const priceMetric = colleges.every(college => metricValue('netPrice', college) !== null) ? 'netPrice' : 'tuitionInState';
+  const netPrices = colleges.map(college => metricValue(priceMetric, college));
+  const maxPrice = Math.max(0, ...netPrices.filter(value => value !== null));
+  const enrollments = colleges.map(college => toNumber(college.enrollment?.total));
+  const maxEnrollment = Math.max(0, ...enrollments.filter(value => value !== null));
+
+  return {
+    labels: ['Admission Rate', 'Graduation Rate', 'Affordability', 'SAT Midpoint', 'Size'],
+    scores: colleges.map((college, index) => [
+      toRatePercent(college.admissions?.admission_rate),
+      toRatePercent(college.outcomes?.grad_rate_total ?? college.derivedData?.grad_rate_150_percent_total),
+      netPrices[index] !== null && maxPrice > 0 ? Math.round((1 - netPrices[index] / maxPrice) * 100) : null,
+      satRange(college) ? Math.round((satRange(college).mid / 1600) * 100) : null,
+      enrollments[index] !== null && maxEnrollment > 0 ? Math.round((enrollments[index] / maxEnrollment) * 100) : null,
+    ]),
+  };
+}
@@ -0,0 +1,125 @@
+// src/utils/collegeFit.js
+// Academic fit, cost fit and reach/target/safety classification of one student against one college
+import { readProfileValue } from './profileFields';
+import { toNumber, readSatRange, readActRange } from './institutionData';
+import { estimateAdmission } from './admissionProbability';
+import { estimateNetPrice, readNetPriceInputs, NET_PRICE_METHOD_LABELS, formatMoney } from './netPrice';
+
+export const FIT_CATEGORIES = {
+  reach: { label: 'Reach', className: 'bg-red-100 text-red-800' },
+  target: { label: 'Target', className: 'bg-yellow-100 text-yellow-800' },
+  safety: { label: 'Safety', className: 'bg-green-100 text-green-800' },
+};
+
+/**
+ * Composite SAT and ACT 25th–75th percentile ranges, or null where the college doesn't report them
+ */
+export const getScoreRanges = (college) => ({ sat: readSatRange(college), act: readActRange(college) });
+
+const positionIn = (score, range) => {
+  if (score === null || !range) return null;
+  if (score < range.min) return 'below';
+  if (score > range.max) return 'above';
+  return 'within';
+};
+
+const POSITION_TEXT = {
+  below: 'below the middle 50% of admitted students',
+  within: 'within the middle 50% of admitted students',
+  above: 'above the middle 50% of admitted students',
+};
+
+const POSITION_RANK = { below: 0, within: 1, above: 2 };
+
+/**
+ * Where the student's test scores and GPA sit against the college
+ * @returns {{ sat, act, gpa, testPosition: string|null, summary: string[] }}
+ *   `sat`/`act` are `{ score, range, position }`; `testPosition` is the better of the two
+ */
+export function assessAcademicFit(profile, college) {
+  const ranges = getScoreRanges(college);
+  const satScore = toNumber(readProfileValue(profile, 'satScore'));
+  const actScore = toNumber(readProfileValue(profile, 'actScore'));
+  const gpa = toNumber(readProfileValue(profile, 'gpa'));
+  const avgGpa = toNumber(college?.admissions?.avg_gpa ?? college?.avgGPA);
+
+  const sat = { score: satScore, range: ranges.sat, position: positionIn(satScore, ranges.sat) };
+  const act = { score: actScore, range: ranges.act, position: positionIn(actScore, ranges.act) };
+  // Students submit whichever test is stronger, so judge on the better of the two
+  const testPosition = [sat.position, act.position]
+    .filter(Boolean)
+    .sort((a, b) => POSITION_RANK[b] - POSITION_RANK[a])[0] || null;
+
+  const summary = [];
+  if (sat.position) summary.push(`Your SAT of ${satScore} is ${POSITION_TEXT[sat.position]} (${ranges.sat.min}–${ranges.sat.max}).`);
+  if (act.position) summary.push(`Your ACT of ${actScore} is ${POSITION_TEXT[act.position]} (${ranges.act.min}–${ranges.act.max}).`);
+  if (!ranges.sat && !ranges.act) summary.push('This college does not report SAT or ACT ranges; it may be test-optional.');
+  else if (!sat.position && !act.position) summary.push('Add an SAT or ACT score to your profile to compare against admitted students.');
+  if (gpa !== null && avgGpa !== null) {
+    summary.push(`Your GPA of ${gpa.toFixed(2)} is ${gpa >= avgGpa ? 'at or above' : 'below'} the average admitted GPA of ${avgGpa.toFixed(2)}.`);
+  }
+
+  return { sat, act, gpa: { score: gpa, average: avgGpa }, testPosition, summary };
+}
+
+/**
+ * Expected yearly cost against the student's budget, using the personal net price estimate
+ * (see netPrice.js) when the family's details allow one
+ * @param {Object} [netPriceInputs] - Calculator inputs; defaults to those saved on the profile
+ * @returns {{ cost, costLabel, budget, gap, status: 'within'|'stretch'|'over'|'unknown', summary: string, estimate: Object|null }}
+ */
+export function assessCostFit(profile, college, netPriceInputs = readNetPriceInputs(profile)) {
+  const estimate = estimateNetPrice(college, netPriceInputs);
+  const cost = estimate ? estimate.annual : null;
+  const costLabel = estimate ? NET_PRICE_METHOD_LABELS[estimate.method] : 'Net price';
+  const budget = toNumber(readProfileValue(profile, 'budget'));
+
+  if (cost === null) {
+    return { cost, costLabel, budget, gap: null, status: 'unknown', summary: 'This college does not report cost data.', estimate };
+  }
+  if (budget === null) {
+    return {
+      cost, costLabel, budget, gap: null, status: 'unknown', estimate,
+      summary: `${costLabel} is ${formatMoney(cost)}/yr. Add a yearly budget to your profile to see how it fits.`,
+    };
+  }
+
+  const gap = cost - budget;
+  // Within 15% over budget is usually closable with scholarships or work-study
+  const status = gap <= 0 ? 'within' : gap <= budget * 0.15 ? 'stretch' : 'over';
+  const summary = {
+    within: `${costLabel} of ${formatMoney(cost)}/yr is within your ${formatMoney(budget)} budget.`,
+    stretch: `${costLabel} of ${formatMoney(cost)}/yr is ${formatMoney(gap)} over your budget; scholarships could close the gap.`,
+    over: `${costLabel} of ${formatMoney(cost)}/yr is ${formatMoney(gap)} over your ${formatMoney(budget)} budget.`,
+  }[status];
+
+  return { cost, costLabel, budget, gap, status, summary, estimate };
+}
+
+/**
+ * Reach / target / safety with the reasons behind it, from the shared admission estimate
+ * @returns {{ category: 'reach'|'target'|'safety', reasons: string[], estimate: Object }}
+ */
+export function classifyCollege(profile, college) {
+  const estimate = estimateAdmission(profile, college);
+  if (!estimate.likelihood) {
+    return {
+      category: 'target',
+      reasons: ['There is not enough admissions data or profile information to estimate your chances; treat this as a target until you learn more.'],
+      estimate,
+    };
+  }
+  return { category: estimate.likelihood, reasons: estimate.reasons, estimate };
+}
+
+/**
+ * Everything the report page shows: `{ academic, cost, classification }`
+ */
+export function buildCollegeFit(profile, college, netPriceInputs) {
+  const academic = assessAcademicFit(profile, college);
+  return {
+    academic,
+    cost: assessCostFit(profile, college, netPriceInputs),
+    classification: classifyCollege(profile, college),
+  };
+}
@@ -0,0 +1,85 @@
+// src/utils/collegeList.js
+// Helpers for the student's reach / target / safety college list
+
+export const LIST_BUCKETS = ['reach', 'target', 'safety'];
+
+// A balanced list per common counselor guidance: a couple of reaches, most effort on targets, at least two safeties
+export const RECOMMENDED_MIX = { reach: 2, target: 3, safety: 2 };
+
+export const MAX_LIST_SIZE = 20;
+
+/**
+ * The compact record persisted on the profile as `collegeList`
+ */
+export const toListEntry = (college) => ({
+  unitid: String(college.unitid),
+  name: college.general_info?.name || college.name || 'Unknown College',
+  city: college.general_info?.city || '',
+  state: college.general_info?.state || '',
+  addedAt: new Date().toISOString(),
+});
+
+// Older profiles or hand-edited data may hold bare IDs or duplicates
+export function normalizeCollegeList(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list.reduce((entries, item) => {
+    const entry = typeof item === 'object' && item !== null ? item : { unitid: item };
+    const unitid = entry.unitid !== undefined && entry.unitid !== null ? String(entry.unitid) : '';
+    if (!unitid || seen.has(unitid)) return entries;
+    seen.add(unitid);
+    entries.push({ name: 'Unknown College', city: '', state: '', addedAt: null, ...entry, unitid });
+    return entries;
+  }, []);
+}
+
+/**
+ * Group entries by their `likelihood`; entries without one yet are returned as `unrated`
+ * @returns {{ reach: Object[], target: Object[], safety: Object[], unrated: Object[] }}
+ */
+export function bucketCollegeList(entries) {
+  return entries.reduce((buckets, entry) => {
+    const bucket = LIST_BUCKETS.includes(entry.likelihood) ? entry.likelihood : 'unrated';
+    buckets[bucket].push(entry);
+    return buckets;
+  }, { reach: [], target: [], safety: [], unrated: [] });
+}
+
+/**
+ * Problems with the list's balance, most important first
+ * @returns {Array<{ id: string, message: string, bucket: string|null }>}
+ */
+export function getListWarnings(buckets) {
+  const total = LIST_BUCKETS.reduce((sum, bucket) => sum + buckets[bucket].length, 0);
+  if (total === 0) return [];
+
+  const warnings = [];
+  if (buckets.safety.length === 0) {
+    warnings.push({ id: 'no-safety', bucket: 'safety', message: 'Your list has no safety schools. Add at least one college where admission is very likely.' });
+  } else if (buckets.safety.length < RECOMMENDED_MIX.safety) {
+    warnings.push({ id: 'few-safety', bucket: 'safety', message: `Consider at least ${RECOMMENDED_MIX.safety} safety schools in case plans change.` });
+  }
+  if (buckets.target.length === 0) {
+    warnings.push({ id: 'no-target', bucket: 'target', message: 'Your list has no target schools, where your profile matches typical admitted students.' });
+  }
+  if (buckets.reach.length > buckets.target.length + buckets.safety.length) {
+    warnings.push({ id: 'reach-heavy', bucket: 'reach', message: 'More than half of your list is reach schools. Balance it with targets and safeties.' });
+  }
+  return warnings;
+}
+
+/**
+ * Action-plan items that keep the list moving, in the dashboard's `{ task, priority, dueDate }` shape
+ */
+export function getCollegeListActions(buckets) {
+  const total = LIST_BUCKETS.reduce((sum, bucket) => sum + buckets[bucket].length, buckets.unrated?.length || 0);
+  if (total === 0) {
+    return [{ task: 'Start your college list with a mix of reach, target and safety schools.', priority: 'high', dueDate: 'This week', path: '/colleges/list' }];
+  }
+  return getListWarnings(buckets).map(warning => ({
+    task: warning.message,
+    priority: warning.id === 'no-safety' ? 'high' : 'medium',
+    dueDate: 'This week',
+    path: '/colleges/list',
+  }));
+}
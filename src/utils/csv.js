@@ -0,0 +1,80 @@
+// src/utils/csv.js
+// Minimal CSV reading for user uploads (RFC 4180 quoting, comma or semicolon delimited)
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells containing delimiters, quotes ("") and newlines.
+ * Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  // Spreadsheets in comma-decimal locales export with semicolons
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+// "Cost of Attendance" / "cost_of_attendance" / "COST-OF-ATTENDANCE" all become "costofattendance"
+export const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Rows as objects keyed by normalized header
+ * @returns {{ headers: string[], records: Array<{ row: number, values: Object }> }} `row` is the 1-based data row
+ */
+export function parseCsvRecords(text) {
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const headers = headerRow.map(normalizeHeader);
+  return {
+    headers,
+    records: rows.map((cells, index) => ({
+      row: index + 1,
+      values: headers.reduce((values, header, column) => {
+        if (header) values[header] = cells[column] ?? '';
+        return values;
+      }, {}),
+    })),
+  };
+}
+
+// "$12,500.00" → 12500; blank or unreadable cells → null
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const cleaned = String(value ?? '').replace(/[$,\s]/g, '');
+  if (!cleaned) return null;
+  const number = parseFloat(cleaned);
+  return Number.isFinite(number) ? number : null;
+};
@@ -0,0 +1,59 @@
+import { parseCsv, parseCsvRecords, normalizeHeader, parseAmount } from './csv';
+
+describe('parseCsv', () => {
+  it('splits rows and trims cells', () => {
+    expect(parseCsv('a, b ,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  it('handles quoted delimiters, escaped quotes and newlines inside quotes', () => {
+    const text = 'name,note\n"Smith, Jo","said ""hi""\nthen left"';
+    expect(parseCsv(text)).toEqual([['name', 'note'], ['Smith, Jo', 'said "hi"\nthen left']]);
+  });
+
+  it('accepts CRLF line endings, a byte-order mark and drops blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\r\n\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('detects semicolon-delimited exports', () => {
+    expect(parseCsv('College;Grants\nState U;1,500')).toEqual([['College', 'Grants'], ['State U', '1,500']]);
+  });
+
+  it('returns nothing for empty input', () => {
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsv(null)).toEqual([]);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  it('keys cells by normalized header and numbers data rows from 1', () => {
+    const { headers, records } = parseCsvRecords('Course Name,Grade\nBiology,A\nChemistry');
+    expect(headers).toEqual(['coursename', 'grade']);
+    expect(records).toEqual([
+      { row: 1, values: { coursename: 'Biology', grade: 'A' } },
+      { row: 2, values: { coursename: 'Chemistry', grade: '' } },
+    ]);
+  });
+});
+
+describe('normalizeHeader', () => {
+  it('drops case and punctuation', () => {
+    expect(normalizeHeader('Cost of Attendance')).toBe('costofattendance');
+    expect(normalizeHeader('COST-OF_ATTENDANCE')).toBe('costofattendance');
+    expect(normalizeHeader(undefined)).toBe('');
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads dollar strings and numbers', () => {
+    expect(parseAmount('$12,500.00')).toBe(12500);
+    expect(parseAmount(' 3000 ')).toBe(3000);
+    expect(parseAmount(42)).toBe(42);
+  });
+
+  it('returns null for blank or unreadable values', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount(null)).toBeNull();
+    expect(parseAmount('n/a')).toBeNull();
+    expect(parseAmount(NaN)).toBeNull();
+  });
+});
@@ -1,212 +1,268 @@
 // src/utils/dashboardHelpers.js
 // Comprehensive dashboard helper with CosmosDB integration and Azure OpenAI
+import {
+  getDashboardSummary,
+  getProfile,
+  getTopMatches,
+  getScholarshipStats,
+  sendRagQuery,
+  getNextStepsData,
+  rememberActionPlan,
+  isAbortError
+} from '../services/api';
+import { estimateAdmission } from './admissionProbability';
+import { readProfileValue } from './profileFields';
+import { toList } from './profileSchema';
 
 /**
- * Main dashboard data fetcher and processor
- * Fetches all data from CosmosDB and generates insights using Azure OpenAI
+ * Dashboard sections, in the order cards are laid out.
+ * Each section resolves independently so cards can render as soon as their data arrives.
  */
-export async function getDashboardData(userId, profile = null) {
-  try {
-    // Validate inputs
-    if (!userId) {
-      console.warn('No userId provided to getDashboardData');
-      return getFallbackData(profile);
-    }
+export const DASHBOARD_SECTIONS = ['studentProfile', 'topColleges', 'scholarships', 'careerInsights', 'actionPlan'];
 
-    console.log('Fetching dashboard data for userId:', userId);
+const EMPTY_SCHOLARSHIPS = { totalEligibleAmount: 0, opportunities: [] };
 
-// Check if backend is available first
-try {
-  const healthCheck = await fetch('/health');
-  if (!healthCheck.ok) {
-    throw new Error('Backend health check failed');
-  }
-} catch (healthError) {
-  console.warn('Backend appears to be offline:', healthError.message);
-  return getFallbackData(profile);
-}// Check if backend is available first
-try {
-  const healthCheck = await fetch('/health');
-  if (!healthCheck.ok) {
-    throw new Error('Backend health check failed');
+// Set once the backend answers 404 for /dashboard/summary so later loads skip straight to per-section calls
+let summaryEndpointUnsupported = false;
+
+/**
+ * Load dashboard data through the authenticated API client.
+ * Uses the `/dashboard/summary` aggregate when the backend offers it and falls back
+ * to per-section calls otherwise. `onSection(section, patch)` fires as each section
+ * resolves; `patch` is a partial dashboard data object to merge into the current state.
+ * @param {string} userId - Supabase user ID
+ * @param {Object|null} profile - Profile already loaded by AuthContext, if any
+ * @param {Object} options - `onSection` callback and `signal` (AbortSignal)
+ * @returns {Promise<Object>} The complete dashboard data once every section has settled
+ */
+export async function loadDashboardData(userId, profile = null, { onSection = () => {}, signal } = {}) {
+  if (!userId) {
+    console.warn('No userId provided to loadDashboardData');
+    const fallback = getFallbackData(profile);
+    DASHBOARD_SECTIONS.forEach(section => onSection(section, pickSection(fallback, section)));
+    return fallback;
   }
-} catch (healthError) {
-  console.warn('Backend appears to be offline:', healthError.message);
-  return getFallbackData(profile);
-}// Check if backend is available first
+
+  console.log('Fetching dashboard data for userId:', userId);
+
+  if (!summaryEndpointUnsupported) {
     try {
-      const healthCheck = await fetch('/health');
-      if (!healthCheck.ok) {
-        throw new Error('Backend health check failed');
+      const summary = await getDashboardSummary(userId, { signal });
+      const data = normalizeDashboardSummary(summary, profile);
+      rememberActionPlan(userId, data.actionPlan);
+      DASHBOARD_SECTIONS.forEach(section => onSection(section, pickSection(data, section)));
+      return data;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      if (error.code === 'NOT_FOUND') {
+        summaryEndpointUnsupported = true;
+      } else {
+        console.warn('Dashboard summary unavailable, loading sections individually:', error.message);
       }
-    } catch (healthError) {
-      console.warn('Backend appears to be offline:', healthError.message);
-      return getFallbackData(profile);
     }
+  }
 
-    // Fetch all required data in parallel with individual error handling
-    const [studentProfile, collegeMatches, scholarships, careerInsights] = await Promise.allSettled([
-      fetchStudentProfile(userId, profile),
-      fetchCollegeMatches(userId),
-      fetchScholarships(userId, profile),
-      fetchCareerInsights(userId, profile)
-    ]);
-
-    // Extract results with fallbacks
-    const studentProfileResult = studentProfile.status === 'fulfilled' ? studentProfile.value : profile;
-    const collegeMatchesResult = collegeMatches.status === 'fulfilled' ? collegeMatches.value : [];
-    const scholarshipsResult = scholarships.status === 'fulfilled' ? scholarships.value : { totalEligibleAmount: 0, opportunities: [] };
-    const careerInsightsResult = careerInsights.status === 'fulfilled' ? careerInsights.value : '';
-
-    console.log('Dashboard data fetched:', {
-      hasProfile: !!studentProfileResult,
-      collegeCount: collegeMatchesResult.length,
-      scholarshipCount: scholarshipsResult.opportunities?.length || 0,
-      hasCareerInsights: !!careerInsightsResult
-    });
-
-    // Generate AI-powered insights
-    const insights = await generateAIInsights(studentProfileResult, collegeMatchesResult, scholarshipsResult);
+  return loadDashboardSections(userId, profile, { onSection, signal });
+}
 
-    return {
-      studentProfile: studentProfileResult,
-      topColleges: collegeMatchesResult,
-      scholarships: scholarshipsResult,
-      careerInsights: careerInsightsResult,
-      actionPlan: insights.actionPlan,
-      admissionProbabilities: insights.probabilities,
-      userStats: calculateUserStats(studentProfileResult),
-      context: insights.context
-    };
+/**
+ * Main dashboard data fetcher and processor
+ * Resolves once with everything; prefer loadDashboardData to stream cards in.
+ */
+export async function getDashboardData(userId, profile = null) {
+  try {
+    return await loadDashboardData(userId, profile);
   } catch (error) {
     console.error('Error fetching dashboard data:', error);
     return getFallbackData(profile);
   }
 }
 
+// Extract the fields a section contributes to the dashboard data object
+function pickSection(data, section) {
+  switch (section) {
+    case 'studentProfile':
+      return { studentProfile: data.studentProfile, userStats: data.userStats };
+    case 'topColleges':
+      return { topColleges: data.topColleges, admissionProbabilities: data.admissionProbabilities };
+    case 'scholarships':
+      return { scholarships: data.scholarships };
+    case 'careerInsights':
+      return { careerInsights: data.careerInsights };
+    case 'actionPlan':
+      return { actionPlan: data.actionPlan, context: data.context };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Map the aggregate endpoint's response onto the dashboard data shape
+ */
+function normalizeDashboardSummary(summary, profile) {
+  const studentProfile = summary?.studentProfile || summary?.profile || profile;
+  const topColleges = summary?.topColleges || summary?.collegeMatches || [];
+  const scholarships = {
+    totalEligibleAmount: summary?.scholarships?.totalEligibleAmount || 0,
+    opportunities: summary?.scholarships?.opportunities || []
+  };
+
+  return {
+    studentProfile,
+    topColleges,
+    scholarships,
+    careerInsights: summary?.careerInsights || '',
+    actionPlan: summary?.actionPlan || summary?.nextSteps || generateFallbackActionPlan(studentProfile, scholarships),
+    admissionProbabilities: calculateProbabilities(studentProfile, topColleges),
+    userStats: calculateUserStats(studentProfile),
+    context: summary?.context || {}
+  };
+}
+
+/**
+ * Per-section loading used when the aggregate endpoint is unavailable.
+ * Sections that depend on others (probabilities, action plan) wait only for what they need.
+ */
+async function loadDashboardSections(userId, profile, { onSection, signal }) {
+  const emit = (section, patch) => {
+    if (!signal?.aborted) onSection(section, patch);
+    return patch;
+  };
+
+  const profileSection = fetchStudentProfile(userId, profile, signal)
+    .then(studentProfile => emit('studentProfile', {
+      studentProfile,
+      userStats: calculateUserStats(studentProfile)
+    }));
+  const profilePromise = profileSection.then(section => section.studentProfile);
+
+  const collegesPromise = fetchCollegeMatches(userId, signal);
+  const scholarshipsSection = fetchScholarships(userId, signal)
+    .then(scholarships => emit('scholarships', { scholarships }));
+  const scholarshipsPromise = scholarshipsSection.then(section => section.scholarships);
+
+  const collegesSection = Promise.all([profilePromise, collegesPromise])
+    .then(([studentProfile, topColleges]) => emit('topColleges', {
+      topColleges,
+      admissionProbabilities: calculateProbabilities(studentProfile, topColleges)
+    }));
+
+  const careerSection = profilePromise
+    .then(studentProfile => fetchCareerInsights(studentProfile, signal))
+    .then(careerInsights => emit('careerInsights', { careerInsights }));
+
+  const actionPlanSection = Promise.all([profilePromise, collegesPromise, scholarshipsPromise])
+    .then(([studentProfile, topColleges, scholarships]) => generateAIInsights(studentProfile, topColleges, scholarships, signal))
+    .then(insights => {
+      rememberActionPlan(userId, insights.actionPlan);
+      return emit('actionPlan', { actionPlan: insights.actionPlan, context: insights.context });
+    });
+
+  const sections = await Promise.all([
+    profileSection,
+    collegesSection,
+    scholarshipsSection,
+    careerSection,
+    actionPlanSection
+  ]);
+
+  const data = Object.assign({}, ...sections);
+  console.log('Dashboard data fetched:', {
+    hasProfile: !!data.studentProfile,
+    collegeCount: data.topColleges.length,
+    scholarshipCount: data.scholarships.opportunities?.length || 0,
+    hasCareerInsights: !!data.careerInsights
+  });
+  return data;
+}
+
+// Section fetchers swallow failures and return empty data, except cancellation,
+// which propagates so nothing is rendered after the page unmounts.
+
 /**
  * Fetch student profile from CosmosDB
  */
-async function fetchStudentProfile(userId, profile = null) {
+async function fetchStudentProfile(userId, profile = null, signal) {
   if (profile) return profile;
-  
+
   try {
     console.log('Fetching student profile for userId:', userId);
-    const response = await fetch(`/api/profile/${userId}`);
-    if (response.ok) {
-      const data = await response.json();
-      console.log('Student profile fetched:', data);
-      return data.profile || data;
-    } else {
-      console.warn('Failed to fetch student profile:', response.status, response.statusText);
-    }
+    const data = await getProfile(userId, { signal });
+    return data?.profile || data || null;
   } catch (error) {
-    console.warn('Failed to fetch student profile:', error);
+    if (isAbortError(error)) throw error;
+    console.warn('Failed to fetch student profile:', error.message);
   }
-  
+
   return null;
 }
 
 /**
  * Fetch college matches from CosmosDB
  */
-async function fetchCollegeMatches(userId) {
-  try {
-    console.log('Fetching college matches for userId:', userId);
-    // First try to get cached matches
-    const response = await fetch(`/api/dashboard/top-matches?userId=${userId}`);
-    if (response.ok) {
-      const data = await response.json();
-      console.log('College matches fetched:', data.results?.length || 0, 'matches');
-      return data.results || [];
-    } else {
-      console.warn('Failed to fetch college matches:', response.status, response.statusText);
-    }
-  } catch (error) {
-    console.warn('Failed to fetch college matches:', error);
-  }
-  
-  return [];
+async function fetchCollegeMatches(userId, signal) {
+  const data = await getTopMatches(userId, { signal });
+  console.log('College matches fetched:', data?.results?.length || 0, 'matches');
+  return data?.results || [];
 }
 
 /**
  * Fetch scholarships from CosmosDB
  */
-async function fetchScholarships(userId, profile = null) {
-  try {
-    const response = await fetch(`/api/dashboard/scholarship-stats?userId=${userId}`);
-    if (response.ok) {
-      const data = await response.json();
-      return {
-        totalEligibleAmount: data.totalEligibleAmount || 0,
-        opportunities: data.opportunities || []
-      };
-    }
-  } catch (error) {
-    console.warn('Failed to fetch scholarships:', error);
-  }
-  
-  return { totalEligibleAmount: 0, opportunities: [] };
+async function fetchScholarships(userId, signal) {
+  const data = await getScholarshipStats(userId, { signal });
+  return {
+    totalEligibleAmount: data?.totalEligibleAmount || 0,
+    opportunities: data?.opportunities || []
+  };
 }
 
 /**
  * Fetch career insights using RAG
  */
-async function fetchCareerInsights(userId, profile = null) {
+async function fetchCareerInsights(profile, signal) {
   if (!profile) return '';
-  
+
   try {
-    const response = await fetch('/api/rag/query', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        query: "What career insights and recommendations can you provide for this student?",
-        context: { studentProfile: profile }
-      })
-    });
-    
-    if (response.ok) {
-      const data = await response.json();
-      return data.text || '';
-    }
+    const data = await sendRagQuery(
+      "What career insights and recommendations can you provide for this student?",
+      { studentProfile: profile },
+      { signal }
+    );
+    return data?.text || '';
   } catch (error) {
-    console.warn('Failed to fetch career insights:', error);
+    if (isAbortError(error)) throw error;
+    console.warn('Failed to fetch career insights:', error.message);
   }
-  
+
   return '';
 }
 
 /**
  * Generate AI-powered insights using Azure OpenAI
  */
-async function generateAIInsights(studentProfile, collegeMatches, scholarships) {
+async function generateAIInsights(studentProfile, collegeMatches, scholarships, signal) {
   try {
-    const response = await fetch('/api/dashboard/next-steps', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        studentProfile,
-        collegeMatches,
-        scholarships: scholarships.opportunities || [],
-        userId: studentProfile?.userId
-      })
-    });
-
-    if (response.ok) {
-      const data = await response.json();
-      return {
-        actionPlan: data.nextSteps || [],
-        probabilities: calculateProbabilities(studentProfile, collegeMatches),
-        context: data.context || {}
-      };
-    }
+    const data = await getNextStepsData(
+      studentProfile,
+      collegeMatches,
+      scholarships.opportunities || [],
+      studentProfile?.userId,
+      { signal }
+    );
+    return {
+      actionPlan: data?.nextSteps || [],
+      probabilities: calculateProbabilities(studentProfile, collegeMatches),
+      context: data?.context || {}
+    };
   } catch (error) {
-    console.warn('Failed to generate AI insights:', error);
+    if (isAbortError(error)) throw error;
+    console.warn('Failed to generate AI insights:', error.message);
   }
 
   // Fallback calculations
   return {
-    actionPlan: generateFallbackActionPlan(studentProfile, scholarships),
+    actionPlan: generateFallbackActionPlan(studentProfile, scholarships || EMPTY_SCHOLARSHIPS),
     probabilities: calculateProbabilities(studentProfile, collegeMatches),
     context: {}
   };
@@ -229,19 +285,22 @@ export function calculateUserStats(profile) {
   }
 
   // Calculate profile completion percentage
-  const requiredFields = ['gpa', 'satScore', 'gradeLevel', 'extracurriculars', 'career_goals'];
+  const requiredFields = ['gpa', 'satScore', 'gradeLevel', 'extracurriculars', 'careerGoals'];
   const completedFields = requiredFields.filter(field => {
-    const value = profile[field];
+    const value = readProfileValue(profile, field);
     return value && value.toString().trim() !== '' && value !== 'N/A';
   });
+  const gpa = parseFloat(readProfileValue(profile, 'gpa'));
+  const sat = parseInt(readProfileValue(profile, 'satScore'));
+  const activities = toList(readProfileValue(profile, 'extracurriculars')).length;
+  const hasCareerGoals = !!readProfileValue(profile, 'careerGoals');
   const completionPercentage = Math.round((completedFields.length / requiredFields.length) * 100);
 
   // Calculate profile score (0-100)
   let profileScore = 0;
   
   // GPA contribution (0-30 points)
-  if (profile.gpa) {
-    const gpa = parseFloat(profile.gpa);
+  if (gpa) {
     if (gpa >= 4.0) profileScore += 30;
     else if (gpa >= 3.8) profileScore += 25;
     else if (gpa >= 3.5) profileScore += 20;
@@ -251,8 +310,7 @@ export function calculateUserStats(profile) {
   }
 
   // SAT Score contribution (0-30 points)
-  if (profile.satScore) {
-    const sat = parseInt(profile.satScore);
+  if (sat) {
     if (sat >= 1500) profileScore += 30;
     else if (sat >= 1400) profileScore += 25;
     else if (sat >= 1300) profileScore += 20;
@@ -262,13 +320,12 @@ export function calculateUserStats(profile) {
   }
 
   // Extracurriculars contribution (0-20 points)
-  if (profile.extracurriculars) {
-    const activities = profile.extracurriculars.split(',').length;
+  if (activities) {
     profileScore += Math.min(activities * 2, 20);
   }
 
   // Career goals contribution (0-20 points)
-  if (profile.career_goals) {
+  if (hasCareerGoals) {
     profileScore += 20;
   }
 
@@ -280,32 +337,32 @@ export function calculateUserStats(profile) {
   else if (profileScore >= 20) recommendationLevel = 'Needs Improvement';
 
   // Calculate percentiles
-  const gpaPercentile = profile.gpa ? Math.min(Math.round((parseFloat(profile.gpa) / 4.0) * 100), 100) : 0;
-  const satPercentile = profile.satScore ? Math.min(Math.round((parseInt(profile.satScore) / 1600) * 100), 100) : 0;
+  const gpaPercentile = gpa ? Math.min(Math.round((gpa / 4.0) * 100), 100) : 0;
+  const satPercentile = sat ? Math.min(Math.round((sat / 1600) * 100), 100) : 0;
 
   // Identify strengths and areas for improvement
   const strengths = [];
   const areasForImprovement = [];
 
-  if (profile.gpa && parseFloat(profile.gpa) >= 3.5) {
+  if (gpa >= 3.5) {
     strengths.push('Strong Academic Performance');
   } else {
     areasForImprovement.push('Improve GPA');
   }
 
-  if (profile.satScore && parseInt(profile.satScore) >= 1300) {
+  if (sat >= 1300) {
     strengths.push('High Test Scores');
   } else {
     areasForImprovement.push('Consider SAT/ACT Prep');
   }
 
-  if (profile.extracurriculars) {
+  if (activities) {
     strengths.push('Active in Extracurriculars');
   } else {
     areasForImprovement.push('Add Extracurricular Activities');
   }
 
-  if (profile.career_goals) {
+  if (hasCareerGoals) {
     strengths.push('Clear Career Goals');
   } else {
     areasForImprovement.push('Define Career Goals');
@@ -323,100 +380,27 @@ export function calculateUserStats(profile) {
 }
 
 /**
- * Calculate admission probabilities for colleges based on user profile
+ * Admission estimates for colleges based on user profile, keyed by `unitid` (or `_id`).
+ * Every screen goes through estimateAdmission so chances agree wherever they're shown.
+ * @returns {Object} `{ [id]: { probability, low, high, likelihood, confidence, factors, reasons } }`
  */
 export function calculateProbabilities(profile, colleges) {
   if (!profile || !colleges || colleges.length === 0) {
     return {};
   }
 
-  const probabilities = {};
-
-  colleges.forEach(college => {
-    let base = 50; // start at 50%
-
-    // Adjust based on GPA
-    if (profile.gpa && college.avgGPA) {
-      const diff = parseFloat(profile.gpa) - college.avgGPA;
-      base += diff * 10; // 0.1 GPA = ±1%
-    } else if (profile.gpa && college.admission_rate) {
-      // Fallback to admission rate-based calculation
-      const gpa = parseFloat(profile.gpa);
-      const admissionRate = college.admission_rate * 100;
-      
-      if (gpa >= 4.0) base += 30;
-      else if (gpa >= 3.8) base += 25;
-      else if (gpa >= 3.5) base += 20;
-      else if (gpa >= 3.0) base += 15;
-      else if (gpa >= 2.5) base += 10;
-      else base += 5;
-
-      // Adjust based on admission rate
-      if (admissionRate < 10) base -= 20; // Very selective
-      else if (admissionRate < 25) base -= 10; // Selective
-      else if (admissionRate > 80) base += 10; // Less selective
-    }
-
-    // Adjust based on SAT
-    if (profile.satScore && college.avgSAT) {
-      const diff = parseInt(profile.satScore) - college.avgSAT;
-      base += diff / 20; // 20 points = ±1%
-    } else if (profile.satScore && college.sat_scores) {
-      // Fallback to SAT scores comparison
-      const sat = parseInt(profile.satScore);
-      const avgSat = college.sat_scores.average || 1200;
-      
-      if (sat >= avgSat + 200) base += 20;
-      else if (sat >= avgSat + 100) base += 15;
-      else if (sat >= avgSat) base += 10;
-      else if (sat >= avgSat - 100) base += 5;
-      else base -= 10;
-    }
-
-    // Extracurriculars factor
-    if (profile.extracurriculars) {
-      const activities = profile.extracurriculars.split(',').length;
-      base += Math.min(activities * 2, 10);
-    }
-
-    // Career goals alignment
-    if (profile.career_goals && college.popular_majors) {
-      const careerGoal = profile.career_goals.toLowerCase();
-      const popularMajors = college.popular_majors.map(major => major.toLowerCase());
-      
-      if (popularMajors.some(major => careerGoal.includes(major) || major.includes(careerGoal))) {
-        base += 10;
-      }
-    }
-
-    // Clamp probability between 5% and 95%
-    const probability = Math.min(Math.max(Math.round(base), 5), 95);
-
-    // Categorize likelihood
-    let likelihood = 'target';
-    if (probability >= 70) likelihood = 'safety';
-    else if (probability >= 40) likelihood = 'target';
-    else likelihood = 'reach';
-
-    probabilities[college.unitid || college._id] = {
-      probability,
-      likelihood,
-      factors: {
-        gpa: profile.gpa ? parseFloat(profile.gpa) : null,
-        sat: profile.satScore ? parseInt(profile.satScore) : null,
-        extracurriculars: profile.extracurriculars ? profile.extracurriculars.split(',').length : 0,
-        careerGoals: !!profile.career_goals
-      }
-    };
-  });
-
-  return probabilities;
+  return colleges.reduce((probabilities, college) => {
+    const estimate = estimateAdmission(profile, college);
+    if (estimate.probability !== null) probabilities[college.unitid || college._id] = estimate;
+    return probabilities;
+  }, {});
 }
 
 /**
- * Generate fallback action plan when AI is unavailable
+ * Generate fallback action plan when AI is unavailable. Due dates are relative ("ASAP", "This week");
+ * see calendar.resolveDueDate for placing them on a calendar.
  */
-function generateFallbackActionPlan(profile, scholarships) {
+export function generateFallbackActionPlan(profile, scholarships = EMPTY_SCHOLARSHIPS) {
   const actions = [];
 
   if (profile && profile.gpa) {
@@ -472,9 +456,9 @@ function getFallbackData(profile) {
   return {
     studentProfile: profile,
     topColleges: [],
-    scholarships: { totalEligibleAmount: 0, opportunities: [] },
+    scholarships: EMPTY_SCHOLARSHIPS,
     careerInsights: '',
-    actionPlan: generateFallbackActionPlan(profile, { totalEligibleAmount: 0, opportunities: [] }),
+    actionPlan: generateFallbackActionPlan(profile, EMPTY_SCHOLARSHIPS),
     admissionProbabilities: {},
     userStats: calculateUserStats(profile),
     context: {}
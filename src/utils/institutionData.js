@@ -0,0 +1,74 @@
+// src/utils/institutionData.js
+// Reading numbers out of institution records and college matches. Records come from several sources,
+// so numbers can arrive as strings ("1,200", "$12,000", "45%") and rates as fractions or percentages.
+// toNumber is also the number parser for profile and forecast values, so every module reads them alike.
+
+/**
+ * Parse a number that may be stored as a string; `$`, `,`, `%` and spaces are ignored
+ * @returns {number|null} null for anything that isn't a finite number
+ */
+export const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const number = parseFloat(value.replace(/[$,%\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+// Rates are stored as fractions in some records and percentages in others; values up to 1 are fractions
+const readRate = (value) => {
+  const number = toNumber(value);
+  return number === null || number < 0 ? null : number;
+};
+
+/**
+ * A rate as a fraction between 0 and 1
+ * @returns {number|null}
+ */
+export const toRateFraction = (value) => {
+  const rate = readRate(value);
+  if (rate === null) return null;
+  return rate > 1 ? rate / 100 : rate;
+};
+
+/**
+ * A rate as a percentage between 0 and 100
+ * @returns {number|null}
+ */
+export const toRatePercent = (value) => {
+  const rate = readRate(value);
+  if (rate === null) return null;
+  return rate <= 1 ? rate * 100 : rate;
+};
+
+const scoreRange = (low, high) => (low !== null && high !== null && high >= low ? { min: low, max: high } : null);
+
+// Section scores can arrive as strings, so add the parsed values rather than the raw fields
+const sumSections = (verbal, math) => {
+  const parts = [toNumber(verbal), toNumber(math)];
+  return parts.includes(null) ? null : parts[0] + parts[1];
+};
+
+/**
+ * Composite SAT 25th–75th percentile range from the section scores, from a nested institution
+ * record (`admissions.sat_scores`) or the flat shape college matches use (`sat_scores`)
+ * @returns {{ min: number, max: number }|null}
+ */
+export function readSatRange(college) {
+  const sat = college?.admissions?.sat_scores || college?.sat_scores || {};
+  return scoreRange(sumSections(sat.verbal_25th, sat.math_25th), sumSections(sat.verbal_75th, sat.math_75th));
+}
+
+/**
+ * ACT composite 25th–75th percentile range, from a nested or flat record
+ * @returns {{ min: number, max: number }|null}
+ */
+export function readActRange(college) {
+  const act = college?.admissions?.act_scores || college?.act_scores || {};
+  return scoreRange(toNumber(act.composite_25th), toNumber(act.composite_75th));
+}
+
+/**
+ * Admission rate as a fraction, from a nested or flat record
+ * @returns {number|null}
+ */
+export const readAdmissionRate = (college) => toRateFraction(college?.admissions?.admission_rate ?? college?.admission_rate);
@@ -0,0 +1,57 @@
+import {
+  toNumber,
+  toRateFraction,
+  toRatePercent,
+  readSatRange,
+  readActRange,
+  readAdmissionRate,
+} from './institutionData';
+
+describe('toNumber', () => {
+  it('reads numbers stored as formatted strings', () => {
+    expect(toNumber('1,200')).toBe(1200);
+    expect(toNumber('$12,500')).toBe(12500);
+    expect(toNumber(' 45% ')).toBe(45);
+    expect(toNumber(3.7)).toBe(3.7);
+  });
+
+  it('returns null for anything else', () => {
+    expect(toNumber('N/A')).toBeNull();
+    expect(toNumber('')).toBeNull();
+    expect(toNumber(NaN)).toBeNull();
+    expect(toNumber(null)).toBeNull();
+    expect(toNumber(true)).toBeNull();
+  });
+});
+
+describe('rates', () => {
+  it('accepts fractions and percentages', () => {
+    expect(toRateFraction(0.45)).toBe(0.45);
+    expect(toRateFraction('45')).toBe(0.45);
+    expect(toRatePercent(0.45)).toBe(45);
+    expect(toRatePercent('45%')).toBe(45);
+    expect(toRatePercent(1)).toBe(100);
+    expect(toRateFraction(-1)).toBeNull();
+  });
+
+  it('reads the admission rate from nested and flat records', () => {
+    expect(readAdmissionRate({ admissions: { admission_rate: '17' } })).toBe(0.17);
+    expect(readAdmissionRate({ admission_rate: 0.3 })).toBe(0.3);
+    expect(readAdmissionRate({})).toBeNull();
+  });
+});
+
+describe('score ranges', () => {
+  it('adds SAT section scores stored as strings', () => {
+    const college = { admissions: { sat_scores: { verbal_25th: '600', math_25th: '610', verbal_75th: '700', math_75th: 720 } } };
+    expect(readSatRange(college)).toEqual({ min: 1210, max: 1420 });
+  });
+
+  it('reads the flat match shape and ignores partial or inverted ranges', () => {
+    expect(readSatRange({ sat_scores: { verbal_25th: 500, math_25th: 500, verbal_75th: 600, math_75th: 600 } }))
+      .toEqual({ min: 1000, max: 1200 });
+    expect(readSatRange({ admissions: { sat_scores: { verbal_25th: 600, verbal_75th: 700 } } })).toBeNull();
+    expect(readActRange({ act_scores: { composite_25th: '30', composite_75th: '26' } })).toBeNull();
+    expect(readActRange({ admissions: { act_scores: { composite_25th: '24', composite_75th: 30 } } })).toEqual({ min: 24, max: 30 });
+  });
+});
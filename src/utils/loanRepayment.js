@@ -0,0 +1,142 @@
+// src/utils/loanRepayment.js
+// Student loan repayment schedules and return on a degree, from a starting salary, loan balance and college cost.
+// Pure functions; all amounts are yearly dollars unless named monthly.
+
+// 2024–25 federal Direct Loan rate for undergraduates
+export const DEFAULT_INTEREST_RATE = 0.0653;
+export const SALARY_GROWTH_RATE = 0.03;
+// Median yearly earnings for a full-time worker with only a high school diploma (BLS, 2024)
+export const HIGH_SCHOOL_EARNINGS = 46700;
+export const COLLEGE_YEARS = 4;
+// Most a dependent undergraduate can borrow in federal Direct Loans over four years ($5,500 + $6,500 + $7,500 + $7,500)
+export const FEDERAL_LOAN_LIMIT = 27000;
+export const ROI_HORIZON_YEARS = 30;
+
+// 150% of the federal poverty guideline for a single-person household, the income-driven plans' protected income
+const PROTECTED_INCOME = 22590;
+const INCOME_DRIVEN_SHARE = 0.10;
+
+/**
+ * `years` is the repayment term; income-driven plans forgive what is left after it.
+ * Income-driven payments are capped at the standard payment, as under IBR.
+ */
+export const REPAYMENT_PLANS = [
+  { id: 'standard', label: 'Standard (10 years)', years: 10, color: '#2563eb' },
+  { id: 'extended', label: 'Extended (25 years)', years: 25, color: '#d97706' },
+  { id: 'incomeDriven', label: 'Income-Driven (10% of discretionary income)', years: 20, color: '#16a34a' },
+];
+
+// Rule-of-thumb limits: total debt no more than a first-year salary, payments no more than 10% of gross pay
+export const DEBT_TO_INCOME_LIMIT = 1;
+export const PAYMENT_TO_INCOME_LIMIT = 0.1;
+
+/**
+ * Fixed monthly payment that pays off `principal` in `years`
+ */
+export function amortizedPayment(principal, annualRate, years) {
+  const months = years * 12;
+  const rate = annualRate / 12;
+  if (principal <= 0) return 0;
+  if (rate === 0) return principal / months;
+  return (principal * rate) / (1 - Math.pow(1 + rate, -months));
+}
+
+export const salaryInYear = (startingSalary, year, growthRate = SALARY_GROWTH_RATE) => startingSalary * Math.pow(1 + growthRate, year - 1);
+
+/**
+ * Month-by-month repayment under one plan, summarized per year
+ * @param {string} planId - One of REPAYMENT_PLANS
+ * @param {{ principal: number, interestRate?: number, startingSalary?: number, salaryGrowth?: number }} loan
+ * @returns {{
+ *   plan: Object, monthlyPayment: number, years: Array<{ year: number, paid: number, interest: number, balance: number }>,
+ *   totalPaid: number, totalInterest: number, forgiven: number, payoffYear: number|null
+ * }} `monthlyPayment` is the first month's; `payoffYear` is null when a balance is forgiven
+ */
+export function buildRepaymentSchedule(planId, { principal, interestRate = DEFAULT_INTEREST_RATE, startingSalary = 0, salaryGrowth = SALARY_GROWTH_RATE }) {
+  const plan = REPAYMENT_PLANS.find(item => item.id === planId);
+  const standardPayment = amortizedPayment(principal, interestRate, 10);
+  const fixedPayment = amortizedPayment(principal, interestRate, plan.years);
+  const monthlyFor = (year) => {
+    if (plan.id !== 'incomeDriven') return fixedPayment;
+    const discretionary = Math.max(0, salaryInYear(startingSalary, year, salaryGrowth) - PROTECTED_INCOME);
+    return Math.min(standardPayment, (discretionary * INCOME_DRIVEN_SHARE) / 12);
+  };
+
+  let balance = Math.max(0, principal);
+  let payoffYear = null;
+  const years = [];
+  for (let year = 1; year <= plan.years && balance > 0; year++) {
+    const payment = monthlyFor(year);
+    let paid = 0;
+    let interest = 0;
+    for (let month = 0; month < 12 && balance > 0; month++) {
+      const monthInterest = balance * (interestRate / 12);
+      const monthPaid = Math.min(payment, balance + monthInterest);
+      interest += monthInterest;
+      paid += monthPaid;
+      balance = Math.max(0, balance + monthInterest - monthPaid);
+    }
+    // Fixed plans land on a few cents of rounding in their final month
+    if (balance < 1) balance = 0;
+    years.push({ year, paid: Math.round(paid), interest: Math.round(interest), balance: Math.round(balance) });
+    if (balance === 0) payoffYear = year;
+  }
+
+  const totalPaid = years.reduce((sum, year) => sum + year.paid, 0);
+  return {
+    plan,
+    monthlyPayment: Math.round(monthlyFor(1)),
+    years,
+    totalPaid,
+    totalInterest: years.reduce((sum, year) => sum + year.interest, 0),
+    forgiven: Math.round(balance),
+    payoffYear,
+  };
+}
+
+/**
+ * Cumulative return on the degree against going straight to work after high school.
+ * College years count tuition paid in cash (cost not covered by loans) and the earnings given up;
+ * each year after graduation adds the salary premium and subtracts that year's loan payments.
+ * @param {{ startingSalary: number, collegeCost: number, principal: number, schedule: Object,
+ *   baselineEarnings?: number, salaryGrowth?: number, horizon?: number }} options
+ * @returns {{ points: Array<{ year: number, label: string, cumulative: number }>, breakEvenYear: number|null }}
+ *   `breakEvenYear` counts years after graduation; null when the degree hasn't paid off within `horizon`
+ */
+export function calculateRoi({
+  startingSalary,
+  collegeCost,
+  principal,
+  schedule,
+  baselineEarnings = HIGH_SCHOOL_EARNINGS,
+  salaryGrowth = SALARY_GROWTH_RATE,
+  horizon = ROI_HORIZON_YEARS,
+}) {
+  const cashPerYear = Math.max(0, collegeCost - principal) / COLLEGE_YEARS;
+  const paymentsByYear = new Map(schedule.years.map(({ year, paid }) => [year, paid]));
+  const points = [];
+  let cumulative = 0;
+  let breakEvenYear = null;
+
+  for (let year = 1; year <= COLLEGE_YEARS; year++) {
+    cumulative -= cashPerYear + salaryInYear(baselineEarnings, year, salaryGrowth);
+    points.push({ year, label: `College ${year}`, cumulative: Math.round(cumulative) });
+  }
+  for (let year = 1; year <= horizon; year++) {
+    const baseline = salaryInYear(baselineEarnings, COLLEGE_YEARS + year, salaryGrowth);
+    cumulative += salaryInYear(startingSalary, year, salaryGrowth) - baseline - (paymentsByYear.get(year) || 0);
+    points.push({ year: COLLEGE_YEARS + year, label: `Year ${year}`, cumulative: Math.round(cumulative) });
+    if (breakEvenYear === null && cumulative >= 0) breakEvenYear = year;
+  }
+
+  return { points, breakEvenYear };
+}
+
+/**
+ * Total debt and yearly payments as shares of the starting salary (compare with the *_LIMIT constants)
+ * @returns {{ debtToIncome: number|null, paymentToIncome: number|null }}
+ */
+export function debtRatios(principal, startingSalary, monthlyPayment) {
+  if (!(startingSalary > 0)) return { debtToIncome: null, paymentToIncome: null };
+  return { debtToIncome: principal / startingSalary, paymentToIncome: (monthlyPayment * 12) / startingSalary };
+}
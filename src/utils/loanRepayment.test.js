@@ -0,0 +1,107 @@
+import {
+  amortizedPayment,
+  salaryInYear,
+  buildRepaymentSchedule,
+  calculateRoi,
+  debtRatios,
+  REPAYMENT_PLANS,
+} from './loanRepayment';
+
+const LOAN = { principal: 27000, interestRate: 0.0653, startingSalary: 55000 };
+
+describe('amortizedPayment', () => {
+  it('matches the standard loan formula', () => {
+    expect(amortizedPayment(27000, 0.0653, 10)).toBeCloseTo(306.99, 1);
+  });
+
+  it('splits evenly at zero interest and is zero without a balance', () => {
+    expect(amortizedPayment(12000, 0, 10)).toBe(100);
+    expect(amortizedPayment(0, 0.05, 10)).toBe(0);
+  });
+});
+
+describe('salaryInYear', () => {
+  it('grows from the first year', () => {
+    expect(salaryInYear(50000, 1)).toBe(50000);
+    expect(salaryInYear(50000, 3, 0.1)).toBeCloseTo(60500);
+  });
+});
+
+describe('buildRepaymentSchedule', () => {
+  it('pays the standard plan off in ten years', () => {
+    const schedule = buildRepaymentSchedule('standard', LOAN);
+    expect(schedule.plan).toBe(REPAYMENT_PLANS[0]);
+    expect(schedule.monthlyPayment).toBe(307);
+    expect(schedule.years).toHaveLength(10);
+    expect(schedule.payoffYear).toBe(10);
+    expect(schedule.forgiven).toBe(0);
+    expect(schedule.years[9].balance).toBe(0);
+    // Rounded per year, so allow a few dollars either way
+    expect(Math.abs(schedule.totalPaid - schedule.totalInterest - LOAN.principal)).toBeLessThan(10);
+  });
+
+  it('lowers the payment but raises the interest on the extended plan', () => {
+    const standard = buildRepaymentSchedule('standard', LOAN);
+    const extended = buildRepaymentSchedule('extended', LOAN);
+    expect(extended.monthlyPayment).toBeLessThan(standard.monthlyPayment);
+    expect(extended.totalInterest).toBeGreaterThan(standard.totalInterest);
+    expect(extended.payoffYear).toBe(25);
+  });
+
+  it('bases income-driven payments on discretionary income, capped at the standard payment', () => {
+    const modest = buildRepaymentSchedule('incomeDriven', LOAN);
+    // 10% of (55,000 - 22,590) / 12
+    expect(modest.monthlyPayment).toBe(270);
+
+    const high = buildRepaymentSchedule('incomeDriven', { ...LOAN, startingSalary: 150000 });
+    expect(high.monthlyPayment).toBe(buildRepaymentSchedule('standard', LOAN).monthlyPayment);
+  });
+
+  it('forgives what is left after twenty years of low income-driven payments', () => {
+    const schedule = buildRepaymentSchedule('incomeDriven', { ...LOAN, principal: 80000, startingSalary: 30000 });
+    expect(schedule.years).toHaveLength(20);
+    expect(schedule.payoffYear).toBeNull();
+    expect(schedule.forgiven).toBeGreaterThan(0);
+  });
+
+  it('has nothing to repay without a balance', () => {
+    const schedule = buildRepaymentSchedule('standard', { ...LOAN, principal: 0 });
+    expect(schedule).toMatchObject({ monthlyPayment: 0, years: [], totalPaid: 0, forgiven: 0 });
+  });
+});
+
+describe('calculateRoi', () => {
+  it('starts negative through college and breaks even after graduation', () => {
+    const schedule = buildRepaymentSchedule('standard', LOAN);
+    const { points, breakEvenYear } = calculateRoi({
+      startingSalary: 70000, collegeCost: 100000, principal: 27000, schedule,
+    });
+    expect(points).toHaveLength(4 + 30);
+    expect(points[0]).toMatchObject({ year: 1, label: 'College 1' });
+    expect(points[3].cumulative).toBeLessThan(points[0].cumulative);
+    expect(points[4].label).toBe('Year 1');
+    expect(breakEvenYear).toBeGreaterThan(0);
+    expect(points[3 + breakEvenYear].cumulative).toBeGreaterThanOrEqual(0);
+    expect(points[2 + breakEvenYear].cumulative).toBeLessThan(0);
+  });
+
+  it('never breaks even when the degree pays less than the baseline', () => {
+    const schedule = buildRepaymentSchedule('standard', LOAN);
+    const { breakEvenYear } = calculateRoi({
+      startingSalary: 40000, collegeCost: 100000, principal: 27000, schedule, baselineEarnings: 46700,
+    });
+    expect(breakEvenYear).toBeNull();
+  });
+});
+
+describe('debtRatios', () => {
+  it('compares debt and payments with the starting salary', () => {
+    const ratios = debtRatios(27000, 54000, 300);
+    expect(ratios.debtToIncome).toBe(0.5);
+    expect(ratios.paymentToIncome).toBeCloseTo(3600 / 54000);
+  });
+
+  it('needs a salary', () => {
+    expect(debtRatios(27000, 0, 300)).toEqual({ debtToIncome: null, paymentToIncome: null });
+  });
+});
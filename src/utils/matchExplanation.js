@@ -0,0 +1,195 @@
+// src/utils/matchExplanation.js
+// Explains a scholarship match as a checklist of eligibility criteria compared against the student profile
+import { isBlankValue as isBlank, readProfileValue as readProfile } from './profileFields';
+
+export const CRITERION_STATUS = {
+  met: { label: 'Met', icon: '✓', color: 'text-green-700 bg-green-100' },
+  unmet: { label: 'Not met', icon: '✗', color: 'text-red-700 bg-red-100' },
+  unknown: { label: 'Unknown', icon: '?', color: 'text-gray-600 bg-gray-100' },
+};
+
+// Profile fields a hint can point at; `path` is where the student can fill them in
+export const MATCH_HINT_FIELDS = {
+  gpa: { label: 'GPA', path: '/student-profile#gpa' },
+  major: { label: 'intended major', path: '/student-profile#major' },
+  state: { label: 'state of residence', path: '/student-profile#state' },
+  gradeLevel: { label: 'grade level', path: '/student-profile#gradeLevel' },
+};
+
+// Values that mean "no restriction" in scholarship documents
+const OPEN_VALUES = ['any', 'all', 'none', 'n/a', 'open', 'no restriction', 'not specified'];
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+const toList = (value) => {
+  if (isBlank(value)) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  return list.map(item => String(item).trim()).filter(item => item && !OPEN_VALUES.includes(normalize(item)));
+};
+
+const getMinimumGpa = (scholarship) => {
+  const explicit = [scholarship.min_gpa, scholarship.minimum_gpa, scholarship.gpa_requirement, scholarship.eligibility?.min_gpa]
+    .map(Number)
+    .find(value => Number.isFinite(value) && value > 0);
+  if (explicit) return explicit;
+
+  // Fall back to requirement text such as "Minimum 3.0 GPA" or "GPA of 3.5 or higher"
+  const text = toList(scholarship.requirements).join(' ');
+  const match = /(\d\.\d{1,2})\s*(?:\+|or (?:higher|above|better))?\s*(?:cumulative\s+|unweighted\s+|weighted\s+)?gpa|gpa[^.\d]{0,25}(\d\.\d{1,2})/i.exec(text);
+  const value = match ? Number(match[1] || match[2]) : null;
+  return value && value <= 5 ? value : null;
+};
+
+const getStudentLevels = (profile) => {
+  const explicit = readProfile(profile, 'academicLevel');
+  if (explicit) return [normalize(explicit)];
+
+  const grade = Number(readProfile(profile, 'gradeLevel'));
+  if (!Number.isFinite(grade) || grade <= 0) return [];
+  if (grade <= 12) {
+    const names = { 9: 'freshman', 10: 'sophomore', 11: 'junior', 12: 'senior' };
+    // Seniors are also eligible for awards aimed at incoming college students
+    const levels = ['high school', `grade ${grade}`, `${grade}th grade`, `high school ${names[grade] || ''}`.trim()];
+    if (grade === 12) levels.push('incoming freshman', 'entering freshman', 'undergraduate', 'college freshman');
+    return levels;
+  }
+  return ['undergraduate', 'college'];
+};
+
+const criterion = (id, label, status, detail, { field = null, hint = null, weight = 1 } = {}) => ({
+  id, label, status, detail, weight, hint: status === 'met' ? null : hint, field: status === 'met' ? null : field
+});
+
+const gpaCriterion = (scholarship, profile) => {
+  const minimum = getMinimumGpa(scholarship);
+  if (!minimum) return null;
+  const gpa = Number(readProfile(profile, 'gpa'));
+  const label = `Minimum GPA of ${minimum.toFixed(1)}`;
+  if (!Number.isFinite(gpa) || gpa <= 0) {
+    return criterion('gpa', label, 'unknown', 'Your GPA is not on your profile.', {
+      field: 'gpa', hint: 'Add your GPA to confirm you meet the academic requirement.', weight: 2
+    });
+  }
+  if (gpa >= minimum) return criterion('gpa', label, 'met', `Your GPA is ${gpa.toFixed(2)}.`, { weight: 2 });
+  return criterion('gpa', label, 'unmet', `Your GPA is ${gpa.toFixed(2)}.`, {
+    field: 'gpa', hint: `Raising your GPA to ${minimum.toFixed(1)} would meet this requirement. Update it when your next grades post.`, weight: 2
+  });
+};
+
+const majorCriterion = (scholarship, profile) => {
+  const fields = toList(scholarship.fields_of_study);
+  if (fields.length === 0) return null;
+  const majors = toList(readProfile(profile, 'major'));
+  const label = `Field of study: ${fields.slice(0, 3).join(', ')}${fields.length > 3 ? '…' : ''}`;
+  if (majors.length === 0) {
+    return criterion('major', label, 'unknown', 'Your intended major is not on your profile.', {
+      field: 'major', hint: 'Add your intended major so we can check field-of-study requirements.'
+    });
+  }
+  const matched = majors.find(major => fields.some(field => (
+    normalize(field).includes(normalize(major)) || normalize(major).includes(normalize(field))
+  )));
+  if (matched) return criterion('major', label, 'met', `Your intended major (${matched}) qualifies.`);
+  return criterion('major', label, 'unmet', `Your intended major (${majors.join(', ')}) is not listed.`, {
+    field: 'major', hint: `If you're also considering ${fields[0]}, add it to your intended majors.`
+  });
+};
+
+const demographicCriteria = (scholarship, profile) => Object.entries(scholarship.demographics || {})
+  .filter(([, required]) => toList(required).length > 0)
+  .map(([key, required]) => {
+    const allowed = toList(required);
+    const label = `${key.replace(/_/g, ' ')}: ${allowed.join(', ')}`;
+    const value = readProfile(profile, [`demographics.${key}`, key, `profile.personal.${key}`, `profile.demographics.${key}`]);
+    // The profile has no background fields yet, so there's nowhere to send the student to fix this
+    if (value === null) {
+      return criterion(`demographic-${key}`, label, 'unknown',
+        `Your profile doesn't record ${key.replace(/_/g, ' ')}, so check this requirement yourself.`);
+    }
+    const values = typeof value === 'boolean' ? [value ? 'yes' : 'no'] : toList(value).map(normalize);
+    const met = allowed.some(option => {
+      const wanted = normalize(option);
+      return values.includes(wanted) || (typeof value === 'boolean' && value && ['true', 'yes', 'required'].includes(wanted));
+    });
+    return criterion(`demographic-${key}`, label, met ? 'met' : 'unmet',
+      met ? 'Your profile matches.' : 'Your profile does not match this requirement.');
+  });
+
+const residencyCriterion = (scholarship, profile) => {
+  const states = toList(scholarship.state || scholarship.residency || scholarship.eligibility?.state || scholarship.location?.state)
+    .map(state => state.toUpperCase());
+  if (states.length === 0) return null;
+  const label = `Residency: ${states.join(', ')}`;
+  const state = readProfile(profile, 'state');
+  if (!state) {
+    return criterion('residency', label, 'unknown', 'Your state of residence is not on your profile.', {
+      field: 'state', hint: 'Add your state of residence to check location-restricted awards.'
+    });
+  }
+  const met = states.includes(String(state).trim().toUpperCase());
+  return criterion('residency', label, met ? 'met' : 'unmet', `You live in ${state}.`);
+};
+
+const levelCriterion = (scholarship, profile) => {
+  const levels = toList(scholarship.academic_levels);
+  if (levels.length === 0) return null;
+  const label = `Academic level: ${levels.join(', ')}`;
+  const studentLevels = getStudentLevels(profile);
+  if (studentLevels.length === 0) {
+    return criterion('level', label, 'unknown', 'Your grade level is not on your profile.', {
+      field: 'gradeLevel', hint: 'Add your grade level so we can check eligibility by year.'
+    });
+  }
+  const met = levels.some(level => studentLevels.some(student => (
+    normalize(level).includes(student) || student.includes(normalize(level))
+  )));
+  return criterion('level', label, met ? 'met' : 'unmet',
+    met ? 'Your current level qualifies.' : 'This award targets a different academic level.');
+};
+
+/**
+ * Break a scholarship match into eligibility criteria.
+ * Criteria the scholarship doesn't restrict are left out. `score` only measures this checklist
+ * (weighted share of criteria met); it is not the matching service's `fit_score`, which is computed
+ * server-side from the whole profile, so don't show one in place of the other.
+ * @param {Object} scholarship - Scholarship document
+ * @param {Object} profile - Student profile (flat or nested shape)
+ * @returns {{ criteria: Array, met: number, unmet: number, unknown: number, score: number|null, hints: Array }}
+ */
+export function explainMatch(scholarship, profile) {
+  if (!scholarship) return { criteria: [], met: 0, unmet: 0, unknown: 0, score: null, hints: [] };
+
+  const criteria = [
+    gpaCriterion(scholarship, profile || {}),
+    majorCriterion(scholarship, profile || {}),
+    levelCriterion(scholarship, profile || {}),
+    residencyCriterion(scholarship, profile || {}),
+    ...demographicCriteria(scholarship, profile || {}),
+  ].filter(Boolean);
+
+  const counts = { met: 0, unmet: 0, unknown: 0 };
+  criteria.forEach(item => { counts[item.status]++; });
+
+  // Share of weighted criteria met, counting unknowns as half
+  const totalWeight = criteria.reduce((sum, item) => sum + item.weight, 0);
+  const earned = criteria.reduce((sum, item) => (
+    sum + (item.status === 'met' ? item.weight : item.status === 'unknown' ? item.weight / 2 : 0)
+  ), 0);
+
+  // One hint per profile field, missing information first since it's the quickest win
+  const hints = [];
+  const seenFields = new Set();
+  [...criteria.filter(item => item.status === 'unknown'), ...criteria.filter(item => item.status === 'unmet')]
+    .forEach(item => {
+      if (!item.hint || !item.field || seenFields.has(item.field)) return;
+      seenFields.add(item.field);
+      hints.push({ text: item.hint, field: item.field, ...MATCH_HINT_FIELDS[item.field] });
+    });
+
+  return {
+    criteria,
+    ...counts,
+    score: totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : null,
+    hints,
+  };
+}
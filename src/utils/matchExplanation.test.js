@@ -0,0 +1,63 @@
+import { explainMatch, MATCH_HINT_FIELDS } from './matchExplanation';
+
+const SCHOLARSHIP = {
+  title: 'Texas Nursing Award',
+  min_gpa: 3.0,
+  fields_of_study: ['Nursing', 'Health Sciences'],
+  academic_levels: 'Undergraduate',
+  state: 'TX',
+};
+
+const statuses = (result) => Object.fromEntries(result.criteria.map(item => [item.id, item.status]));
+
+describe('explainMatch', () => {
+  it('marks every criterion met for a qualifying student', () => {
+    const result = explainMatch(SCHOLARSHIP, { gpa: 3.4, major: 'Nursing', gradeLevel: '12', state: 'tx' });
+    expect(statuses(result)).toEqual({ gpa: 'met', major: 'met', level: 'met', residency: 'met' });
+    expect(result).toMatchObject({ met: 4, unmet: 0, unknown: 0, score: 100, hints: [] });
+    expect(result.criteria.every(item => item.hint === null && item.field === null)).toBe(true);
+  });
+
+  it('marks criteria the student misses as unmet', () => {
+    const result = explainMatch(SCHOLARSHIP, { gpa: 2.5, major: 'History', gradeLevel: '10', state: 'OK' });
+    expect(statuses(result)).toEqual({ gpa: 'unmet', major: 'unmet', level: 'unmet', residency: 'unmet' });
+    expect(result.score).toBe(0);
+  });
+
+  it('treats missing profile fields as unknown and counts them as half', () => {
+    const result = explainMatch(SCHOLARSHIP, { gpa: 3.2 });
+    expect(statuses(result)).toEqual({ gpa: 'met', major: 'unknown', level: 'unknown', residency: 'unknown' });
+    // GPA weighs 2 of 5: (2 + 3 × 0.5) / 5
+    expect(result.score).toBe(70);
+  });
+
+  it('reads the minimum GPA from requirement text and leaves out unrestricted criteria', () => {
+    const result = explainMatch({ requirements: ['Minimum 3.5 GPA', 'Essay'], state: 'Any' }, { gpa: 3.6 });
+    expect(result.criteria.map(item => item.label)).toEqual(['Minimum GPA of 3.5']);
+    expect(result.met).toBe(1);
+  });
+
+  it('gives one hint per profile field, missing information first, linked to the profile', () => {
+    const result = explainMatch({ ...SCHOLARSHIP, fields_of_study: 'Nursing' }, { gpa: 2.8, state: 'TX' });
+    expect(result.hints.map(hint => hint.field)).toEqual(['major', 'gradeLevel', 'gpa']);
+    expect(result.hints[0]).toMatchObject({ ...MATCH_HINT_FIELDS.major, text: expect.stringMatching(/intended major/) });
+    expect(result.hints[2].text).toMatch(/Raising your GPA to 3.0/);
+  });
+
+  it('has no hint for demographic requirements the profile cannot record', () => {
+    const result = explainMatch({ demographics: { first_generation: 'yes', gender: 'any' } }, {});
+    expect(result.criteria).toHaveLength(1);
+    expect(result.criteria[0]).toMatchObject({ id: 'demographic-first_generation', status: 'unknown', hint: null });
+    expect(result.hints).toEqual([]);
+  });
+
+  it('compares demographic values the profile does have', () => {
+    const result = explainMatch({ demographics: { first_generation: 'yes' } }, { demographics: { first_generation: true } });
+    expect(result.criteria[0].status).toBe('met');
+  });
+
+  it('has nothing to explain without a scholarship', () => {
+    expect(explainMatch(null, {})).toEqual({ criteria: [], met: 0, unmet: 0, unknown: 0, score: null, hints: [] });
+    expect(explainMatch({ title: 'Open award' }, {}).score).toBeNull();
+  });
+});
@@ -0,0 +1,210 @@
+// src/utils/netPrice.js
+// Estimated net price (cost after grants and scholarships) for one family at one college, projected over four years.
+// Pure functions so the same estimate feeds the comparison table, the report and the dashboard.
+import { readProfileValue } from './profileFields';
+import { toNumber } from './institutionData';
+
+/*
+ * Two paths, best first:
+ * 1. The college reports average net price by family income (College Scorecard brackets). That figure
+ *    already nets out grants for in-state students, so out-of-state students add the tuition difference.
+ * 2. Otherwise estimate need-based aid: a simplified federal formula gives the family's contribution,
+ *    Pell covers part of the remaining need, and the college meets a share of the rest. That share is
+ *    inferred from how far the college's average net price sits below its cost of attendance.
+ * Without an income bracket only the college-wide average (or full cost) is available.
+ */
+export const INCOME_BRACKETS = [
+  { id: '0-30000', label: 'Under $30,000', max: 30000, typical: 20000 },
+  { id: '30001-48000', label: '$30,001–$48,000', max: 48000, typical: 39000 },
+  { id: '48001-75000', label: '$48,001–$75,000', max: 75000, typical: 61500 },
+  { id: '75001-110000', label: '$75,001–$110,000', max: 110000, typical: 92500 },
+  { id: '110001-plus', label: 'Over $110,000', max: Infinity, typical: 150000 },
+];
+
+export const DEFAULT_HOUSEHOLD_SIZE = 4;
+export const PROJECTION_YEARS = 4;
+// Published prices have grown roughly 3% a year
+export const COST_GROWTH_RATE = 0.03;
+
+// Housing, food, books and personal costs when the college doesn't report room and board
+const DEFAULT_LIVING_COST = 17000;
+const OTHER_EXPENSES = 3000;
+const MAX_PELL_GRANT = 7395;
+const MIN_PELL_GRANT = 740;
+const TAX_ALLOWANCE_RATE = 0.15;
+// Parent income protection allowance by household size; each additional member adds the increment
+const INCOME_PROTECTION = { 2: 27600, 3: 34350, 4: 42430, 5: 50060, 6: 58560 };
+const INCOME_PROTECTION_INCREMENT = 6620;
+const CONTRIBUTION_SCHEDULE = [
+  { upTo: 20000, rate: 0.22 },
+  { upTo: 25000, rate: 0.25 },
+  { upTo: 30000, rate: 0.29 },
+  { upTo: 35000, rate: 0.34 },
+  { upTo: 40000, rate: 0.40 },
+  { upTo: Infinity, rate: 0.47 },
+];
+const NEED_MET_LIMITS = { min: 0.15, max: 0.9, fallback: 0.4 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const formatMoney = (value) => `$${Math.round(value).toLocaleString()}`;
+
+export const getIncomeBracket = (id) => INCOME_BRACKETS.find(bracket => bracket.id === id) || null;
+
+export const bracketForIncome = (income) => {
+  const amount = toNumber(income);
+  return amount === null ? null : INCOME_BRACKETS.find(bracket => amount <= bracket.max);
+};
+
+/**
+ * Calculator inputs saved on the profile as `netPriceInputs`, falling back to the family income and
+ * home state already on the profile
+ * @returns {{ incomeBracket: string, familyIncome: number|null, householdSize: number, state: string, scholarships: number }}
+ */
+export function readNetPriceInputs(profile) {
+  const saved = profile?.netPriceInputs || {};
+  const familyIncome = toNumber(readProfileValue(profile, 'familyIncome'));
+  return {
+    incomeBracket: getIncomeBracket(saved.incomeBracket)?.id || bracketForIncome(familyIncome)?.id || '',
+    familyIncome,
+    householdSize: toNumber(saved.householdSize) ?? toNumber(readProfileValue(profile, 'householdSize')) ?? DEFAULT_HOUSEHOLD_SIZE,
+    state: saved.state || readProfileValue(profile, 'state') || '',
+    scholarships: Math.max(0, toNumber(saved.scholarships) ?? 0),
+  };
+}
+
+export const isInState = (state, college) => !!state && !!college?.general_info?.state &&
+  String(state).toUpperCase() === String(college.general_info.state).toUpperCase();
+
+const readCosts = (college, inState) => {
+  const aid = college?.cost_and_aid || {};
+  const tuitionIn = toNumber(aid.tuition_in_state);
+  const tuitionOut = toNumber(aid.tuition_out_of_state) ?? tuitionIn;
+  const tuition = inState ? tuitionIn ?? tuitionOut : tuitionOut;
+  const roomBoard = toNumber(aid.room_board ?? aid.room_and_board);
+  const livingCost = roomBoard !== null ? roomBoard + OTHER_EXPENSES : DEFAULT_LIVING_COST;
+  return {
+    tuition,
+    // Reported net prices are for in-state students; out-of-state students pay the difference on top
+    outOfStateExtra: !inState && tuitionIn !== null && tuitionOut !== null ? Math.max(0, tuitionOut - tuitionIn) : 0,
+    coa: tuition !== null ? tuition + livingCost : toNumber(aid.cost_of_attendance ?? aid.total_cost),
+    averageNetPrice: toNumber(aid.avg_net_price ?? aid.net_price),
+    bracketNetPrice: (bracketId) => toNumber(aid.net_price_by_income?.[bracketId]),
+  };
+};
+
+const incomeProtection = (householdSize) => {
+  const size = Math.max(2, Math.round(householdSize));
+  return INCOME_PROTECTION[size] ?? INCOME_PROTECTION[6] + (size - 6) * INCOME_PROTECTION_INCREMENT;
+};
+
+/**
+ * Yearly amount a family is expected to pay before any aid, from a simplified federal need formula
+ */
+export function estimateFamilyContribution(income, householdSize = DEFAULT_HOUSEHOLD_SIZE) {
+  let available = income * (1 - TAX_ALLOWANCE_RATE) - incomeProtection(householdSize);
+  let contribution = 0;
+  let floor = 0;
+  for (const band of CONTRIBUTION_SCHEDULE) {
+    if (available <= 0) break;
+    const taxed = Math.min(available, band.upTo - floor);
+    contribution += taxed * band.rate;
+    available -= taxed;
+    floor = band.upTo;
+  }
+  return Math.round(contribution);
+}
+
+const estimatePell = (contribution) => {
+  const pell = MAX_PELL_GRANT - contribution;
+  return pell >= MIN_PELL_GRANT ? pell : 0;
+};
+
+/**
+ * Project a first-year cost over PROJECTION_YEARS, growing by COST_GROWTH_RATE each year
+ * @returns {{ years: Array<{ year: number, cost: number }>, total: number }}
+ */
+export function projectCost(annual, growthRate = COST_GROWTH_RATE) {
+  const years = Array.from({ length: PROJECTION_YEARS }, (_, index) => ({
+    year: index + 1,
+    cost: Math.round(annual * Math.pow(1 + growthRate, index)),
+  }));
+  return { years, total: years.reduce((sum, { cost }) => sum + cost, 0) };
+}
+
+/**
+ * Estimated yearly net price and four-year projection for one family at one college
+ * @param {Object} college - Institution record
+ * @param {Object} inputs - From readNetPriceInputs or the calculator form
+ * @returns {{
+ *   annual: number, coa: number|null, grants: number|null, scholarships: number, inState: boolean,
+ *   method: 'reported'|'estimated'|'average'|'sticker', years: Object[], fourYearTotal: number, notes: string[]
+ * }|null} null when the college reports no cost data at all
+ */
+export function estimateNetPrice(college, inputs = {}) {
+  const inState = isInState(inputs.state, college);
+  const costs = readCosts(college, inState);
+  const bracket = getIncomeBracket(inputs.incomeBracket);
+  const scholarships = Math.max(0, toNumber(inputs.scholarships) ?? 0);
+  const notes = [];
+
+  let beforeScholarships = null;
+  let method = null;
+  const reported = bracket ? costs.bracketNetPrice(bracket.id) : null;
+
+  if (reported !== null) {
+    method = 'reported';
+    beforeScholarships = reported + costs.outOfStateExtra;
+    notes.push(`Based on what families earning ${bracket.label.toLowerCase()} paid on average.`);
+  } else if (bracket && costs.coa !== null) {
+    method = 'estimated';
+    // An exact income on the profile beats the bracket midpoint when it falls in the chosen bracket
+    const income = bracketForIncome(inputs.familyIncome)?.id === bracket.id ? toNumber(inputs.familyIncome) : bracket.typical;
+    const householdSize = toNumber(inputs.householdSize) ?? DEFAULT_HOUSEHOLD_SIZE;
+    const contribution = estimateFamilyContribution(income, householdSize);
+    const pell = estimatePell(contribution);
+    const needMet = costs.averageNetPrice !== null && costs.coa > 0
+      ? clamp(1 - costs.averageNetPrice / costs.coa, NEED_MET_LIMITS.min, NEED_MET_LIMITS.max)
+      : NEED_MET_LIMITS.fallback;
+    const need = Math.max(0, costs.coa - contribution - pell);
+    beforeScholarships = costs.coa - pell - need * needMet;
+    notes.push('Estimated from a simplified federal aid formula and this college\'s typical aid; check its own net price calculator.');
+  } else if (costs.averageNetPrice !== null) {
+    method = 'average';
+    beforeScholarships = costs.averageNetPrice + costs.outOfStateExtra;
+    notes.push('College-wide average for aid recipients. Choose your income bracket for a personal estimate.');
+  } else if (costs.coa !== null) {
+    method = 'sticker';
+    beforeScholarships = costs.coa;
+    notes.push('Full cost of attendance; this college does not report net price data.');
+  } else {
+    return null;
+  }
+
+  if (scholarships > 0) notes.push('Assumes outside scholarships do not reduce the aid the college offers.');
+  if (!inputs.state) notes.push('Add your home state to apply in-state tuition where it counts.');
+
+  const annual = Math.max(0, Math.round(beforeScholarships - scholarships));
+  const { years, total } = projectCost(annual);
+  return {
+    annual,
+    coa: costs.coa,
+    grants: costs.coa !== null ? Math.max(0, Math.round(costs.coa - beforeScholarships)) : null,
+    scholarships,
+    inState,
+    method,
+    years,
+    fourYearTotal: total,
+    notes,
+  };
+}
+
+export const NET_PRICE_METHOD_LABELS = {
+  reported: 'Your estimated net price',
+  estimated: 'Your estimated net price',
+  average: 'Average net price',
+  sticker: 'Cost of attendance',
+};
+
+// Yearly figure for cards and lists: the personal estimate, else whatever net cost the match record carries
+export const yearlyNetPrice = (college, inputs) => estimateNetPrice(college, inputs)?.annual ?? toNumber(college?.netCost);
@@ -0,0 +1,125 @@
+import {
+  estimateNetPrice,
+  estimateFamilyContribution,
+  projectCost,
+  readNetPriceInputs,
+  bracketForIncome,
+  yearlyNetPrice,
+  COST_GROWTH_RATE,
+} from './netPrice';
+
+// In-state public college reporting net price by income bracket
+const STATE_U = {
+  general_info: { state: 'OH' },
+  cost_and_aid: {
+    tuition_in_state: 11000,
+    tuition_out_of_state: 33000,
+    room_board: 12000,
+    avg_net_price: 18000,
+    net_price_by_income: { '0-30000': 9000, '48001-75000': 15000 },
+  },
+};
+
+// Private college with costs but no bracket data
+const PRIVATE_COLLEGE = {
+  general_info: { state: 'MA' },
+  cost_and_aid: { tuition_in_state: 55000, tuition_out_of_state: 55000, room_board: 16000, avg_net_price: 28000 },
+};
+
+describe('estimateNetPrice', () => {
+  it('uses the reported bracket net price in state', () => {
+    const estimate = estimateNetPrice(STATE_U, { incomeBracket: '48001-75000', state: 'OH' });
+    expect(estimate).toMatchObject({ method: 'reported', annual: 15000, inState: true });
+    // 11,000 tuition + 12,000 room and board + 3,000 other costs
+    expect(estimate.coa).toBe(26000);
+    expect(estimate.grants).toBe(11000);
+  });
+
+  it('adds the out-of-state tuition difference to a reported net price', () => {
+    const estimate = estimateNetPrice(STATE_U, { incomeBracket: '48001-75000', state: 'PA' });
+    expect(estimate).toMatchObject({ method: 'reported', annual: 37000, inState: false });
+  });
+
+  it('estimates need-based aid when the bracket is not reported', () => {
+    const low = estimateNetPrice(PRIVATE_COLLEGE, { incomeBracket: '0-30000', state: 'MA' });
+    const high = estimateNetPrice(PRIVATE_COLLEGE, { incomeBracket: '110001-plus', state: 'MA' });
+    expect(low.method).toBe('estimated');
+    expect(low.annual).toBeLessThan(high.annual);
+    expect(high.annual).toBeLessThanOrEqual(high.coa);
+  });
+
+  it('prefers an exact profile income inside the chosen bracket', () => {
+    const midpoint = estimateNetPrice(PRIVATE_COLLEGE, { incomeBracket: '75001-110000', state: 'MA' });
+    const exact = estimateNetPrice(PRIVATE_COLLEGE, { incomeBracket: '75001-110000', familyIncome: 108000, state: 'MA' });
+    expect(exact.annual).toBeGreaterThan(midpoint.annual);
+  });
+
+  it('falls back to the average net price, then the full cost', () => {
+    expect(estimateNetPrice(STATE_U, { state: 'OH' })).toMatchObject({ method: 'average', annual: 18000 });
+    const sticker = estimateNetPrice({ cost_and_aid: { cost_of_attendance: 40000 } }, {});
+    expect(sticker).toMatchObject({ method: 'sticker', annual: 40000 });
+  });
+
+  it('returns null without any cost data', () => {
+    expect(estimateNetPrice({ cost_and_aid: {} }, { incomeBracket: '0-30000' })).toBeNull();
+  });
+
+  it('subtracts outside scholarships without going below zero', () => {
+    expect(estimateNetPrice(STATE_U, { incomeBracket: '0-30000', state: 'OH', scholarships: 4000 }).annual).toBe(5000);
+    expect(estimateNetPrice(STATE_U, { incomeBracket: '0-30000', state: 'OH', scholarships: 20000 }).annual).toBe(0);
+  });
+
+  it('asks for a home state when none is given', () => {
+    expect(estimateNetPrice(STATE_U, {}).notes).toContain('Add your home state to apply in-state tuition where it counts.');
+  });
+});
+
+describe('estimateFamilyContribution', () => {
+  it('is zero below the income protection allowance and grows with income', () => {
+    expect(estimateFamilyContribution(30000, 4)).toBe(0);
+    expect(estimateFamilyContribution(150000, 4)).toBeGreaterThan(estimateFamilyContribution(90000, 4));
+  });
+
+  it('is lower for larger households', () => {
+    expect(estimateFamilyContribution(120000, 6)).toBeLessThan(estimateFamilyContribution(120000, 3));
+  });
+});
+
+describe('projectCost', () => {
+  it('grows each year and totals four years', () => {
+    const { years, total } = projectCost(10000);
+    expect(years.map(({ cost }) => cost)).toEqual([10000, 10300, 10609, 10927]);
+    expect(total).toBe(10000 + 10300 + 10609 + 10927);
+    expect(COST_GROWTH_RATE).toBe(0.03);
+  });
+});
+
+describe('readNetPriceInputs', () => {
+  it('prefers saved calculator inputs and falls back to the profile', () => {
+    const profile = { familyIncome: 52000, state: 'OH', netPriceInputs: { householdSize: 5, scholarships: '1500' } };
+    expect(readNetPriceInputs(profile)).toEqual({
+      incomeBracket: '48001-75000',
+      familyIncome: 52000,
+      householdSize: 5,
+      state: 'OH',
+      scholarships: 1500,
+    });
+  });
+
+  it('defaults an empty profile', () => {
+    expect(readNetPriceInputs(null)).toMatchObject({ incomeBracket: '', householdSize: 4, state: '', scholarships: 0 });
+  });
+});
+
+describe('bracketForIncome and yearlyNetPrice', () => {
+  it('maps incomes to brackets', () => {
+    expect(bracketForIncome(30000).id).toBe('0-30000');
+    expect(bracketForIncome('30001').id).toBe('30001-48000');
+    expect(bracketForIncome(500000).id).toBe('110001-plus');
+    expect(bracketForIncome('')).toBeNull();
+  });
+
+  it('falls back to the match record net cost', () => {
+    expect(yearlyNetPrice({ netCost: '21000' }, {})).toBe(21000);
+  });
+});
@@ -0,0 +1,542 @@
+// src/utils/pdfText.js
+// Plain text lines from a text-based PDF (the kind a student information system exports).
+// Walks the page tree and reads each page's content streams (uncompressed or FlateDecode, including
+// objects packed in object streams). Text is decoded through each font's ToUnicode CMap when it has
+// one, which covers composite (Type0 / Identity-H) and subset fonts; other simple fonts are read as
+// WinAnsi. Scanned pages come back empty, so callers should let the user review the result.
+
+// Streams that can't hold page text
+const SKIPPED_STREAM = /\/Subtype\s*\/(Image|XML|Type1C|CIDFontType0C|OpenType)|\/Length[123]\b|\/Type\s*\/(XRef|ObjStm|Metadata)/;
+
+// Same-line tolerance in text space units
+const LINE_TOLERANCE = 2;
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// One character per byte, so string offsets are byte offsets and strings keep their raw codes
+const bytesToBinary = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return text;
+};
+
+const decodeWinAnsi = (raw) => new TextDecoder('windows-1252').decode(Uint8Array.from(raw, char => char.charCodeAt(0)));
+
+const decodeLiteral = (raw) => raw.replace(/\\(\d{1,3}|\r?\n|.)/g, (match, escape) => {
+  if (/^\d/.test(escape)) return String.fromCharCode(parseInt(escape, 8) & 0xff);
+  if (escape === '\n' || escape === '\r\n') return '';
+  return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[escape] ?? escape;
+});
+
+const decodeHex = (raw) => {
+  const hex = raw.replace(/\s+/g, '');
+  const padded = hex.length % 2 ? `${hex}0` : hex;
+  return String.fromCharCode(...(padded.match(/../g)?.map(pair => parseInt(pair, 16)) || []));
+};
+
+// End of the literal string opening at `start`, allowing for escapes and balanced parentheses
+const literalEnd = (text, start) => {
+  let depth = 1;
+  let j = start + 1;
+  while (j < text.length && depth > 0) {
+    if (text[j] === '\\') j++;
+    else if (text[j] === '(') depth++;
+    else if (text[j] === ')') depth--;
+    j++;
+  }
+  return j;
+};
+
+/**
+ * Tokens of a content stream: numbers, names, strings (as { raw } byte strings), arrays, and operators
+ */
+function tokenize(content) {
+  const tokens = [];
+  const stack = [tokens];
+  let i = 0;
+  const push = (token) => stack[stack.length - 1].push(token);
+
+  while (i < content.length) {
+    const char = content[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '%') {
+      while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (char === '(') {
+      const end = literalEnd(content, i);
+      push({ raw: decodeLiteral(content.slice(i + 1, end - 1)) });
+      i = end;
+    } else if (char === '<' && content[i + 1] === '<') {
+      // Inline dictionaries (marked content properties) carry no text
+      let depth = 0;
+      do {
+        if (content.startsWith('<<', i)) { depth++; i += 2; } else if (content.startsWith('>>', i)) { depth--; i += 2; } else i++;
+      } while (depth > 0 && i < content.length);
+    } else if (char === '<') {
+      const end = content.indexOf('>', i);
+      push({ raw: decodeHex(content.slice(i + 1, end < 0 ? content.length : end)) });
+      i = end < 0 ? content.length : end + 1;
+    } else if (char === '[') {
+      const array = [];
+      push(array);
+      stack.push(array);
+      i++;
+    } else if (char === ']') {
+      if (stack.length > 1) stack.pop();
+      i++;
+    } else {
+      const match = /^[^\s()<>[\]{}/%]+|^\/[^\s()<>[\]{}/%]*/.exec(content.slice(i, i + 256));
+      const word = match ? match[0] : char;
+      const number = Number(word);
+      push(word !== '' && !Number.isNaN(number) && /^[+-]?(\d|\.)/.test(word) ? number : word);
+      i += word.length;
+      // Inline image data is binary; skip to its end marker
+      if (word === 'ID') {
+        const end = content.indexOf('EI', i);
+        i = end < 0 ? content.length : end + 2;
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse one PDF object (dictionary, array, reference, name, number or string). Dictionaries become
+ * plain objects keyed without the leading slash; names keep it ("/Page"); references are { ref }.
+ */
+function parseObject(text) {
+  let i = 0;
+  const skipSpace = () => {
+    while (i < text.length) {
+      if (/\s/.test(text[i])) i++;
+      else if (text[i] === '%') while (i < text.length && text[i] !== '\n' && text[i] !== '\r') i++;
+      else break;
+    }
+  };
+
+  const readValue = () => {
+    skipSpace();
+    if (text.startsWith('<<', i)) {
+      i += 2;
+      const dict = {};
+      for (;;) {
+        skipSpace();
+        if (i >= text.length || text.startsWith('>>', i)) {
+          i += 2;
+          return dict;
+        }
+        const key = readValue();
+        if (typeof key === 'string' && key.startsWith('/')) dict[key.slice(1)] = readValue();
+      }
+    }
+    if (text[i] === '[') {
+      i++;
+      const array = [];
+      for (;;) {
+        skipSpace();
+        if (i >= text.length || text[i] === ']') {
+          i++;
+          return array;
+        }
+        array.push(readValue());
+      }
+    }
+    if (text[i] === '(') {
+      const end = literalEnd(text, i);
+      const raw = decodeLiteral(text.slice(i + 1, end - 1));
+      i = end;
+      return { raw };
+    }
+    if (text[i] === '<') {
+      const end = text.indexOf('>', i);
+      const raw = decodeHex(text.slice(i + 1, end < 0 ? text.length : end));
+      i = end < 0 ? text.length : end + 1;
+      return { raw };
+    }
+    const reference = /^(\d+)\s+(\d+)\s+R\b/.exec(text.slice(i, i + 32));
+    if (reference) {
+      i += reference[0].length;
+      return { ref: Number(reference[1]) };
+    }
+    const match = /^\/[^\s()<>[\]{}/%]*|^[^\s()<>[\]{}/%]+/.exec(text.slice(i, i + 256));
+    // Stray delimiters are skipped so a malformed object can't stall the parser
+    if (!match) {
+      i++;
+      return null;
+    }
+    i += match[0].length;
+    const number = Number(match[0]);
+    return Number.isNaN(number) ? match[0] : number;
+  };
+
+  return readValue();
+}
+
+/**
+ * Every object in the file by object number, later definitions (incremental updates) replacing
+ * earlier ones. Stream objects keep their raw data; objects inside object streams are unpacked.
+ * @returns {Promise<Map<number, { value: *, dictionary: string, data: Uint8Array|null }>>}
+ */
+async function readObjects(source, bytes) {
+  const objects = new Map();
+  const objectStreams = [];
+  const pattern = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    const bodyStart = match.index + match[0].length;
+    const endobj = source.indexOf('endobj', bodyStart);
+    const bodyEnd = endobj < 0 ? source.length : endobj;
+    const streamAt = source.indexOf('stream', bodyStart);
+    let entry;
+
+    if (streamAt >= 0 && streamAt < bodyEnd && /[\r\n]/.test(source[streamAt + 'stream'.length])) {
+      const dictionary = source.slice(bodyStart, streamAt);
+      let start = streamAt + 'stream'.length;
+      if (source[start] === '\r') start++;
+      if (source[start] === '\n') start++;
+      const end = source.indexOf('endstream', start);
+      if (end < 0) break;
+      const value = parseObject(dictionary);
+      // Use a direct /Length when there is one; otherwise drop the end-of-line before "endstream"
+      let stop = typeof value?.Length === 'number' ? Math.min(start + value.Length, end) : end;
+      if (typeof value?.Length !== 'number') {
+        while (stop > start && (bytes[stop - 1] === 0x0a || bytes[stop - 1] === 0x0d)) stop--;
+      }
+      entry = { value, dictionary, data: bytes.subarray(start, stop) };
+      // Don't look for object headers inside binary stream data
+      pattern.lastIndex = end + 'endstream'.length;
+    } else {
+      entry = { value: parseObject(source.slice(bodyStart, bodyEnd)), dictionary: '', data: null };
+      pattern.lastIndex = bodyEnd;
+    }
+
+    objects.set(Number(match[1]), entry);
+    if (entry.value?.Type === '/ObjStm') objectStreams.push(entry);
+  }
+
+  for (const stream of objectStreams) {
+    const data = await decodeStream(stream);
+    const { N: count, First: first } = stream.value;
+    if (!data || typeof count !== 'number' || typeof first !== 'number') continue;
+    const text = bytesToBinary(data);
+    const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let index = 0; index < count; index++) {
+      const number = header[index * 2];
+      const offset = header[index * 2 + 1];
+      const next = index + 1 < count ? header[index * 2 + 3] : text.length - first;
+      if (!Number.isFinite(number) || !Number.isFinite(offset) || objects.has(number)) continue;
+      objects.set(number, { value: parseObject(text.slice(first + offset, first + next)), dictionary: '', data: null });
+    }
+  }
+  return objects;
+}
+
+// Stream data with filters applied, or null when the filter isn't supported
+async function decodeStream(entry) {
+  if (!entry?.data) return null;
+  const filters = [].concat(entry.value?.Filter || []);
+  if (filters.length === 0) return entry.data;
+  // Other filters (images, fonts) don't hold page text
+  if (filters.length > 1 || filters[0] !== '/FlateDecode') return null;
+  try {
+    return await inflate(entry.data);
+  } catch {
+    return null;
+  }
+}
+
+const resolve = (objects, value) => (value && typeof value === 'object' && 'ref' in value ? objects.get(value.ref)?.value : value);
+
+/**
+ * Pages in reading order with their (possibly inherited) resources. Files whose page tree can't be
+ * followed fall back to every page object in object-number order.
+ * @returns {Array<{ contents: *, resources: * }>}
+ */
+function collectPages(objects) {
+  const pages = [];
+  const visited = new Set();
+  const walk = (node, inheritedResources) => {
+    const page = resolve(objects, node);
+    if (!page || typeof page !== 'object' || visited.has(page)) return;
+    visited.add(page);
+    const resources = page.Resources ?? inheritedResources;
+    if (Array.isArray(page.Kids)) page.Kids.forEach(kid => walk(kid, resources));
+    else if (page.Type === '/Page') pages.push({ contents: page.Contents, resources });
+  };
+
+  const catalog = [...objects.values()].find(entry => entry.value?.Type === '/Catalog');
+  if (catalog) walk(catalog.value.Pages);
+  if (pages.length > 0) return pages;
+
+  return [...objects.keys()]
+    .sort((a, b) => a - b)
+    .map(number => objects.get(number).value)
+    .filter(value => value?.Type === '/Page')
+    .map(page => ({ contents: page.Contents, resources: page.Resources }));
+}
+
+async function readPageContent(page, objects) {
+  // Contents is a stream reference, an array of them, or a reference to such an array
+  let contents = page.contents;
+  if (contents?.ref !== undefined && !objects.get(contents.ref)?.data) contents = resolve(objects, contents);
+  const parts = [];
+  for (const reference of [].concat(contents || [])) {
+    const data = await decodeStream(objects.get(reference?.ref));
+    if (data) parts.push(bytesToBinary(data));
+  }
+  return parts.join('\n');
+}
+
+const utf16ToString = (raw) => {
+  const units = [];
+  for (let i = 0; i + 1 < raw.length; i += 2) units.push((raw.charCodeAt(i) << 8) | raw.charCodeAt(i + 1));
+  return String.fromCharCode(...units);
+};
+
+const readCode = (raw, start, length) => {
+  let code = 0;
+  for (let i = 0; i < length; i++) code = code * 256 + raw.charCodeAt(start + i);
+  return code;
+};
+
+/**
+ * The mappings of a ToUnicode CMap: code space ranges, single codes (bfchar) and code ranges (bfrange)
+ * @returns {{ codespaces: Array, chars: Map, ranges: Array }|null} null when the CMap maps nothing
+ */
+export function parseToUnicodeCMap(text) {
+  const hexStrings = (block) => (block.match(/<[0-9a-fA-F\s]*>/g) || []).map(hex => decodeHex(hex.slice(1, -1)));
+  const blocks = (name) => [...text.matchAll(new RegExp(`begin${name}([\\s\\S]*?)end${name}`, 'g'))].map(found => found[1]);
+
+  const codespaces = [];
+  blocks('codespacerange').forEach(block => {
+    const bounds = hexStrings(block);
+    for (let i = 0; i + 1 < bounds.length; i += 2) {
+      codespaces.push({ bytes: bounds[i].length, low: readCode(bounds[i], 0, bounds[i].length), high: readCode(bounds[i + 1], 0, bounds[i + 1].length) });
+    }
+  });
+
+  const chars = new Map();
+  blocks('bfchar').forEach(block => {
+    const pairs = hexStrings(block);
+    for (let i = 0; i + 1 < pairs.length; i += 2) {
+      chars.set(`${pairs[i].length}:${readCode(pairs[i], 0, pairs[i].length)}`, utf16ToString(pairs[i + 1]));
+    }
+  });
+
+  const ranges = [];
+  blocks('bfrange').forEach(block => {
+    // <low> <high> <first destination> or <low> <high> [<destination> ...]
+    for (const [, low, high, target] of block.matchAll(/<([0-9a-fA-F\s]*)>\s*<([0-9a-fA-F\s]*)>\s*(<[0-9a-fA-F\s]*>|\[[^\]]*\])/g)) {
+      const lowRaw = decodeHex(low);
+      ranges.push({
+        bytes: lowRaw.length,
+        low: readCode(lowRaw, 0, lowRaw.length),
+        high: readCode(decodeHex(high), 0, lowRaw.length),
+        target: target.startsWith('[') ? hexStrings(target).map(utf16ToString) : utf16ToString(decodeHex(target.slice(1, -1))),
+      });
+    }
+  });
+
+  if (chars.size === 0 && ranges.length === 0) return null;
+  // CMaps without a code space range use the width of their source codes
+  if (codespaces.length === 0) {
+    const widths = new Set([...[...chars.keys()].map(key => Number(key.split(':')[0])), ...ranges.map(range => range.bytes)]);
+    widths.forEach(bytes => codespaces.push({ bytes, low: 0, high: 256 ** bytes - 1 }));
+  }
+  codespaces.sort((a, b) => a.bytes - b.bytes);
+  return { codespaces, chars, ranges };
+}
+
+const lookupCode = (cmap, bytes, code) => {
+  const char = cmap.chars.get(`${bytes}:${code}`);
+  if (char !== undefined) return char;
+  const range = cmap.ranges.find(item => item.bytes === bytes && code >= item.low && code <= item.high);
+  if (!range) return bytes === 1 ? decodeWinAnsi(String.fromCharCode(code)) : '';
+  if (Array.isArray(range.target)) return range.target[code - range.low] ?? '';
+  // A range's destinations count up from the first one in its last UTF-16 unit
+  const last = range.target.length - 1;
+  return range.target.slice(0, last) + String.fromCharCode(range.target.charCodeAt(last) + code - range.low);
+};
+
+// Width in bytes of the code starting at `start`
+const codeWidthAt = (raw, start, cmap) => {
+  const space = cmap.codespaces.find(({ bytes, low, high }) => {
+    if (start + bytes > raw.length) return false;
+    const code = readCode(raw, start, bytes);
+    return code >= low && code <= high;
+  });
+  return space ? space.bytes : 1;
+};
+
+/**
+ * Text of a string shown in a font with the given ToUnicode CMap. Codes are split by the CMap's
+ * code space, shortest matching width first; unmapped multi-byte codes are dropped.
+ */
+export function decodeWithCMap(raw, cmap) {
+  let text = '';
+  let i = 0;
+  while (i < raw.length) {
+    const bytes = codeWidthAt(raw, i, cmap);
+    text += lookupCode(cmap, bytes, readCode(raw, i, bytes));
+    i += bytes;
+  }
+  return text;
+}
+
+/**
+ * A decoder per font resource name for one page, cached by font object across pages
+ * @returns {Promise<Object<string, Function>>}
+ */
+async function loadFonts(resources, objects, cache) {
+  const fonts = resolve(objects, resolve(objects, resources)?.Font) || {};
+  const decoders = {};
+  for (const [name, reference] of Object.entries(fonts)) {
+    const key = reference?.ref ?? reference;
+    if (!cache.has(key)) {
+      const font = resolve(objects, reference);
+      const data = await decodeStream(font?.ToUnicode?.ref !== undefined ? objects.get(font.ToUnicode.ref) : null);
+      const cmap = data ? parseToUnicodeCMap(bytesToBinary(data)) : null;
+      // Composite fonts without a ToUnicode map show glyph IDs, which can't be turned back into text
+      const fallback = font?.Subtype === '/Type0' ? () => '' : decodeWinAnsi;
+      cache.set(key, cmap ? (raw) => decodeWithCMap(raw, cmap) : fallback);
+    }
+    decoders[name] = cache.get(key);
+  }
+  return decoders;
+}
+
+/**
+ * Positioned text runs from one content stream
+ * @param {string} content - Content stream as a byte string
+ * @param {Object<string, Function>} fonts - Decoders by font resource name; unknown fonts are read as WinAnsi
+ * @returns {Array<{ x: number, y: number, text: string }>}
+ */
+function readTextRuns(content, fonts = {}) {
+  const runs = [];
+  let operands = [];
+  let lineX = 0;
+  let lineY = 0;
+  let leading = 0;
+  let x = 0;
+  let y = 0;
+  let decode = decodeWinAnsi;
+
+  const moveLine = (tx, ty) => {
+    lineX += tx;
+    lineY += ty;
+    x = lineX;
+    y = lineY;
+  };
+  // Runs shown without repositioning share x; the stable sort in groupLines keeps their order
+  const show = (text) => {
+    if (text.trim()) runs.push({ x, y, text });
+  };
+  const shownString = () => decode(operands.find(operand => operand?.raw !== undefined)?.raw || '');
+
+  tokenize(content).forEach(token => {
+    if (typeof token !== 'string' || token.startsWith('/')) {
+      operands.push(token);
+      return;
+    }
+    const numbers = operands.filter(operand => typeof operand === 'number');
+    switch (token) {
+      case 'BT':
+        lineX = 0; lineY = 0; x = 0; y = 0;
+        break;
+      case 'Tf': {
+        const name = operands.find(operand => typeof operand === 'string' && operand.startsWith('/'));
+        decode = (name && fonts[name.slice(1)]) || decodeWinAnsi;
+        break;
+      }
+      case 'Tm':
+        [, , , , lineX = 0, lineY = 0] = numbers;
+        x = lineX; y = lineY;
+        break;
+      case 'Td':
+        moveLine(numbers[0] || 0, numbers[1] || 0);
+        break;
+      case 'TD':
+        leading = -(numbers[1] || 0);
+        moveLine(numbers[0] || 0, numbers[1] || 0);
+        break;
+      case 'TL':
+        leading = numbers[0] || 0;
+        break;
+      case 'T*':
+        moveLine(0, -leading);
+        break;
+      case 'Tj':
+        show(shownString());
+        break;
+      case "'":
+      case '"':
+        moveLine(0, -leading);
+        show(shownString());
+        break;
+      case 'TJ': {
+        const parts = operands.find(Array.isArray) || [];
+        // Large negative kerning between parts is how PDFs space out words and table cells
+        show(parts.map(part => (part?.raw !== undefined ? decode(part.raw) : typeof part === 'number' && part < -200 ? ' ' : '')).join(''));
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  });
+  return runs;
+}
+
+const groupLines = (runs) => {
+  const lines = [];
+  [...runs].sort((a, b) => b.y - a.y || a.x - b.x).forEach(run => {
+    const line = lines.find(item => Math.abs(item.y - run.y) <= LINE_TOLERANCE);
+    if (line) line.runs.push(run);
+    else lines.push({ y: run.y, runs: [run] });
+  });
+  return lines.map(line => line.runs
+    .sort((a, b) => a.x - b.x)
+    .map(run => run.text.trim())
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim());
+};
+
+/**
+ * Text lines of a PDF, page by page and top to bottom within each page
+ * @param {ArrayBuffer} buffer - The PDF file contents
+ * @returns {Promise<string[]>}
+ */
+export async function extractPdfTextLines(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const source = bytesToBinary(bytes);
+  if (!source.startsWith('%PDF')) throw new Error('This file is not a PDF.');
+
+  const objects = await readObjects(source, bytes);
+  const pages = collectPages(objects);
+  const fontCache = new Map();
+  const lines = [];
+
+  if (pages.length > 0) {
+    for (const page of pages) {
+      const content = await readPageContent(page, objects);
+      if (!/\bBT\b/.test(content)) continue;
+      lines.push(...groupLines(readTextRuns(content, await loadFonts(page.resources, objects, fontCache))));
+    }
+  } else {
+    // No page objects to follow: read every stream that looks like page content, without font information
+    for (const entry of objects.values()) {
+      if (!entry.data || SKIPPED_STREAM.test(entry.dictionary)) continue;
+      const data = await decodeStream(entry);
+      const content = data ? bytesToBinary(data) : '';
+      if (/\bBT\b/.test(content)) lines.push(...groupLines(readTextRuns(content)));
+    }
+  }
+  return lines.filter(Boolean);
+}
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+import { extractPdfTextLines, parseToUnicodeCMap, decodeWithCMap } from './pdfText';
+
+// Fixture PDFs are assembled from object bodies; a body given as { dictionary, stream } becomes a
+// stream object with its /Length filled in. Object numbers follow array order, starting at 1, and
+// null leaves a number to be defined elsewhere (inside an object stream).
+const buildPdf = (objects) => {
+  const body = objects.map((object, index) => {
+    if (object === null) return '';
+    const content = typeof object === 'string'
+      ? object
+      : `<< ${object.dictionary || ''} /Length ${object.stream.length} >>\nstream\n${object.stream}\nendstream`;
+    return `${index + 1} 0 obj\n${content}\nendobj\n`;
+  }).join('');
+  const pdf = `%PDF-1.4\n${body}trailer\n<< /Root 1 0 R /Size ${objects.length + 1} >>\n%%EOF\n`;
+  return Uint8Array.from(pdf, char => char.charCodeAt(0)).buffer;
+};
+
+// A ToUnicode CMap mapping two-byte glyph IDs: 0x0001–0x001A to "a"–"z" and single codes for the rest
+const IDENTITY_CMAP = [
+  '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+  '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+  '3 beginbfchar <0020> <0041> <0021> <0042> <0030> <0020> endbfchar',
+  '1 beginbfrange <0001> <001A> <0061> endbfrange',
+  'endcmap CMapName currentdict /CMap defineresource pop end end',
+].join('\n');
+
+// Encode text as the glyph IDs IDENTITY_CMAP maps back to it
+const glyphIds = (text) => [...text].map(char => {
+  if (char === 'A') return '0020';
+  if (char === 'B') return '0021';
+  if (char === ' ') return '0030';
+  return (char.charCodeAt(0) - 0x60).toString(16).padStart(4, '0');
+}).join('');
+
+describe('extractPdfTextLines', () => {
+  it('reads lines from a simple WinAnsi font, top to bottom', async () => {
+    const buffer = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 4 0 R >> >> >>',
+      '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      {
+        stream: [
+          'BT /F1 12 Tf 72 700 Td (Grade 10) Tj ET',
+          'BT /F1 12 Tf 72 680 Td [(Biology) -3000 (A-) -3000 (1.0)] TJ ET',
+          'BT /F1 12 Tf 72 660 Td (Espa\\361ol) Tj 200 0 Td (B+) Tj ET',
+        ].join('\n'),
+      },
+    ]);
+    await expect(extractPdfTextLines(buffer)).resolves.toEqual(['Grade 10', 'Biology A- 1.0', 'Español B+']);
+  });
+
+  it('decodes two-byte Identity-H text through the font\'s ToUnicode CMap', async () => {
+    const buffer = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /C0 4 0 R >> >> /Contents 5 0 R >>',
+      '<< /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+Calibri /Encoding /Identity-H /ToUnicode 6 0 R >>',
+      { stream: `BT /C0 11 Tf 50 500 Td <${glyphIds('Biology')}> Tj 250 0 Td [<${glyphIds('A')}>] TJ ET` },
+      { stream: IDENTITY_CMAP },
+    ]);
+    await expect(extractPdfTextLines(buffer)).resolves.toEqual(['Biology A']);
+  });
+
+  it('drops Type0 text it has no ToUnicode map for instead of returning glyph IDs', async () => {
+    const buffer = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /C0 4 0 R /F1 5 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type0 /Encoding /Identity-H >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+      { stream: `BT /C0 11 Tf 50 500 Td <${glyphIds('chemistry')}> Tj ET\nBT /F1 11 Tf 50 480 Td (Chemistry) Tj ET` },
+    ]);
+    await expect(extractPdfTextLines(buffer)).resolves.toEqual(['Chemistry']);
+  });
+
+  it('uses each page\'s own font for a reused resource name', async () => {
+    const cmap = '1 begincodespacerange <00> <FF> endcodespacerange\n2 beginbfchar <01> <0048> <02> <0069> endbfchar';
+    const buffer = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 5 0 R >> >> /Contents 7 0 R >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 6 0 R >> >> /Contents 8 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+      '<< /Type /Font /Subtype /TrueType /BaseFont /ABCDEF+Arial /ToUnicode 9 0 R >>',
+      { stream: 'BT /F1 12 Tf 72 700 Td (Page one) Tj ET' },
+      { stream: 'BT /F1 12 Tf 72 700 Td <0102> Tj ET' },
+      { stream: cmap },
+    ]);
+    await expect(extractPdfTextLines(buffer)).resolves.toEqual(['Page one', 'Hi']);
+  });
+
+  it('reads fonts and pages packed in an object stream', async () => {
+    const packed = [
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /Resources << /Font << /C0 4 0 R >> >> /Contents [5 0 R 7 0 R] >>',
+      '<< /Type /Font /Subtype /Type0 /Encoding /Identity-H /ToUnicode 6 0 R >>',
+    ];
+    let offset = 0;
+    const header = packed.map((body, index) => {
+      const entry = `${index + 2} ${offset}`;
+      offset += body.length + 1;
+      return entry;
+    }).join(' ');
+    const data = `${header}\n${packed.join('\n')}`;
+    const buffer = buildPdf([
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      null,
+      null,
+      null,
+      { stream: `BT /C0 11 Tf 50 500 Td <${glyphIds('algebra')}> Tj ET` },
+      { stream: IDENTITY_CMAP },
+      { stream: `BT /C0 11 Tf 50 480 Td <${glyphIds('geometry')}> Tj ET` },
+      { dictionary: `/Type /ObjStm /N ${packed.length} /First ${header.length + 1}`, stream: data },
+    ]);
+    await expect(extractPdfTextLines(buffer)).resolves.toEqual(['algebra', 'geometry']);
+  });
+
+  it('rejects files that are not PDFs', async () => {
+    const buffer = Uint8Array.from('Course,Grade\nBiology,A', char => char.charCodeAt(0)).buffer;
+    await expect(extractPdfTextLines(buffer)).rejects.toThrow('This file is not a PDF.');
+  });
+});
+
+describe('parseToUnicodeCMap and decodeWithCMap', () => {
+  it('maps single codes and ranges', () => {
+    const cmap = parseToUnicodeCMap(IDENTITY_CMAP);
+    expect(decodeWithCMap(String.fromCharCode(0, 0x20, 0, 0x30, 0, 3), cmap)).toBe('A c');
+  });
+
+  it('reads array destinations and multi-unit targets such as ligatures', () => {
+    const cmap = parseToUnicodeCMap([
+      '1 begincodespacerange <00> <FF> endcodespacerange',
+      '1 beginbfrange <10> <12> [<0058> <0059> <005A>] endbfrange',
+      '1 beginbfchar <20> <00660069> endbfchar',
+    ].join('\n'));
+    expect(decodeWithCMap('\x10\x12\x20', cmap)).toBe('XZfi');
+  });
+
+  it('infers the code width when there is no code space range', () => {
+    const cmap = parseToUnicodeCMap('1 beginbfchar <0041> <00C9> endbfchar');
+    expect(cmap.codespaces).toEqual([{ bytes: 2, low: 0, high: 0xffff }]);
+    expect(decodeWithCMap('\x00\x41', cmap)).toBe('É');
+  });
+
+  it('returns null for a CMap that maps nothing', () => {
+    expect(parseToUnicodeCMap('begincmap endcmap')).toBeNull();
+  });
+});
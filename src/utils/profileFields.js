@@ -0,0 +1,32 @@
+// src/utils/profileFields.js
+// Read student profile fields regardless of which profile shape the backend returned
+
+import { PROFILE_FIELDS, isBlankValue, getPath } from './profileSchema';
+
+export { isBlankValue, getPath };
+
+// Stored profiles are migrated to the canonical schema on load, but shared snapshots and profiles built
+// elsewhere can still be in a legacy shape, so each field's legacy paths are tried after its canonical key.
+// Paths are tried in order; the first non-empty value wins.
+export const PROFILE_PATHS = {
+  ...Object.fromEntries(Object.entries(PROFILE_FIELDS).map(([key, field]) => [key, [key, ...(field.legacy || [])]])),
+  // Short names some callers use
+  name: ['fullName', ...PROFILE_FIELDS.fullName.legacy, 'profile.personal.firstName'],
+  school: ['currentSchool', ...PROFILE_FIELDS.currentSchool.legacy],
+};
+
+/**
+ * First non-empty value found at any of `paths` (or the PROFILE_PATHS entry named by `field`)
+ * @param {Object} profile - Student profile
+ * @param {string|string[]} fieldOrPaths - PROFILE_PATHS key or explicit dot paths
+ * @returns {*} The value, or null when none is set
+ */
+export function readProfileValue(profile, fieldOrPaths) {
+  if (!profile) return null;
+  const paths = Array.isArray(fieldOrPaths) ? fieldOrPaths : PROFILE_PATHS[fieldOrPaths] || [fieldOrPaths];
+  for (const path of paths) {
+    const value = getPath(profile, path);
+    if (!isBlankValue(value)) return value;
+  }
+  return null;
+}
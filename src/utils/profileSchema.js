@@ -0,0 +1,274 @@
+// src/utils/profileSchema.js
+// The canonical student profile: flat camelCase fields grouped into sections, with a version number,
+// runtime validation and adapters that upgrade the older shapes still found in storage.
+
+import { normalizeCourses, normalizeGradeLevel } from './transcript';
+import { toNumber } from './institutionData';
+
+/*
+ * Stored profiles come in three legacy shapes:
+ *  - flat fields written by the app (`gpa`, `satScore`, `career_goals`, comma-separated `extracurriculars`)
+ *  - nested `profile.academic.gpa`, `profile.personal.firstName`, `preferences.maxTuition` (old UserProfileManager)
+ *  - snake_case columns from supabase-schema.sql (`sat_score`, `graduation_year`, `high_school`)
+ * Version 1 is the canonical shape below; profiles without `schemaVersion` are treated as version 0.
+ */
+export const PROFILE_SCHEMA_VERSION = 1;
+
+// Sections in the order the profile is filled in
+export const PROFILE_SECTIONS = [
+  { id: 'personal', label: 'Personal' },
+  { id: 'academic', label: 'Academics' },
+  { id: 'tests', label: 'Test Scores' },
+  { id: 'activities', label: 'Activities' },
+  { id: 'financial', label: 'Financial' },
+  { id: 'preferences', label: 'Preferences' },
+  { id: 'goals', label: 'Goals' },
+];
+
+/**
+ * Canonical fields. `legacy` lists where older shapes kept the value, tried in order.
+ * `required` fields decide whether a profile is complete; `optional` fields don't count toward completion.
+ * A field with `alternatives` counts as filled when any of them is (students take the SAT or the ACT).
+ */
+export const PROFILE_FIELDS = {
+  fullName: { section: 'personal', type: 'string', label: 'Full name', legacy: ['name', 'full_name', 'first_name'] },
+  email: { section: 'personal', type: 'string', label: 'Email', optional: true },
+  state: { section: 'personal', type: 'string', label: 'State of residence', legacy: ['residency', 'profile.personal.state', 'preferences.homeState'] },
+
+  gpa: { section: 'academic', type: 'number', min: 0, max: 5, label: 'GPA', required: true, legacy: ['profile.academic.gpa'] },
+  weightedGpa: { section: 'academic', type: 'number', min: 0, max: 5, label: 'Weighted GPA', optional: true, legacy: ['weighted_gpa', 'profile.academic.weightedGpa'] },
+  gradeLevel: { section: 'academic', type: 'gradeLevel', label: 'Grade level', legacy: ['grade_level', 'profile.academic.gradeLevel'] },
+  graduationYear: { section: 'academic', type: 'integer', min: 1990, max: 2100, label: 'Graduation year', required: true, legacy: ['graduation_year', 'profile.academic.graduationYear'] },
+  currentSchool: { section: 'academic', type: 'string', label: 'Current school', legacy: ['high_school', 'school', 'profile.academic.currentSchool'] },
+  academicLevel: { section: 'academic', type: 'string', label: 'Academic level', optional: true, legacy: ['profile.academic.academicLevel', 'profile.academic.level'] },
+  apClasses: { section: 'academic', type: 'list', label: 'AP classes', optional: true, legacy: ['ap_classes'] },
+  coursework: { section: 'academic', type: 'courses', label: 'Coursework', optional: true, legacy: ['profile.academic.coursework'] },
+
+  satScore: { section: 'tests', type: 'integer', min: 400, max: 1600, label: 'SAT score', alternatives: ['actScore'], legacy: ['sat_score', 'profile.academic.satScore'] },
+  actScore: { section: 'tests', type: 'integer', min: 1, max: 36, label: 'ACT score', optional: true, legacy: ['act_score', 'profile.academic.actScore'] },
+
+  extracurriculars: { section: 'activities', type: 'list', label: 'Extracurriculars', legacy: ['profile.extracurriculars'] },
+  awards: { section: 'activities', type: 'list', label: 'Awards', optional: true },
+  essays: { section: 'activities', type: 'list', label: 'Essays', optional: true, legacy: ['profile.essays'] },
+  recommendations: { section: 'activities', type: 'list', label: 'Recommendations', optional: true, legacy: ['profile.recommendations'] },
+
+  familyIncome: { section: 'financial', type: 'number', min: 0, label: 'Family income', legacy: ['family_income', 'financial.familyIncome', 'profile.financial.familyIncome'] },
+  householdSize: { section: 'financial', type: 'integer', min: 1, max: 20, label: 'Household size', optional: true, legacy: ['household_size', 'financial.householdSize', 'profile.financial.householdSize'] },
+  budget: { section: 'financial', type: 'number', min: 0, label: 'Yearly budget', legacy: ['maxTuition', 'budget_range', 'preferences.maxTuition'] },
+  financialAidNeeded: { section: 'financial', type: 'boolean', label: 'Needs financial aid', optional: true, legacy: ['profile.financial.financialAidNeeded'] },
+
+  collegeType: { section: 'preferences', type: 'string', label: 'College type', legacy: ['preferences.collegeType'] },
+  locationPreferences: { section: 'preferences', type: 'list', label: 'Preferred locations', legacy: ['location_preferences', 'preferences.location'] },
+  preferredColleges: { section: 'preferences', type: 'list', label: 'Preferred colleges', optional: true, legacy: ['preferred_colleges'] },
+
+  major: { section: 'goals', type: 'string', label: 'Intended major', required: true, legacy: ['intendedMajor', 'profile.academic.major', 'preferences.desiredMajors', 'preferred_majors'] },
+  careerGoals: { section: 'goals', type: 'string', label: 'Career goals', legacy: ['career_goals', 'careerGoal'] },
+};
+
+// Top-level keys that only existed in legacy shapes. Migration moves them under `legacy` rather than
+// deleting them; everything else the app stores (aidOffers, netPriceInputs...) stays where it is.
+const LEGACY_KEYS = new Set([
+  'profile', 'preferences', 'financial',
+  ...Object.values(PROFILE_FIELDS).flatMap(field => field.legacy || []).filter(path => !path.includes('.')),
+]);
+
+export const isBlankValue = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+export const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// "Debate, Soccer" / ["Debate", "Soccer"] → ["Debate", "Soccer"]
+export const toList = (value) => {
+  if (isBlankValue(value)) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[,;\n]/);
+  return items.map(item => (typeof item === 'string' ? item.trim() : item)).filter(item => !isBlankValue(item));
+};
+
+/**
+ * Convert a stored value to the field's canonical type
+ * @returns {*} The canonical value, or null when it can't be read
+ */
+export function coerceField(key, value) {
+  const field = PROFILE_FIELDS[key];
+  if (!field || isBlankValue(value)) return null;
+  switch (field.type) {
+    case 'number':
+      return toNumber(value);
+    case 'integer': {
+      const number = toNumber(value);
+      return number === null ? null : Math.round(number);
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : ['true', 'yes', '1'].includes(String(value).toLowerCase());
+    case 'gradeLevel':
+      return normalizeGradeLevel(value);
+    case 'list':
+      return toList(value);
+    case 'courses':
+      return normalizeCourses(value);
+    default: {
+      // Lists where a single value is expected (e.g. desiredMajors) keep their first entry
+      const text = Array.isArray(value) ? toList(value)[0] : value;
+      return isBlankValue(text) ? null : String(text).trim();
+    }
+  }
+}
+
+/**
+ * Problem with one canonical value, or null when it's valid (blank values are valid)
+ */
+export function validateField(key, value) {
+  const field = PROFILE_FIELDS[key];
+  if (!field || isBlankValue(value)) return null;
+  const { label } = field;
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number.`;
+      if (field.type === 'integer' && !Number.isInteger(value)) return `${label} must be a whole number.`;
+      if (field.min !== undefined && value < field.min) return `${label} must be at least ${field.min}.`;
+      if (field.max !== undefined && value > field.max) return `${label} must be at most ${field.max}.`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${label} must be yes or no.`;
+    case 'gradeLevel':
+      return normalizeGradeLevel(value) === value ? null : `${label} must be 9, 10, 11 or 12.`;
+    case 'list':
+    case 'courses':
+      return Array.isArray(value) ? null : `${label} must be a list.`;
+    default:
+      return typeof value === 'string' ? null : `${label} must be text.`;
+  }
+}
+
+/**
+ * Check every canonical field of a profile
+ * @returns {{ valid: boolean, errors: Object<string, string> }} `errors` maps field keys to messages
+ */
+export function validateProfile(profile) {
+  const errors = {};
+  Object.keys(PROFILE_FIELDS).forEach(key => {
+    const message = validateField(key, profile?.[key]);
+    if (message) errors[key] = message;
+  });
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+const readLegacyValue = (raw, key) => {
+  const paths = [key, ...(PROFILE_FIELDS[key].legacy || [])];
+  for (const path of paths) {
+    const value = coerceField(key, getPath(raw, path));
+    if (!isBlankValue(value)) return value;
+  }
+  if (key === 'fullName') {
+    const personal = raw?.profile?.personal;
+    const name = [personal?.firstName, personal?.lastName].filter(Boolean).join(' ').trim();
+    return name || null;
+  }
+  return null;
+};
+
+// Version 0 (any legacy shape) → 1 (canonical flat fields). Nothing is lost: legacy keys are kept
+// as stored under `legacy`, and values that don't validate under `legacy.rejected`.
+const migrateToV1 = (raw, warnings) => {
+  const upgraded = Object.fromEntries(Object.entries(raw).filter(([key]) => !LEGACY_KEYS.has(key) && !PROFILE_FIELDS[key]));
+  const legacy = { ...raw.legacy, ...Object.fromEntries(Object.entries(raw).filter(([key]) => LEGACY_KEYS.has(key))) };
+  const rejected = {};
+  Object.keys(PROFILE_FIELDS).forEach(key => {
+    const value = readLegacyValue(raw, key);
+    const message = validateField(key, value);
+    if (message) {
+      warnings.push(`${message} The stored value "${value}" was moved to legacy.rejected.`);
+      rejected[key] = value;
+    }
+    upgraded[key] = message ? null : value;
+  });
+  if (Object.keys(rejected).length > 0) legacy.rejected = { ...legacy.rejected, ...rejected };
+  if (Object.keys(legacy).length > 0) upgraded.legacy = legacy;
+  return upgraded;
+};
+
+// Each entry upgrades a profile from the previous version to `version`
+const MIGRATIONS = [
+  { version: 1, migrate: migrateToV1 },
+];
+
+/**
+ * Upgrade a stored profile to the current schema version. Upgraded profiles record the version they
+ * started from as `migratedFromVersion` (see hasCompletedOnboarding).
+ * @param {Object} stored - Profile as returned by the backend, in any supported shape
+ * @returns {{ profile: Object|null, changed: boolean, warnings: string[] }} `changed` is true when the
+ *   profile should be written back
+ */
+export function migrateProfile(stored) {
+  if (!stored || typeof stored !== 'object') return { profile: null, changed: false, warnings: [] };
+  const fromVersion = Number(stored.schemaVersion) || 0;
+  const warnings = [];
+  const changed = fromVersion < PROFILE_SCHEMA_VERSION;
+  const profile = MIGRATIONS
+    .filter(({ version }) => version > fromVersion)
+    .reduce((current, { version, migrate }) => ({ ...migrate(current, warnings), schemaVersion: version }), stored);
+  return {
+    profile: changed ? { ...profile, migratedFromVersion: stored.migratedFromVersion ?? fromVersion } : profile,
+    changed,
+    warnings,
+  };
+}
+
+/**
+ * A new, empty canonical profile for a signed-in user
+ */
+export function createEmptyProfile(user) {
+  const profile = Object.fromEntries(Object.keys(PROFILE_FIELDS).map(key => [key, null]));
+  return {
+    ...profile,
+    fullName: user?.user_metadata?.full_name || null,
+    email: user?.email || null,
+    avatarUrl: user?.user_metadata?.avatar_url || null,
+    provider: user?.app_metadata?.provider || 'email',
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+  };
+}
+
+export const getSectionFields = (sectionId) => Object.keys(PROFILE_FIELDS).filter(key => PROFILE_FIELDS[key].section === sectionId);
+
+// Fields that count toward completion: everything not marked optional
+const countedFields = (sectionId) => getSectionFields(sectionId).filter(key => !PROFILE_FIELDS[key].optional);
+
+/**
+ * How much of each section is filled in
+ * @returns {Array<{ id: string, label: string, filled: number, total: number, complete: boolean }>}
+ */
+export function getSectionCompletion(profile) {
+  return PROFILE_SECTIONS.map(section => {
+    const fields = countedFields(section.id);
+    const filled = fields
+      .filter(key => [key, ...(PROFILE_FIELDS[key].alternatives || [])].some(name => !isBlankValue(profile?.[name])))
+      .length;
+    return { ...section, filled, total: fields.length, complete: filled === fields.length };
+  });
+}
+
+export const getProfileCompletionPercentage = (profile) => {
+  const sections = getSectionCompletion(profile);
+  const total = sections.reduce((sum, section) => sum + section.total, 0);
+  const filled = sections.reduce((sum, section) => sum + section.filled, 0);
+  return total ? Math.round((filled / total) * 100) : 0;
+};
+
+export const getIncompleteSections = (profile) => getSectionCompletion(profile)
+  .filter(section => !section.complete)
+  .map(section => section.id);
+
+// Complete means every required field has a valid value
+export const isProfileComplete = (profile) => Object.keys(PROFILE_FIELDS)
+  .filter(key => PROFILE_FIELDS[key].required)
+  .every(key => !isBlankValue(profile?.[key]) && !validateField(key, profile[key]));
+
+/**
+ * Whether the student can use the app rather than being sent to onboarding. Before the schema only a
+ * GPA was needed, so profiles migrated from version 0 with a GPA keep access; the profile page asks
+ * them for the fields that became required since.
+ */
+export const hasCompletedOnboarding = (profile) => isProfileComplete(profile) ||
+  (profile?.migratedFromVersion === 0 && !isBlankValue(profile.gpa) && !validateField('gpa', profile.gpa));
@@ -0,0 +1,61 @@
+import { migrateProfile, isProfileComplete, hasCompletedOnboarding, PROFILE_SCHEMA_VERSION } from './profileSchema';
+
+describe('migrateProfile', () => {
+  it('moves legacy keys under `legacy` instead of dropping them', () => {
+    const stored = {
+      gpa: 3.6,
+      sat_score: '1380',
+      profile: { academic: { major: 'Biology' }, personal: { pronouns: 'they/them' } },
+      preferences: { maxTuition: 30000, campusSize: 'small' },
+      aidOffers: [{ id: 'a' }],
+    };
+    const { profile, changed, warnings } = migrateProfile(stored);
+    expect(changed).toBe(true);
+    expect(warnings).toEqual([]);
+    expect(profile).toMatchObject({
+      schemaVersion: PROFILE_SCHEMA_VERSION,
+      migratedFromVersion: 0,
+      gpa: 3.6,
+      satScore: 1380,
+      major: 'Biology',
+      budget: 30000,
+      aidOffers: [{ id: 'a' }],
+    });
+    expect(profile.legacy).toEqual({
+      sat_score: '1380',
+      profile: stored.profile,
+      preferences: stored.preferences,
+    });
+    expect(profile.profile).toBeUndefined();
+  });
+
+  it('keeps values that fail validation under legacy.rejected', () => {
+    const { profile, warnings } = migrateProfile({ gpa: 7, graduation_year: 2027 });
+    expect(profile.gpa).toBeNull();
+    expect(profile.graduationYear).toBe(2027);
+    expect(profile.legacy).toEqual({ graduation_year: 2027, rejected: { gpa: 7 } });
+    expect(warnings[0]).toMatch(/moved to legacy\.rejected/);
+  });
+
+  it('leaves current profiles alone', () => {
+    const current = { schemaVersion: PROFILE_SCHEMA_VERSION, gpa: 3.2 };
+    expect(migrateProfile(current)).toEqual({ profile: current, changed: false, warnings: [] });
+  });
+});
+
+describe('hasCompletedOnboarding', () => {
+  it('needs every required field for new profiles', () => {
+    const profile = { schemaVersion: PROFILE_SCHEMA_VERSION, gpa: 3.4, graduationYear: 2027 };
+    expect(isProfileComplete(profile)).toBe(false);
+    expect(hasCompletedOnboarding(profile)).toBe(false);
+    expect(hasCompletedOnboarding({ ...profile, major: 'History' })).toBe(true);
+  });
+
+  it('lets students from before the schema in with a valid GPA', () => {
+    const { profile } = migrateProfile({ gpa: '3.4' });
+    expect(isProfileComplete(profile)).toBe(false);
+    expect(hasCompletedOnboarding(profile)).toBe(true);
+    expect(hasCompletedOnboarding(migrateProfile({ gpa: 9 }).profile)).toBe(false);
+    expect(hasCompletedOnboarding(null)).toBe(false);
+  });
+});
@@ -0,0 +1,216 @@
+// src/utils/scholarshipFilters.js
+// Scholarship search filter state: defaults, URL (de)serialization, API params and facet counts
+
+export const SORT_OPTIONS = [
+  { value: 'deadline_asc', label: 'Sort by Deadline (Soonest)' },
+  { value: 'amount_desc', label: 'Sort by Amount (High to Low)' },
+  { value: 'amount_asc', label: 'Sort by Amount (Low to High)' },
+];
+
+/**
+ * Multi-select facets. `field` is the scholarship document field,
+ * `param` the URL query key, `apiKey` the search request key.
+ */
+export const FACETS = [
+  { key: 'categories', field: 'categories', param: 'category', apiKey: 'categories', label: 'Categories' },
+  { key: 'fieldsOfStudy', field: 'fields_of_study', param: 'field', apiKey: 'fieldsOfStudy', label: 'Fields of Study' },
+  { key: 'academicLevels', field: 'academic_levels', param: 'level', apiKey: 'academicLevels', label: 'Academic Levels' },
+  { key: 'demographics', field: 'demographics', param: 'demographic', apiKey: 'demographics', label: 'Demographics' },
+];
+
+export const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+];
+
+export const DEFAULT_FILTERS = {
+  query: '',
+  minAmount: '',
+  maxDeadline: '',
+  sortBy: 'deadline_asc',
+  categories: [],
+  fieldsOfStudy: [],
+  academicLevels: [],
+  demographics: [],
+  state: '',
+  renewableOnly: false,
+  noEssay: false,
+};
+
+// Scalar filters and their URL keys
+const SCALAR_PARAMS = [
+  { key: 'query', param: 'q' },
+  { key: 'minAmount', param: 'minAmount' },
+  { key: 'maxDeadline', param: 'maxDeadline' },
+  { key: 'sortBy', param: 'sort' },
+  { key: 'state', param: 'state' },
+];
+
+const TOGGLE_PARAMS = [
+  { key: 'renewableOnly', param: 'renewable' },
+  { key: 'noEssay', param: 'noEssay' },
+];
+
+/**
+ * Demographic requirements are stored as `{ key: value }` objects on each scholarship.
+ * Facet values flatten them to `key:value` tokens.
+ */
+export const toDemographicToken = (key, value) => `${key}:${value}`;
+
+export const formatFacetValue = (facetKey, value) => {
+  if (facetKey !== 'demographics') return value;
+  const [key, ...rest] = value.split(':');
+  return `${key.replace(/_/g, ' ')}: ${rest.join(':')}`;
+};
+
+/**
+ * Read filters from URLSearchParams, falling back to defaults for anything missing or invalid
+ */
+export function filtersFromSearchParams(searchParams) {
+  const filters = { ...DEFAULT_FILTERS };
+
+  SCALAR_PARAMS.forEach(({ key, param }) => {
+    const value = searchParams.get(param);
+    if (value !== null) filters[key] = value;
+  });
+  FACETS.forEach(({ key, param }) => {
+    filters[key] = searchParams.getAll(param).filter(Boolean);
+  });
+  TOGGLE_PARAMS.forEach(({ key, param }) => {
+    filters[key] = searchParams.get(param) === '1';
+  });
+
+  if (!SORT_OPTIONS.some(option => option.value === filters.sortBy)) filters.sortBy = DEFAULT_FILTERS.sortBy;
+  if (filters.state && !US_STATES.includes(filters.state)) filters.state = '';
+  return filters;
+}
+
+/**
+ * Serialize filters to URLSearchParams, omitting defaults so shared links stay short
+ */
+export function filtersToSearchParams(filters) {
+  const params = new URLSearchParams();
+
+  SCALAR_PARAMS.forEach(({ key, param }) => {
+    const value = filters[key];
+    if (value && value !== DEFAULT_FILTERS[key]) params.set(param, value);
+  });
+  FACETS.forEach(({ key, param }) => {
+    (filters[key] || []).forEach(value => params.append(param, value));
+  });
+  TOGGLE_PARAMS.forEach(({ key, param }) => {
+    if (filters[key]) params.set(param, '1');
+  });
+
+  return params;
+}
+
+/**
+ * Map filter state to the `/scholarships/search` request body
+ */
+export function buildSearchRequest(filters) {
+  const request = {
+    query: filters.query,
+    minAmount: filters.minAmount ? Number(filters.minAmount) : 0,
+    maxDeadline: filters.maxDeadline || null,
+    sortBy: filters.sortBy,
+    includeFacets: true,
+  };
+
+  FACETS.forEach(({ key, apiKey }) => {
+    if (filters[key]?.length) request[apiKey] = filters[key];
+  });
+  if (filters.state) request.state = filters.state;
+  if (filters.renewableOnly) request.renewableOnly = true;
+  if (filters.noEssay) request.noEssay = true;
+
+  return request;
+}
+
+/**
+ * Number of non-default filters (the keyword and sort order don't count)
+ */
+export function countActiveFilters(filters) {
+  let count = 0;
+  if (filters.minAmount) count++;
+  if (filters.maxDeadline) count++;
+  if (filters.state) count++;
+  if (filters.renewableOnly) count++;
+  if (filters.noEssay) count++;
+  FACETS.forEach(({ key }) => { count += filters[key]?.length || 0; });
+  return count;
+}
+
+const facetValuesFor = (scholarship, facet) => {
+  const raw = scholarship[facet.field];
+  if (!raw) return [];
+  if (facet.key === 'demographics') {
+    return Object.entries(raw).flatMap(([key, value]) => (
+      (Array.isArray(value) ? value : [value]).filter(v => v !== null && v !== '').map(v => toDemographicToken(key, v))
+    ));
+  }
+  return Array.isArray(raw) ? raw : [raw];
+};
+
+/**
+ * Facet counts as `{ [facetKey]: [{ value, count }] }`, sorted by count.
+ * Uses the server's `facets` when the response includes them, otherwise counts the results on hand.
+ */
+export function getFacetCounts(scholarships = [], serverFacets = null) {
+  const counts = {};
+
+  FACETS.forEach(facet => {
+    const fromServer = serverFacets?.[facet.apiKey] || serverFacets?.[facet.field];
+    let entries;
+    if (Array.isArray(fromServer)) {
+      entries = fromServer.map(item => ({ value: String(item.value ?? item._id), count: item.count || 0 }));
+    } else if (fromServer && typeof fromServer === 'object') {
+      entries = Object.entries(fromServer).map(([value, count]) => ({ value, count }));
+    } else {
+      const tally = new Map();
+      scholarships.forEach(scholarship => {
+        new Set(facetValuesFor(scholarship, facet).map(String)).forEach(value => {
+          tally.set(value, (tally.get(value) || 0) + 1);
+        });
+      });
+      entries = Array.from(tally, ([value, count]) => ({ value, count }));
+    }
+    counts[facet.key] = entries.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  });
+
+  return counts;
+}
+
+/**
+ * Fill in and validate a stored filter set (e.g. from a saved search)
+ */
+export function normalizeFilters(filters = {}) {
+  return filtersFromSearchParams(filtersToSearchParams({ ...DEFAULT_FILTERS, ...filters }));
+}
+
+/**
+ * Stable identity for a filter set, ignoring sort order, used to match saved searches
+ */
+export function getSearchSignature(filters) {
+  const params = filtersToSearchParams({ ...normalizeFilters(filters), sortBy: DEFAULT_FILTERS.sortBy });
+  params.sort();
+  return params.toString();
+}
+
+/**
+ * Short human-readable summary, e.g. "nursing · $1,000+ · TX · Renewable"
+ */
+export function describeFilters(filters) {
+  const parts = [];
+  if (filters.query) parts.push(`"${filters.query}"`);
+  if (filters.minAmount) parts.push(`$${Number(filters.minAmount).toLocaleString()}+`);
+  if (filters.maxDeadline) parts.push(`due by ${filters.maxDeadline}`);
+  if (filters.state) parts.push(filters.state);
+  FACETS.forEach(({ key }) => {
+    (filters[key] || []).forEach(value => parts.push(formatFacetValue(key, value)));
+  });
+  if (filters.renewableOnly) parts.push('Renewable');
+  if (filters.noEssay) parts.push('No essay');
+  return parts.length ? parts.join(' · ') : 'All scholarships';
+}
@@ -0,0 +1,66 @@
+// src/utils/shareSnapshot.js
+// Build read-only snapshots of comparisons and reports for share links
+import { readProfileValue } from './profileFields';
+
+export const SNAPSHOT_VERSION = 1;
+
+// Profile fields a student may choose to include; everything else is left out of the snapshot
+export const SHAREABLE_PROFILE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'gpa', label: 'GPA' },
+  { key: 'satScore', label: 'SAT score' },
+  { key: 'actScore', label: 'ACT score' },
+  { key: 'major', label: 'Intended major' },
+  { key: 'gradeLevel', label: 'Grade level' },
+  { key: 'state', label: 'State of residence' },
+  { key: 'extracurriculars', label: 'Extracurriculars' },
+  { key: 'budget', label: 'Yearly budget' },
+];
+
+export const DEFAULT_SHARE_FIELDS = ['gpa', 'satScore', 'actScore', 'major'];
+
+/**
+ * Copy only the chosen fields out of a profile
+ * @returns {Object} `{ [field]: value }` for chosen fields that have a value
+ */
+export function redactProfile(profile, fields = DEFAULT_SHARE_FIELDS) {
+  return SHAREABLE_PROFILE_FIELDS.reduce((redacted, { key }) => {
+    if (!fields.includes(key)) return redacted;
+    const value = readProfileValue(profile, key);
+    if (value !== null) redacted[key] = value;
+    return redacted;
+  }, {});
+}
+
+// The subset of an institution record the shared views render
+export const pickCollegeFields = (college) => ({
+  unitid: college.unitid,
+  general_info: college.general_info,
+  admissions: college.admissions,
+  cost_and_aid: college.cost_and_aid,
+  enrollment: college.enrollment,
+  outcomes: college.outcomes,
+});
+
+export function buildComparisonSnapshot(colleges, profile, fields) {
+  return {
+    version: SNAPSHOT_VERSION,
+    kind: 'comparison',
+    createdAt: new Date().toISOString(),
+    colleges: colleges.map(pickCollegeFields),
+    profile: redactProfile(profile, fields),
+  };
+}
+
+export function buildReportSnapshot(college, profile, fields, report = null) {
+  return {
+    version: SNAPSHOT_VERSION,
+    kind: 'report',
+    createdAt: new Date().toISOString(),
+    colleges: [pickCollegeFields(college)],
+    profile: redactProfile(profile, fields),
+    report,
+  };
+}
+
+export const getShareUrl = (token) => `${window.location.origin}/shared/${encodeURIComponent(token)}`;
@@ -0,0 +1,121 @@
+// src/utils/studentVue.js
+// Turn a /studentvue response into Scholargy profile fields and compare them with the saved profile
+
+import { createCourse, detectCourseLevel, calculateGpa, normalizeCourses, normalizeGradeLevel } from './transcript';
+import { readProfileValue } from './profileFields';
+
+// StudentVue SOAP results are converted from XML, so single items arrive as objects and lists as arrays
+const toArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const attr = (node, name) => {
+  const value = node?.[`@${name}`] ?? node?.[name];
+  return typeof value === 'string' ? value.trim() : value ?? null;
+};
+
+// "English 10 H (123456)" → "English 10 H"
+const cleanTitle = (title) => String(title || '').replace(/\s*\(\s*[\w-]+\s*\)\s*$/, '').trim();
+
+/**
+ * Courses from a StudentVue gradebook, one per class with its most recent mark.
+ * Accepts `{ Gradebook: {...} }` or the gradebook itself; `Courses.Course` may be one course or a list.
+ * @param {Object} gradebook
+ * @param {string} [year] - School year the gradebook is for; the gradebook itself only covers the current one
+ */
+export function parseGradebookCourses(gradebook, year = '') {
+  const book = gradebook?.Gradebook || gradebook;
+  const defaultTerm = attr(book?.ReportingPeriod, 'GradePeriod') || '';
+
+  return toArray(book?.Courses?.Course).map(course => {
+    const name = cleanTitle(attr(course, 'Title') || attr(course, 'CourseName'));
+    const marks = toArray(course?.Marks?.Mark);
+    const mark = marks[marks.length - 1];
+    const grade = attr(course, 'Grade') || attr(mark, 'CalculatedScoreString') || attr(mark, 'CalculatedScoreRaw');
+    return createCourse({
+      name,
+      term: attr(mark, 'MarkName') || defaultTerm,
+      level: detectCourseLevel(attr(course, 'Title') || name),
+      grade,
+      credits: attr(course, 'Credits') ?? attr(course, 'CreditsAttempted'),
+      teacher: attr(course, 'Teacher') || attr(course, 'Staff'),
+      year,
+    });
+  }).filter(course => course.name);
+}
+
+export const readStudentGradeLevel = (data) => normalizeGradeLevel(data?.profile?.gradeLevel ?? attr(data?.studentInfo, 'Grade'));
+
+// Spring graduation, counting the current school year as starting in June
+export function graduationYearForGrade(gradeLevel, today = new Date()) {
+  const grade = Number(gradeLevel);
+  if (!grade) return null;
+  const schoolYearStart = today.getMonth() > 4 ? 1 : 0;
+  return today.getFullYear() + (12 - grade) + schoolYearStart;
+}
+
+/**
+ * Everything an import can write to the profile
+ * @param {Object} data - `data` from the /studentvue response ({ gradebook, profile, studentInfo })
+ * @param {Array} [courses] - Courses as edited in the wizard; parsed from the gradebook when omitted
+ * @returns {{ gpa: number|null, weightedGpa: number|null, gradeLevel: string|null, graduationYear: number|null, coursework: Array }}
+ */
+export function buildStudentVueImport(data, courses = parseGradebookCourses(data?.gradebook, readStudentGradeLevel(data))) {
+  const coursework = courses.filter(course => course.name.trim());
+  const { unweighted, weighted } = calculateGpa(coursework);
+  const reportedGpa = parseFloat(data?.profile?.gpa);
+  const gradeLevel = readStudentGradeLevel(data);
+  const reportedYear = parseInt(data?.profile?.graduationYear, 10);
+
+  return {
+    // The district's own GPA is used only when no course has a usable grade
+    gpa: unweighted ?? (Number.isFinite(reportedGpa) ? reportedGpa : null),
+    weightedGpa: weighted,
+    gradeLevel,
+    graduationYear: Number.isFinite(reportedYear) ? reportedYear : graduationYearForGrade(gradeLevel),
+    coursework,
+  };
+}
+
+export const IMPORT_FIELDS = [
+  { key: 'gpa', label: 'GPA (unweighted)' },
+  { key: 'weightedGpa', label: 'GPA (weighted)' },
+  { key: 'gradeLevel', label: 'Grade Level' },
+  { key: 'graduationYear', label: 'Graduation Year' },
+  { key: 'coursework', label: 'Coursework' },
+];
+
+const formatImportValue = (key, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (key === 'coursework') return `${value.length} course${value.length === 1 ? '' : 's'}`;
+  if (key === 'gpa' || key === 'weightedGpa') return Number(value).toFixed(2);
+  return String(value);
+};
+
+const sameCourses = (a, b) => a.length === b.length && a.every((course, index) => (
+  course.name === b[index].name && course.grade === b[index].grade &&
+  course.level === b[index].level && course.credits === b[index].credits &&
+  course.term === b[index].term && course.year === b[index].year
+));
+
+/**
+ * Field-by-field comparison of an import with the saved profile.
+ * Fields the import has no value for are left out, so they never blank out saved data.
+ * @returns {Array<{ key: string, label: string, current: string, incoming: string, changed: boolean }>}
+ */
+export function diffProfileImport(profile, incoming) {
+  return IMPORT_FIELDS.filter(({ key }) => (key === 'coursework' ? incoming.coursework.length > 0 : incoming[key] !== null))
+    .map(({ key, label }) => {
+      const current = readProfileValue(profile, key);
+      const changed = key === 'coursework'
+        ? !sameCourses(normalizeCourses(current), incoming.coursework)
+        : key === 'gradeLevel'
+          ? normalizeGradeLevel(current) !== incoming.gradeLevel
+          : Number(current) !== Number(incoming[key]) || current === null;
+      return {
+        key,
+        label,
+        current: formatImportValue(key, key === 'coursework' ? normalizeCourses(current) : current),
+        incoming: formatImportValue(key, incoming[key]),
+        changed,
+      };
+    });
+}
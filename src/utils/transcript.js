@@ -0,0 +1,185 @@
+// src/utils/transcript.js
+// Course records and GPA math shared by every transcript source (StudentVue, manual entry)
+
+// `bonus` is added to the grade points for the weighted GPA (5.0 scale); `ucHonors` marks courses
+// that earn the UC honors point
+export const COURSE_LEVELS = [
+  { id: 'regular', label: 'Regular', bonus: 0, ucHonors: false },
+  { id: 'honors', label: 'Honors', bonus: 0.5, ucHonors: true },
+  { id: 'ap', label: 'AP', bonus: 1, ucHonors: true },
+  { id: 'ib', label: 'IB', bonus: 1, ucHonors: true },
+  { id: 'dual', label: 'Dual Enrollment', bonus: 1, ucHonors: true },
+];
+
+export const WEIGHTED_GPA_SCALE = 5;
+
+// School years a course can be taken in
+export const COURSE_YEARS = ['9', '10', '11', '12'];
+
+export const LETTER_POINTS = {
+  'A+': 4, A: 4, 'A-': 3.7,
+  'B+': 3.3, B: 3, 'B-': 2.7,
+  'C+': 2.3, C: 2, 'C-': 1.7,
+  'D+': 1.3, D: 1, 'D-': 0.7,
+  F: 0,
+};
+
+export const LETTER_GRADES = Object.keys(LETTER_POINTS);
+
+// A full-year course; semester courses are usually worth half
+export const DEFAULT_COURSE_CREDITS = 1;
+
+// Lowest percentage for each letter on the common 10-point scale
+const PERCENT_CUTOFFS = [
+  [97, 'A+'], [93, 'A'], [90, 'A-'],
+  [87, 'B+'], [83, 'B'], [80, 'B-'],
+  [77, 'C+'], [73, 'C'], [70, 'C-'],
+  [67, 'D+'], [63, 'D'], [60, 'D-'],
+  [0, 'F'],
+];
+
+export const letterFromPercent = (percent) => PERCENT_CUTOFFS.find(([min]) => percent >= min)[1];
+
+/**
+ * Normalize a grade as written on a report card: letters ("a-", "B +") or percentages ("91.5", "88%")
+ * @returns {string|null} One of LETTER_GRADES, or null for pass/fail, incomplete and blank marks
+ */
+export function normalizeLetterGrade(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().toUpperCase().replace(/\s+/g, '');
+  if (LETTER_POINTS[text] !== undefined) return text;
+  const percent = parseFloat(text.replace('%', ''));
+  if (/^\d+(\.\d+)?%?$/.test(text) && percent <= 110) return letterFromPercent(percent);
+  return null;
+}
+
+/**
+ * Guess the course level from its title ("AP Biology", "English 10 H", "IB Math HL")
+ */
+export function detectCourseLevel(title = '') {
+  // Abbreviations are matched case-sensitively so words like "de" in course names don't count
+  if (/\bAP\b/.test(title) && !/\bpre-?AP\b/i.test(title)) return 'ap';
+  if (/advanced placement/i.test(title)) return 'ap';
+  if (/\bIB\b/.test(title) || /international baccalaureate/i.test(title)) return 'ib';
+  if (/\bDE\b/.test(title) || /\bdual\b|concurrent enrollment/i.test(title)) return 'dual';
+  if (/\bH\b|\(H\)/.test(title) || /\bhonou?rs\b|\bpre-?AP\b/i.test(title)) return 'honors';
+  return 'regular';
+}
+
+// "11", "11th", "Grade 11" → "11"; only high school grades are kept
+export function normalizeGradeLevel(value) {
+  const grade = parseInt(String(value ?? '').replace(/\D+/g, ' ').trim(), 10);
+  return grade >= 9 && grade <= 12 ? String(grade) : null;
+}
+
+export const getCourseLevel = (levelId) => COURSE_LEVELS.find(level => level.id === levelId) || COURSE_LEVELS[0];
+
+let courseSequence = 0;
+
+export function createCourse(fields = {}) {
+  courseSequence += 1;
+  const credits = fields.credits === null || fields.credits === undefined || fields.credits === '' ? NaN : Number(fields.credits);
+  return {
+    id: fields.id || `course-${Date.now().toString(36)}-${courseSequence}`,
+    name: String(fields.name || '').trim(),
+    term: String(fields.term || '').trim(),
+    level: getCourseLevel(fields.level).id,
+    grade: normalizeLetterGrade(fields.grade),
+    credits: Number.isFinite(credits) && credits >= 0 ? credits : DEFAULT_COURSE_CREDITS,
+    year: normalizeGradeLevel(fields.year) || '',
+    ...(fields.teacher ? { teacher: String(fields.teacher).trim() } : {}),
+  };
+}
+
+// Saved coursework comes back from the profile as whatever was stored; drop anything unusable
+export const normalizeCourses = (courses) => (Array.isArray(courses)
+  ? courses.filter(course => course && course.name).map(course => createCourse(course))
+  : []);
+
+const roundGpa = (value) => Math.round(value * 100) / 100;
+
+const isGraded = (course) => course.grade && LETTER_POINTS[course.grade] !== undefined && course.credits > 0;
+
+/**
+ * Credit-weighted GPA: unweighted on a 4.0 scale, and weighted on a 5.0 scale with level bonuses added.
+ * Courses without a letter grade or with zero credits are left out.
+ * @returns {{ unweighted: number|null, weighted: number|null, credits: number, courseCount: number }}
+ */
+export function calculateGpa(courses) {
+  const graded = courses.filter(isGraded);
+  const credits = graded.reduce((sum, course) => sum + course.credits, 0);
+  if (credits === 0) return { unweighted: null, weighted: null, credits: 0, courseCount: 0 };
+
+  const totals = graded.reduce((sum, course) => {
+    const points = LETTER_POINTS[course.grade];
+    // Failing grades don't earn the level bonus
+    const bonus = points > 0 ? getCourseLevel(course.level).bonus : 0;
+    return {
+      unweighted: sum.unweighted + points * course.credits,
+      weighted: sum.weighted + Math.min(WEIGHTED_GPA_SCALE, points + bonus) * course.credits,
+    };
+  }, { unweighted: 0, weighted: 0 });
+
+  return {
+    unweighted: roundGpa(totals.unweighted / credits),
+    weighted: roundGpa(totals.weighted / credits),
+    credits,
+    courseCount: graded.length,
+  };
+}
+
+// UC rules: 10th and 11th grade only, whole letter grades, one honors point per semester of C or better,
+// at most 8 honors semesters and no more than 4 of them from 10th grade
+const UC_YEARS = ['10', '11'];
+const UC_MAX_HONORS_SEMESTERS = 8;
+const UC_MAX_TENTH_GRADE_HONORS_SEMESTERS = 4;
+const UC_LETTER_POINTS = { A: 4, B: 3, C: 2, D: 1, F: 0 };
+
+/**
+ * UC-style weighted, capped GPA. Courses need a school year to count; a full credit is two semesters.
+ * @returns {{ gpa: number|null, semesters: number, honorsSemesters: number }}
+ */
+export function calculateUcGpa(courses) {
+  const counted = courses.filter(course => isGraded(course) && UC_YEARS.includes(course.year));
+  const semesters = counted.reduce((sum, course) => sum + course.credits * 2, 0);
+  if (semesters === 0) return { gpa: null, semesters: 0, honorsSemesters: 0 };
+
+  const basePoints = counted.reduce((sum, course) => sum + UC_LETTER_POINTS[course.grade[0]] * course.credits * 2, 0);
+  const honorsSemestersIn = (year) => counted
+    .filter(course => course.year === year && getCourseLevel(course.level).ucHonors && UC_LETTER_POINTS[course.grade[0]] >= 2)
+    .reduce((sum, course) => sum + course.credits * 2, 0);
+  const tenth = Math.min(UC_MAX_TENTH_GRADE_HONORS_SEMESTERS, honorsSemestersIn('10'));
+  const honorsSemesters = Math.min(UC_MAX_HONORS_SEMESTERS, tenth + honorsSemestersIn('11'));
+
+  return {
+    gpa: roundGpa((basePoints + honorsSemesters) / semesters),
+    semesters,
+    honorsSemesters,
+  };
+}
+
+/**
+ * GPA for each term, in school-year order; terms within a year, and terms without one (listed last),
+ * keep the order they were entered
+ * @returns {Array<{ label: string, unweighted: number|null, weighted: number|null, credits: number }>}
+ */
+export function calculateGpaTrend(courses) {
+  const terms = [];
+  courses.forEach(course => {
+    const label = [course.year && `Grade ${course.year}`, course.term].filter(Boolean).join(' · ') || 'Unassigned';
+    let term = terms.find(item => item.label === label);
+    if (!term) {
+      term = { label, year: Number(course.year) || 0, order: terms.length, courses: [] };
+      terms.push(term);
+    }
+    term.courses.push(course);
+  });
+
+  return terms
+    .sort((a, b) => (a.year || 99) - (b.year || 99) || a.order - b.order)
+    .map(term => {
+      const { unweighted, weighted, credits } = calculateGpa(term.courses);
+      return { label: term.label, unweighted, weighted, credits };
+    })
+    .filter(term => term.credits > 0);
+}
@@ -0,0 +1,139 @@
+import {
+  calculateGpa,
+  calculateUcGpa,
+  calculateGpaTrend,
+  createCourse,
+  normalizeCourses,
+  normalizeLetterGrade,
+  normalizeGradeLevel,
+  detectCourseLevel,
+} from './transcript';
+
+const course = (name, grade, { level = 'regular', credits = 1, year = '10', term = '' } = {}) => (
+  createCourse({ name, grade, level, credits, year, term })
+);
+
+describe('normalizeLetterGrade', () => {
+  it('reads letters and percentages', () => {
+    expect(normalizeLetterGrade(' a- ')).toBe('A-');
+    expect(normalizeLetterGrade('B +')).toBe('B+');
+    expect(normalizeLetterGrade('91.5')).toBe('A-');
+    expect(normalizeLetterGrade('88%')).toBe('B+');
+    expect(normalizeLetterGrade(59)).toBe('F');
+  });
+
+  it('leaves pass/fail and blank marks ungraded', () => {
+    expect(normalizeLetterGrade('P')).toBeNull();
+    expect(normalizeLetterGrade('INC')).toBeNull();
+    expect(normalizeLetterGrade('')).toBeNull();
+    expect(normalizeLetterGrade(null)).toBeNull();
+  });
+});
+
+describe('detectCourseLevel', () => {
+  it('recognises common course title markers', () => {
+    expect(detectCourseLevel('AP Biology')).toBe('ap');
+    expect(detectCourseLevel('Pre-AP English')).toBe('honors');
+    expect(detectCourseLevel('IB Math HL')).toBe('ib');
+    expect(detectCourseLevel('English 10 H')).toBe('honors');
+    expect(detectCourseLevel('Chemistry (Honors)')).toBe('honors');
+    expect(detectCourseLevel('DE College Algebra')).toBe('dual');
+    expect(detectCourseLevel('Ciencias de la tierra')).toBe('regular');
+  });
+});
+
+describe('normalizeGradeLevel', () => {
+  it('keeps high school grades only', () => {
+    expect(normalizeGradeLevel('11th')).toBe('11');
+    expect(normalizeGradeLevel('Grade 9')).toBe('9');
+    expect(normalizeGradeLevel(8)).toBeNull();
+    expect(normalizeGradeLevel('')).toBeNull();
+  });
+});
+
+describe('createCourse and normalizeCourses', () => {
+  it('fills defaults and normalizes fields', () => {
+    const created = createCourse({ name: ' Biology ', grade: '95', level: 'unknown', credits: '', year: '10th' });
+    expect(created).toMatchObject({ name: 'Biology', grade: 'A', level: 'regular', credits: 1, year: '10' });
+  });
+
+  it('keeps zero credits and drops unnamed courses', () => {
+    expect(createCourse({ name: 'Advisory', credits: 0 }).credits).toBe(0);
+    expect(normalizeCourses([{ name: 'Art', grade: 'B' }, { grade: 'A' }, null])).toHaveLength(1);
+    expect(normalizeCourses('nope')).toEqual([]);
+  });
+});
+
+describe('calculateGpa', () => {
+  it('weights by credits and adds level bonuses to the weighted GPA', () => {
+    const gpa = calculateGpa([
+      course('AP Biology', 'A', { level: 'ap' }),
+      course('Honors English', 'B', { level: 'honors' }),
+      course('PE', 'A', { credits: 0.5 }),
+    ]);
+    // (4 + 3 + 4 × 0.5) / 2.5 and (5 + 3.5 + 4 × 0.5) / 2.5
+    expect(gpa).toEqual({ unweighted: 3.6, weighted: 4.2, credits: 2.5, courseCount: 3 });
+  });
+
+  it('gives no level bonus for a failing grade and caps weighted points at 5.0', () => {
+    const gpa = calculateGpa([course('AP Chemistry', 'F', { level: 'ap' }), course('AP Physics', 'A+', { level: 'ap' })]);
+    expect(gpa.weighted).toBe(2.5);
+    expect(gpa.unweighted).toBe(2);
+  });
+
+  it('skips ungraded and zero-credit courses', () => {
+    expect(calculateGpa([course('Study Hall', 'P'), course('Advisory', 'A', { credits: 0 })]))
+      .toEqual({ unweighted: null, weighted: null, credits: 0, courseCount: 0 });
+  });
+});
+
+describe('calculateUcGpa', () => {
+  it('counts only 10th and 11th grade, using whole letter grades', () => {
+    const result = calculateUcGpa([
+      course('English 9', 'C', { year: '9' }),
+      course('Geometry', 'A-', { year: '10' }),
+      course('US History', 'B+', { year: '11' }),
+      course('Senior Seminar', 'F', { year: '12' }),
+    ]);
+    // A- counts as A and B+ as B: (8 + 6) / 4 semesters
+    expect(result).toEqual({ gpa: 3.5, semesters: 4, honorsSemesters: 0 });
+  });
+
+  it('adds one honors point per semester of C or better', () => {
+    const result = calculateUcGpa([
+      course('AP World History', 'B', { level: 'ap', year: '10' }),
+      course('Honors Chemistry', 'D', { level: 'honors', year: '11' }),
+    ]);
+    // (3 × 2 + 1 × 2 + 2 honors semesters) / 4
+    expect(result).toEqual({ gpa: 2.5, semesters: 4, honorsSemesters: 2 });
+  });
+
+  it('caps honors at 4 semesters from 10th grade and 8 overall', () => {
+    const tenth = Array.from({ length: 4 }, (_, i) => course(`AP ${i}`, 'A', { level: 'ap', year: '10' }));
+    const eleventh = Array.from({ length: 4 }, (_, i) => course(`IB ${i}`, 'A', { level: 'ib', year: '11' }));
+    const tenthOnly = calculateUcGpa(tenth);
+    expect(tenthOnly.honorsSemesters).toBe(4);
+    const both = calculateUcGpa([...tenth, ...eleventh]);
+    expect(both.semesters).toBe(16);
+    expect(both.honorsSemesters).toBe(8);
+    expect(both.gpa).toBe(4.5);
+  });
+
+  it('needs courses with a school year', () => {
+    expect(calculateUcGpa([course('Biology', 'A', { year: '' })])).toEqual({ gpa: null, semesters: 0, honorsSemesters: 0 });
+  });
+});
+
+describe('calculateGpaTrend', () => {
+  it('groups by year and term in school-year order, with unassigned terms last', () => {
+    const trend = calculateGpaTrend([
+      course('Spanish', 'A', { year: '', term: '' }),
+      course('Algebra II', 'B', { year: '11', term: 'Fall' }),
+      course('Biology', 'A', { year: '10', term: 'Spring' }),
+      course('Chemistry', 'C', { year: '11', term: 'Fall' }),
+      course('Study Hall', 'P', { year: '12', term: 'Fall' }),
+    ]);
+    expect(trend.map(term => term.label)).toEqual(['Grade 10 · Spring', 'Grade 11 · Fall', 'Unassigned']);
+    expect(trend[1]).toMatchObject({ unweighted: 2.5, credits: 2 });
+  });
+});
@@ -0,0 +1,179 @@
+// src/utils/transcriptImport.js
+// Course tables from uploaded transcripts: a CSV export or the text lines of a PDF
+
+import { parseCsvRecords, normalizeHeader } from './csv';
+import {
+  COURSE_LEVELS,
+  createCourse,
+  detectCourseLevel,
+  normalizeLetterGrade,
+  normalizeGradeLevel,
+} from './transcript';
+
+export const TRANSCRIPT_CSV_TEMPLATE = [
+  'Course,Year,Term,Level,Grade,Credits',
+  'English 10 Honors,10,Full Year,Honors,B+,1',
+  'AP Biology,11,Fall,AP,A-,0.5',
+  'AP Biology,11,Spring,AP,A,0.5',
+].join('\n');
+
+// CSV columns by field; "Grade" is the letter grade and "Year" / "Grade Level" the school year
+const COLUMNS = {
+  name: ['course', 'coursename', 'coursetitle', 'title', 'class', 'subject'],
+  year: ['year', 'gradelevel', 'schoolgrade'],
+  term: ['term', 'semester', 'session', 'markingperiod', 'period'],
+  level: ['level', 'courselevel', 'type', 'coursetype', 'rigor'],
+  grade: ['grade', 'lettergrade', 'finalgrade', 'mark', 'score'],
+  credits: ['credits', 'credit', 'credithours', 'units', 'creditsattempted', 'creditsearned'],
+};
+
+const readColumn = (values, field) => {
+  const header = COLUMNS[field].find(alias => values[alias] !== undefined && values[alias] !== '');
+  return header ? values[header] : '';
+};
+
+// "AP", "Honors", "Dual Enrollment" or a level id; anything else falls back to the course title
+const parseLevel = (value, name) => {
+  const key = normalizeHeader(value);
+  const level = COURSE_LEVELS.find(item => item.id === key || normalizeHeader(item.label) === key);
+  if (level) return level.id;
+  const detected = detectCourseLevel(value);
+  return detected !== 'regular' || key === 'regular' || key === 'cp' ? detected : detectCourseLevel(name);
+};
+
+const reviewNote = (grade, hasCredits) => {
+  const notes = [];
+  if (grade && !normalizeLetterGrade(grade)) notes.push(`"${grade}" isn't a letter grade, so this course won't count toward GPA.`);
+  if (!grade) notes.push('No grade was found.');
+  if (!hasCredits) notes.push('No credits were found; one credit was assumed.');
+  return notes.join(' ');
+};
+
+/**
+ * Courses from a transcript CSV (see TRANSCRIPT_CSV_TEMPLATE)
+ * @returns {{ courses: Array, notes: Object<string, string>, errors: string[] }}
+ *   `notes` maps course ids to what the student should check
+ */
+export function parseTranscriptCsv(text) {
+  const { headers, records } = parseCsvRecords(text);
+  if (!COLUMNS.name.some(alias => headers.includes(alias))) {
+    return { courses: [], notes: {}, errors: ['The file needs a "Course" column. Download the template to see the expected layout.'] };
+  }
+
+  const courses = [];
+  const notes = {};
+  const errors = [];
+  records.forEach(({ row, values }) => {
+    const name = readColumn(values, 'name').trim();
+    if (!name) {
+      errors.push(`Row ${row} has no course name and was skipped.`);
+      return;
+    }
+    const grade = readColumn(values, 'grade').trim();
+    const credits = readColumn(values, 'credits').trim();
+    const course = createCourse({
+      name,
+      year: readColumn(values, 'year'),
+      term: readColumn(values, 'term'),
+      level: parseLevel(readColumn(values, 'level'), name),
+      grade,
+      credits: credits === '' ? null : credits,
+    });
+    courses.push(course);
+    const note = reviewNote(grade, credits !== '' && Number.isFinite(Number(credits)));
+    if (note) notes[course.id] = note;
+  });
+
+  return { courses, notes, errors };
+}
+
+const GRADE_TOKEN = /^(A\+|A-|A|B\+|B-|B|C\+|C-|C|D\+|D-|D|F)$/;
+const CREDIT_TOKEN = /^\d{1,2}(\.\d{1,3})?$/;
+const TERM_TOKEN = /^(S[1-2]|Q[1-4]|T[1-3]|FA|SP|SU|Sem\.?[1-2]?|Fall|Spring|Summer|Winter|\d{4}(-\d{2,4})?)$/i;
+// "Grade 10", "10th Grade", "Grade Level: 10" on a line of its own
+const YEAR_HEADING = /^(?:grade(?:\s+level)?:?\s*(9|10|11|12)|(9|10|11|12)(?:th)\s+grade)\b/i;
+// "Fall 2023", "Semester 1", "2023-2024", "2023-2024 Semester 2"
+const TERM_HEADING = /^((?:fall|spring|summer|winter)\s+\d{4}|semester\s*[1-4]|(?:19|20)\d{2}\s*[-–]\s*(?:19|20)?\d{2}(?:\s+(?:semester\s*[1-4]|fall|spring|summer))?)$/i;
+// Leading course codes like "ENG1010" or "MATH 2200"
+const COURSE_CODE = /^[A-Z]{2,5}\s?\d{3,5}[A-Z]?\s+/;
+// Summary lines that look like courses but aren't
+const SUMMARY_LINE = /\b(gpa|total|cumulative|class rank|credits earned|attempted)\b/i;
+
+/**
+ * One course from a transcript line: the rightmost letter grade, credits next to it,
+ * leading term tokens and everything else as the course name
+ */
+function parseCourseLine(line) {
+  if (SUMMARY_LINE.test(line)) return null;
+  const tokens = line.split(/\s+/);
+  let gradeIndex = -1;
+  for (let index = tokens.length - 1; index > 0; index--) {
+    if (GRADE_TOKEN.test(tokens[index])) {
+      gradeIndex = index;
+      break;
+    }
+  }
+  if (gradeIndex < 0) return null;
+
+  const after = tokens.slice(gradeIndex + 1).find(token => CREDIT_TOKEN.test(token));
+  const before = CREDIT_TOKEN.test(tokens[gradeIndex - 1]) && gradeIndex > 1 ? tokens[gradeIndex - 1] : null;
+  const credits = after ?? before;
+  const nameTokens = tokens.slice(0, before && !after ? gradeIndex - 1 : gradeIndex);
+  const termTokens = [];
+  while (nameTokens.length > 1 && TERM_TOKEN.test(nameTokens[0])) termTokens.push(nameTokens.shift());
+
+  const name = nameTokens.join(' ').replace(COURSE_CODE, '').trim();
+  if ((name.match(/[a-z]/gi) || []).length < 2) return null;
+  return { name, grade: tokens[gradeIndex], credits: credits ?? null, term: termTokens.join(' ') };
+}
+
+/**
+ * Courses from the text lines of a transcript PDF. Year and term headings apply to the courses below them.
+ * @returns {{ courses: Array, notes: Object<string, string>, errors: string[] }}
+ */
+export function parseTranscriptLines(lines) {
+  const courses = [];
+  const notes = {};
+  let year = '';
+  let term = '';
+
+  lines.forEach(line => {
+    const text = line.trim();
+    const yearHeading = YEAR_HEADING.exec(text);
+    if (yearHeading) {
+      year = normalizeGradeLevel(yearHeading[1] || yearHeading[2]) || '';
+      const rest = text.slice(yearHeading[0].length).replace(/^[\s,:–-]+/, '');
+      term = TERM_HEADING.test(rest) ? rest : '';
+      return;
+    }
+    if (TERM_HEADING.test(text)) {
+      term = text;
+      return;
+    }
+
+    const parsed = parseCourseLine(text);
+    if (!parsed) return;
+    const course = createCourse({
+      name: parsed.name,
+      year,
+      term: parsed.term || term,
+      level: detectCourseLevel(parsed.name),
+      grade: parsed.grade,
+      credits: parsed.credits,
+    });
+    courses.push(course);
+    const missing = [
+      !year && 'school year',
+      parsed.credits === null && 'credits (one was assumed)',
+    ].filter(Boolean);
+    if (missing.length) notes[course.id] = `Check the ${missing.join(' and ')}. Read from "${text}".`;
+  });
+
+  return {
+    courses,
+    notes,
+    errors: courses.length === 0
+      ? ['No courses were found in this PDF. Scanned transcripts can\'t be read; try the CSV template instead.']
+      : [],
+  };
+}
@@ -0,0 +1,70 @@
+import { parseTranscriptCsv, parseTranscriptLines, TRANSCRIPT_CSV_TEMPLATE } from './transcriptImport';
+
+describe('parseTranscriptCsv', () => {
+  it('reads the template', () => {
+    const { courses, notes, errors } = parseTranscriptCsv(TRANSCRIPT_CSV_TEMPLATE);
+    expect(errors).toEqual([]);
+    expect(notes).toEqual({});
+    expect(courses.map(({ name, year, term, level, grade, credits }) => ({ name, year, term, level, grade, credits }))).toEqual([
+      { name: 'English 10 Honors', year: '10', term: 'Full Year', level: 'honors', grade: 'B+', credits: 1 },
+      { name: 'AP Biology', year: '11', term: 'Fall', level: 'ap', grade: 'A-', credits: 0.5 },
+      { name: 'AP Biology', year: '11', term: 'Spring', level: 'ap', grade: 'A', credits: 0.5 },
+    ]);
+  });
+
+  it('matches header aliases and falls back to the course title for the level', () => {
+    const csv = 'Course Title,Grade Level,Semester,Course Type,Final Grade,Credits Earned\nIB History HL,12th,S1,,93,0.5\nChemistry,11,S2,Dual Enrollment,B,1';
+    const { courses } = parseTranscriptCsv(csv);
+    expect(courses[0]).toMatchObject({ name: 'IB History HL', year: '12', term: 'S1', level: 'ib', grade: 'A', credits: 0.5 });
+    expect(courses[1]).toMatchObject({ level: 'dual', grade: 'B' });
+  });
+
+  it('notes rows to review and skips rows without a course name', () => {
+    const { courses, notes, errors } = parseTranscriptCsv('Course,Grade,Credits\nArt,P,1\n,A,1\nMusic,,');
+    expect(courses.map(course => course.name)).toEqual(['Art', 'Music']);
+    expect(errors).toEqual(['Row 2 has no course name and was skipped.']);
+    expect(notes[courses[0].id]).toBe('"P" isn\'t a letter grade, so this course won\'t count toward GPA.');
+    expect(notes[courses[1].id]).toBe('No grade was found. No credits were found; one credit was assumed.');
+    expect(courses[1].credits).toBe(1);
+  });
+
+  it('requires a course column', () => {
+    expect(parseTranscriptCsv('Grade,Credits\nA,1').errors[0]).toMatch(/"Course" column/);
+  });
+});
+
+describe('parseTranscriptLines', () => {
+  const LINES = [
+    'Lincoln High School Official Transcript',
+    'Grade 10',
+    'Fall 2023',
+    'ENG1010 English 10 H A- 1.0',
+    'MATH 2200 Geometry B+ 1.0',
+    'Term GPA 3.50',
+    'Grade 11, 2024-2025 Semester 1',
+    'S1 AP Chemistry 0.5 A',
+    'Spanish III C',
+    'Cumulative Credits Earned 3.5',
+  ];
+
+  it('reads courses with the year and term headings above them', () => {
+    const { courses, errors } = parseTranscriptLines(LINES);
+    expect(errors).toEqual([]);
+    expect(courses.map(({ name, year, term, level, grade, credits }) => ({ name, year, term, level, grade, credits }))).toEqual([
+      { name: 'English 10 H', year: '10', term: 'Fall 2023', level: 'honors', grade: 'A-', credits: 1 },
+      { name: 'Geometry', year: '10', term: 'Fall 2023', level: 'regular', grade: 'B+', credits: 1 },
+      { name: 'AP Chemistry', year: '11', term: 'S1', level: 'ap', grade: 'A', credits: 0.5 },
+      { name: 'Spanish III', year: '11', term: '2024-2025 Semester 1', level: 'regular', grade: 'C', credits: 1 },
+    ]);
+  });
+
+  it('asks the student to check assumed credits and missing years', () => {
+    const { courses, notes } = parseTranscriptLines(['Biology A', 'Grade 9', 'Art B 1']);
+    expect(notes[courses[0].id]).toBe('Check the school year and credits (one was assumed). Read from "Biology A".');
+    expect(notes[courses[1].id]).toBeUndefined();
+  });
+
+  it('explains when nothing could be read', () => {
+    expect(parseTranscriptLines(['Scanned page']).errors[0]).toMatch(/No courses were found/);
+  });
+});
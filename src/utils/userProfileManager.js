@@ -1,11 +1,41 @@
 // src/utils/userProfileManager.js
 import { makeRequest } from '../services/api';
+import {
+  PROFILE_FIELDS,
+  PROFILE_SECTIONS,
+  getSectionFields,
+  coerceField,
+  validateField,
+  migrateProfile,
+  createEmptyProfile,
+  isProfileComplete,
+  getProfileCompletionPercentage,
+  getIncompleteSections,
+} from './profileSchema';
 
 /**
  * User Profile Manager for CosmosDB Integration
  * Handles user profile operations through the backend API
  */
 
+/**
+ * Profile with academic fields set at the top level, and mirrored under `profile.academic` when the
+ * profile still carries that legacy section so both shapes agree
+ * @param {Object} profile - User profile data
+ * @param {Object} academicData - Academic fields to set
+ * @returns {Object} New profile object
+ */
+export const mergeAcademicRecord = (profile, academicData) => ({
+  ...profile,
+  ...academicData,
+  ...(profile?.profile?.academic ? {
+    profile: {
+      ...profile.profile,
+      academic: { ...profile.profile.academic, ...academicData },
+    },
+  } : {}),
+});
+
 export class UserProfileManager {
   /**
    * Get user profile from CosmosDB via backend API
@@ -15,7 +45,8 @@ export class UserProfileManager {
   static async getUserProfile(userId) {
     try {
       const response = await makeRequest(`/profile/${userId}`, {}, true);
-      return response.data || response;
+      // Callers always get the canonical shape, whatever is stored
+      return migrateProfile(response.data || response).profile;
     } catch (error) {
       console.error('Error fetching user profile:', error);
       return null;
@@ -72,44 +103,13 @@ export class UserProfileManager {
    * @returns {Promise<Object|null>} Initialized profile data
    */
   static async initializeProfile(user) {
-    const profileData = {
-      email: user.email,
+    const now = new Date().toISOString();
+    return await this.createOrUpdateProfile(user.id, {
+      ...createEmptyProfile(user),
       fullName: user.user_metadata?.full_name || user.email,
-      avatarUrl: user.user_metadata?.avatar_url,
-      provider: user.app_metadata?.provider || 'email',
-      // Basic profile structure
-      profile: {
-        personal: {
-          firstName: user.user_metadata?.full_name?.split(' ')[0] || '',
-          lastName: user.user_metadata?.full_name?.split(' ').slice(1).join(' ') || '',
-          email: user.email,
-        },
-        academic: {
-          gpa: null,
-          major: null,
-          graduationYear: null,
-          currentSchool: null,
-        },
-        extracurriculars: [],
-        essays: [],
-        recommendations: [],
-        financial: {
-          familyIncome: null,
-          financialAidNeeded: null,
-          scholarships: [],
-        }
-      },
-      preferences: {
-        collegeType: null,
-        location: null,
-        maxTuition: null,
-        desiredMajors: [],
-      },
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    };
-
-    return await this.createOrUpdateProfile(user.id, profileData);
+      created_at: now,
+      updated_at: now,
+    });
   }
 
   /**
@@ -118,18 +118,7 @@ export class UserProfileManager {
    * @returns {boolean} Whether profile is complete
    */
   static isProfileComplete(profile) {
-    if (!profile) return false;
-    
-    const academic = profile.profile?.academic;
-    if (!academic) return false;
-
-    // Check if essential academic data is present
-    return !!(
-      academic.gpa &&
-      academic.major &&
-      academic.graduationYear &&
-      academic.currentSchool
-    );
+    return isProfileComplete(profile);
   }
 
   /**
@@ -138,92 +127,105 @@ export class UserProfileManager {
    * @returns {number} Completion percentage (0-100)
    */
   static getProfileCompletionPercentage(profile) {
-    if (!profile) return 0;
-
-    const sections = [
-      'personal',
-      'academic',
-      'extracurriculars',
-      'essays',
-      'recommendations',
-      'financial',
-      'preferences'
-    ];
-
-    let completedSections = 0;
-
-    sections.forEach(section => {
-      const sectionData = profile.profile?.[section] || profile[section];
-      if (sectionData && Object.keys(sectionData).length > 0) {
-        completedSections++;
-      }
-    });
-
-    return Math.round((completedSections / sections.length) * 100);
+    return getProfileCompletionPercentage(profile);
   }
 
   /**
    * Get profile sections that need completion
    * @param {Object} profile - User profile data
-   * @returns {Array} Array of incomplete sections
+   * @returns {Array} Array of incomplete section ids (see PROFILE_SECTIONS)
    */
   static getIncompleteSections(profile) {
-    if (!profile) return ['personal', 'academic', 'extracurriculars', 'essays', 'recommendations', 'financial', 'preferences'];
-
-    const incompleteSections = [];
-    const sections = [
-      'personal',
-      'academic',
-      'extracurriculars',
-      'essays',
-      'recommendations',
-      'financial',
-      'preferences'
-    ];
-
-    sections.forEach(section => {
-      const sectionData = profile.profile?.[section] || profile[section];
-      if (!sectionData || Object.keys(sectionData).length === 0) {
-        incompleteSections.push(section);
-      }
-    });
-
-    return incompleteSections;
+    return getIncompleteSections(profile);
   }
 
   /**
-   * Update specific profile section
+   * Update the canonical fields of one profile section. Fields from other sections are ignored and
+   * values are coerced to their canonical types; an invalid value rejects the whole update.
    * @param {string} userId - Supabase user ID
-   * @param {string} section - Profile section name
-   * @param {Object} sectionData - Section data to update
+   * @param {string} section - Section id from PROFILE_SECTIONS
+   * @param {Object} sectionData - Field values to update, keyed by canonical field name
    * @returns {Promise<Object|null>} Updated profile data
    */
   static async updateProfileSection(userId, section, sectionData) {
     try {
+      if (!PROFILE_SECTIONS.some(({ id }) => id === section)) {
+        throw new Error(`Unknown profile section "${section}"`);
+      }
       const currentProfile = await this.getUserProfile(userId);
       if (!currentProfile) {
         throw new Error('Profile not found');
       }
 
-      // Update the specific section
-      const updatedProfile = {
+      const changes = {};
+      getSectionFields(section)
+        .filter(key => key in sectionData)
+        .forEach(key => {
+          const value = coerceField(key, sectionData[key]);
+          const message = validateField(key, value);
+          if (message) throw new Error(message);
+          changes[key] = value;
+        });
+
+      const saved = await this.createOrUpdateProfile(userId, {
         ...currentProfile,
-        profile: {
-          ...currentProfile.profile,
-          [section]: {
-            ...currentProfile.profile?.[section],
-            ...sectionData
-          }
-        },
+        ...changes,
         updated_at: new Date().toISOString(),
-      };
-
-      return await this.createOrUpdateProfile(userId, updatedProfile);
+      });
+      if (!saved) {
+        throw new Error('Profile could not be saved');
+      }
+      return saved;
     } catch (error) {
       console.error(`Error updating profile section ${section}:`, error);
       return null;
     }
   }
+
+  /**
+   * Save data the app keeps alongside the profile fields (applications, collegeList, netPriceInputs,
+   * aidOffers...). Reads the stored profile and saves it whole with these keys replaced, like
+   * updateProfileSection; canonical fields have to go through that instead so they're validated.
+   * @param {string} userId - Supabase user ID
+   * @param {Object} data - Values to store, keyed by top-level profile key
+   * @returns {Promise<Object|null>} Updated profile data
+   */
+  static async updateProfileData(userId, data) {
+    try {
+      const schemaKeys = Object.keys(data).filter(key => PROFILE_FIELDS[key]);
+      if (schemaKeys.length > 0) {
+        throw new Error(`Use updateProfileSection for profile fields (${schemaKeys.join(', ')})`);
+      }
+      const currentProfile = await this.getUserProfile(userId);
+      if (!currentProfile) {
+        throw new Error('Profile not found');
+      }
+
+      const saved = await this.createOrUpdateProfile(userId, {
+        ...currentProfile,
+        ...data,
+        updated_at: new Date().toISOString(),
+      });
+      if (!saved) {
+        throw new Error('Profile could not be saved');
+      }
+      return saved;
+    } catch (error) {
+      console.error(`Error updating profile data (${Object.keys(data).join(', ')}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Write academic fields (GPA, grade level, coursework...) from an import.
+   * Validated and stored like any other update to the `academic` section.
+   * @param {string} userId - Supabase user ID
+   * @param {Object} academicData - Academic fields to update
+   * @returns {Promise<Object|null>} Updated profile data
+   */
+  static async updateAcademicRecord(userId, academicData) {
+    return this.updateProfileSection(userId, 'academic', academicData);
+  }
 }
 
 export default UserProfileManager;
@@ -0,0 +1,39 @@
+import { UserProfileManager } from './userProfileManager';
+import { makeRequest } from '../services/api';
+
+jest.mock('../services/api', () => ({ makeRequest: jest.fn() }));
+
+const STORED = { schemaVersion: 1, gpa: 3.7, major: 'History', collegeList: [{ unitid: '1' }] };
+
+describe('UserProfileManager.updateProfileData', () => {
+  beforeEach(() => {
+    makeRequest.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => console.error.mockRestore());
+
+  it('saves the whole stored profile with the given keys replaced', async () => {
+    makeRequest
+      .mockResolvedValueOnce({ data: STORED })
+      .mockImplementationOnce((path, options) => Promise.resolve({ data: JSON.parse(options.body).profileData }));
+
+    const saved = await UserProfileManager.updateProfileData('user-1', { applications: [{ scholarshipId: 's1' }] });
+
+    expect(makeRequest).toHaveBeenCalledTimes(2);
+    expect(makeRequest.mock.calls[1][0]).toBe('/profile/user-1');
+    expect(makeRequest.mock.calls[1][1].method).toBe('POST');
+    expect(saved).toMatchObject({ ...STORED, applications: [{ scholarshipId: 's1' }] });
+  });
+
+  it('refuses schema fields, which need validating', async () => {
+    await expect(UserProfileManager.updateProfileData('user-1', { gpa: 4 })).resolves.toBeNull();
+    expect(makeRequest).not.toHaveBeenCalled();
+  });
+
+  it('returns null without saving when the profile cannot be read', async () => {
+    makeRequest.mockRejectedValueOnce(new Error('offline'));
+    await expect(UserProfileManager.updateProfileData('user-1', { aidOffers: [] })).resolves.toBeNull();
+    expect(makeRequest).toHaveBeenCalledTimes(1);
+  });
+});
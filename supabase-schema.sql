@@ -99,6 +99,50 @@ GRANT USAGE ON SCHEMA public TO anon, authenticated;
 GRANT ALL ON public.users TO anon, authenticated;
 GRANT ALL ON public.users_id_seq TO anon, authenticated;
 
+-- Create saved scholarship searches table
+-- `filters` holds the ScholarshipPage filter state. `seen_scholarship_ids` lists the results the
+-- user has already been shown (updated whenever the search is viewed); the app badges any other
+-- current result as a new match. `last_result_count` is only displayed.
+-- E-mail alerts use the account-wide `users.email_notifications` opt-in; `notify_email` picks which
+-- searches are included while it is on. Nothing sends those e-mails yet, so the in-app badge is the
+-- only alert; `last_notified_at` is reserved for a future sender.
+CREATE TABLE IF NOT EXISTS public.saved_searches (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    notify_email BOOLEAN DEFAULT false,
+    last_result_count INTEGER DEFAULT 0,
+    seen_scholarship_ids TEXT[] DEFAULT '{}',
+    last_viewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_notified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON public.saved_searches(user_id);
+
+ALTER TABLE public.saved_searches ENABLE ROW LEVEL SECURITY;
+
+-- Users can only manage their own saved searches
+CREATE POLICY "Users can view own saved searches" ON public.saved_searches
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own saved searches" ON public.saved_searches
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own saved searches" ON public.saved_searches
+    FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own saved searches" ON public.saved_searches
+    FOR DELETE USING (auth.uid() = user_id);
+
+CREATE OR REPLACE TRIGGER update_saved_searches_updated_at
+    BEFORE UPDATE ON public.saved_searches
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.saved_searches TO authenticated;
+
 -- Create view for user profiles (simplified data)
 CREATE OR REPLACE VIEW public.user_profiles AS
 SELECT 